@@ -22,6 +22,8 @@ const { errorHandler, notFoundHandler } = require('./src/middleware/error.middle
 const sessionManager = require('./src/services/whatsapp/session.manager');
 const connectionService = require('./src/services/whatsapp/connection.service');
 const configService = require('./src/services/common/config.service');
+const { flushAuthState, getAuthStateStats } = require('./src/services/whatsapp/auth.service');
+const messageStore = require('./src/services/whatsapp/messageStore.service');
 
 const { startPresenceJob } = require('./src/jobs/presence.job');
 const { startProactiveAiJob } = require('./src/jobs/proactiveAi.job');
@@ -29,6 +31,14 @@ const { startHistoryCleanupJob } = require('./src/jobs/historyCleanup.job');
 const { startSubscriptionExpiryJob } = require('./src/jobs/subscriptionExpiry.job');
 const { restoreSessions } = require('./src/bootstrap/restoreSessions');
 const { startSessionWatchdogJob } = require('./src/jobs/sessionWatchdog.job');
+const { startOutboundQueueJob } = require('./src/jobs/outboundQueue.job');
+const { startScheduledMessagesJob } = require('./src/jobs/scheduledMessages.job');
+const { startWebhookDeliveryJob } = require('./src/jobs/webhookDelivery.job');
+const { startMessageStorePruneJob } = require('./src/jobs/messageStorePrune.job');
+const { startCampaignsJob } = require('./src/jobs/campaigns.job');
+const { startStatusPostsJob } = require('./src/jobs/statusPosts.job');
+const { startConnectionEventsPruneJob } = require('./src/jobs/connectionEventsPrune.job');
+const { startConnectionHeartbeatJob } = require('./src/jobs/connectionHeartbeat.job');
 
 // Routes
 const whatsappRoutes = require('./src/routes/whatsapp.routes');
@@ -67,7 +77,8 @@ app.use(helmet({
 }));
 
 // Body parser
-app.use(express.json({ limit: '10mb' }));
+// Large enough for base64 media in send-media (per-package size limits apply afterwards)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check
@@ -86,7 +97,8 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         uptime: process.uptime(),
-        sessionsCount: sessionManager.count
+        sessionsCount: sessionManager.count,
+        authState: getAuthStateStats()
     });
 });
 
@@ -109,6 +121,14 @@ startProactiveAiJob(sessionManager);
 startHistoryCleanupJob();
 startSubscriptionExpiryJob();
 startSessionWatchdogJob(); // Monitor and auto-reconnect WhatsApp sessions
+startOutboundQueueJob(sessionManager); // Drain persisted outbound messages per session
+startScheduledMessagesJob(); // Hand due scheduled messages to the outbound queue
+startWebhookDeliveryJob(); // Forward session events to user webhooks and retry failures
+startMessageStorePruneJob(); // Expire stored messages used for retries / getMessage
+startCampaignsJob(); // Start scheduled campaigns and feed running ones into the queue
+startStatusPostsJob(); // Publish scheduled WhatsApp Status updates
+startConnectionEventsPruneJob(); // Expire old connection history used for session health
+startConnectionHeartbeatJob(); // Remember when this process was last alive, for downtime after a crash
 
 // ============================================
 // Start Server
@@ -139,11 +159,23 @@ async function startServer() {
     await restoreSessions({ configService, connectionService });
 }
 // Graceful shutdown
-const shutdown = (signal) => {
+const shutdown = async (signal) => {
     console.log(`\n👋 Received ${signal}, shutting down all sessions...`);
     sessionManager.forEach(({ socket }) => {
         if (socket) socket.end();
     });
+
+    // Buffered creds / keys must reach the store, or sessions need a new QR scan
+    const flushTimeout = new Promise(resolve => setTimeout(resolve, 10000));
+    await Promise.race([flushAuthState(), flushTimeout]).catch(err => {
+        console.error('❌ Failed to flush auth state:', err.message);
+    });
+    // Recent messages not yet written would be missing for retry receipts after the restart
+    await Promise.race([messageStore.flush(), flushTimeout]).catch(err => {
+        console.error('❌ Failed to flush the message store:', err.message);
+    });
+    const { pendingKeys } = getAuthStateStats();
+    if (pendingKeys > 0) console.warn(`⚠️ ${pendingKeys} auth state keys were not written`);
     process.exit(0);
 };
 
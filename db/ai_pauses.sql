@@ -0,0 +1,20 @@
+-- Human takeover: chats where the AI is paused because a person replied
+CREATE TABLE IF NOT EXISTS public.wa_ai_pauses (
+  user_id uuid NOT NULL,
+  jid text NOT NULL,
+  paused_at timestamp with time zone NOT NULL DEFAULT now(),
+  paused_until timestamp with time zone,
+  reason text NOT NULL DEFAULT 'manual_reply',
+  CONSTRAINT wa_ai_pauses_pkey PRIMARY KEY (user_id, jid)
+);
+
+CREATE TABLE IF NOT EXISTS public.wa_ai_pauses_local (LIKE public.wa_ai_pauses INCLUDING ALL);
+
+-- Pauses are per session ('' = the account's primary session), like chat history
+ALTER TABLE public.wa_ai_pauses ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT '';
+ALTER TABLE public.wa_ai_pauses DROP CONSTRAINT IF EXISTS wa_ai_pauses_pkey;
+ALTER TABLE public.wa_ai_pauses ADD CONSTRAINT wa_ai_pauses_pkey PRIMARY KEY (user_id, jid, session_id);
+
+ALTER TABLE public.wa_ai_pauses_local ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT '';
+ALTER TABLE public.wa_ai_pauses_local DROP CONSTRAINT IF EXISTS wa_ai_pauses_local_pkey;
+ALTER TABLE public.wa_ai_pauses_local ADD CONSTRAINT wa_ai_pauses_local_pkey PRIMARY KEY (user_id, jid, session_id);
@@ -0,0 +1,17 @@
+-- Incoming call attempts on linked numbers (auto-reject log)
+CREATE TABLE IF NOT EXISTS public.wa_call_logs (
+  id bigserial NOT NULL,
+  session_id text NOT NULL,
+  user_id uuid,
+  call_id text NOT NULL,
+  caller_jid text NOT NULL,
+  is_video boolean NOT NULL DEFAULT false,
+  is_group boolean NOT NULL DEFAULT false,
+  action text NOT NULL,
+  replied boolean NOT NULL DEFAULT false,
+  called_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_call_logs_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_call_logs_user_idx ON public.wa_call_logs (user_id, called_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.wa_call_logs_local (LIKE public.wa_call_logs INCLUDING ALL);
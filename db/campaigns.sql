@@ -0,0 +1,61 @@
+-- Broadcast campaigns, their recipients, contact tags and opt-outs
+CREATE TABLE IF NOT EXISTS public.wa_campaigns (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id text NOT NULL,
+  user_id uuid,
+  name text NOT NULL,
+  type text NOT NULL DEFAULT 'text'::text,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  audience jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'draft'::text,
+  send_at timestamp with time zone,
+  rate_per_minute integer,
+  total_recipients integer NOT NULL DEFAULT 0,
+  started_at timestamp with time zone,
+  completed_at timestamp with time zone,
+  next_send_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_campaigns_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_campaigns_session_idx ON public.wa_campaigns (session_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS wa_campaigns_due_idx ON public.wa_campaigns (status, send_at);
+
+CREATE TABLE IF NOT EXISTS public.wa_campaign_recipients (
+  id bigserial NOT NULL,
+  campaign_id uuid NOT NULL,
+  jid text NOT NULL,
+  variables jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'pending'::text,
+  job_id uuid,
+  message_id text,
+  error text,
+  sent_at timestamp with time zone,
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_campaign_recipients_pkey PRIMARY KEY (id),
+  CONSTRAINT wa_campaign_recipients_jid_key UNIQUE (campaign_id, jid)
+);
+CREATE INDEX IF NOT EXISTS wa_campaign_recipients_status_idx ON public.wa_campaign_recipients (campaign_id, status);
+
+CREATE TABLE IF NOT EXISTS public.wa_contact_tags (
+  user_id uuid NOT NULL,
+  tag text NOT NULL,
+  jid text NOT NULL,
+  name text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_contact_tags_pkey PRIMARY KEY (user_id, tag, jid)
+);
+
+CREATE TABLE IF NOT EXISTS public.wa_opt_outs (
+  user_id uuid NOT NULL,
+  jid text NOT NULL,
+  source text NOT NULL DEFAULT 'api'::text,
+  keyword text,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_opt_outs_pkey PRIMARY KEY (user_id, jid)
+);
+
+CREATE TABLE IF NOT EXISTS public.wa_campaigns_local (LIKE public.wa_campaigns INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS public.wa_campaign_recipients_local (LIKE public.wa_campaign_recipients INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS public.wa_contact_tags_local (LIKE public.wa_contact_tags INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS public.wa_opt_outs_local (LIKE public.wa_opt_outs INCLUDING ALL);
@@ -0,0 +1,15 @@
+-- Connection transitions per session (session health, uptime, reconnects)
+CREATE TABLE IF NOT EXISTS public.wa_connection_events (
+  id bigserial NOT NULL,
+  session_id text NOT NULL,
+  event text NOT NULL,
+  status_code integer,
+  reason text,
+  details jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_connection_events_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_connection_events_session_idx ON public.wa_connection_events (session_id, created_at);
+CREATE INDEX IF NOT EXISTS wa_connection_events_created_idx ON public.wa_connection_events (created_at);
+
+CREATE TABLE IF NOT EXISTS public.wa_connection_events_local (LIKE public.wa_connection_events INCLUDING ALL);
@@ -0,0 +1,39 @@
+-- Agent inbox: chats and messages per session
+CREATE TABLE IF NOT EXISTS public.wa_inbox_chats (
+  session_id text NOT NULL,
+  jid text NOT NULL,
+  name text,
+  is_group boolean NOT NULL DEFAULT false,
+  unread_count integer NOT NULL DEFAULT 0,
+  last_message_id text,
+  last_message_text text,
+  last_message_type text,
+  last_message_from_me boolean,
+  last_message_at timestamp with time zone,
+  last_read_at timestamp with time zone,
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_inbox_chats_pkey PRIMARY KEY (session_id, jid)
+);
+CREATE INDEX IF NOT EXISTS wa_inbox_chats_recent_idx ON public.wa_inbox_chats (session_id, last_message_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.wa_inbox_messages (
+  session_id text NOT NULL,
+  message_id text NOT NULL,
+  jid text NOT NULL,
+  from_me boolean NOT NULL DEFAULT false,
+  sender text,
+  push_name text,
+  type text NOT NULL,
+  text text,
+  media jsonb,
+  quoted_id text,
+  edited boolean NOT NULL DEFAULT false,
+  revoked boolean NOT NULL DEFAULT false,
+  timestamp timestamp with time zone NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_inbox_messages_pkey PRIMARY KEY (session_id, message_id)
+);
+CREATE INDEX IF NOT EXISTS wa_inbox_messages_chat_idx ON public.wa_inbox_messages (session_id, jid, timestamp DESC);
+
+CREATE TABLE IF NOT EXISTS public.wa_inbox_chats_local (LIKE public.wa_inbox_chats INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS public.wa_inbox_messages_local (LIKE public.wa_inbox_messages INCLUDING ALL);
@@ -0,0 +1,20 @@
+-- Outgoing media library (uploads / base64 sends stored for reuse)
+CREATE TABLE IF NOT EXISTS public.wa_media_uploads (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  owner_id text NOT NULL,
+  session_id text,
+  file_type text NOT NULL,
+  mimetype text,
+  file_name text,
+  size_bytes bigint NOT NULL DEFAULT 0,
+  sha256 text NOT NULL,
+  bucket_path text NOT NULL,
+  public_url text NOT NULL,
+  use_count integer NOT NULL DEFAULT 0,
+  last_used_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_media_uploads_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_media_uploads_owner_idx ON public.wa_media_uploads (owner_id, sha256);
+
+CREATE TABLE IF NOT EXISTS public.wa_media_uploads_local (LIKE public.wa_media_uploads INCLUDING ALL);
@@ -0,0 +1,22 @@
+-- Delivery / read receipts for outbound messages
+CREATE TABLE IF NOT EXISTS public.wa_message_status (
+  session_id text NOT NULL,
+  message_id text NOT NULL,
+  user_id uuid,
+  jid text NOT NULL,
+  job_id uuid,
+  batch_id uuid,
+  status text NOT NULL DEFAULT 'sent'::text,
+  error text,
+  sent_at timestamp with time zone,
+  server_ack_at timestamp with time zone,
+  delivered_at timestamp with time zone,
+  read_at timestamp with time zone,
+  failed_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_message_status_pkey PRIMARY KEY (session_id, message_id)
+);
+CREATE INDEX IF NOT EXISTS wa_message_status_batch_idx ON public.wa_message_status (session_id, batch_id);
+
+CREATE TABLE IF NOT EXISTS public.wa_message_status_local (LIKE public.wa_message_status INCLUDING ALL);
@@ -0,0 +1,21 @@
+-- Recent messages per session, used by Baileys getMessage (retries) and quoted replies
+CREATE TABLE IF NOT EXISTS public.wa_message_store (
+  session_id text NOT NULL,
+  message_id text NOT NULL,
+  remote_jid text NOT NULL,
+  from_me boolean NOT NULL DEFAULT false,
+  participant text,
+  push_name text,
+  message jsonb NOT NULL,
+  message_timestamp timestamp with time zone,
+  expires_at timestamp with time zone NOT NULL,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_message_store_pkey PRIMARY KEY (session_id, message_id)
+);
+CREATE INDEX IF NOT EXISTS wa_message_store_expires_idx ON public.wa_message_store (expires_at);
+
+CREATE TABLE IF NOT EXISTS public.wa_message_store_local (LIKE public.wa_message_store INCLUDING ALL);
+
+-- Per-session size cap (prune job)
+CREATE INDEX IF NOT EXISTS wa_message_store_session_expires_idx ON public.wa_message_store (session_id, expires_at);
+CREATE INDEX IF NOT EXISTS wa_message_store_local_session_expires_idx ON public.wa_message_store_local (session_id, expires_at);
@@ -0,0 +1,42 @@
+-- Several WhatsApp numbers per account
+-- The primary session keeps the user's UUID as its id; extra sessions get a
+-- generated 'wa-user-...' id and are mapped to their owner here.
+CREATE TABLE IF NOT EXISTS public.wa_session_owners (
+  session_id text NOT NULL,
+  user_id uuid NOT NULL,
+  name text NOT NULL,
+  is_active boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_session_owners_pkey PRIMARY KEY (session_id),
+  CONSTRAINT wa_session_owners_user_name_key UNIQUE (user_id, name),
+  CONSTRAINT wa_session_owners_user_id_fkey FOREIGN KEY (user_id) REFERENCES public.users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS wa_session_owners_user_idx ON public.wa_session_owners (user_id);
+
+CREATE TABLE IF NOT EXISTS public.wa_session_owners_local (LIKE public.wa_session_owners INCLUDING ALL);
+ALTER TABLE public.wa_session_owners_local DROP CONSTRAINT IF EXISTS wa_session_owners_local_user_id_fkey;
+ALTER TABLE public.wa_session_owners_local
+  ADD CONSTRAINT wa_session_owners_local_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES public.users(id) ON DELETE CASCADE;
+
+-- Per-session prompts, contacts and chat history
+-- session_id '' is the account's primary session, so existing rows keep working.
+ALTER TABLE public.wa_bot_prompts ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT '';
+
+ALTER TABLE public.wa_bot_contacts ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT '';
+ALTER TABLE public.wa_bot_contacts DROP CONSTRAINT IF EXISTS wa_bot_contacts_pkey;
+ALTER TABLE public.wa_bot_contacts ADD CONSTRAINT wa_bot_contacts_pkey PRIMARY KEY (jid, user_id, session_id);
+
+ALTER TABLE public.wa_chat_history ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT '';
+ALTER TABLE public.wa_chat_history DROP CONSTRAINT IF EXISTS wa_chat_history_pkey;
+ALTER TABLE public.wa_chat_history ADD CONSTRAINT wa_chat_history_pkey PRIMARY KEY (jid, user_id, session_id);
+
+ALTER TABLE public.wa_chat_history_local ADD COLUMN IF NOT EXISTS session_id text NOT NULL DEFAULT '';
+ALTER TABLE public.wa_chat_history_local DROP CONSTRAINT IF EXISTS wa_chat_history_local_pkey;
+ALTER TABLE public.wa_chat_history_local ADD CONSTRAINT wa_chat_history_local_pkey PRIMARY KEY (jid, user_id, session_id);
+
+-- Package limit: number of WhatsApp numbers per account (primary included)
+UPDATE public.packages
+SET features = features || '{"max_sessions": 1}'::jsonb
+WHERE NOT (features ? 'max_sessions');
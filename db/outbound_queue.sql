@@ -0,0 +1,27 @@
+-- Outbound message queue (user-facing sends are persisted before delivery)
+-- Create both variants: the app uses the _local table unless running in production mode.
+
+CREATE TABLE IF NOT EXISTS public.wa_outbox (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id text NOT NULL,
+  user_id uuid,
+  batch_id uuid,
+  jid text NOT NULL,
+  type text NOT NULL DEFAULT 'text'::text,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'queued'::text,
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 5,
+  next_attempt_at timestamp with time zone DEFAULT now(),
+  last_error text,
+  deferred_reason text,
+  message_id text,
+  sent_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_outbox_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_outbox_drain_idx ON public.wa_outbox (session_id, status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS wa_outbox_batch_idx ON public.wa_outbox (batch_id);
+
+CREATE TABLE IF NOT EXISTS public.wa_outbox_local (LIKE public.wa_outbox INCLUDING ALL);
@@ -0,0 +1,19 @@
+-- Polls sent by a session, with the creation message needed to decrypt votes
+CREATE TABLE IF NOT EXISTS public.wa_polls (
+  session_id text NOT NULL,
+  message_id text NOT NULL,
+  user_id uuid,
+  jid text NOT NULL,
+  name text NOT NULL,
+  options text[] NOT NULL DEFAULT '{}'::text[],
+  selectable_count integer NOT NULL DEFAULT 1,
+  creation_message jsonb NOT NULL,
+  poll_updates jsonb NOT NULL DEFAULT '[]'::jsonb,
+  tally jsonb NOT NULL DEFAULT '[]'::jsonb,
+  total_voters integer NOT NULL DEFAULT 0,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_polls_pkey PRIMARY KEY (session_id, message_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.wa_polls_local (LIKE public.wa_polls INCLUDING ALL);
@@ -0,0 +1,25 @@
+-- Scheduled (one-off and cron) messages, delivered through wa_outbox
+CREATE TABLE IF NOT EXISTS public.wa_scheduled_messages (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id text NOT NULL,
+  user_id uuid,
+  jid text NOT NULL,
+  type text NOT NULL DEFAULT 'text'::text,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  cron text,
+  utc_offset_mins integer NOT NULL DEFAULT 420,
+  send_at timestamp with time zone NOT NULL,
+  status text NOT NULL DEFAULT 'active'::text,
+  misfire_policy text NOT NULL DEFAULT 'send_once'::text,
+  misfire_grace_mins integer NOT NULL DEFAULT 15,
+  run_count integer NOT NULL DEFAULT 0,
+  last_run_at timestamp with time zone,
+  last_result text,
+  last_job_id uuid,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_scheduled_messages_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_scheduled_messages_due_idx ON public.wa_scheduled_messages (status, send_at);
+
+CREATE TABLE IF NOT EXISTS public.wa_scheduled_messages_local (LIKE public.wa_scheduled_messages INCLUDING ALL);
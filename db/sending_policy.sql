@@ -0,0 +1,3 @@
+-- Sending policy: why a queued job is waiting (warm-up caps / cool-down)
+ALTER TABLE public.wa_outbox ADD COLUMN IF NOT EXISTS deferred_reason text;
+ALTER TABLE public.wa_outbox_local ADD COLUMN IF NOT EXISTS deferred_reason text;
@@ -0,0 +1,22 @@
+-- WhatsApp Status (story) posts, immediate and scheduled
+CREATE TABLE IF NOT EXISTS public.wa_status_posts (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id text NOT NULL,
+  user_id uuid,
+  type text NOT NULL DEFAULT 'text'::text,
+  content jsonb NOT NULL DEFAULT '{}'::jsonb,
+  audience_jids jsonb NOT NULL DEFAULT '[]'::jsonb,
+  audience_size integer NOT NULL DEFAULT 0,
+  send_at timestamp with time zone NOT NULL,
+  status text NOT NULL DEFAULT 'scheduled'::text,
+  message_id text,
+  error text,
+  posted_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_status_posts_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_status_posts_due_idx ON public.wa_status_posts (status, send_at);
+CREATE INDEX IF NOT EXISTS wa_status_posts_session_idx ON public.wa_status_posts (session_id, send_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.wa_status_posts_local (LIKE public.wa_status_posts INCLUDING ALL);
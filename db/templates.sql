@@ -0,0 +1,25 @@
+-- User message templates and admin overrides of CS-BOT notification texts
+CREATE TABLE IF NOT EXISTS public.wa_templates (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  name text NOT NULL,
+  body text NOT NULL DEFAULT ''::text,
+  media jsonb,
+  variables jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_templates_pkey PRIMARY KEY (id),
+  CONSTRAINT wa_templates_name_key UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS public.wa_notification_templates (
+  key text NOT NULL,
+  body text NOT NULL,
+  enabled boolean NOT NULL DEFAULT true,
+  updated_by text,
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_notification_templates_pkey PRIMARY KEY (key)
+);
+
+CREATE TABLE IF NOT EXISTS public.wa_templates_local (LIKE public.wa_templates INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS public.wa_notification_templates_local (LIKE public.wa_notification_templates INCLUDING ALL);
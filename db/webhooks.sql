@@ -0,0 +1,40 @@
+-- Per-session outbound webhooks and their delivery log
+CREATE TABLE IF NOT EXISTS public.wa_webhooks (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  session_id text NOT NULL,
+  user_id uuid,
+  url text NOT NULL,
+  secret text NOT NULL,
+  events text[] NOT NULL DEFAULT '{}'::text[],
+  description text,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamp with time zone DEFAULT now(),
+  updated_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_webhooks_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_webhooks_session_idx ON public.wa_webhooks (session_id);
+
+CREATE TABLE IF NOT EXISTS public.wa_webhook_deliveries (
+  id uuid NOT NULL DEFAULT gen_random_uuid(),
+  webhook_id uuid NOT NULL,
+  session_id text NOT NULL,
+  event text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'pending'::text,
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 6,
+  next_attempt_at timestamp with time zone DEFAULT now(),
+  last_attempt_at timestamp with time zone,
+  response_status integer,
+  response_body text,
+  last_error text,
+  replay_of uuid,
+  delivered_at timestamp with time zone,
+  created_at timestamp with time zone DEFAULT now(),
+  CONSTRAINT wa_webhook_deliveries_pkey PRIMARY KEY (id)
+);
+CREATE INDEX IF NOT EXISTS wa_webhook_deliveries_due_idx ON public.wa_webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS wa_webhook_deliveries_hook_idx ON public.wa_webhook_deliveries (webhook_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS public.wa_webhooks_local (LIKE public.wa_webhooks INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS public.wa_webhook_deliveries_local (LIKE public.wa_webhook_deliveries INCLUDING ALL);
@@ -0,0 +1,53 @@
+/**
+ * Copy Baileys auth state between storage backends
+ *
+ * Usage:
+ *   npm run auth:migrate -- --from supabase --to file
+ *   npm run auth:migrate -- --from file --to sqlite --session main-session --session CS-BOT --clear
+ *
+ * --session  only copy these sessions (repeatable or comma separated; default: all)
+ * --clear    remove the session from the target before copying
+ *
+ * Stop the gateway (or the sessions being copied) first, otherwise keys
+ * written while copying may be missing in the target.
+ */
+require('dotenv').config();
+
+const { migrateAuthState } = require('../src/services/whatsapp/auth.service');
+
+function parseArgs(argv) {
+    const args = { sessions: [], clear: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--from') args.from = argv[++i];
+        else if (arg === '--to') args.to = argv[++i];
+        else if (arg === '--session') args.sessions.push(...String(argv[++i] || '').split(',').filter(Boolean));
+        else if (arg === '--clear') args.clear = true;
+        else throw new Error(`Unknown argument '${arg}'`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.from || !args.to) {
+        console.error('Usage: node scripts/migrate-auth-state.js --from <supabase|file|sqlite> --to <supabase|file|sqlite> [--session <id>] [--clear]');
+        process.exit(1);
+    }
+
+    console.log(`🔁 [AuthMigrate] Copying auth state from ${args.from} to ${args.to}...`);
+    const copied = await migrateAuthState(args.from, args.to, {
+        sessionIds: args.sessions.length ? args.sessions : null,
+        clearTarget: args.clear
+    });
+
+    for (const { sessionId, keys } of copied) {
+        console.log(keys ? `✅ ${sessionId}: ${keys} keys` : `⚠️ ${sessionId}: nothing to copy`);
+    }
+    console.log(`🔁 [AuthMigrate] Done (${copied.length} session${copied.length === 1 ? '' : 's'}).`);
+}
+
+main().catch((err) => {
+    console.error('❌ [AuthMigrate] Failed:', err.message);
+    process.exit(1);
+});
@@ -1,7 +1,7 @@
 async function restoreSessions({ configService, connectionService }) {
     // Auto-restore all active sessions from database (respects NODE_ENV)
     let dbSessions = await configService.getAllUserSessions();
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    const sessionRegistry = require('../services/whatsapp/sessionRegistry.service');
 
     // Force include core system sessions if not in DB
     if (!dbSessions.includes('CS-BOT')) dbSessions.push('CS-BOT');
@@ -9,10 +9,10 @@ async function restoreSessions({ configService, connectionService }) {
     const uniqueSessions = [...new Set(dbSessions)];
 
     const singleSessions = uniqueSessions.filter(id => {
-        const isSystem = id === 'CS-BOT' || id === 'main-session' || (!UUID_REGEX.test(id) && !id.startsWith('wa-bot-ai'));
+        const isSystem = id === 'CS-BOT' || id === 'main-session' || (!sessionRegistry.isUserSessionId(id) && !id.startsWith('wa-bot-ai'));
         return isSystem;
     });
-    const multiSessions = uniqueSessions.filter(id => UUID_REGEX.test(id) || id.startsWith('wa-bot-ai'));
+    const multiSessions = uniqueSessions.filter(id => sessionRegistry.isUserSessionId(id) || id.startsWith('wa-bot-ai'));
 
     console.log(`[Boot] Restoring ${uniqueSessions.length} sessions...`);
 
@@ -31,7 +31,8 @@ async function restoreSessions({ configService, connectionService }) {
         console.log(`\n[Boot] Restoring ${multiSessions.length} AI User Sessions...`);
         for (const sessionId of multiSessions) {
             // Check if this AI bot belongs to a moderator
-            const role = await moderatorGuard.getUserRoleById(sessionId);
+            const ownerId = await sessionRegistry.getOwner(sessionId).catch(() => null);
+            const role = await moderatorGuard.getUserRoleById(ownerId || sessionId);
             const modLabel = role === 'moderator' ? ' 🛡️ [MODERATOR_ACTIVE]' : '';
             
             console.log(`🚀 [Boot] Restoring AI Session: ${sessionId}${modLabel}`);
@@ -29,6 +29,25 @@ const {
     deleteBlockedAttempt
 } = require('./config/blocked.controller');
 const { requestWipeOtp, wipeAccountData } = require('./config/account.controller');
+const { getPausedChats, pauseChat, resumeChat } = require('./config/takeover.controller');
+const {
+    getContactTags,
+    getTaggedContacts,
+    tagContacts,
+    untagContacts,
+    getOptOuts,
+    addOptOuts,
+    removeOptOut
+} = require('./config/audience.controller');
+const {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    renderTemplate
+} = require('./config/templates.controller');
+const { getCallLogs } = require('./config/calls.controller');
 
 module.exports = {
     getStats,
@@ -57,5 +76,22 @@ module.exports = {
     whitelistBlockedAttempt,
     deleteBlockedAttempt,
     requestWipeOtp,
-    wipeAccountData
+    wipeAccountData,
+    getPausedChats,
+    pauseChat,
+    resumeChat,
+    getContactTags,
+    getTaggedContacts,
+    tagContacts,
+    untagContacts,
+    getOptOuts,
+    addOptOuts,
+    removeOptOut,
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    renderTemplate,
+    getCallLogs
 };
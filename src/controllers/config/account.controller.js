@@ -46,8 +46,38 @@ const requestWipeOtp = async (req, res) => {
     }
 };
 
-const wipeAccountData = async (req, res) => {
+// Log out one WhatsApp session and drop its credentials
+const disconnectSession = async (sessionId) => {
     const sessionManager = require('../../services/whatsapp/session.manager');
+    const sessionSupervisor = require('../../services/whatsapp/sessionSupervisor.service');
+    const { clearAuthState } = require('../../services/whatsapp/auth.service');
+
+    sessionSupervisor.stop(sessionId, 'deleted', { alert: false });
+    const session = sessionManager.getSession(sessionId);
+    if (session?.socket) {
+        try {
+            await session.socket.logout();
+            console.log(`❌ [wipeAccountData] WhatsApp socket ${sessionId} logged out.`);
+        } catch (e) {
+            console.warn(`✅ [wipeAccountData] Socket logout warning: ${e.message}`);
+        }
+    }
+    // Clear WA auth state from the auth store (also when the session is not loaded)
+    try {
+        if (session?.clearSessionHandler) {
+            await session.clearSessionHandler();
+        } else {
+            await clearAuthState(sessionId);
+        }
+        console.log(`❌ [wipeAccountData] WA auth state of ${sessionId} cleared.`);
+    } catch (e) {
+        console.warn(`✅ [wipeAccountData] Clear session warning: ${e.message}`);
+    }
+    sessionManager.deleteSession(sessionId);
+};
+
+const wipeAccountData = async (req, res) => {
+    const sessionRegistry = require('../../services/whatsapp/sessionRegistry.service');
 
     try {
         const userId = req.userId;
@@ -82,29 +112,13 @@ const wipeAccountData = async (req, res) => {
         console.log(`?? User: ${displayName} (${userId})`);
         console.log(`?? ============================================\n`);
 
-        //  STEP 1: Disconnect & clear WhatsApp session 
-        const session = sessionManager.getSession(userId);
-        if (session) {
-            console.log(`✅ [wipeAccountData] Disconnecting WhatsApp session...`);
-            if (session.socket) {
-                try {
-                    await session.socket.logout();
-                    console.log(`❌ [wipeAccountData] WhatsApp socket logged out.`);
-                } catch (e) {
-                    console.warn(`✅ [wipeAccountData] Socket logout warning: ${e.message}`);
-                }
-            }
-            // Clear WA auth state from database (session keys stored in wa_ai_sessions)
-            if (session.clearSessionHandler) {
-                try {
-                    await session.clearSessionHandler();
-                    console.log(`❌ [wipeAccountData] WA auth state cleared from database.`);
-                } catch (e) {
-                    console.warn(`✅ [wipeAccountData] Clear session warning: ${e.message}`);
-                }
-            }
-            sessionManager.deleteSession(userId);
-            console.log(`❌ [wipeAccountData] In-memory session removed.`);
+        //  STEP 1: Disconnect & clear every WhatsApp session of the account 
+        const sessions = await sessionRegistry.listForUser(userId);
+        for (const { session_id: sessionId, is_primary: isPrimary } of sessions) {
+            console.log(`✅ [wipeAccountData] Disconnecting WhatsApp session ${sessionId}...`);
+            await disconnectSession(sessionId);
+            // Extra numbers: registry row, scoped prompts, contacts, history and settings
+            if (!isPrimary) await sessionRegistry.remove(userId, sessionId);
         }
 
         //  STEP 2: Delete files from Storage (whatsapp-media) 
@@ -132,7 +146,25 @@ const wipeAccountData = async (req, res) => {
         }
 
         //  STEP 3: Dynamic Table Deletion based on Environment 
+        // Campaign recipients are keyed by campaign, not by user
+        const campaignsTable = configService.getTableName('wa_campaigns');
+        const { data: campaigns } = await supabase.from(campaignsTable).select('id').eq('user_id', userId);
+        const campaignIds = (campaigns || []).map(c => c.id);
+        for (let i = 0; i < campaignIds.length; i += 100) {
+            const { error: recipientsErr } = await supabase
+                .from(configService.getTableName('wa_campaign_recipients'))
+                .delete()
+                .in('campaign_id', campaignIds.slice(i, i + 100));
+
+            if (recipientsErr) console.warn(`✅ [wipeAccountData] Warning deleting campaign recipients: ${recipientsErr.message}`);
+        }
+
         const tablesToDelete = [
+            campaignsTable,
+            configService.getTableName('wa_contact_tags'),
+            configService.getTableName('wa_opt_outs'),
+            configService.getTableName('wa_templates'),
+            configService.getTableName('wa_ai_pauses'),
             configService.getTableName('wa_chat_history'),
             configService.getTableName('wa_media'),
             configService.getTableName('wa_bot_logs'),
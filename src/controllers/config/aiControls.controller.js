@@ -3,7 +3,7 @@ const configService = require('../../services/common/config.service');
 const getAIControls = async (req, res) => {
     try {
         const userId = req.userId;
-        const controls = await configService.getAIControls(userId);
+        const controls = await configService.getAIControls(userId, req.sessionScope);
         res.json({ success: true, controls });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -14,7 +14,7 @@ const updateAIControls = async (req, res) => {
     try {
         const userId = req.userId;
         const { controls } = req.body;
-        const success = await configService.updateAIControls(userId, controls);
+        const success = await configService.updateAIControls(userId, controls, req.sessionScope);
 
         if (success) {
             const displayName = await configService.getUserDisplay(userId);
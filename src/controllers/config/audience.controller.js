@@ -0,0 +1,98 @@
+const contactTagsService = require('../../services/whatsapp/contactTags.service');
+const optOutService = require('../../services/whatsapp/optOut.service');
+const whatsappService = require('../../services/whatsapp/whatsapp.service');
+
+const getContactTags = async (req, res) => {
+    try {
+        const tags = await contactTagsService.listTags(req.userId);
+        res.json({ success: true, tags });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const getTaggedContacts = async (req, res) => {
+    try {
+        const contacts = await contactTagsService.listContacts(req.userId, req.params.tag);
+        res.json({ success: true, tag: contactTagsService.normalizeTag(req.params.tag), contacts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const tagContacts = async (req, res) => {
+    try {
+        const { contacts } = req.body || {};
+        if (!Array.isArray(contacts) || contacts.length === 0) {
+            return res.status(400).json({ success: false, error: 'contacts must be a non-empty array of numbers or { number, name }' });
+        }
+        if (!contactTagsService.normalizeTag(req.params.tag)) {
+            return res.status(400).json({ success: false, error: 'Tag is required' });
+        }
+
+        const result = await contactTagsService.tagContacts(req.userId, req.params.tag, contacts);
+        res.json({ success: true, tag: contactTagsService.normalizeTag(req.params.tag), ...result });
+    } catch (error) {
+        console.error(`❌ [tagContacts] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const untagContacts = async (req, res) => {
+    try {
+        const removed = await contactTagsService.untagContacts(req.userId, req.params.tag, req.body?.numbers || null);
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error(`❌ [untagContacts] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const getOptOuts = async (req, res) => {
+    try {
+        const optOuts = await optOutService.list(req.userId);
+        res.json({ success: true, optOuts });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const addOptOuts = async (req, res) => {
+    try {
+        const { numbers } = req.body || {};
+        if (!Array.isArray(numbers) || numbers.length === 0) {
+            return res.status(400).json({ success: false, error: 'numbers must be a non-empty array' });
+        }
+
+        const jids = numbers.map(n => whatsappService.formatPhoneNumber(String(n)));
+        await optOutService.add(req.userId, jids, { source: 'api' });
+        res.json({ success: true, added: jids.length });
+    } catch (error) {
+        console.error(`❌ [addOptOuts] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const removeOptOut = async (req, res) => {
+    try {
+        const jid = whatsappService.formatPhoneNumber(req.params.jid);
+        const removed = await optOutService.remove(req.userId, jid);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Number is not opted out' });
+        }
+        res.json({ success: true, jid });
+    } catch (error) {
+        console.error(`❌ [removeOptOut] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = {
+    getContactTags,
+    getTaggedContacts,
+    tagContacts,
+    untagContacts,
+    getOptOuts,
+    addOptOuts,
+    removeOptOut
+};
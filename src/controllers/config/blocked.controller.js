@@ -16,7 +16,7 @@ const whitelistBlockedAttempt = async (req, res) => {
         const { jid, name } = req.body;
 
         // 1. Add to contacts
-        const result = await configService.addContact(jid, name, userId);
+        const result = await configService.addContact(jid, name, userId, req.sessionScope);
         if (result.error) throw result.error;
 
         // 2. Remove from blocked attempts
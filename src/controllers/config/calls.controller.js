@@ -0,0 +1,15 @@
+const callService = require('../../services/whatsapp/call.service');
+
+const getCallLogs = async (req, res) => {
+    try {
+        const calls = await callService.list(req.userId, {
+            sessionId: req.query.sessionId || null,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+        res.json({ success: true, calls });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = { getCallLogs };
@@ -1,13 +1,19 @@
 ﻿const configService = require('../../services/common/config.service');
 const paymentService = require('../../services/payment/payment.service');
 const supabase = require('../../config/supabase');
+const takeoverService = require('../../services/ai/aiTakeover.service');
 
 const getContacts = async (req, res) => {
     try {
         const userId = req.userId;
-        const contacts = await configService.getAllowedContacts(userId);
-        const mode = await configService.getTargetMode(userId);
-        res.json({ success: true, contacts, mode });
+        const contacts = await configService.getAllowedContacts(userId, req.sessionScope);
+        const mode = await configService.getTargetMode(userId, req.sessionScope);
+        const pauses = await takeoverService.listPauses(userId, req.sessionScope);
+        res.json({
+            success: true,
+            contacts: contacts.map(c => ({ ...c, ...takeoverService.describe(pauses.get(c.jid)) })),
+            mode
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
@@ -36,7 +42,8 @@ const addContact = async (req, res) => {
             const { count } = await supabase
                 .from(configService.contactsTable)
                 .select('*', { count: 'exact', head: true })
-                .eq('user_id', userId);
+                .eq('user_id', userId)
+                .eq('session_id', req.sessionScope || '');
             if (count >= features.max_contacts) {
                 return res.status(403).json({
                     success: false,
@@ -46,7 +53,7 @@ const addContact = async (req, res) => {
         }
 
         // 2. Panggil Service
-        const result = await configService.addContact(jid, name, userId);
+        const result = await configService.addContact(jid, name, userId, req.sessionScope);
 
         // 3. Cek Error dari Supabase
         if (result.error) {
@@ -81,7 +88,7 @@ const updateContact = async (req, res) => {
         const userId = req.userId;
         const { jid } = req.params;
         const { name } = req.body;
-        let query = supabase.from(configService.contactsTable).update({ push_name: name }).eq('jid', jid).eq('user_id', userId);
+        let query = supabase.from(configService.contactsTable).update({ push_name: name }).eq('jid', jid).eq('user_id', userId).eq('session_id', req.sessionScope || '');
         const { error } = await query;
         if (error) {
             console.error(`❌ [updateContact] Error:`, error.message);
@@ -97,7 +104,7 @@ const updateContact = async (req, res) => {
 const deleteContact = async (req, res) => {
     try {
         const userId = req.userId;
-        const { error } = await configService.removeContact(req.params.jid, userId);
+        const { error } = await configService.removeContact(req.params.jid, userId, req.sessionScope);
         if (error) {
             console.error(`❌ [deleteContact] Error:`, error.message);
             throw error;
@@ -113,7 +120,7 @@ const updateTargetMode = async (req, res) => {
     try {
         const userId = req.userId;
         const { mode } = req.body;
-        await configService.updateSetting(userId ? `target_mode:${userId}` : 'target_mode', { mode });
+        await configService.updateSetting(userId ? `target_mode:${req.sessionScope || userId}` : 'target_mode', { mode });
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
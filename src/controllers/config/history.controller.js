@@ -5,7 +5,7 @@ const getHistory = async (req, res) => {
     try {
         const userId = req.userId;
         const { jid } = req.params;
-        const history = await historyService.getHistory(jid, userId);
+        const history = await historyService.getHistory(jid, userId, req.sessionScope);
         res.json({ success: true, history });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -25,7 +25,8 @@ const deleteHistory = async (req, res) => {
             .from(historyService.tableName)
             .delete()
             .in('jid', jids)
-            .eq('user_id', userId);
+            .eq('user_id', userId)
+            .eq('session_id', req.sessionScope || '');
 
         if (error) throw error;
         res.json({ success: true });
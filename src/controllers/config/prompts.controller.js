@@ -5,7 +5,7 @@ const paymentService = require('../../services/payment/payment.service');
 const getPrompts = async (req, res) => {
     try {
         const userId = req.userId;
-        const prompts = await configService.getAllPrompts(userId);
+        const prompts = await configService.getAllPrompts(userId, req.sessionScope);
         const displayName = await configService.getUserDisplay(userId);
         console.log(`✅ [getPrompts] User: ${displayName} | Prompts found: ${prompts.length}`);
         res.json({ success: true, prompts });
@@ -42,7 +42,8 @@ const upsertPrompt = async (req, res) => {
                 const { count } = await supabase
                     .from(configService.promptsTable)
                     .select('*', { count: 'exact', head: true })
-                    .eq('user_id', userId);
+                    .eq('user_id', userId)
+                    .eq('session_id', req.sessionScope || '');
                 if (count >= features.max_prompts) {
                     return res.status(403).json({
                         success: false,
@@ -52,7 +53,7 @@ const upsertPrompt = async (req, res) => {
             }
             result = await supabase
                 .from(configService.promptsTable)
-                .insert(promptData)
+                .insert({ ...promptData, session_id: req.sessionScope || '' })
                 .select();
         }
 
@@ -71,7 +72,10 @@ const activatePrompt = async (req, res) => {
     try {
         const userId = req.userId;
         const { id } = req.body;
-        const result = await configService.setActivePrompt(id, userId);
+        const result = await configService.setActivePrompt(id, userId, req.sessionScope);
+        if (result?.status === 404) {
+            return res.status(404).json({ success: false, error: result.error.message });
+        }
         if (result && result.error) {
             console.error(`❌ [activatePrompt] Error:`, result.error.message);
             throw result.error;
@@ -1,10 +1,12 @@
 ﻿const historyService = require('../../services/common/history.service');
 const configService = require('../../services/common/config.service');
+const takeoverService = require('../../services/ai/aiTakeover.service');
 
 const getStats = async (req, res) => {
     try {
         const userId = req.userId; // Guaranteed by middleware
-        const chats = await historyService.getAllChatStats(userId);
+        const chats = await historyService.getAllChatStats(userId, req.sessionScope);
+        const pauses = await takeoverService.listPauses(userId, req.sessionScope);
         const globalStats = await configService.getSetting(`global_stats:${userId}`) || { requests: 0, responses: 0 };
 
         const displayName = await configService.getUserDisplay(userId);
@@ -12,8 +14,9 @@ const getStats = async (req, res) => {
 
         res.json({
             success: true,
-            stats: chats,
-            global: globalStats
+            stats: chats.map(chat => ({ ...chat, ...takeoverService.describe(pauses.get(chat.jid)) })),
+            global: globalStats,
+            pausedChats: pauses.size
         });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
@@ -4,7 +4,7 @@ const aiBotService = require('../../services/ai/aiBot.service');
 const getSystemPrompt = async (req, res) => {
     try {
         const userId = req.userId;
-        const prompt = await configService.getSystemPrompt(userId);
+        const prompt = await configService.getSystemPrompt(userId, req.sessionScope);
         res.json({
             success: true,
             systemPrompt: prompt
@@ -21,7 +21,7 @@ const updateSystemPrompt = async (req, res) => {
         if (!systemPrompt) {
             return res.status(400).json({ success: false, error: 'systemPrompt is required' });
         }
-        await aiBotService.updateConfig({ systemPrompt }, userId);
+        await aiBotService.updateConfig({ systemPrompt }, req.sessionScope || userId);
         res.json({
             success: true,
             message: 'System prompt updated successfully'
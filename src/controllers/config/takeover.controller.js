@@ -0,0 +1,43 @@
+const takeoverService = require('../../services/ai/aiTakeover.service');
+
+const toJid = (jid) => (jid.includes('@') ? jid : `${jid.replace(/\D/g, '')}@s.whatsapp.net`);
+
+const getPausedChats = async (req, res) => {
+    try {
+        const pauses = await takeoverService.listPauses(req.userId, req.sessionScope);
+        res.json({ success: true, paused: [...pauses.values()] });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const pauseChat = async (req, res) => {
+    try {
+        const { minutes } = req.body || {};
+        if (minutes !== undefined && minutes !== null && (isNaN(Number(minutes)) || Number(minutes) < 0)) {
+            return res.status(400).json({ success: false, error: 'minutes must be a positive number (0 or empty = until resumed)' });
+        }
+
+        const pause = await takeoverService.pause(req.userId, toJid(req.params.jid), req.sessionScope, {
+            minutes: Number(minutes) || null,
+            reason: 'api'
+        });
+        res.json({ success: true, pause });
+    } catch (error) {
+        console.error(`❌ [pauseChat] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const resumeChat = async (req, res) => {
+    try {
+        const jid = toJid(req.params.jid);
+        const wasPaused = await takeoverService.resume(req.userId, jid, req.sessionScope);
+        res.json({ success: true, jid, wasPaused });
+    } catch (error) {
+        console.error(`❌ [resumeChat] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = { getPausedChats, pauseChat, resumeChat };
@@ -0,0 +1,85 @@
+const templateService = require('../../services/whatsapp/template.service');
+
+const getTemplates = async (req, res) => {
+    try {
+        const templates = await templateService.list(req.userId);
+        res.json({ success: true, templates, builtinVariables: templateService.builtinVariables });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const getTemplate = async (req, res) => {
+    try {
+        const template = await templateService.get(req.userId, req.params.id);
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        res.json({ success: true, template });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const createTemplate = async (req, res) => {
+    try {
+        const result = await templateService.create(req.userId, req.body || {});
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error(`❌ [createTemplate] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const updateTemplate = async (req, res) => {
+    try {
+        const result = await templateService.update(req.userId, req.params.id, req.body || {});
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error(`❌ [updateTemplate] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const deleteTemplate = async (req, res) => {
+    try {
+        const removed = await templateService.remove(req.userId, req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error(`❌ [deleteTemplate] Error:`, error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// POST /config/templates/:id/render, or /config/templates/render with an unsaved { body, media }
+const renderTemplate = async (req, res) => {
+    try {
+        const { variables = {}, body, media } = req.body || {};
+        const template = req.params.id
+            ? await templateService.get(req.userId, req.params.id)
+            : { body, media: media || null };
+
+        if (!template) {
+            return res.status(404).json({ success: false, error: 'Template not found' });
+        }
+        if (!template.body && !template.media) {
+            return res.status(400).json({ success: false, error: 'body is required' });
+        }
+
+        const rendered = templateService.renderTemplate(template, variables);
+        res.json({ success: true, ...rendered });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = { getTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, renderTemplate };
@@ -1,5 +1,6 @@
 const supabase = require('../config/supabase');
 const commandExecutor = require('../services/moderator/commandExecutor');
+const notificationTemplates = require('../services/payment/notificationTemplates.service');
 
 /**
  * Moderator Controller
@@ -146,4 +147,64 @@ async function getUserRole(req, res) {
     }
 }
 
-module.exports = { getUsers, getLogs, getStats, getUserRole, executeManualCommand };
+// GET /api/moderator/notification-templates
+async function getNotificationTemplates(req, res) {
+    try {
+        res.json(await notificationTemplates.list());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// PUT /api/moderator/notification-templates/:key
+async function updateNotificationTemplate(req, res) {
+    try {
+        const { key } = req.params;
+        const { body, enabled } = req.body || {};
+        if (!notificationTemplates.isKnown(key)) return res.status(404).json({ error: `Unknown notification: ${key}` });
+        if (!body || !String(body).trim()) return res.status(400).json({ error: 'body is required' });
+
+        const override = await notificationTemplates.upsert(key, { body, enabled }, req.userId);
+        res.json({ success: true, override });
+    } catch (err) {
+        console.error(`[ModeratorController] updateNotificationTemplate error:`, err.message);
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// DELETE /api/moderator/notification-templates/:key
+async function resetNotificationTemplate(req, res) {
+    try {
+        const { key } = req.params;
+        if (!notificationTemplates.isKnown(key)) return res.status(404).json({ error: `Unknown notification: ${key}` });
+
+        const removed = await notificationTemplates.reset(key);
+        res.json({ success: true, removed });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+// POST /api/moderator/notification-templates/:key/preview
+async function previewNotificationTemplate(req, res) {
+    try {
+        const { key } = req.params;
+        if (!notificationTemplates.isKnown(key)) return res.status(404).json({ error: `Unknown notification: ${key}` });
+
+        res.json(await notificationTemplates.preview(key, req.body?.body || null));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+module.exports = {
+    getUsers,
+    getLogs,
+    getStats,
+    getUserRole,
+    executeManualCommand,
+    getNotificationTemplates,
+    updateNotificationTemplate,
+    resetNotificationTemplate,
+    previewNotificationTemplate
+};
@@ -1,6 +1,9 @@
 ﻿const { initSession, logout } = require('./session/lifecycle.controller');
 const { getStatus, getQrCode, getInfo, getPairingCode } = require('./session/status.controller');
 const { getEnrichedInstances } = require('./session/instances.controller');
+const { streamEvents } = require('./session/events.controller');
+const { getSessionHealth } = require('./session/health.controller');
+const { listUserSessions, createUserSession, renameUserSession, deleteUserSession } = require('./session/userSessions.controller');
 
 module.exports = {
     initSession,
@@ -9,5 +12,11 @@ module.exports = {
     logout,
     getInfo,
     getPairingCode,
-    getEnrichedInstances
+    getEnrichedInstances,
+    streamEvents,
+    getSessionHealth,
+    listUserSessions,
+    createUserSession,
+    renameUserSession,
+    deleteUserSession
 };
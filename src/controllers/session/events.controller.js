@@ -0,0 +1,33 @@
+const eventStreamService = require('../../services/whatsapp/eventStream.service');
+
+const streamEvents = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        let events = null;
+        if (req.query.events) {
+            events = String(req.query.events).split(',').map(e => e.trim()).filter(Boolean);
+            const unknown = events.filter(e => !eventStreamService.supportedEvents.includes(e));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Unknown events: ${unknown.join(', ')}. Supported: ${eventStreamService.supportedEvents.join(', ')}`
+                });
+            }
+        }
+
+        const attached = await eventStreamService.addClient(sessionId, req, res, { userId: req.userId, events });
+        if (!attached) {
+            return res.status(429).json({ success: false, error: 'Too many open event streams for this session' });
+        }
+    } catch (error) {
+        console.error('Error opening event stream:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, error: 'Failed to open event stream' });
+        } else {
+            res.end();
+        }
+    }
+};
+
+module.exports = { streamEvents };
@@ -0,0 +1,28 @@
+const connectionLog = require('../../services/whatsapp/connectionLog.service');
+const sessionSupervisor = require('../../services/whatsapp/sessionSupervisor.service');
+
+const getSessionHealth = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+        const eventLimit = Math.min(Math.max(parseInt(req.query.events, 10) || 50, 0), 500);
+        const connectionState = req.whatsappSession?.connectionState || null;
+        const status = connectionState ? connectionState.connection : 'disconnected';
+
+        const health = await connectionLog.getHealth(sessionId, { hours, eventLimit, isOnlineNow: status === 'open' });
+        res.json({
+            success: true,
+            sessionId,
+            status,
+            isConnected: status === 'open',
+            phoneNumber: connectionState?.phoneNumber || null,
+            reconnect: sessionSupervisor.getState(sessionId),
+            ...health
+        });
+    } catch (error) {
+        console.error('Error getting session health:', error);
+        res.status(500).json({ success: false, error: 'Failed to get session health' });
+    }
+};
+
+module.exports = { getSessionHealth };
@@ -1,10 +1,20 @@
 ﻿const sessionManager = require('../../services/whatsapp/session.manager');
 const configService = require('../../services/common/config.service');
+const connectionLog = require('../../services/whatsapp/connectionLog.service');
 
 const getEnrichedInstances = async (req, res) => {
     try {
         const enrichedData = await configService.getEnrichedAIInstances();
 
+        // Uptime and reconnects over the last 24 hours, one query for all instances
+        const healthSummaries = await connectionLog.getHealthSummaries(enrichedData.filter(item => item.user_id).map(item => ({
+            sessionId: item.user_id,
+            isOnlineNow: sessionManager.getSession(item.user_id)?.connectionState.connection === 'open'
+        }))).catch(err => {
+            console.error('Error getting instance health:', err.message);
+            return new Map();
+        });
+
         const results = enrichedData.map(item => {
             const sessionId = item.user_id; // Recall: we store sessionId in user_id column for user_sessions
             const liveSession = sessionManager.getSession(sessionId);
@@ -17,7 +27,8 @@ const getEnrichedInstances = async (req, res) => {
                 user: item.users,
                 isConnected: liveSession ? liveSession.connectionState.connection === 'open' : false,
                 status: liveSession ? liveSession.connectionState.connection : 'disconnected',
-                phone: liveSession ? liveSession.connectionState.phoneNumber : null
+                phone: liveSession ? liveSession.connectionState.phoneNumber : null,
+                health: healthSummaries.get(sessionId) || null
             };
         });
 
@@ -1,10 +1,13 @@
 ﻿const connectionService = require('../../services/whatsapp/connection.service');
+const sessionSupervisor = require('../../services/whatsapp/sessionSupervisor.service');
 
 const initSession = async (req, res) => {
     try {
         const { sessionId } = req.params;
         const userId = req.userId;
         const { phoneNumber } = req.body; // New: pairing code support
+        // A manual start lifts a stop (logout, ban) and restarts the backoff
+        sessionSupervisor.reset(sessionId);
         await connectionService.connect(sessionId, userId, phoneNumber);
         res.json({
             success: true,
@@ -18,6 +21,8 @@ const initSession = async (req, res) => {
 const logout = async (req, res) => {
     try {
         const { socket, clearSessionHandler } = req.whatsappSession;
+        // Requested by the user: no reconnect, no alert
+        sessionSupervisor.stop(req.params.sessionId, 'logout_requested', { alert: false });
 
         if (socket) {
             try {
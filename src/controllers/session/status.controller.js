@@ -1,4 +1,5 @@
 ﻿const whatsappService = require('../../services/whatsapp/whatsapp.service');
+const sessionSupervisor = require('../../services/whatsapp/sessionSupervisor.service');
 const QRCode = require('qrcode');
 
 const getStatus = (req, res) => {
@@ -12,7 +13,8 @@ const getStatus = (req, res) => {
                 status: 'disconnected',
                 isConnected: false,
                 phoneNumber: null,
-                hasQR: false
+                hasQR: false,
+                reconnect: sessionSupervisor.getState(sessionId)
             });
         }
 
@@ -22,7 +24,8 @@ const getStatus = (req, res) => {
         res.json({
             success: true,
             sessionId,
-            ...status
+            ...status,
+            reconnect: sessionSupervisor.getState(sessionId)
         });
     } catch (error) {
         console.error('Error getting status:', error);
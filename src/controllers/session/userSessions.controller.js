@@ -0,0 +1,85 @@
+const sessionManager = require('../../services/whatsapp/session.manager');
+const sessionRegistry = require('../../services/whatsapp/sessionRegistry.service');
+const sessionSupervisor = require('../../services/whatsapp/sessionSupervisor.service');
+
+const describeSession = (session) => {
+    const live = sessionManager.getSession(session.session_id);
+    return {
+        sessionId: session.session_id,
+        name: session.name,
+        isPrimary: session.is_primary,
+        createdAt: session.created_at || null,
+        status: live ? live.connectionState.connection : 'disconnected',
+        isConnected: live ? live.connectionState.connection === 'open' : false,
+        phoneNumber: live ? live.connectionState.phoneNumber : null
+    };
+};
+
+const listUserSessions = async (req, res) => {
+    try {
+        const sessions = await sessionRegistry.listForUser(req.userId);
+        res.json({ success: true, sessions: sessions.map(describeSession) });
+    } catch (error) {
+        console.error('Error listing user sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to list sessions' });
+    }
+};
+
+const createUserSession = async (req, res) => {
+    try {
+        const { status, session, ...result } = await sessionRegistry.create(req.userId, req.body?.name);
+        if (!result.success) return res.status(status || 400).json(result);
+        res.status(201).json({ success: true, session: describeSession(session) });
+    } catch (error) {
+        console.error('Error creating user session:', error);
+        res.status(500).json({ success: false, error: 'Failed to create session' });
+    }
+};
+
+const renameUserSession = async (req, res) => {
+    try {
+        if (sessionRegistry.isPrimary(req.params.sessionId)) {
+            return res.status(400).json({ success: false, error: 'The primary session cannot be renamed' });
+        }
+        const { status, session, ...result } = await sessionRegistry.rename(req.userId, req.params.sessionId, req.body?.name);
+        if (!result.success) return res.status(status || 400).json(result);
+        res.json({ success: true, session: describeSession(session) });
+    } catch (error) {
+        console.error('Error renaming user session:', error);
+        res.status(500).json({ success: false, error: 'Failed to rename session' });
+    }
+};
+
+const deleteUserSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (sessionRegistry.isPrimary(sessionId)) {
+            return res.status(400).json({ success: false, error: 'The primary session cannot be deleted, log it out instead' });
+        }
+        if (await sessionRegistry.getOwner(sessionId) !== req.userId) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+
+        // Unlink the device first so the number does not keep a dangling companion
+        sessionSupervisor.stop(sessionId, 'deleted', { alert: false });
+        const live = sessionManager.getSession(sessionId);
+        if (live?.socket) {
+            try {
+                await live.socket.logout();
+            } catch (e) {
+                console.log('Socket logout error:', e.message);
+            }
+        }
+        const { clearAuthState } = require('../../services/whatsapp/auth.service');
+        await clearAuthState(sessionId);
+        sessionManager.deleteSession(sessionId);
+
+        await sessionRegistry.remove(req.userId, sessionId);
+        res.json({ success: true, sessionId, message: `Session '${sessionId}' deleted.` });
+    } catch (error) {
+        console.error('Error deleting user session:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete session' });
+    }
+};
+
+module.exports = { listUserSessions, createUserSession, renameUserSession, deleteUserSession };
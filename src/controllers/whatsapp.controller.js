@@ -1,11 +1,128 @@
-﻿const { sendText, sendMedia, sendBulk } = require('./whatsapp/messages.controller');
+﻿const { sendText, sendMedia, sendInteractive, sendBulk } = require('./whatsapp/messages.controller');
+const { replyMessage, editMessage, revokeMessage } = require('./whatsapp/messageActions.controller');
+const { checkNumbers, getNumberCheck } = require('./whatsapp/numbers.controller');
+const { uploadMedia, listMedia, deleteMedia } = require('./whatsapp/media.controller');
 const { sendPaymentConfirmation } = require('./whatsapp/notifications.controller');
 const { getLogs } = require('./whatsapp/logs.controller');
+const {
+    getJob,
+    cancelJob,
+    getBatch,
+    getQueueConfig,
+    updateQueueConfig
+} = require('./whatsapp/queue.controller');
+const { getSendingPolicy, updateSendingPolicy, clearSendingCooldown } = require('./whatsapp/sendingPolicy.controller');
+const {
+    createSchedule,
+    listSchedules,
+    getSchedule,
+    updateSchedule,
+    cancelSchedule
+} = require('./whatsapp/schedules.controller');
+const {
+    createCampaign,
+    listCampaigns,
+    getCampaign,
+    listCampaignRecipients,
+    startCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign
+} = require('./whatsapp/campaigns.controller');
+const {
+    createStatusPost,
+    listStatusPosts,
+    getStatusPost,
+    cancelStatusPost
+} = require('./whatsapp/status.controller');
+const { getMessageStatus, getPollResults } = require('./whatsapp/receipts.controller');
+const {
+    listChats,
+    listChatMessages,
+    markChatRead,
+    replyToChat,
+    downloadChatMedia
+} = require('./whatsapp/inbox.controller');
+const {
+    listGroups,
+    getGroup,
+    createGroup,
+    updateParticipants,
+    updateGroup,
+    getInviteLink,
+    revokeInviteLink,
+    leaveGroup
+} = require('./whatsapp/groups.controller');
+const {
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    getDelivery,
+    replayDelivery
+} = require('./whatsapp/webhooks.controller');
 
 module.exports = {
     sendText,
     sendMedia,
+    sendInteractive,
     sendBulk,
+    replyMessage,
+    editMessage,
+    revokeMessage,
+    checkNumbers,
+    getNumberCheck,
+    uploadMedia,
+    listMedia,
+    deleteMedia,
     sendPaymentConfirmation,
-    getLogs
+    getLogs,
+    getJob,
+    cancelJob,
+    getBatch,
+    getQueueConfig,
+    updateQueueConfig,
+    getSendingPolicy,
+    updateSendingPolicy,
+    clearSendingCooldown,
+    createSchedule,
+    listSchedules,
+    getSchedule,
+    updateSchedule,
+    cancelSchedule,
+    createCampaign,
+    listCampaigns,
+    getCampaign,
+    listCampaignRecipients,
+    startCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    createStatusPost,
+    listStatusPosts,
+    getStatusPost,
+    cancelStatusPost,
+    getMessageStatus,
+    getPollResults,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    getDelivery,
+    replayDelivery,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateParticipants,
+    updateGroup,
+    getInviteLink,
+    revokeInviteLink,
+    leaveGroup,
+    listChats,
+    listChatMessages,
+    markChatRead,
+    replyToChat,
+    downloadChatMedia
 };
@@ -0,0 +1,83 @@
+const campaignService = require('../../services/whatsapp/campaign.service');
+
+const createCampaign = async (req, res) => {
+    try {
+        const result = await campaignService.create(req.params.sessionId, req.userId, req.body || {});
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error, invalid: result.invalid });
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Error creating campaign:', error);
+        res.status(500).json({ success: false, error: 'Failed to create campaign' });
+    }
+};
+
+const listCampaigns = async (req, res) => {
+    try {
+        const campaigns = await campaignService.list(req.params.sessionId, req.query.status || null);
+        res.json({ success: true, campaigns });
+    } catch (error) {
+        console.error('Error listing campaigns:', error);
+        res.status(500).json({ success: false, error: 'Failed to list campaigns' });
+    }
+};
+
+const getCampaign = async (req, res) => {
+    try {
+        const campaign = await campaignService.get(req.params.sessionId, req.params.id);
+        if (!campaign) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, campaign });
+    } catch (error) {
+        console.error('Error getting campaign:', error);
+        res.status(500).json({ success: false, error: 'Failed to get campaign' });
+    }
+};
+
+const listCampaignRecipients = async (req, res) => {
+    try {
+        const { status, limit, offset } = req.query;
+        if (status && !campaignService.recipientStatuses.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid status. Use one of: ${campaignService.recipientStatuses.join(', ')}`
+            });
+        }
+
+        const result = await campaignService.listRecipients(req.params.sessionId, req.params.id, { status, limit, offset });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Campaign not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error listing campaign recipients:', error);
+        res.status(500).json({ success: false, error: 'Failed to list recipients' });
+    }
+};
+
+// start / pause / resume / cancel
+const campaignAction = (action) => async (req, res) => {
+    try {
+        const result = await campaignService[action](req.params.sessionId, req.params.id);
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error(`Error on campaign ${action}:`, error);
+        res.status(500).json({ success: false, error: `Failed to ${action} campaign` });
+    }
+};
+
+module.exports = {
+    createCampaign,
+    listCampaigns,
+    getCampaign,
+    listCampaignRecipients,
+    startCampaign: campaignAction('start'),
+    pauseCampaign: campaignAction('pause'),
+    resumeCampaign: campaignAction('resume'),
+    cancelCampaign: campaignAction('cancel')
+};
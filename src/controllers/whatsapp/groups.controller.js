@@ -0,0 +1,136 @@
+const groupService = require('../../services/whatsapp/group.service');
+
+// Baileys raises Boom errors; keep WhatsApp's 4xx (e.g. 403 not admin) instead of a generic 500
+const sendGroupError = (res, error, fallback) => {
+    const statusCode = error?.output?.statusCode;
+    if (statusCode >= 400 && statusCode < 500) {
+        return res.status(statusCode).json({ success: false, error: error.message || fallback });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({ success: false, error: fallback });
+};
+
+const listGroups = async (req, res) => {
+    try {
+        const groups = await groupService.listGroups(req.params.sessionId, req.whatsappSession.socket);
+        res.json({ success: true, count: groups.length, groups });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to list groups');
+    }
+};
+
+const getGroup = async (req, res) => {
+    try {
+        const group = await groupService.getGroup(req.params.sessionId, req.whatsappSession.socket, req.params.groupId);
+        res.json({ success: true, group });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to get group');
+    }
+};
+
+const createGroup = async (req, res) => {
+    try {
+        const { subject, participants } = req.body;
+        if (!subject || typeof subject !== 'string') {
+            return res.status(400).json({ success: false, error: 'Group subject is required' });
+        }
+        if (!Array.isArray(participants) || participants.length === 0) {
+            return res.status(400).json({ success: false, error: 'Participants must be a non-empty array' });
+        }
+
+        const group = await groupService.createGroup(req.params.sessionId, req.whatsappSession.socket, subject, participants);
+        res.status(201).json({ success: true, group });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to create group');
+    }
+};
+
+const updateParticipants = async (req, res) => {
+    try {
+        const { action, participants } = req.body;
+        if (!groupService.participantActions.includes(action)) {
+            return res.status(400).json({
+                success: false,
+                error: `Action must be one of: ${groupService.participantActions.join(', ')}`
+            });
+        }
+        if (!Array.isArray(participants) || participants.length === 0) {
+            return res.status(400).json({ success: false, error: 'Participants must be a non-empty array' });
+        }
+
+        const results = await groupService.updateParticipants(
+            req.params.sessionId,
+            req.whatsappSession.socket,
+            req.params.groupId,
+            participants,
+            action
+        );
+        res.json({ success: true, action, results });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to update participants');
+    }
+};
+
+const updateGroup = async (req, res) => {
+    try {
+        const { subject, description, setting } = req.body;
+        const { sessionId, groupId } = req.params;
+        const { socket } = req.whatsappSession;
+
+        if (subject === undefined && description === undefined && setting === undefined) {
+            return res.status(400).json({ success: false, error: 'Provide subject, description or setting' });
+        }
+        if (setting !== undefined && !groupService.settings.includes(setting)) {
+            return res.status(400).json({
+                success: false,
+                error: `Setting must be one of: ${groupService.settings.join(', ')}`
+            });
+        }
+
+        if (subject !== undefined) await groupService.updateSubject(sessionId, socket, groupId, subject);
+        if (description !== undefined) await groupService.updateDescription(sessionId, socket, groupId, description);
+        if (setting !== undefined) await groupService.updateSetting(sessionId, socket, groupId, setting);
+
+        res.json({ success: true, group: await groupService.getGroup(sessionId, socket, groupId) });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to update group');
+    }
+};
+
+const getInviteLink = async (req, res) => {
+    try {
+        const invite = await groupService.getInviteLink(req.whatsappSession.socket, req.params.groupId);
+        res.json({ success: true, ...invite });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to get invite link');
+    }
+};
+
+const revokeInviteLink = async (req, res) => {
+    try {
+        const invite = await groupService.revokeInviteLink(req.whatsappSession.socket, req.params.groupId);
+        res.json({ success: true, ...invite });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to revoke invite link');
+    }
+};
+
+const leaveGroup = async (req, res) => {
+    try {
+        await groupService.leaveGroup(req.params.sessionId, req.whatsappSession.socket, req.params.groupId);
+        res.json({ success: true, groupId: groupService.toGroupJid(req.params.groupId) });
+    } catch (error) {
+        sendGroupError(res, error, 'Failed to leave group');
+    }
+};
+
+module.exports = {
+    listGroups,
+    getGroup,
+    createGroup,
+    updateParticipants,
+    updateGroup,
+    getInviteLink,
+    revokeInviteLink,
+    leaveGroup
+};
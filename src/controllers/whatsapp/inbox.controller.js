@@ -0,0 +1,108 @@
+const inboxService = require('../../services/whatsapp/inbox.service');
+const whatsappService = require('../../services/whatsapp/whatsapp.service');
+
+const listChats = async (req, res) => {
+    try {
+        const { limit, before, unread } = req.query;
+        const result = await inboxService.listChats(req.params.sessionId, {
+            limit,
+            before: before || null,
+            unreadOnly: unread === 'true'
+        });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error listing inbox chats:', error);
+        res.status(500).json({ success: false, error: 'Failed to list chats' });
+    }
+};
+
+const listChatMessages = async (req, res) => {
+    try {
+        const jid = inboxService.toChatJid(req.params.jid);
+        const result = await inboxService.listMessages(req.params.sessionId, jid, {
+            limit: req.query.limit,
+            before: req.query.before || null
+        });
+        res.json({ success: true, jid, ...result });
+    } catch (error) {
+        console.error('Error listing inbox messages:', error);
+        res.status(500).json({ success: false, error: 'Failed to list messages' });
+    }
+};
+
+const markChatRead = async (req, res) => {
+    try {
+        const jid = inboxService.toChatJid(req.params.jid);
+        const marked = await inboxService.markRead(req.params.sessionId, req.whatsappSession.socket, jid);
+        if (marked === null) {
+            return res.status(404).json({ success: false, error: 'Chat not found' });
+        }
+        res.json({ success: true, jid, marked });
+    } catch (error) {
+        console.error('Error marking chat as read:', error);
+        res.status(500).json({ success: false, error: 'Failed to mark chat as read' });
+    }
+};
+
+const replyToChat = async (req, res) => {
+    try {
+        const { message, quotedMessageId } = req.body;
+        const { socket } = req.whatsappSession;
+        const jid = inboxService.toChatJid(req.params.jid);
+
+        let quoted = null;
+        if (quotedMessageId) {
+            const messageStore = require('../../services/whatsapp/messageStore.service');
+            const original = await messageStore.get(req.params.sessionId, quotedMessageId);
+            quoted = { messageId: quotedMessageId, key: original?.key, message: original?.message, fromMe: false };
+        }
+
+        const result = quoted
+            ? await whatsappService.sendReplyMessage(socket, jid, message, quoted)
+            : await whatsappService.sendTextMessage(socket, jid, message);
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        // Answering a chat reads it; the sent message reaches the inbox through the upsert echo
+        await inboxService.markRead(req.params.sessionId, socket, jid).catch(() => null);
+        // An agent answering hands the chat over from the AI, like a reply from the phone
+        const aiBotService = require('../../services/ai/aiBot.service');
+        await aiBotService.pauseForManualReply(req.params.sessionId, jid, 'agent_reply').catch(() => null);
+        res.json(result);
+    } catch (error) {
+        console.error('Error replying from inbox:', error);
+        res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+};
+
+const downloadChatMedia = async (req, res) => {
+    try {
+        const media = await inboxService.downloadMedia(
+            req.params.sessionId,
+            req.whatsappSession?.socket,
+            req.params.messageId
+        );
+        if (!media) {
+            return res.status(404).json({ success: false, error: 'Media not available (expired or not a media message)' });
+        }
+
+        res.setHeader('Content-Type', media.mimetype);
+        if (media.fileName) {
+            res.setHeader('Content-Disposition', `inline; filename="${media.fileName.replace(/"/g, '')}"`);
+        }
+        res.send(media.buffer);
+    } catch (error) {
+        console.error('Error downloading inbox media:', error);
+        res.status(500).json({ success: false, error: 'Failed to download media' });
+    }
+};
+
+module.exports = {
+    listChats,
+    listChatMessages,
+    markChatRead,
+    replyToChat,
+    downloadChatMedia
+};
@@ -0,0 +1,55 @@
+const mediaService = require('../../services/whatsapp/media.service');
+
+const uploadMedia = async (req, res) => {
+    try {
+        const media = req.file
+            ? { type: req.body.type, fileName: req.body.fileName }
+            : req.body.media || {};
+
+        const resolved = await mediaService.resolveOutgoingMedia({
+            ownerId: req.userId,
+            sessionId: req.params.sessionId,
+            media: { ...media, url: undefined, mediaId: undefined },
+            file: req.file,
+            store: true
+        });
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            mediaId: resolved.mediaId,
+            type: media.type,
+            url: resolved.media.url
+        });
+    } catch (error) {
+        console.error('Error uploading media:', error);
+        res.status(500).json({ success: false, error: 'Failed to upload media' });
+    }
+};
+
+const listMedia = async (req, res) => {
+    try {
+        const media = await mediaService.listStoredMedia(req.userId, req.query.type || null);
+        res.json({ success: true, media });
+    } catch (error) {
+        console.error('Error listing media:', error);
+        res.status(500).json({ success: false, error: 'Failed to list media' });
+    }
+};
+
+const deleteMedia = async (req, res) => {
+    try {
+        const deleted = await mediaService.deleteStoredMedia(req.userId, req.params.mediaId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Media not found' });
+        }
+        res.json({ success: true, mediaId: req.params.mediaId });
+    } catch (error) {
+        console.error('Error deleting media:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete media' });
+    }
+};
+
+module.exports = { uploadMedia, listMedia, deleteMedia };
@@ -0,0 +1,120 @@
+const whatsappService = require('../../services/whatsapp/whatsapp.service');
+const historyService = require('../../services/common/history.service');
+const messageStore = require('../../services/whatsapp/messageStore.service');
+const sessionRegistry = require('../../services/whatsapp/sessionRegistry.service');
+
+// Chat history belongs to the session owner (validateSession already loaded it into the registry cache)
+const getHistoryOwner = (req) => sessionRegistry.getCachedOwner(req.params.sessionId)
+    || req.whatsappSession?.userId || null;
+
+const replyMessage = async (req, res) => {
+    try {
+        const { number, message, fromMe, participant } = req.body;
+        const { messageId } = req.params;
+        const { socket } = req.whatsappSession;
+        const userId = getHistoryOwner(req);
+
+        // Quote the original message when the store still has it, else fall back to chat history text
+        const original = await messageStore.get(req.params.sessionId, messageId);
+        const jid = number ? whatsappService.formatPhoneNumber(String(number)) : null;
+        // Never quote a message from another chat into this one
+        if (original && jid && original.key.remoteJid?.split('@')[0].split(':')[0] !== jid.split('@')[0]) {
+            return res.status(400).json({ success: false, error: 'Message does not belong to this chat' });
+        }
+        const stored = !original && jid ? await historyService.findMessage(jid, messageId, userId, req.params.sessionId) : null;
+
+        const result = await whatsappService.sendReplyMessage(socket, number, message, {
+            messageId,
+            key: original?.key,
+            message: original?.message,
+            fromMe: fromMe ?? (stored ? stored.role !== 'user' : false),
+            participant,
+            text: stored?.content
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        // The contact's name, when the quoted message is theirs (kept for chats new to the history)
+        const pushName = original && !original.key?.fromMe ? original.pushName || null : null;
+        await historyService.saveMessage(result.to, pushName, {
+            role: 'model',
+            content: message,
+            messageId: result.messageId,
+            replyTo: messageId
+        }, userId, req.params.sessionId);
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error in reply endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+};
+
+const editMessage = async (req, res) => {
+    try {
+        const { number, message } = req.body;
+        const { messageId } = req.params;
+        const { socket } = req.whatsappSession;
+
+        const result = await whatsappService.editMessage(socket, number, messageId, message);
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        const userId = getHistoryOwner(req);
+        const stored = await historyService.findMessage(result.to, messageId, userId, req.params.sessionId);
+        result.historyUpdated = await historyService.updateMessage(result.to, messageId, {
+            content: message,
+            original_content: stored?.original_content ?? stored?.content ?? null,
+            edited_at: result.editedAt
+        }, userId, req.params.sessionId, {
+            // Sent through the API, so never saved: record it with the text it was edited to
+            appendAs: { role: 'model', content: message }
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error in edit endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+};
+
+const revokeMessage = async (req, res) => {
+    try {
+        // DELETE bodies are often stripped by clients, so the query string works too
+        const { number, fromMe, participant } = { ...req.query, ...req.body };
+        const { messageId } = req.params;
+        const { socket } = req.whatsappSession;
+
+        const result = await whatsappService.revokeMessage(socket, number, messageId, { fromMe, participant });
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        const isOwn = fromMe !== false && fromMe !== 'false';
+        result.historyUpdated = await historyService.updateMessage(result.to, messageId, {
+            revoked: true,
+            revoked_at: result.revokedAt
+        }, getHistoryOwner(req), req.params.sessionId, {
+            appendAs: { role: isOwn ? 'model' : 'user', content: null }
+        });
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error in revoke endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+};
+
+module.exports = { replyMessage, editMessage, revokeMessage };
@@ -1,11 +1,130 @@
 ﻿const whatsappService = require('../../services/whatsapp/whatsapp.service');
+const queueService = require('../../services/whatsapp/queue.service');
+const mediaService = require('../../services/whatsapp/media.service');
+const campaignService = require('../../services/whatsapp/campaign.service');
+const templateService = require('../../services/whatsapp/template.service');
+const sendingPolicy = require('../../services/whatsapp/sendingPolicy.service');
+const optOutService = require('../../services/whatsapp/optOut.service');
+const { MAX_SPLIT_LENGTH, toWhatsAppFormat, splitMessage } = require('../../services/whatsapp/formatter.helpers');
+
+const BULK_MAX_NUMBERS = parseInt(process.env.QUEUE_BULK_MAX || '1000', 10);
+
+// Direct sends follow the session's sending policy; a 429 tells the caller when to retry (or to queue)
+const rejectIfDeferred = async (req, res) => {
+    const verdict = await sendingPolicy.check(req.params.sessionId);
+    if (verdict.allowed) return false;
+
+    const retryAfterSecs = Math.max(1, Math.ceil((new Date(verdict.retryAt).getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSecs));
+    res.status(429).json({
+        success: false,
+        error: verdict.message,
+        reason: verdict.reason,
+        retryAt: verdict.retryAt,
+        hint: 'Send with "queue": true to deliver it automatically once allowed'
+    });
+    return true;
+};
+
+// Recipients who replied STOP are never messaged, whichever send path is used
+const rejectIfOptedOut = async (req, res, number) => {
+    const jid = whatsappService.formatPhoneNumber(String(number || ''));
+    if (!(await optOutService.isOptedOut(req.userId, jid))) return false;
+
+    res.status(403).json({ success: false, error: 'Recipient opted out' });
+    return true;
+};
+
+// typing: false when the send shows its own "typing…" (formatted sends type per chunk)
+const sendDirect = async (req, number, text, send, { typing = true } = {}) => {
+    const { socket } = req.whatsappSession;
+    const jid = whatsappService.formatPhoneNumber(String(number || ''));
+    if (typing) await sendingPolicy.simulateTyping(req.params.sessionId, socket, jid, text, { maxMs: 3000 });
+
+    const result = await send(socket);
+    if (!result.success) sendingPolicy.recordFailure(req.params.sessionId, result.error);
+    return result;
+};
+
+// Opt-in formatting: "format": true, or { markdown, split, maxLength, typing } (each defaults to true / 4096)
+const readFormatOptions = (format) => {
+    if (!format) return null;
+    const options = typeof format === 'object' ? format : {};
+    return {
+        markdown: options.markdown !== false,
+        split: options.split !== false,
+        maxLength: Math.min(parseInt(options.maxLength, 10) || 4096, 4096),
+        typing: options.typing !== false
+    };
+};
 
 const sendText = async (req, res) => {
     try {
-        const { number, message } = req.body;
-        const { socket } = req.whatsappSession;
+        const { number, queue } = req.body;
+        let { message } = req.body;
+
+        // { templateId, variables } replaces the message; media templates are sent like send-media
+        if (req.body.templateId) {
+            const applied = await templateService.applyToInput(req.userId, req.body);
+            if (applied.error) {
+                return res.status(applied.status || 400).json({ success: false, error: applied.error, missing: applied.missing });
+            }
+            if (applied.input.type === 'media') {
+                return await deliverMedia(req, res, { number, media: applied.input.media, queue: !!queue });
+            }
+            message = applied.input.message;
+        }
+
+        if (await rejectIfOptedOut(req, res, number)) return;
 
-        const result = await whatsappService.sendTextMessage(socket, number, message);
+        const format = readFormatOptions(req.body.format);
+        if (format && queue) {
+            if (!message || typeof message !== 'string') {
+                return res.status(400).json({ success: false, error: 'Message is required' });
+            }
+            if (message.length > MAX_SPLIT_LENGTH) {
+                return res.status(400).json({ success: false, error: `Message too long (max ${MAX_SPLIT_LENGTH} characters)` });
+            }
+
+            // One job per chunk; the queue's own pacing (and typing policy) spaces them
+            const text = format.markdown ? toWhatsAppFormat(message) : message;
+            const parts = (format.split ? splitMessage(text, format.maxLength) : [text]).filter(Boolean);
+            if (parts.length === 0) {
+                return res.status(400).json({ success: false, error: 'Message is required' });
+            }
+            for (const part of parts) {
+                const validation = queueService.validateJob(number, 'text', { message: part });
+                if (!validation.valid) return res.status(400).json({ success: false, error: validation.message });
+            }
+
+            // A single insert: either every chunk is queued or none; notBefore keeps them in order
+            const now = Date.now();
+            const queued = await queueService.enqueueBatch(req.params.sessionId, parts.map((part, i) => ({
+                number,
+                type: 'text',
+                payload: { message: part },
+                notBefore: new Date(now + i).toISOString()
+            })), { userId: req.userId });
+            if (!queued.success) return res.status(400).json(queued);
+
+            const jobIds = queued.jobs.map(j => j.jobId);
+            return res.status(202).json({ success: true, jobId: jobIds[0], jobIds, batchId: queued.batchId, parts: parts.length });
+        }
+
+        if (queue) {
+            const queued = await queueService.enqueue(req.params.sessionId, {
+                number,
+                type: 'text',
+                payload: { message },
+                userId: req.userId
+            });
+            return res.status(queued.success ? 202 : 400).json(queued);
+        }
+
+        if (await rejectIfDeferred(req, res)) return;
+        const result = await sendDirect(req, number, message, (sock) => (format
+            ? whatsappService.sendFormattedText(sock, number, message, format)
+            : whatsappService.sendTextMessage(sock, number, message)), { typing: !format?.typing });
 
         if (result.success) {
             res.json(result);
@@ -21,19 +140,102 @@ const sendText = async (req, res) => {
     }
 };
 
+// Multipart fields are flat strings: number, type, caption, fileName, ptt, queue, store
+const readMediaRequest = (req) => {
+    if (!req.file) {
+        const { number, media, queue, store } = req.body;
+        return { number, media, queue: !!queue, store: !!store };
+    }
+    const { number, type, caption, fileName, ptt, queue, store } = req.body;
+    return {
+        number,
+        media: { type, caption, fileName, ptt: ptt === 'true' },
+        queue: queue === 'true',
+        store: store === 'true'
+    };
+};
+
+const deliverMedia = async (req, res, { number, media, queue, store = false }) => {
+    if (await rejectIfOptedOut(req, res, number)) return;
+
+    // Queued jobs are persisted as JSON, so uploads must be stored to get a URL
+    const resolved = await mediaService.resolveOutgoingMedia({
+        ownerId: req.userId,
+        sessionId: req.params.sessionId,
+        media,
+        file: req.file,
+        store: store || !!queue
+    });
+    if (resolved.error) {
+        return res.status(400).json({ success: false, error: resolved.error });
+    }
+
+    if (queue) {
+        const { buffer, ...queuedMedia } = resolved.media;
+        const queued = await queueService.enqueue(req.params.sessionId, {
+            number,
+            type: 'media',
+            payload: { media: queuedMedia },
+            userId: req.userId
+        });
+        return res.status(queued.success ? 202 : 400).json({ ...queued, mediaId: resolved.mediaId });
+    }
+
+    if (await rejectIfDeferred(req, res)) return;
+    const result = await sendDirect(req, number, resolved.media.caption, (sock) => whatsappService.sendMediaMessage(sock, number, resolved.media));
+    if (resolved.mediaId) result.mediaId = resolved.mediaId;
+
+    if (result.success) {
+        res.json(result);
+    } else {
+        res.status(400).json(result);
+    }
+};
+
 const sendMedia = async (req, res) => {
     try {
-        const { number, media } = req.body;
-        const { socket } = req.whatsappSession;
+        const { number, media, queue, store } = readMediaRequest(req);
 
-        if (!media || !media.type || !media.url) {
+        if (!media || !media.type) {
             return res.status(400).json({
                 success: false,
-                error: 'Media object with type and url is required'
+                error: 'Media object with a type is required'
             });
         }
 
-        const result = await whatsappService.sendMediaMessage(socket, number, media);
+        await deliverMedia(req, res, { number, media, queue, store });
+    } catch (error) {
+        console.error('Error in send-media endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+        });
+    }
+};
+
+const sendInteractive = async (req, res) => {
+    try {
+        const { number, interactive, queue } = req.body;
+
+        const validation = whatsappService.validateInteractive(interactive);
+        if (!validation.valid) {
+            return res.status(400).json({ success: false, error: validation.message });
+        }
+
+        if (await rejectIfOptedOut(req, res, number)) return;
+
+        if (queue) {
+            const queued = await queueService.enqueue(req.params.sessionId, {
+                number,
+                type: 'interactive',
+                payload: { interactive },
+                userId: req.userId
+            });
+            return res.status(queued.success ? 202 : 400).json(queued);
+        }
+
+        if (await rejectIfDeferred(req, res)) return;
+        const result = await sendDirect(req, number, '', (sock) => whatsappService.sendInteractiveMessage(sock, number, interactive));
 
         if (result.success) {
             res.json(result);
@@ -41,7 +243,7 @@ const sendMedia = async (req, res) => {
             res.status(400).json(result);
         }
     } catch (error) {
-        console.error('Error in send-media endpoint:', error);
+        console.error('Error in send-interactive endpoint:', error);
         res.status(500).json({
             success: false,
             error: 'Internal server error'
@@ -51,8 +253,7 @@ const sendMedia = async (req, res) => {
 
 const sendBulk = async (req, res) => {
     try {
-        const { numbers, message } = req.body;
-        const { socket } = req.whatsappSession;
+        const { numbers, message, templateId, variables } = req.body;
 
         if (!Array.isArray(numbers) || numbers.length === 0) {
             return res.status(400).json({
@@ -61,33 +262,45 @@ const sendBulk = async (req, res) => {
             });
         }
 
-        if (numbers.length > 100) {
+        if (numbers.length > BULK_MAX_NUMBERS) {
             return res.status(400).json({
                 success: false,
-                error: 'Maximum 100 numbers per request'
+                error: `Maximum ${BULK_MAX_NUMBERS} numbers per request`
             });
         }
 
-        const results = [];
-        const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-        for (const number of numbers) {
-            const result = await whatsappService.sendTextMessage(socket, number, message);
-            results.push({ number, ...result });
-            await delay(1000);
+        if (!templateId) {
+            const msgVal = whatsappService.validateMessage(message);
+            if (!msgVal.valid) {
+                return res.status(400).json({ success: false, error: msgVal.message });
+            }
         }
 
-        const successCount = results.filter(r => r.success).length;
-        const failedCount = results.filter(r => !r.success).length;
+        // A bulk send is an immediate, unnamed campaign; poll /bulk/:batchId (or /campaigns/:id) for progress
+        const result = await campaignService.create(req.params.sessionId, req.userId, {
+            name: `Bulk send (${numbers.length} numbers)`,
+            type: 'text',
+            message,
+            templateId,
+            variables,
+            // { number, variables } entries carry per-recipient template variables
+            audience: { numbers: numbers.map(number => (number && typeof number === 'object' ? number : String(number))) }
+        });
+
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error, invalid: result.invalid });
+        }
 
-        res.json({
+        res.status(202).json({
             success: true,
+            batchId: result.campaign.id,
+            campaignId: result.campaign.id,
             summary: {
                 total: numbers.length,
-                success: successCount,
-                failed: failedCount
+                queued: result.summary.recipients,
+                rejected: result.summary.invalid + result.summary.skippedOptOut
             },
-            results
+            rejected: result.invalid
         });
     } catch (error) {
         console.error('Error in send-bulk endpoint:', error);
@@ -98,4 +311,4 @@ const sendBulk = async (req, res) => {
     }
 };
 
-module.exports = { sendText, sendMedia, sendBulk };
+module.exports = { sendText, sendMedia, sendInteractive, sendBulk };
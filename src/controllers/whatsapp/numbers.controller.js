@@ -0,0 +1,73 @@
+const numberCheckService = require('../../services/whatsapp/numberCheck.service');
+
+const checkNumbers = async (req, res) => {
+    try {
+        const { socket } = req.whatsappSession;
+        if (!socket || !socket.user) {
+            return res.status(400).json({ success: false, error: 'WhatsApp not connected' });
+        }
+
+        // JSON: { numbers: [...] } or { csv: "..." }; text/csv bodies arrive as a string
+        let numbers;
+        if (typeof req.body === 'string') {
+            numbers = numberCheckService.parseCsv(req.body);
+        } else if (Array.isArray(req.body?.numbers)) {
+            numbers = req.body.numbers;
+        } else if (typeof req.body?.csv === 'string') {
+            numbers = numberCheckService.parseCsv(req.body.csv);
+        }
+
+        if (!numbers || numbers.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Provide a non-empty numbers array or a CSV body'
+            });
+        }
+
+        if (numbers.length > numberCheckService.maxNumbers) {
+            return res.status(400).json({
+                success: false,
+                error: `Maximum ${numberCheckService.maxNumbers} numbers per request`
+            });
+        }
+
+        const useCache = req.query.refresh !== 'true' && req.body?.refresh !== true;
+
+        // Large lists take minutes (spaced batches): run them in the background and poll
+        if (numbers.length > numberCheckService.syncMax) {
+            const started = numberCheckService.startJob(req.params.sessionId, socket, numbers, { useCache });
+            if (started.error) {
+                return res.status(409).json({ success: false, error: started.error });
+            }
+            return res.status(202).json({ success: true, jobId: started.job.id, ...started.job });
+        }
+
+        const result = await numberCheckService.check(socket, numbers, { useCache });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error in check-numbers endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to check numbers'
+        });
+    }
+};
+
+const getNumberCheck = async (req, res) => {
+    try {
+        const job = numberCheckService.getJob(req.params.sessionId, req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Number check not found' });
+        }
+        res.json({ success: true, ...job });
+    } catch (error) {
+        console.error('Error in get-number-check endpoint:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get number check'
+        });
+    }
+};
+
+module.exports = { checkNumbers, getNumberCheck };
@@ -0,0 +1,89 @@
+const queueService = require('../../services/whatsapp/queue.service');
+const messageStatusService = require('../../services/whatsapp/messageStatus.service');
+const campaignService = require('../../services/whatsapp/campaign.service');
+
+const getJob = async (req, res) => {
+    try {
+        const { sessionId, jobId } = req.params;
+        const job = await queueService.getJob(jobId, sessionId);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('Error getting queue job:', error);
+        res.status(500).json({ success: false, error: 'Failed to get job' });
+    }
+};
+
+const cancelJob = async (req, res) => {
+    try {
+        const { sessionId, jobId } = req.params;
+        const cancelled = await queueService.cancelJob(jobId, sessionId);
+
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: 'Job not found or already processed'
+            });
+        }
+
+        res.json({ success: true, jobId, status: 'cancelled' });
+    } catch (error) {
+        console.error('Error cancelling queue job:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel job' });
+    }
+};
+
+const getBatch = async (req, res) => {
+    try {
+        const { sessionId, batchId } = req.params;
+        // Bulk sends are campaigns now; older batches only exist in the queue
+        const batch = await campaignService.getBatchView(sessionId, batchId)
+            || await queueService.getBatch(batchId, sessionId);
+
+        if (!batch) {
+            return res.status(404).json({ success: false, error: 'Batch not found' });
+        }
+
+        // Jobs that never reached WhatsApp count as failed deliveries too
+        const delivery = await messageStatusService.getBatchSummary(sessionId, batchId);
+        delivery.failed += batch.summary.failed || 0;
+
+        res.json({ success: true, ...batch, delivery });
+    } catch (error) {
+        console.error('Error getting bulk batch:', error);
+        res.status(500).json({ success: false, error: 'Failed to get batch' });
+    }
+};
+
+const getQueueConfig = async (req, res) => {
+    try {
+        const config = await queueService.getSessionConfig(req.params.sessionId);
+        res.json({ success: true, config });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const updateQueueConfig = async (req, res) => {
+    try {
+        const config = await queueService.updateSessionConfig(req.params.sessionId, req.body || {});
+        if (!config) {
+            return res.status(500).json({ success: false, error: 'Failed to save queue config' });
+        }
+        res.json({ success: true, config });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = {
+    getJob,
+    cancelJob,
+    getBatch,
+    getQueueConfig,
+    updateQueueConfig
+};
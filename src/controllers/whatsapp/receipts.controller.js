@@ -0,0 +1,36 @@
+const messageStatusService = require('../../services/whatsapp/messageStatus.service');
+const pollService = require('../../services/whatsapp/poll.service');
+
+const getMessageStatus = async (req, res) => {
+    try {
+        const { sessionId, messageId } = req.params;
+        const status = await messageStatusService.getStatus(sessionId, messageId);
+
+        if (!status) {
+            return res.status(404).json({ success: false, error: 'Message not tracked for this session' });
+        }
+
+        res.json({ success: true, ...status });
+    } catch (error) {
+        console.error('Error getting message status:', error);
+        res.status(500).json({ success: false, error: 'Failed to get message status' });
+    }
+};
+
+const getPollResults = async (req, res) => {
+    try {
+        const { sessionId, messageId } = req.params;
+        const poll = await pollService.getPoll(sessionId, messageId);
+
+        if (!poll) {
+            return res.status(404).json({ success: false, error: 'Poll not found for this session' });
+        }
+
+        res.json({ success: true, poll });
+    } catch (error) {
+        console.error('Error getting poll results:', error);
+        res.status(500).json({ success: false, error: 'Failed to get poll results' });
+    }
+};
+
+module.exports = { getMessageStatus, getPollResults };
@@ -0,0 +1,68 @@
+const schedulerService = require('../../services/whatsapp/scheduler.service');
+
+const createSchedule = async (req, res) => {
+    try {
+        const result = await schedulerService.create(req.params.sessionId, req.userId, req.body || {});
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to create schedule' });
+    }
+};
+
+const listSchedules = async (req, res) => {
+    try {
+        const schedules = await schedulerService.list(req.params.sessionId, req.query.status || null);
+        res.json({ success: true, schedules });
+    } catch (error) {
+        console.error('Error listing schedules:', error);
+        res.status(500).json({ success: false, error: 'Failed to list schedules' });
+    }
+};
+
+const getSchedule = async (req, res) => {
+    try {
+        const schedule = await schedulerService.get(req.params.sessionId, req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
+        }
+        res.json({ success: true, schedule });
+    } catch (error) {
+        console.error('Error getting schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to get schedule' });
+    }
+};
+
+const updateSchedule = async (req, res) => {
+    try {
+        const result = await schedulerService.update(req.params.sessionId, req.params.id, req.body || {});
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to update schedule' });
+    }
+};
+
+const cancelSchedule = async (req, res) => {
+    try {
+        const cancelled = await schedulerService.cancel(req.params.sessionId, req.params.id);
+        if (!cancelled) {
+            return res.status(404).json({ success: false, error: 'Active schedule not found' });
+        }
+        res.json({ success: true, id: req.params.id, status: 'cancelled' });
+    } catch (error) {
+        console.error('Error cancelling schedule:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel schedule' });
+    }
+};
+
+module.exports = {
+    createSchedule,
+    listSchedules,
+    getSchedule,
+    updateSchedule,
+    cancelSchedule
+};
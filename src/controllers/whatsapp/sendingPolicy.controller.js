@@ -0,0 +1,34 @@
+const sendingPolicy = require('../../services/whatsapp/sendingPolicy.service');
+
+const getSendingPolicy = async (req, res) => {
+    try {
+        const allowance = await sendingPolicy.getAllowance(req.params.sessionId);
+        res.json({ success: true, ...allowance });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+const updateSendingPolicy = async (req, res) => {
+    try {
+        const settings = await sendingPolicy.updateSettings(req.params.sessionId, req.body || {});
+        if (!settings) {
+            return res.status(500).json({ success: false, error: 'Failed to save sending policy' });
+        }
+        res.json({ success: true, settings });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Lift a cool-down early, e.g. after the cause was fixed
+const clearSendingCooldown = async (req, res) => {
+    try {
+        const wasThrottled = await sendingPolicy.clearThrottle(req.params.sessionId);
+        res.json({ success: true, wasThrottled });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+module.exports = { getSendingPolicy, updateSendingPolicy, clearSendingCooldown };
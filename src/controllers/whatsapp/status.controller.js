@@ -0,0 +1,57 @@
+const statusService = require('../../services/whatsapp/status.service');
+
+const createStatusPost = async (req, res) => {
+    try {
+        const { status, ...result } = await statusService.create(req.params.sessionId, req.userId, req.body || {});
+        res.status(result.success ? 201 : status || 400).json(result);
+    } catch (error) {
+        console.error('Error creating status post:', error);
+        res.status(500).json({ success: false, error: 'Failed to create status post' });
+    }
+};
+
+const listStatusPosts = async (req, res) => {
+    try {
+        const posts = await statusService.list(req.params.sessionId, {
+            status: req.query.status || null,
+            limit: parseInt(req.query.limit, 10) || 50
+        });
+        res.json({ success: true, posts });
+    } catch (error) {
+        console.error('Error listing status posts:', error);
+        res.status(500).json({ success: false, error: 'Failed to list status posts' });
+    }
+};
+
+const getStatusPost = async (req, res) => {
+    try {
+        const post = await statusService.get(req.params.sessionId, req.params.id);
+        if (!post) {
+            return res.status(404).json({ success: false, error: 'Status post not found' });
+        }
+        res.json({ success: true, post });
+    } catch (error) {
+        console.error('Error getting status post:', error);
+        res.status(500).json({ success: false, error: 'Failed to get status post' });
+    }
+};
+
+const cancelStatusPost = async (req, res) => {
+    try {
+        const cancelled = await statusService.cancel(req.params.sessionId, req.params.id);
+        if (!cancelled) {
+            return res.status(404).json({ success: false, error: 'Scheduled status post not found' });
+        }
+        res.json({ success: true, id: req.params.id, status: 'cancelled' });
+    } catch (error) {
+        console.error('Error cancelling status post:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel status post' });
+    }
+};
+
+module.exports = {
+    createStatusPost,
+    listStatusPosts,
+    getStatusPost,
+    cancelStatusPost
+};
@@ -0,0 +1,96 @@
+const webhookService = require('../../services/whatsapp/webhook.service');
+
+const listWebhooks = async (req, res) => {
+    try {
+        const webhooks = await webhookService.list(req.params.sessionId);
+        res.json({ success: true, events: webhookService.supportedEvents, webhooks });
+    } catch (error) {
+        console.error('Error listing webhooks:', error);
+        res.status(500).json({ success: false, error: 'Failed to list webhooks' });
+    }
+};
+
+const createWebhook = async (req, res) => {
+    try {
+        const result = await webhookService.create(req.params.sessionId, req.userId, req.body || {});
+        res.status(result.success ? 201 : 400).json(result);
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to create webhook' });
+    }
+};
+
+const updateWebhook = async (req, res) => {
+    try {
+        const result = await webhookService.update(req.params.sessionId, req.params.id, req.body || {});
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to update webhook' });
+    }
+};
+
+const deleteWebhook = async (req, res) => {
+    try {
+        const deleted = await webhookService.remove(req.params.sessionId, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete webhook' });
+    }
+};
+
+const listDeliveries = async (req, res) => {
+    try {
+        const deliveries = await webhookService.listDeliveries(req.params.sessionId, req.params.id, {
+            status: req.query.status || null,
+            limit: req.query.limit
+        });
+        res.json({ success: true, deliveries });
+    } catch (error) {
+        console.error('Error listing webhook deliveries:', error);
+        res.status(500).json({ success: false, error: 'Failed to list deliveries' });
+    }
+};
+
+const getDelivery = async (req, res) => {
+    try {
+        const delivery = await webhookService.getDelivery(req.params.sessionId, req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        res.json({ success: true, delivery });
+    } catch (error) {
+        console.error('Error getting webhook delivery:', error);
+        res.status(500).json({ success: false, error: 'Failed to get delivery' });
+    }
+};
+
+const replayDelivery = async (req, res) => {
+    try {
+        const result = await webhookService.replay(req.params.sessionId, req.params.deliveryId);
+        if (!result.success) {
+            return res.status(result.status || 400).json({ success: false, error: result.error });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error replaying webhook delivery:', error);
+        res.status(500).json({ success: false, error: 'Failed to replay delivery' });
+    }
+};
+
+module.exports = {
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    listDeliveries,
+    getDelivery,
+    replayDelivery
+};
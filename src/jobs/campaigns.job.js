@@ -0,0 +1,13 @@
+/**
+ * Campaigns Job
+ * Starts scheduled campaigns when due and feeds running ones into the
+ * outbound queue, collecting per-recipient outcomes as jobs finish.
+ */
+function startCampaignsJob(intervalMs = 10000) {
+    const campaignService = require('../services/whatsapp/campaign.service');
+
+    campaignService.runDue();
+    return setInterval(() => campaignService.runDue(), intervalMs);
+}
+
+module.exports = { startCampaignsJob };
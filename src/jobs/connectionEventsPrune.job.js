@@ -0,0 +1,11 @@
+/**
+ * Connection Events Prune Job
+ * Removes connection history older than CONNECTION_EVENTS_RETENTION_DAYS.
+ */
+function startConnectionEventsPruneJob(intervalMs = 6 * 60 * 60 * 1000) {
+    const connectionLog = require('../services/whatsapp/connectionLog.service');
+
+    return setInterval(() => connectionLog.prune(), intervalMs);
+}
+
+module.exports = { startConnectionEventsPruneJob };
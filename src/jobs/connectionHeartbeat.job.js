@@ -0,0 +1,13 @@
+/**
+ * Connection Heartbeat Job
+ * Stores when this process was last alive, so sessions that were online when
+ * it died get their downtime recorded after the restart (see connectionLog).
+ */
+function startConnectionHeartbeatJob(intervalMs = 60 * 1000) {
+    const connectionLog = require('../services/whatsapp/connectionLog.service');
+
+    connectionLog.heartbeat();
+    return setInterval(() => connectionLog.heartbeat(), intervalMs);
+}
+
+module.exports = { startConnectionHeartbeatJob };
@@ -0,0 +1,11 @@
+/**
+ * Message Store Prune Job
+ * Removes stored messages older than MESSAGE_STORE_TTL_HOURS.
+ */
+function startMessageStorePruneJob(intervalMs = 60 * 60 * 1000) {
+    const messageStore = require('../services/whatsapp/messageStore.service');
+
+    return setInterval(() => messageStore.prune(), intervalMs);
+}
+
+module.exports = { startMessageStorePruneJob };
@@ -0,0 +1,22 @@
+/**
+ * Outbound Queue Job
+ * Drains persisted outbound messages for every connected session.
+ * Each session is throttled independently by the queue service.
+ */
+function startOutboundQueueJob(sessionManager, intervalMs = 1000) {
+    const queueService = require('../services/whatsapp/queue.service');
+
+    queueService.recoverStaleJobs().then(count => {
+        if (count > 0) console.log(`🔁 [Queue] Re-queued ${count} job(s) interrupted by the last shutdown.`);
+    });
+
+    return setInterval(() => {
+        sessionManager.forEach((session, sessionId) => {
+            if (session.socket && session.connectionState.connection === 'open') {
+                queueService.drain(sessionId, session);
+            }
+        });
+    }, intervalMs);
+}
+
+module.exports = { startOutboundQueueJob };
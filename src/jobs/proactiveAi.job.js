@@ -1,11 +1,11 @@
-﻿const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+﻿const sessionRegistry = require('../services/whatsapp/sessionRegistry.service');
 
 function startProactiveAiJob(sessionManager) {
     return setInterval(async () => {
         const aiBotService = require('../services/ai/aiBot.service');
 
         sessionManager.forEach(async (session, sessionId) => {
-            if ((UUID_REGEX.test(sessionId) || sessionId === 'wa-bot-ai') &&
+            if ((sessionRegistry.isUserSessionId(sessionId) || sessionId === 'wa-bot-ai') &&
                 session.socket &&
                 session.connectionState.connection === 'open') {
                 await aiBotService.checkAndSendProactiveMessage(sessionId, session.socket);
@@ -0,0 +1,14 @@
+/**
+ * Scheduled Messages Job
+ * Moves due schedules into the outbound queue. Because schedules live in the
+ * database, anything that came due while the gateway was down is picked up on
+ * the first tick after boot (see the misfire policy in scheduler.service).
+ */
+function startScheduledMessagesJob(intervalMs = 30000) {
+    const schedulerService = require('../services/whatsapp/scheduler.service');
+
+    schedulerService.runDue();
+    return setInterval(() => schedulerService.runDue(), intervalMs);
+}
+
+module.exports = { startScheduledMessagesJob };
@@ -1,10 +1,11 @@
-const sessionManager = require('../services/whatsapp/session.manager');
-const connectionService = require('../services/whatsapp/connection.service');
+const sessionSupervisor = require('../services/whatsapp/sessionSupervisor.service');
 const configService = require('../services/common/config.service');
 
 /**
  * Session Watchdog Job
- * Periodically checks all registered sessions and reconnects them if they are offline.
+ * Periodically checks all registered sessions and hands offline ones to the session
+ * supervisor, which retries them with backoff (sessions that are logged out, banned
+ * or already waiting for a retry are left alone).
  * Ensures CS-BOT and other bots stay active even if they crash or disconnect.
  */
 function startSessionWatchdogJob(intervalMs = 300000) { // Default 5 minutes
@@ -19,23 +20,8 @@ function startSessionWatchdogJob(intervalMs = 300000) { // Default 5 minutes
             const mandatorySessions = ['CS-BOT'];
             const allTargetSessions = [...new Set([...registeredSessions, ...mandatorySessions])];
 
-            for (const sessionId of allTargetSessions) {
-                const session = sessionManager.getSession(sessionId);
-                
-                // 2. Check current status
-                const isOffline = !session || session.connectionState.connection !== 'open';
-                
-                // 3. Reconnect if needed
-                if (isOffline) {
-                    const status = session ? session.connectionState.connection : 'MISSING';
-                    console.log(`⚠️  [Watchdog] Session [${sessionId}] is ${status}. Attempting reconnection...`);
-                    
-                    // Trigger reconnection
-                    connectionService.connect(sessionId).catch(err => {
-                        console.error(`❌ [Watchdog] Failed to restart session ${sessionId}:`, err.message);
-                    });
-                }
-            }
+            // 2. Schedule a reconnect for offline sessions nobody is retrying
+            sessionSupervisor.sweep(allTargetSessions);
         } catch (error) {
             console.error(`🔥 [Watchdog] Job Error:`, error.message);
         }
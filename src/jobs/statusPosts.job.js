@@ -0,0 +1,13 @@
+/**
+ * Status Posts Job
+ * Publishes scheduled WhatsApp Status updates once they are due and their
+ * session is connected.
+ */
+function startStatusPostsJob(intervalMs = 30000) {
+    const statusService = require('../services/whatsapp/status.service');
+
+    statusService.runDue();
+    return setInterval(() => statusService.runDue(), intervalMs);
+}
+
+module.exports = { startStatusPostsJob };
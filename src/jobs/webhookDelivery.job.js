@@ -0,0 +1,13 @@
+/**
+ * Webhook Delivery Job
+ * Subscribes the webhook service to session events and retries failed
+ * deliveries once their backoff has elapsed.
+ */
+function startWebhookDeliveryJob(intervalMs = 15000) {
+    const webhookService = require('../services/whatsapp/webhook.service');
+
+    webhookService.init();
+    return setInterval(() => webhookService.retryDue(), intervalMs);
+}
+
+module.exports = { startWebhookDeliveryJob };
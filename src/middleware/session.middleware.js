@@ -1,21 +1,41 @@
 ﻿const sessionManager = require('../services/whatsapp/session.manager');
+const sessionRegistry = require('../services/whatsapp/sessionRegistry.service');
+
+/**
+ * Ownership check against the session registry.
+ * User sessions (the account's UUID or a registered 'wa-user-...' number) must
+ * belong to the authenticated user; system sessions have no owner.
+ * @returns {Promise<boolean>} false when a response was already sent
+ */
+const checkOwnership = async (req, res, sessionId) => {
+    if (!sessionRegistry.isUserSessionId(sessionId)) return true;
+
+    const ownerId = await sessionRegistry.getOwner(sessionId);
+    if (!ownerId) {
+        res.status(404).json({ success: false, error: `Session '${sessionId}' not found.` });
+        return false;
+    }
+    if (ownerId !== req.userId) {
+        res.status(403).json({ success: false, error: "Forbidden: You do not own this session." });
+        return false;
+    }
+    return true;
+};
 
 /**
  * Middleware to validate WhatsApp session
  */
-const validateSession = (req, res, next) => {
+const validateSession = async (req, res, next) => {
     const { sessionId } = req.params;
-    const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    // Ownership check: If it's a UUID session, it MUST belong to the authenticated user
+    // Ownership check: a user session MUST belong to the authenticated user
     // EXCEPT for status and qr routes which are intended to be accessible for polling
     const isPublicRoute = req.path.endsWith('/status') || req.path.endsWith('/qr');
 
-    if (UUID_REGEX.test(sessionId) && req.userId !== sessionId && !isPublicRoute) {
-        return res.status(403).json({
-            success: false,
-            error: "Forbidden: You do not own this session."
-        });
+    try {
+        if (!isPublicRoute && !(await checkOwnership(req, res, sessionId))) return;
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
     }
 
     const session = sessionManager.getSession(sessionId);
@@ -31,6 +51,75 @@ const validateSession = (req, res, next) => {
     next();
 };
 
+/**
+ * Middleware to validate session ownership only.
+ * Used by routes that must keep working while the socket is offline (e.g. queued jobs).
+ */
+const validateSessionOwner = async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+        if (!(await checkOwnership(req, res, sessionId))) return;
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
+    req.whatsappSession = sessionManager.getSession(sessionId);
+    next();
+};
+
+/**
+ * Owner check for routes that expose a session's traffic (event stream, health).
+ * Sessions without an owner (system sessions, ids that are not loaded) are only
+ * open to the user they are bound to and to admins.
+ */
+const validateSessionOwnerStrict = async (req, res, next) => {
+    const { sessionId } = req.params;
+
+    try {
+        if (!(await checkOwnership(req, res, sessionId))) return;
+
+        const session = sessionManager.getSession(sessionId);
+        if (!sessionRegistry.isUserSessionId(sessionId) && session?.userId !== req.userId) {
+            const moderatorGuard = require('../services/moderator/moderatorGuard');
+            if (!(await moderatorGuard.isModerator(req.userId))) {
+                return res.status(403).json({ success: false, error: "Forbidden: You do not own this session." });
+            }
+        }
+        req.whatsappSession = session;
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
+    next();
+};
+
+/**
+ * Selects which of the user's numbers a /config route works on
+ * (`sessionId` query parameter or `x-wa-session-id` header; default: the primary session).
+ * Sets req.sessionScope to the session id, or null for the primary session.
+ */
+const sessionScope = async (req, res, next) => {
+    const sessionId = req.query.sessionId || req.headers['x-wa-session-id'];
+    req.sessionScope = null;
+    if (!sessionId || sessionId === req.userId) return next();
+
+    try {
+        if (!sessionRegistry.isUserSessionId(sessionId)) {
+            return res.status(400).json({ success: false, error: `'${sessionId}' is not a user session.` });
+        }
+        if (!(await checkOwnership(req, res, sessionId))) return;
+    } catch (error) {
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
+    req.sessionScope = sessionId;
+    next();
+};
+
 module.exports = {
-    validateSession
+    validateSession,
+    validateSessionOwner,
+    validateSessionOwnerStrict,
+    sessionScope
 };
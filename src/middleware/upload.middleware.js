@@ -0,0 +1,28 @@
+const multer = require('multer');
+
+// Hard ceiling for any upload; the per-package limit is enforced later in media.service
+const HARD_LIMIT_MB = parseInt(process.env.MEDIA_UPLOAD_HARD_LIMIT_MB || '64', 10);
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: HARD_LIMIT_MB * 1024 * 1024, files: 1 }
+});
+
+/**
+ * Middleware for optional single-file multipart uploads (field name: 'file').
+ * JSON requests pass straight through.
+ */
+const mediaUpload = (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+
+    upload.single('file')(req, res, (err) => {
+        if (!err) return next();
+
+        const message = err.code === 'LIMIT_FILE_SIZE'
+            ? `File too large (max ${HARD_LIMIT_MB} MB)`
+            : err.message || 'Invalid upload';
+        return res.status(400).json({ success: false, error: message });
+    });
+};
+
+module.exports = { mediaUpload };
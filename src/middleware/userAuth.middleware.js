@@ -30,4 +30,30 @@ const userAuth = (req, res, next) => {
     next();
 };
 
-module.exports = { userAuth };
+/**
+ * Same check for Server-Sent Events: EventSource cannot send headers,
+ * so the user id may also come from the `userId` query parameter.
+ */
+const eventStreamAuth = (req, res, next) => {
+    if (!req.headers['x-session-id'] && req.query.userId) {
+        req.headers['x-session-id'] = String(req.query.userId);
+    }
+    return userAuth(req, res, next);
+};
+
+/**
+ * userAuth plus a moderator role check (users.role or MODERATOR_PHONE)
+ */
+const moderatorAuth = (req, res, next) => userAuth(req, res, async () => {
+    try {
+        const moderatorGuard = require('../services/moderator/moderatorGuard');
+        if (!(await moderatorGuard.isModerator(req.userId))) {
+            return res.status(403).json({ success: false, error: 'Forbidden: moderator access required.' });
+        }
+        next();
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = { userAuth, eventStreamAuth, moderatorAuth };
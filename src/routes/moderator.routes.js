@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const moderatorController = require('../controllers/moderator.controller');
+const { moderatorAuth } = require('../middleware/userAuth.middleware');
 
 /**
  * Moderator Routes
@@ -13,4 +14,10 @@ router.get('/stats', moderatorController.getStats);
 router.get('/role/:phone', moderatorController.getUserRole);
 router.post('/execute', moderatorController.executeManualCommand);
 
+// CS-BOT notification texts (admin overrides)
+router.get('/notification-templates', moderatorAuth, moderatorController.getNotificationTemplates);
+router.put('/notification-templates/:key', moderatorAuth, moderatorController.updateNotificationTemplate);
+router.delete('/notification-templates/:key', moderatorAuth, moderatorController.resetNotificationTemplate);
+router.post('/notification-templates/:key/preview', moderatorAuth, moderatorController.previewNotificationTemplate);
+
 module.exports = router;
@@ -3,50 +3,155 @@ const router = express.Router();
 const sessionController = require('../controllers/session.controller');
 const whatsappController = require('../controllers/whatsapp.controller');
 const configController = require('../controllers/config.controller');
-const { validateSession } = require('../middleware/session.middleware');
-const { userAuth } = require('../middleware/userAuth.middleware');
+const { validateSession, validateSessionOwner, validateSessionOwnerStrict, sessionScope } = require('../middleware/session.middleware');
+const { userAuth, eventStreamAuth } = require('../middleware/userAuth.middleware');
+const { mediaUpload } = require('../middleware/upload.middleware');
 
 // Session Routes
 router.get('/instances/enriched', userAuth, sessionController.getEnrichedInstances);
-router.post('/:sessionId/init', userAuth, sessionController.initSession);
+router.get('/sessions', userAuth, sessionController.listUserSessions);
+router.post('/sessions', userAuth, sessionController.createUserSession);
+router.put('/sessions/:sessionId', userAuth, sessionController.renameUserSession);
+router.delete('/sessions/:sessionId', userAuth, sessionController.deleteUserSession);
+router.post('/:sessionId/init', userAuth, validateSessionOwner, sessionController.initSession);
 router.get('/:sessionId/status', validateSession, sessionController.getStatus);
 router.get('/:sessionId/qr', validateSession, sessionController.getQrCode);
 router.get('/:sessionId/pairing-code', userAuth, validateSession, sessionController.getPairingCode);
 router.post('/:sessionId/logout', userAuth, validateSession, sessionController.logout);
 router.get('/:sessionId/info', userAuth, validateSession, sessionController.getInfo);
+router.get('/:sessionId/events', eventStreamAuth, validateSessionOwnerStrict, sessionController.streamEvents);
+router.get('/:sessionId/health', userAuth, validateSessionOwnerStrict, sessionController.getSessionHealth);
 
 // Messaging Routes
 router.post('/:sessionId/send', userAuth, validateSession, whatsappController.sendText);
-router.post('/:sessionId/send-media', userAuth, validateSession, whatsappController.sendMedia);
+router.post('/:sessionId/send-media', userAuth, validateSession, mediaUpload, whatsappController.sendMedia);
+router.post('/:sessionId/send-interactive', userAuth, validateSession, whatsappController.sendInteractive);
 router.post('/:sessionId/send-bulk', userAuth, validateSession, whatsappController.sendBulk);
+router.post('/:sessionId/messages/:messageId/reply', userAuth, validateSession, whatsappController.replyMessage);
+router.put('/:sessionId/messages/:messageId', userAuth, validateSession, whatsappController.editMessage);
+router.delete('/:sessionId/messages/:messageId', userAuth, validateSession, whatsappController.revokeMessage);
+router.post('/:sessionId/check-numbers', userAuth, validateSession, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), whatsappController.checkNumbers);
+router.get('/:sessionId/check-numbers/:jobId', userAuth, validateSessionOwner, whatsappController.getNumberCheck);
 router.post('/:sessionId/notify/payment-confirmation', userAuth, validateSession, whatsappController.sendPaymentConfirmation);
 router.get('/logs', userAuth, whatsappController.getLogs);
 
+// Outbound Queue Routes (work while the session is offline)
+router.get('/:sessionId/jobs/:jobId', userAuth, validateSessionOwner, whatsappController.getJob);
+router.post('/:sessionId/jobs/:jobId/cancel', userAuth, validateSessionOwner, whatsappController.cancelJob);
+router.get('/:sessionId/bulk/:batchId', userAuth, validateSessionOwner, whatsappController.getBatch);
+router.get('/:sessionId/messages/:messageId/status', userAuth, validateSessionOwner, whatsappController.getMessageStatus);
+router.get('/:sessionId/polls/:messageId', userAuth, validateSessionOwner, whatsappController.getPollResults);
+router.get('/:sessionId/queue/config', userAuth, validateSessionOwner, whatsappController.getQueueConfig);
+router.put('/:sessionId/queue/config', userAuth, validateSessionOwner, whatsappController.updateQueueConfig);
+router.get('/:sessionId/sending-policy', userAuth, validateSessionOwner, whatsappController.getSendingPolicy);
+router.put('/:sessionId/sending-policy', userAuth, validateSessionOwner, whatsappController.updateSendingPolicy);
+router.post('/:sessionId/sending-policy/cooldown/clear', userAuth, validateSessionOwner, whatsappController.clearSendingCooldown);
+
+// Media Library Routes
+router.get('/:sessionId/media', userAuth, validateSessionOwner, whatsappController.listMedia);
+router.post('/:sessionId/media', userAuth, validateSessionOwner, mediaUpload, whatsappController.uploadMedia);
+router.delete('/:sessionId/media/:mediaId', userAuth, validateSessionOwner, whatsappController.deleteMedia);
+
+// Scheduled Messages Routes
+router.get('/:sessionId/schedules', userAuth, validateSessionOwner, whatsappController.listSchedules);
+router.post('/:sessionId/schedules', userAuth, validateSessionOwner, whatsappController.createSchedule);
+router.get('/:sessionId/schedules/:id', userAuth, validateSessionOwner, whatsappController.getSchedule);
+router.put('/:sessionId/schedules/:id', userAuth, validateSessionOwner, whatsappController.updateSchedule);
+router.delete('/:sessionId/schedules/:id', userAuth, validateSessionOwner, whatsappController.cancelSchedule);
+
+// Campaign Routes
+router.get('/:sessionId/campaigns', userAuth, validateSessionOwner, whatsappController.listCampaigns);
+router.post('/:sessionId/campaigns', userAuth, validateSessionOwner, whatsappController.createCampaign);
+router.get('/:sessionId/campaigns/:id', userAuth, validateSessionOwner, whatsappController.getCampaign);
+router.get('/:sessionId/campaigns/:id/recipients', userAuth, validateSessionOwner, whatsappController.listCampaignRecipients);
+router.post('/:sessionId/campaigns/:id/start', userAuth, validateSessionOwner, whatsappController.startCampaign);
+router.post('/:sessionId/campaigns/:id/pause', userAuth, validateSessionOwner, whatsappController.pauseCampaign);
+router.post('/:sessionId/campaigns/:id/resume', userAuth, validateSessionOwner, whatsappController.resumeCampaign);
+router.post('/:sessionId/campaigns/:id/cancel', userAuth, validateSessionOwner, whatsappController.cancelCampaign);
+
+// Status (story) Routes
+router.get('/:sessionId/status-posts', userAuth, validateSessionOwner, whatsappController.listStatusPosts);
+router.post('/:sessionId/status-posts', userAuth, validateSessionOwner, whatsappController.createStatusPost);
+router.get('/:sessionId/status-posts/:id', userAuth, validateSessionOwner, whatsappController.getStatusPost);
+router.delete('/:sessionId/status-posts/:id', userAuth, validateSessionOwner, whatsappController.cancelStatusPost);
+
+// Inbox Routes (human agents)
+router.get('/:sessionId/inbox', userAuth, validateSessionOwnerStrict, whatsappController.listChats);
+router.get('/:sessionId/inbox/:jid/messages', userAuth, validateSessionOwnerStrict, whatsappController.listChatMessages);
+router.get('/:sessionId/inbox/:jid/messages/:messageId/media', userAuth, validateSessionOwnerStrict, whatsappController.downloadChatMedia);
+router.post('/:sessionId/inbox/:jid/read', userAuth, validateSessionOwnerStrict, validateSession, whatsappController.markChatRead);
+router.post('/:sessionId/inbox/:jid/reply', userAuth, validateSessionOwnerStrict, validateSession, whatsappController.replyToChat);
+
+// Group Routes
+router.get('/:sessionId/groups', userAuth, validateSession, whatsappController.listGroups);
+router.post('/:sessionId/groups', userAuth, validateSession, whatsappController.createGroup);
+router.get('/:sessionId/groups/:groupId', userAuth, validateSession, whatsappController.getGroup);
+router.put('/:sessionId/groups/:groupId', userAuth, validateSession, whatsappController.updateGroup);
+router.post('/:sessionId/groups/:groupId/participants', userAuth, validateSession, whatsappController.updateParticipants);
+router.get('/:sessionId/groups/:groupId/invite', userAuth, validateSession, whatsappController.getInviteLink);
+router.post('/:sessionId/groups/:groupId/invite/revoke', userAuth, validateSession, whatsappController.revokeInviteLink);
+router.post('/:sessionId/groups/:groupId/leave', userAuth, validateSession, whatsappController.leaveGroup);
+
+// Webhook Routes
+router.get('/:sessionId/webhooks', userAuth, validateSessionOwnerStrict, whatsappController.listWebhooks);
+router.post('/:sessionId/webhooks', userAuth, validateSessionOwnerStrict, whatsappController.createWebhook);
+router.get('/:sessionId/webhooks/deliveries/:deliveryId', userAuth, validateSessionOwnerStrict, whatsappController.getDelivery);
+router.post('/:sessionId/webhooks/deliveries/:deliveryId/replay', userAuth, validateSessionOwnerStrict, whatsappController.replayDelivery);
+router.put('/:sessionId/webhooks/:id', userAuth, validateSessionOwnerStrict, whatsappController.updateWebhook);
+router.delete('/:sessionId/webhooks/:id', userAuth, validateSessionOwnerStrict, whatsappController.deleteWebhook);
+router.get('/:sessionId/webhooks/:id/deliveries', userAuth, validateSessionOwnerStrict, whatsappController.listDeliveries);
+
 // Config & Stats Routes (PROTECTED BY USER AUTH)
-router.get('/stats/history', userAuth, configController.getStats);
-router.get('/config/prompts', userAuth, configController.getPrompts);
-router.post('/config/prompts', userAuth, configController.upsertPrompt);
-router.post('/config/prompts/activate', userAuth, configController.activatePrompt);
-router.put('/config/prompts/:id', userAuth, configController.updatePrompt);
-router.delete('/config/prompts/:id', userAuth, configController.deletePrompt);
-
-router.get('/config/contacts', userAuth, configController.getContacts);
-router.post('/config/contacts', userAuth, configController.addContact);
-router.put('/config/contacts/:jid', userAuth, configController.updateContact);
-router.delete('/config/contacts/:jid', userAuth, configController.deleteContact);
-router.post('/config/target-mode', userAuth, configController.updateTargetMode);
+router.get('/stats/history', userAuth, sessionScope, configController.getStats);
+router.get('/config/prompts', userAuth, sessionScope, configController.getPrompts);
+router.post('/config/prompts', userAuth, sessionScope, configController.upsertPrompt);
+router.post('/config/prompts/activate', userAuth, sessionScope, configController.activatePrompt);
+router.put('/config/prompts/:id', userAuth, sessionScope, configController.updatePrompt);
+router.delete('/config/prompts/:id', userAuth, sessionScope, configController.deletePrompt);
+
+router.get('/config/contacts', userAuth, sessionScope, configController.getContacts);
+router.post('/config/contacts', userAuth, sessionScope, configController.addContact);
+router.put('/config/contacts/:jid', userAuth, sessionScope, configController.updateContact);
+router.delete('/config/contacts/:jid', userAuth, sessionScope, configController.deleteContact);
+router.post('/config/target-mode', userAuth, sessionScope, configController.updateTargetMode);
+
+// Human Takeover Routes (AI paused per chat)
+router.get('/config/takeover', userAuth, sessionScope, configController.getPausedChats);
+router.post('/config/takeover/:jid/pause', userAuth, sessionScope, configController.pauseChat);
+router.post('/config/takeover/:jid/resume', userAuth, sessionScope, configController.resumeChat);
+
+// Audience Routes (contact tags & broadcast opt-outs)
+router.get('/config/contact-tags', userAuth, configController.getContactTags);
+router.get('/config/contact-tags/:tag', userAuth, configController.getTaggedContacts);
+router.post('/config/contact-tags/:tag', userAuth, configController.tagContacts);
+router.delete('/config/contact-tags/:tag', userAuth, configController.untagContacts);
+router.get('/config/opt-outs', userAuth, configController.getOptOuts);
+router.post('/config/opt-outs', userAuth, configController.addOptOuts);
+router.delete('/config/opt-outs/:jid', userAuth, configController.removeOptOut);
+
+// Message Template Routes
+router.get('/config/templates', userAuth, configController.getTemplates);
+router.post('/config/templates', userAuth, configController.createTemplate);
+router.post('/config/templates/render', userAuth, configController.renderTemplate);
+router.get('/config/templates/:id', userAuth, configController.getTemplate);
+router.put('/config/templates/:id', userAuth, configController.updateTemplate);
+router.delete('/config/templates/:id', userAuth, configController.deleteTemplate);
+router.post('/config/templates/:id/render', userAuth, configController.renderTemplate);
+
+// Call Log Routes
+router.get('/config/calls', userAuth, configController.getCallLogs);
 
 // Blocked Attempts Routes
 router.get('/config/blocked', userAuth, configController.getBlockedAttempts);
-router.post('/config/blocked/whitelist', userAuth, configController.whitelistBlockedAttempt);
+router.post('/config/blocked/whitelist', userAuth, sessionScope, configController.whitelistBlockedAttempt);
 router.post('/config/blocked/delete', userAuth, configController.deleteBlockedAttempt);
 
-router.get('/history/:jid', userAuth, configController.getHistory);
-router.post('/history/delete', userAuth, configController.deleteHistory);
+router.get('/history/:jid', userAuth, sessionScope, configController.getHistory);
+router.post('/history/delete', userAuth, sessionScope, configController.deleteHistory);
 router.post('/account/wipe/otp', userAuth, configController.requestWipeOtp);
 router.post('/account/wipe', userAuth, configController.wipeAccountData);
-router.get('/config/prompt', userAuth, configController.getSystemPrompt);
-router.post('/config/prompt', userAuth, configController.updateSystemPrompt);
+router.get('/config/prompt', userAuth, sessionScope, configController.getSystemPrompt);
+router.post('/config/prompt', userAuth, sessionScope, configController.updateSystemPrompt);
 
 // API Keys Routes (PROTECTED BY USER AUTH)
 router.get('/config/keys', userAuth, configController.getKeys);
@@ -54,7 +159,7 @@ router.post('/config/keys', userAuth, configController.addKey);
 router.put('/config/keys/:id', userAuth, configController.updateKey);
 router.delete('/config/keys/:id', userAuth, configController.deleteKey);
 router.patch('/config/keys/:id/activate', userAuth, configController.activateKey);
-router.get('/config/ai-controls', userAuth, configController.getAIControls);
-router.put('/config/ai-controls', userAuth, configController.updateAIControls);
+router.get('/config/ai-controls', userAuth, sessionScope, configController.getAIControls);
+router.put('/config/ai-controls', userAuth, sessionScope, configController.updateAIControls);
 
 module.exports = router;
@@ -1,4 +1,14 @@
-﻿function getMessageText(message) {
+﻿function getNativeFlowReplyId(response) {
+  const paramsJson = response?.nativeFlowResponseMessage?.paramsJson;
+  if (!paramsJson) return response?.body?.text || "";
+  try {
+    return JSON.parse(paramsJson).id || response?.body?.text || "";
+  } catch (e) {
+    return response?.body?.text || "";
+  }
+}
+
+function getMessageText(message) {
   if (!message) return "";
   return (
     message.conversation ||
@@ -7,6 +17,8 @@
     message.videoMessage?.caption ||
     message.buttonsResponseMessage?.selectedButtonId ||
     message.listResponseMessage?.singleSelectReply?.selectedRowId ||
+    message.templateButtonReplyMessage?.selectedId ||
+    getNativeFlowReplyId(message.interactiveResponseMessage) ||
     ""
   );
 }
@@ -1,19 +1,20 @@
 async function checkAndSendProactiveMessage({
   sessionId,
   socket,
-  UUID_REGEX,
+  userId,
   configService,
   paymentService,
   historyService,
   geminiService,
+  takeoverService,
+  whatsappService,
   systemPromptSuffix,
   nudgePrompt,
 }) {
-  const userId = UUID_REGEX.test(sessionId) ? sessionId : null;
   if (!userId) return;
 
   try {
-    const controls = await configService.getAIControls(userId);
+    const controls = await configService.getAIControls(userId, sessionId);
     if (!controls.is_proactive_enabled) return;
 
     // Check subscription supports proactive & has tokens
@@ -25,7 +26,8 @@ async function checkAndSendProactiveMessage({
     const displayName = await configService.getUserDisplay(userId);
 
     // Get all chats for this user to find candidates
-    const chats = await historyService.getAllChatStats(userId);
+    const chats = await historyService.getAllChatStats(userId, sessionId);
+    const pauses = await takeoverService.listPauses(userId, sessionId);
     const now = new Date();
     let nudgeCount = 0;
     const maxPerCycle = controls.proactive_max_per_cycle || 3;
@@ -39,13 +41,16 @@ async function checkAndSendProactiveMessage({
         break;
       }
 
+      // A human is handling this chat
+      if (pauses.has(chat.jid)) continue;
+
       const lastActive = new Date(chat.last_active);
       const diffMins = (now - lastActive) / (1000 * 60);
 
       // If last message was from user and it's been more than threshold but less than 24h
       const idleThresholdMins = controls.proactive_idle_threshold_mins || 60;
       if (diffMins > idleThresholdMins && diffMins < 1440) {
-        const history = await historyService.getHistory(chat.jid, userId);
+        const history = await historyService.getHistory(chat.jid, userId, sessionId);
         if (history.length > 0 && history[history.length - 1].role === "user") {
           // Item #6: Re-check token balance before each nudge
           const hasTokensNow = await paymentService.hasEnoughTokens(userId, 5);
@@ -61,7 +66,7 @@ async function checkAndSendProactiveMessage({
           );
 
           const systemPrompt =
-            (await configService.getSystemPrompt(userId)) + systemPromptSuffix;
+            (await configService.getSystemPrompt(userId, sessionId)) + systemPromptSuffix;
 
           const formattedHistory = historyService.formatForPrompt(history);
           const activeKeyConfig = await configService.getGeminiApiKey(userId);
@@ -79,7 +84,16 @@ async function checkAndSendProactiveMessage({
             },
           );
 
-          await socket.sendMessage(chat.jid, { text: aiResponse });
+          const sent = await whatsappService.sendFormattedText(socket, chat.jid, aiResponse, {
+            markdown: controls.reply_format_markdown,
+            split: controls.reply_split_enabled,
+            maxLength: controls.reply_split_max_chars,
+            typing: controls.reply_typing_enabled,
+          });
+          if (!sent.success) {
+            console.error(`❌ [AI-Bot][Proactive] Failed to send nudge to ${chat.jid}:`, sent.error);
+            continue;
+          }
 
           // Deduct 5 tokens for proactive nudge
           await paymentService.deductTokens(
@@ -98,8 +112,10 @@ async function checkAndSendProactiveMessage({
               role: "model",
               content: aiResponse,
               isProactive: true,
+              messageId: sent.messageId,
             },
             userId,
+            sessionId,
           );
         }
       }
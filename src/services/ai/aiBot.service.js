@@ -3,6 +3,9 @@ const whatsappService = require("../whatsapp/whatsapp.service");
 const historyService = require("../common/history.service");
 const configService = require("../common/config.service");
 const sessionManager = require("../whatsapp/session.manager");
+const sessionRegistry = require("../whatsapp/sessionRegistry.service");
+const groupService = require("../whatsapp/group.service");
+const takeoverService = require("./aiTakeover.service");
 const supabase = require("../../config/supabase");
 const logService = require("../common/log.service");
 const { checkAndSendProactiveMessage } = require("./aiBot.proactive");
@@ -52,6 +55,80 @@ class AIBotService {
     }
   }
 
+  resolveUserId(sessionId) {
+    // The account's UUID session or one of its registered numbers
+    const ownerId = sessionRegistry.getCachedOwner(sessionId);
+    if (ownerId) return ownerId;
+    return sessionManager.getSession(sessionId)?.userId || null;
+  }
+
+  /**
+   * Human takeover: pause AI replies in a chat a human just answered
+   * (manual reply from the phone or an agent reply through the API)
+   * @returns {Promise<object|null>} the pause, or null when takeover is disabled
+   */
+  async pauseForManualReply(sessionId, remoteJid, reason = "manual_reply") {
+    const userId = this.resolveUserId(sessionId);
+    if (!userId) return null;
+
+    const controls = await configService.getAIControls(userId, sessionId);
+    if (!controls.takeover_enabled) return null;
+
+    const pause = await takeoverService.pause(userId, remoteJid, sessionId, {
+      minutes: controls.takeover_pause_mins,
+      reason,
+    });
+    console.log(
+      `✋ [AI-Bot][${sessionId}] Human took over ${remoteJid}. AI paused ${pause.paused_until ? `until ${pause.paused_until}` : "until resumed"}.`,
+    );
+    logService.info(userId, sessionId, `AI paused for ${remoteJid} (${reason}).`);
+    return pause;
+  }
+
+  /**
+   * Messages typed by the owner on their phone ('notify' upserts with fromMe).
+   * Messages sent by this server arrive as 'append' and never get here.
+   */
+  async handleOwnerMessage(sessionId, socket, msg) {
+    const remoteJid = msg.key.remoteJid;
+    if (!remoteJid || remoteJid === "status@broadcast") return;
+    if (!msg.message || msg.message.protocolMessage || msg.message.reactionMessage) return;
+
+    const userId = this.resolveUserId(sessionId);
+    if (!userId) return;
+
+    const messageText = getMessageText(msg.message);
+    const command = takeoverService.parseCommand(messageText);
+
+    if (command === "resume") {
+      await takeoverService.resume(userId, remoteJid, sessionId);
+      console.log(`▶️ [AI-Bot][${sessionId}] Owner resumed AI for ${remoteJid}.`);
+      logService.info(userId, sessionId, `AI resumed for ${remoteJid} by owner command.`);
+      return;
+    }
+    if (command === "pause") {
+      await takeoverService.pause(userId, remoteJid, sessionId, { minutes: null, reason: "owner_command" });
+      console.log(`⏸️ [AI-Bot][${sessionId}] Owner paused AI for ${remoteJid} until resumed.`);
+      logService.info(userId, sessionId, `AI paused for ${remoteJid} by owner command.`);
+      return;
+    }
+
+    const pause = await this.pauseForManualReply(sessionId, remoteJid);
+    if (!pause) return;
+
+    // Keep the owner's answer in the AI context for when the chat is resumed
+    const controls = await configService.getAIControls(userId, sessionId);
+    if (controls.history_enabled && messageText) {
+      await historyService.saveMessage(
+        remoteJid,
+        null,
+        { role: "model", content: messageText, messageId: msg.key.id, isManual: true },
+        userId,
+        sessionId,
+      );
+    }
+  }
+
   async handleIncomingMessage(sessionId, socket, msg, isBypassModeratorCheck = false) {
     if (msg.key.fromMe) return;
 
@@ -59,14 +136,12 @@ class AIBotService {
     if (!remoteJid || remoteJid === "status@broadcast") return;
 
     const session = sessionManager.getSession(sessionId);
-    const userId = UUID_REGEX.test(sessionId)
-      ? sessionId
-      : session?.userId || null;
+    const userId = this.resolveUserId(sessionId);
 
     if (!userId && sessionId !== "wa-bot-ai") return;
 
     // ── LOAD CONTROLS EARLY (feature gating) ──
-    const controls = await configService.getAIControls(userId);
+    const controls = await configService.getAIControls(userId, sessionId);
     
 
     const isGroup = remoteJid.endsWith("@g.us");
@@ -151,7 +226,7 @@ class AIBotService {
       return await moderatorBot.handle(sessionId, socket, msg);
     }
 
-    const isAllowed = await configService.isContactAllowed(remoteJid, userId);
+    const isAllowed = await configService.isContactAllowed(remoteJid, userId, sessionId);
     if (!isAllowed) {
       let logName = isGroup
         ? `Grup (${remoteJid.split("@")[0].substring(0, 10)}...)`
@@ -163,7 +238,7 @@ class AIBotService {
           );
           // Race against 5s timeout to prevent hanging the AI pipeline
           const metadata = await Promise.race([
-            socket.groupMetadata(remoteJid),
+            groupService.getMetadata(sessionId, socket, remoteJid),
             new Promise((_, reject) =>
               setTimeout(
                 () => reject(new Error("Timeout fetching metadata")),
@@ -221,6 +296,23 @@ class AIBotService {
       }
     }
 
+    // ── HUMAN TAKEOVER: a person is handling this chat ──
+    if (await takeoverService.isPaused(userId, remoteJid, sessionId)) {
+      console.log(
+        `✋ [AI-Bot][${displayName}] AI paused for ${remoteJid} (human takeover). Skipping.`,
+      );
+      if (controls.history_enabled && messageText) {
+        await historyService.saveMessage(
+          remoteJid,
+          msg.pushName || null,
+          { role: "user", content: messageText, messageId: msg.key.id },
+          userId,
+          sessionId,
+        );
+      }
+      return;
+    }
+
     const messageType = msg.message ? Object.keys(msg.message)[0] : null;
     // messageText is already defined above
 
@@ -424,7 +516,7 @@ class AIBotService {
     let pushName = msg.pushName || "User";
     if (isGroup) {
       try {
-        const metadata = await socket.groupMetadata(remoteJid);
+        const metadata = await groupService.getMetadata(sessionId, socket, remoteJid);
         pushName = metadata.subject || pushName;
       } catch (e) { }
     }
@@ -448,7 +540,7 @@ class AIBotService {
     );
 
     const isPacarZaky = cleanSender.includes("6288293473765");
-    let systemPrompt = await configService.getSystemPrompt(userId);
+    let systemPrompt = await configService.getSystemPrompt(userId, sessionId);
 
     // --- NEW: INJECT AI CAPABILITIES KNOWLEDGE ---
     if (controls.media_receive_enabled) {
@@ -481,7 +573,7 @@ class AIBotService {
     const ownerName = session?.displayName || "Bang Zaky";
 
     const rawHistory = controls.history_enabled
-      ? await historyService.getHistory(remoteJid, userId)
+      ? await historyService.getHistory(remoteJid, userId, sessionId)
       : [];
     const maxMsgs = controls.history_max_messages || 50; // Increased default from 10 to 50
     const history = rawHistory.slice(-maxMsgs);
@@ -551,8 +643,16 @@ class AIBotService {
       }
 
       // Send textual response if not empty
+      let sentReply = null;
       if (cleanResponse) {
-        await socket.sendMessage(remoteJid, { text: cleanResponse });
+        const sent = await whatsappService.sendFormattedText(socket, remoteJid, cleanResponse, {
+          markdown: controls.reply_format_markdown,
+          split: controls.reply_split_enabled,
+          maxLength: controls.reply_split_max_chars,
+          typing: controls.reply_typing_enabled,
+        });
+        if (!sent.success) throw new Error(`Failed to send reply: ${sent.error}`);
+        sentReply = { key: { id: sent.messageId } };
       }
 
       const axios = require("axios");
@@ -672,14 +772,22 @@ class AIBotService {
               fullMessageText || `[Sent ${mediaRecord?.file_type || "Media"}]`,
             mediaUrl: mediaRecord?.public_url,
             mediaType: mediaRecord?.file_type,
+            messageId: msg.key.id,
           },
           userId,
+          sessionId,
         );
         await historyService.saveMessage(
           remoteJid,
           "AI Assistant",
-          { role: "model", content: aiResponse, latency },
+          {
+            role: "model",
+            content: aiResponse,
+            latency,
+            messageId: sentReply?.key?.id,
+          },
           userId,
+          sessionId,
         );
       }
     } catch (error) {
@@ -706,11 +814,14 @@ class AIBotService {
     return checkAndSendProactiveMessage({
       sessionId,
       socket,
-      UUID_REGEX,
+      // Only user sessions (the account's UUID or one of its registered numbers)
+      userId: sessionRegistry.getCachedOwner(sessionId),
       configService,
       paymentService,
       historyService,
       geminiService,
+      takeoverService,
+      whatsappService,
       systemPromptSuffix: PROACTIVE_SYSTEM_PROMPT_SUFFIX,
       nudgePrompt: PROACTIVE_NUDGE_PROMPT,
     });
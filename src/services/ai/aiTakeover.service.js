@@ -0,0 +1,169 @@
+const supabase = require("../../config/supabase");
+
+// Pauses belong to one of the user's sessions ('' = primary)
+const scopeOf = (userId, sessionId) => require("../whatsapp/sessionRegistry.service").scopeOf(userId, sessionId);
+
+// Typed by the owner in a chat to hand it back to (or take it from) the AI
+const RESUME_COMMANDS = ["/ai on", "#ai on"];
+const PAUSE_COMMANDS = ["/ai off", "#ai off"];
+
+/**
+ * AI Takeover Service
+ * Tracks chats where a human took over from the AI. A pause is created when
+ * the owner replies manually from their phone (or through the API) and ends
+ * when `paused_until` passes or the chat is resumed. `paused_until = null`
+ * means paused until resumed explicitly. Pauses are per number: a reply on
+ * one of the user's sessions does not silence the AI on the others.
+ */
+class AITakeoverService {
+  constructor() {
+    const configService = require("../common/config.service");
+    this.tableName = configService.getTableName("wa_ai_pauses");
+    // `${userId}:${scope}:${jid}` -> pause row or null (no pause), refreshed on write
+    this.cache = new Map();
+    this.cacheLimit = 10000;
+  }
+
+  _cacheKey(userId, jid, sessionId) {
+    return `${userId}:${scopeOf(userId, sessionId)}:${jid}`;
+  }
+
+  _setCached(key, pause) {
+    // Map order doubles as age order: drop the oldest entries beyond the limit
+    this.cache.delete(key);
+    this.cache.set(key, pause);
+    while (this.cache.size > this.cacheLimit) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  _isActive(pause) {
+    return !!pause && (!pause.paused_until || new Date(pause.paused_until) > new Date());
+  }
+
+  /**
+   * Classify a manual owner message: "resume", "pause" (indefinite) or null
+   */
+  parseCommand(text) {
+    const command = (text || "").trim().toLowerCase();
+    if (RESUME_COMMANDS.includes(command)) return "resume";
+    if (PAUSE_COMMANDS.includes(command)) return "pause";
+    return null;
+  }
+
+  /**
+   * Active pause for a chat, or null
+   */
+  async getPause(userId, jid, sessionId = null) {
+    const key = this._cacheKey(userId, jid, sessionId);
+    if (this.cache.has(key)) {
+      const cached = this.cache.get(key);
+      return this._isActive(cached) ? cached : null;
+    }
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select("jid, paused_at, paused_until, reason")
+      .eq("user_id", userId)
+      .eq("session_id", scopeOf(userId, sessionId))
+      .eq("jid", jid)
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ [AI-Takeover] Failed to read pause for ${jid}:`, error.message);
+      return null;
+    }
+
+    this._setCached(key, data || null);
+    return this._isActive(data) ? data : null;
+  }
+
+  async isPaused(userId, jid, sessionId = null) {
+    if (!userId) return false;
+    return !!(await this.getPause(userId, jid, sessionId));
+  }
+
+  /**
+   * Pause AI replies for a chat
+   * @param {string} userId
+   * @param {string} jid
+   * @param {string|null} sessionId - session the chat belongs to (null = primary)
+   * @param {object} options - { minutes (0/null = until resumed), reason }
+   */
+  async pause(userId, jid, sessionId = null, { minutes = null, reason = "manual_reply" } = {}) {
+    const now = new Date();
+    const row = {
+      user_id: userId,
+      session_id: scopeOf(userId, sessionId),
+      jid,
+      paused_at: now.toISOString(),
+      paused_until: minutes > 0 ? new Date(now.getTime() + minutes * 60 * 1000).toISOString() : null,
+      reason,
+    };
+
+    const { error } = await supabase
+      .from(this.tableName)
+      .upsert(row, { onConflict: "user_id,jid,session_id" });
+
+    if (error) throw error;
+
+    const pause = { jid, paused_at: row.paused_at, paused_until: row.paused_until, reason };
+    this._setCached(this._cacheKey(userId, jid, sessionId), pause);
+    return pause;
+  }
+
+  /**
+   * Resume AI replies for a chat
+   * @returns {Promise<boolean>} whether the chat was paused
+   */
+  async resume(userId, jid, sessionId = null) {
+    const wasPaused = await this.isPaused(userId, jid, sessionId);
+
+    const { error } = await supabase
+      .from(this.tableName)
+      .delete()
+      .eq("user_id", userId)
+      .eq("session_id", scopeOf(userId, sessionId))
+      .eq("jid", jid);
+
+    if (error) throw error;
+
+    this._setCached(this._cacheKey(userId, jid, sessionId), null);
+    return wasPaused;
+  }
+
+  /**
+   * Active pauses of one of the user's sessions, keyed by jid (used to
+   * annotate contacts and stats)
+   * @returns {Promise<Map<string, object>>}
+   */
+  async listPauses(userId, sessionId = null) {
+    if (!userId || userId === "null") return new Map();
+
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select("jid, paused_at, paused_until, reason")
+      .eq("user_id", userId)
+      .eq("session_id", scopeOf(userId, sessionId));
+
+    if (error) {
+      console.error(`❌ [AI-Takeover] Failed to list pauses:`, error.message);
+      return new Map();
+    }
+
+    return new Map((data || []).filter((p) => this._isActive(p)).map((p) => [p.jid, p]));
+  }
+
+  /**
+   * Takeover fields merged into contact / chat stat rows
+   */
+  describe(pause) {
+    return {
+      ai_paused: !!pause,
+      ai_paused_until: pause?.paused_until || null,
+      ai_pause_reason: pause?.reason || null,
+    };
+  }
+}
+
+module.exports = new AITakeoverService();
@@ -1,15 +1,18 @@
 ﻿const supabase = require('../../../config/supabase');
 
-async function getTargetMode(userId = null) {
+// Contacts belong to one of the user's sessions ('' = primary)
+const scopeOf = (userId, sessionId) => require('../../whatsapp/sessionRegistry.service').scopeOf(userId, sessionId);
+
+async function getTargetMode(userId = null, sessionId = null) {
     if (!userId || userId === 'null') return 'all';
-    const settingKey = `target_mode:${userId}`;
+    const settingKey = `target_mode:${scopeOf(userId, sessionId) || userId}`;
     const setting = await this.getSetting(settingKey);
     return setting?.mode || 'all';
 }
 
-async function isContactAllowed(jid, userId = null) {
+async function isContactAllowed(jid, userId = null, sessionId = null) {
     if (!userId || userId === 'null') return false;
-    const mode = await this.getTargetMode(userId);
+    const mode = await this.getTargetMode(userId, sessionId);
     if (mode === 'all') return true;
 
     const incomingId = jid.split('@')[0];
@@ -19,6 +22,7 @@ async function isContactAllowed(jid, userId = null) {
         .from(this.contactsTable)
         .select('jid, is_allowed')
         .eq('user_id', userId)
+        .eq('session_id', scopeOf(userId, sessionId))
         .eq('is_allowed', true)
         .order('created_at', { ascending: true });
 
@@ -38,32 +42,34 @@ async function isContactAllowed(jid, userId = null) {
     });
 }
 
-async function getAllowedContacts(userId = null) {
+async function getAllowedContacts(userId = null, sessionId = null) {
     if (!userId || userId === 'null') return [];
     const { data } = await supabase
         .from(this.contactsTable)
         .select('*')
         .eq('user_id', userId)
+        .eq('session_id', scopeOf(userId, sessionId))
         .eq('is_allowed', true)
         .order('created_at', { ascending: true });
     return data || [];
 }
 
-async function addContact(jid, name, userId = null) {
+async function addContact(jid, name, userId = null, sessionId = null) {
     if (!userId || userId === 'null') return { error: "User ID required" };
     const cleanJid = jid.includes('@') ? jid : `${jid.replace(/\D/g, '')}@s.whatsapp.net`;
     return await supabase.from(this.contactsTable).upsert({
         jid: cleanJid,
         push_name: name,
         is_allowed: true,
-        user_id: userId
-    }, { onConflict: 'jid,user_id' });
+        user_id: userId,
+        session_id: scopeOf(userId, sessionId)
+    }, { onConflict: 'jid,user_id,session_id' });
 }
 
-async function removeContact(jid, userId = null) {
+async function removeContact(jid, userId = null, sessionId = null) {
     if (!userId || userId === 'null') return { error: "User ID required" };
     const cleanJid = jid.includes('@') ? jid : `${jid.replace(/\D/g, '')}@s.whatsapp.net`;
-    return await supabase.from(this.contactsTable).delete().eq('jid', cleanJid).eq('user_id', userId);
+    return await supabase.from(this.contactsTable).delete().eq('jid', cleanJid).eq('user_id', userId).eq('session_id', scopeOf(userId, sessionId));
 }
 
 module.exports = {
@@ -1,6 +1,9 @@
 ﻿const supabase = require('../../../config/supabase');
 
-async function getSystemPrompt(userId = null) {
+// Prompts belong to one of the user's sessions ('' = primary)
+const scopeOf = (userId, sessionId) => require('../../whatsapp/sessionRegistry.service').scopeOf(userId, sessionId);
+
+async function getSystemPrompt(userId = null, sessionId = null) {
     try {
         if (!userId || userId === 'null') return "Anda adalah asisten AI ramah.";
 
@@ -9,6 +12,7 @@ async function getSystemPrompt(userId = null) {
             .select('content')
             .eq('is_active', true)
             .eq('user_id', userId)
+            .eq('session_id', scopeOf(userId, sessionId))
             .limit(1)
             .single();
 
@@ -22,20 +26,27 @@ async function getSystemPrompt(userId = null) {
     }
 }
 
-async function getAllPrompts(userId = null) {
+async function getAllPrompts(userId = null, sessionId = null) {
     if (!userId || userId === 'null') return [];
     const { data } = await supabase
         .from(this.promptsTable)
         .select('*')
         .eq('user_id', userId)
+        .eq('session_id', scopeOf(userId, sessionId))
         .order('created_at', { ascending: false });
     return data || [];
 }
 
-async function setActivePrompt(id, userId = null) {
+async function setActivePrompt(id, userId = null, sessionId = null) {
     if (!userId || userId === 'null') return { error: "User ID required" };
-    await supabase.from(this.promptsTable).update({ is_active: false }).neq('id', id).eq('user_id', userId);
-    return await supabase.from(this.promptsTable).update({ is_active: true }).eq('id', id).eq('user_id', userId);
+    const scope = scopeOf(userId, sessionId);
+
+    // Activate first: a prompt of another number must not leave this one without an active prompt
+    const activated = await supabase.from(this.promptsTable).update({ is_active: true }).eq('id', id).eq('user_id', userId).eq('session_id', scope).select('id');
+    if (activated.error) return activated;
+    if (!activated.data || activated.data.length === 0) return { status: 404, error: { message: 'Prompt not found' } };
+
+    return await supabase.from(this.promptsTable).update({ is_active: false }).neq('id', id).eq('user_id', userId).eq('session_id', scope);
 }
 
 module.exports = {
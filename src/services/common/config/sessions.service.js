@@ -37,12 +37,17 @@ async function getAllUserSessions() {
     try {
         const { data } = await supabase.from(this.userSessionsTable).select('user_id, wa_session_id');
         const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-        return data?.map(s => {
+        const sessions = data?.map(s => {
             // Priority: user_id if it's a UUID (stable identifier for users)
             if (s.user_id && UUID_REGEX.test(s.user_id)) return s.user_id;
             // Fallback: wa_session_id for system sessions (CS-BOT, etc.)
             return s.wa_session_id || s.user_id;
         }).filter(id => id) || [];
+
+        // Extra numbers of an account live in the session registry
+        const sessionRegistry = require('../../whatsapp/sessionRegistry.service');
+        const extraSessions = await sessionRegistry.listActiveSessionIds().catch(() => []);
+        return [...sessions, ...extraSessions];
     } catch (err) { return []; }
 }
 
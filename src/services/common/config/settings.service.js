@@ -15,6 +15,21 @@ async function getSetting(id) {
     }
 }
 
+/**
+ * Like getSetting, but a failed read throws instead of looking like a missing setting
+ * @returns {Promise<any|null>} null only when the setting does not exist
+ */
+async function readSetting(id) {
+    const { data, error } = await supabase
+        .from(this.settingsTable)
+        .select('value')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw error;
+    return data?.value || null;
+}
+
 async function updateSetting(id, value) {
     try {
         const { error } = await supabase
@@ -40,6 +55,7 @@ async function incrementStat(key, userId = null) {
 
 module.exports = {
     getSetting,
+    readSetting,
     updateSetting,
     incrementStat
 };
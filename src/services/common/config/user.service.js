@@ -2,6 +2,9 @@ const supabase = require("../../../config/supabase");
 const paymentService = require("../../payment/payment.service");
 const moderatorGuard = require("../../moderator/moderatorGuard");
 
+// AI controls belong to one of the user's sessions ('' = primary)
+const scopeOf = (userId, sessionId) => require("../../whatsapp/sessionRegistry.service").scopeOf(userId, sessionId);
+
 async function getUserDisplay(userId) {
   try {
     if (!userId || userId === "null" || userId === "undefined") return "System";
@@ -27,7 +30,7 @@ async function getUserDisplay(userId) {
 }
 
 
-async function getAIControls(userId = null) {
+async function getAIControls(userId = null, sessionId = null) {
   const defaultControls = {
     is_ai_enabled: false, // Default to OFF until active session/package confirmed
     is_proactive_enabled: false,
@@ -40,16 +43,38 @@ async function getAIControls(userId = null) {
     group_trigger_mention: false,
     group_trigger_reply: false,
     group_trigger_keyword: false,
+    group_welcome_enabled: false, // Greet members who join a group
+    group_welcome_text: "Selamat datang {{mention}} di *{{group}}* 👋",
+    group_welcome_template_id: null,
+    group_goodbye_enabled: false, // Say goodbye to members who leave
+    group_goodbye_text: "Sampai jumpa {{mention}} 👋",
+    group_goodbye_template_id: null,
+    group_bot_role_notify: false, // Tell the owner when the bot is promoted, demoted or removed
+    group_events: {}, // Per group jid: { welcome_enabled, welcome_text, welcome_template_id, goodbye_... }
     history_enabled: true,
     history_max_messages: 100,
     proactive_idle_threshold_mins: 60,
     proactive_max_per_cycle: 1,
+    takeover_enabled: true, // Pause AI in a chat when the owner replies manually
+    takeover_pause_mins: 30, // 0 = until resumed
+    reply_format_markdown: true, // Convert the model's Markdown to WhatsApp formatting
+    reply_split_enabled: true, // Send long replies as several messages
+    reply_split_max_chars: 1000,
+    reply_typing_enabled: true, // Show "typing..." before each part, longer for longer parts
+    call_reject_enabled: false, // Auto-reject incoming WhatsApp calls
+    call_reject_voice: true,
+    call_reject_video: true,
+    call_reply_enabled: true, // Text the caller after rejecting
+    call_reply_text: "Maaf, nomor ini tidak dapat menerima panggilan. Silakan kirim pesan teks, kami akan segera membalas 🙏",
+    call_reply_template_id: null, // Message template used instead of call_reply_text
+    call_notify_owner: false, // Tell the owner about the call via CS-BOT
   };
 
   if (!userId || userId === "null") return defaultControls;
 
   try {
-    const key = `ai_controls:${userId}`;
+    // Each of the user's numbers has its own controls; the primary keeps the user id key
+    const key = `ai_controls:${scopeOf(userId, sessionId) || userId}`;
     const settings = await this.getSetting(key);
     const userFeatures = await paymentService.getUserFeatures(userId);
     const isModerator = await moderatorGuard.isModerator(userId);
@@ -70,6 +95,11 @@ async function getAIControls(userId = null) {
       if (!userFeatures.media_send_enabled) merged.media_send_enabled = false;
       if (!userFeatures.group_chat_enabled) merged.group_chat_enabled = false;
       if (!userFeatures.group_keyword_trigger) merged.group_trigger_keyword = false;
+      if (!userFeatures.group_events_enabled) {
+        merged.group_welcome_enabled = false;
+        merged.group_goodbye_enabled = false;
+        merged.group_bot_role_notify = false;
+      }
 
       if (userFeatures.history_retention_days === 0) {
         merged.history_enabled = false;
@@ -105,9 +135,9 @@ async function getAIControls(userId = null) {
   }
 }
 
-async function updateAIControls(userId, controls) {
+async function updateAIControls(userId, controls, sessionId = null) {
   if (!userId || userId === "null") return false;
-  const key = `ai_controls:${userId}`;
+  const key = `ai_controls:${scopeOf(userId, sessionId) || userId}`;
   return await this.updateSetting(key, controls);
 }
 
@@ -1,5 +1,8 @@
 const supabase = require('../../config/supabase');
 
+// Chats belong to one of the user's sessions ('' = primary)
+const scopeOf = (userId, sessionId) => require('../whatsapp/sessionRegistry.service').scopeOf(userId, sessionId);
+
 /**
  * History Service
  * Handles persistence of chat history in Supabase
@@ -13,7 +16,7 @@ class HistoryService {
         this.proactiveLimit = 7;
     }
 
-    async getHistory(jid, userId = null) {
+    async getHistory(jid, userId = null, sessionId = null) {
         if (!userId || userId === 'null') return [];
         try {
             const { data, error } = await supabase
@@ -21,6 +24,7 @@ class HistoryService {
                 .select('history')
                 .eq('jid', jid)
                 .eq('user_id', userId)
+                .eq('session_id', scopeOf(userId, sessionId))
                 .single();
 
             if (error) return [];
@@ -30,14 +34,15 @@ class HistoryService {
         }
     }
 
-    async saveMessage(jid, pushName, newMessage, userId = null) {
+    async saveMessage(jid, pushName, newMessage, userId = null, sessionId = null) {
         if (!userId || userId === 'null') return;
         try {
             const { data: existing } = await supabase
                 .from(this.tableName)
-                .select('history, msg_count, proactive_count')
+                .select('history, msg_count, proactive_count, push_name')
                 .eq('jid', jid)
                 .eq('user_id', userId)
+                .eq('session_id', scopeOf(userId, sessionId))
                 .single();
 
             let history = existing?.history || [];
@@ -54,7 +59,10 @@ class HistoryService {
                 media_url: newMessage.mediaUrl || null,
                 media_type: newMessage.mediaType || null,
                 is_proactive: newMessage.isProactive || false,
+                is_manual: newMessage.isManual || false,
                 latency: newMessage.latency || null,
+                message_id: newMessage.messageId || null,
+                reply_to: newMessage.replyTo || null,
                 timestamp: new Date().toISOString()
             });
 
@@ -64,29 +72,83 @@ class HistoryService {
 
             const upsertData = {
                 jid: jid,
-                push_name: pushName || 'Unknown User',
+                push_name: pushName || existing?.push_name || 'Unknown User',
                 history: history,
                 msg_count: msgCount,
                 proactive_count: proactiveCount,
                 last_sender: newMessage.role,
                 last_active: new Date().toISOString(),
-                user_id: userId
+                user_id: userId,
+                session_id: scopeOf(userId, sessionId)
             };
 
             await supabase
                 .from(this.tableName)
                 .upsert(upsertData, {
-                    onConflict: 'jid,user_id'
+                    onConflict: 'jid,user_id,session_id'
                 });
         } catch (err) {
             console.error(`âŒ [History Error] Save exception:`, err.message);
         }
     }
 
+    /**
+     * Find a single history entry by its WhatsApp message id
+     */
+    async findMessage(jid, messageId, userId = null, sessionId = null) {
+        if (!messageId) return null;
+        const history = await this.getHistory(jid, userId, sessionId);
+        return history.find(h => h.message_id === messageId) || null;
+    }
+
+    /**
+     * Patch a stored entry in place (used for edits and revokes)
+     * @param {object} options - { appendAs: { role, content } entry added first when the
+     *   message is not in the history (e.g. it was sent through the API) }
+     * @returns {Promise<boolean>} true if the entry was found or appended
+     */
+    async updateMessage(jid, messageId, changes, userId = null, sessionId = null, { appendAs = null } = {}) {
+        if (!userId || userId === 'null' || !messageId) return false;
+        const scope = scopeOf(userId, sessionId);
+        try {
+            const { data: existing } = await supabase
+                .from(this.tableName)
+                .select('history')
+                .eq('jid', jid)
+                .eq('user_id', userId)
+                .eq('session_id', scope)
+                .single();
+
+            const history = existing?.history || [];
+            const index = history.findIndex(h => h.message_id === messageId);
+            if (index === -1) {
+                if (!appendAs) return false;
+                await this.saveMessage(jid, null, { ...appendAs, messageId }, userId, sessionId);
+                return await this.updateMessage(jid, messageId, changes, userId, sessionId);
+            }
+
+            history[index] = { ...history[index], ...changes };
+
+            const { error } = await supabase
+                .from(this.tableName)
+                .update({ history })
+                .eq('jid', jid)
+                .eq('user_id', userId)
+                .eq('session_id', scope);
+
+            if (error) throw error;
+            return true;
+        } catch (err) {
+            console.error(`❌ [History Error] Update exception:`, err.message);
+            return false;
+        }
+    }
+
     formatForPrompt(history) {
         if (!history || history.length === 0) return "";
 
-        return history.map(h => {
+        // Messages revoked for everyone must not leak back into the AI context
+        return history.filter(h => !h.revoked).map(h => {
             const role = h.role === 'user' ? 'User' : 'Model';
             let content = h.content;
             if (h.media_url) {
@@ -96,13 +158,14 @@ class HistoryService {
         }).join('\n');
     }
 
-    async getAllChatStats(userId = null) {
+    async getAllChatStats(userId = null, sessionId = null) {
         if (!userId || userId === 'null') return [];
         try {
             const { data, error } = await supabase
                 .from(this.tableName)
                 .select('jid, push_name, msg_count, last_active, history')
                 .eq('user_id', userId)
+                .eq('session_id', scopeOf(userId, sessionId))
                 .order('last_active', { ascending: false });
 
             if (error) return [];
@@ -29,6 +29,10 @@ class LogService {
                 console.error(`[LogService] Failed to save log to DB: ${error.message}`);
             }
         });
+
+        // Live Log Monitor (event stream)
+        const sessionEvents = require('../whatsapp/session.events');
+        sessionEvents.publish(sessionId, 'log', { userId, level, message });
     }
 
     /**
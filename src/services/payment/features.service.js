@@ -15,6 +15,7 @@ async function getUserFeatures(userId) {
       max_prompts: isDev ? 5 : 0,
       max_contacts: isDev ? 10 : 0,
       max_api_keys: isDev ? 1 : 0,
+      max_sessions: isDev ? 2 : 1,
       proactive_enabled: false,
       max_delay_mins: 0,
       history_retention_days: 0,
@@ -27,8 +28,11 @@ async function getUserFeatures(userId) {
       media_receive_enabled: isDev ? true : false,
       media_save_enabled: isDev ? true : false,
       media_send_enabled: false,
+      media_max_upload_mb: isDev ? 16 : 5,
+      media_allowed_types: ["image", "document"],
       group_chat_enabled: isDev ? true : false,
       group_keyword_trigger: false,
+      group_events_enabled: isDev ? true : false,
       proactive_config_enabled: false,
       max_history_messages: isDev ? 1000 : 1000,
     };
@@ -41,6 +45,7 @@ async function getUserFeatures(userId) {
     max_prompts: features.max_prompts ?? 999,
     max_contacts: features.max_contacts ?? 999,
     max_api_keys: features.max_api_keys ?? 0,
+    max_sessions: features.max_sessions ?? 1,
     proactive_enabled: features.proactive_enabled ?? false,
     max_delay_mins: features.max_delay_mins ?? 5,
     history_retention_days: features.history_retention_days ?? 7,
@@ -50,8 +55,11 @@ async function getUserFeatures(userId) {
     media_receive_enabled: features.media_receive_enabled ?? true,
     media_save_enabled: features.media_save_to_cloud ?? false,
     media_send_enabled: features.media_send_enabled ?? false,
+    media_max_upload_mb: features.media_max_upload_mb ?? 16,
+    media_allowed_types: features.media_allowed_types ?? ["image", "video", "audio", "document"],
     group_chat_enabled: features.group_chat_enabled ?? false,
     group_keyword_trigger: features.group_trigger_keyword ?? false,
+    group_events_enabled: features.group_events ?? features.group_chat_enabled ?? false,
     proactive_config_enabled: features.proactive_config ?? false,
     max_history_messages: features.max_history_messages ?? 1000,
     package_name: sub.packages.display_name,
@@ -1,26 +1,11 @@
 ﻿const whatsappService = require('../whatsapp/whatsapp.service');
-const {
-    buildPaymentPendingMessage,
-    buildPaymentSuccessMessage,
-    buildPaymentFailedMessage
-} = require('./notification/payment.messages');
-const { buildTopupSuccessMessage } = require('./notification/topup.messages');
-const {
-    buildTokenLowMessage,
-    buildTokenDepletedMessage,
-    buildSubscriptionExpiredMessage,
-    buildSubscriptionExpiringSoonMessage
-} = require('./notification/token.messages');
-const {
-    buildRegistrationMessage,
-    buildLoginMessage
-} = require('./notification/auth.messages');
-const { buildTrialExpiringMessage } = require('./notification/trial.messages');
+const notificationTemplates = require('./notificationTemplates.service');
 
 /**
  * Notification Service
  * Sends WhatsApp notifications to users via CS-BOT session.
  * Handles payment status, token alerts, login/register, and system notifications.
+ * Texts come from notification/*.messages.js unless an admin overrode them.
  */
 class NotificationService {
     constructor() {
@@ -58,17 +43,17 @@ class NotificationService {
     // ═══════════════════════════════════════════
 
     async notifyPaymentPending(phone, userName, packageName, orderId) {
-        const message = buildPaymentPendingMessage(userName, packageName, orderId);
+        const message = await notificationTemplates.build('payment_pending', userName, packageName, orderId);
         return await this._send(phone, message);
     }
 
     async notifyPaymentSuccess(phone, userName, packageName, tokenAmount, expiresAt) {
-        const message = buildPaymentSuccessMessage(userName, packageName, tokenAmount, expiresAt);
+        const message = await notificationTemplates.build('payment_success', userName, packageName, tokenAmount, expiresAt);
         return await this._send(phone, message);
     }
 
     async notifyPaymentFailed(phone, userName, packageName) {
-        const message = buildPaymentFailedMessage(userName, packageName);
+        const message = await notificationTemplates.build('payment_failed', userName, packageName);
         return await this._send(phone, message);
     }
 
@@ -77,7 +62,7 @@ class NotificationService {
     // ═══════════════════════════════════════════
 
     async notifyTopupSuccess(phone, userName, tokenAmount, newBalance) {
-        const message = buildTopupSuccessMessage(userName, tokenAmount, newBalance);
+        const message = await notificationTemplates.build('topup_success', userName, tokenAmount, newBalance);
         return await this._send(phone, message);
     }
 
@@ -86,22 +71,22 @@ class NotificationService {
     // ═══════════════════════════════════════════
 
     async notifyTokenLow(phone, userName, balance) {
-        const message = buildTokenLowMessage(userName, balance);
+        const message = await notificationTemplates.build('token_low', userName, balance);
         return await this._send(phone, message);
     }
 
     async notifyTokenDepleted(phone, userName) {
-        const message = buildTokenDepletedMessage(userName);
+        const message = await notificationTemplates.build('token_depleted', userName);
         return await this._send(phone, message);
     }
 
     async notifySubscriptionExpired(phone, userName, packageName) {
-        const message = buildSubscriptionExpiredMessage(userName, packageName);
+        const message = await notificationTemplates.build('subscription_expired', userName, packageName);
         return await this._send(phone, message);
     }
 
     async notifySubscriptionExpiringSoon(phone, userName, packageName, daysLeft) {
-        const message = buildSubscriptionExpiringSoonMessage(userName, packageName, daysLeft);
+        const message = await notificationTemplates.build('subscription_expiring_soon', userName, packageName, daysLeft);
         return await this._send(phone, message);
     }
 
@@ -110,12 +95,12 @@ class NotificationService {
     // ═══════════════════════════════════════════
 
     async notifyRegistration(phone, userName) {
-        const message = buildRegistrationMessage(userName);
+        const message = await notificationTemplates.build('registration', userName);
         return await this._send(phone, message);
     }
 
     async notifyLogin(phone, userName) {
-        const message = buildLoginMessage(userName);
+        const message = await notificationTemplates.build('login', userName);
         return await this._send(phone, message);
     }
 
@@ -124,7 +109,34 @@ class NotificationService {
     // ═══════════════════════════════════════════
 
     async notifyTrialExpiring(phone, userName) {
-        const message = buildTrialExpiringMessage(userName);
+        const message = await notificationTemplates.build('trial_expiring', userName);
+        return await this._send(phone, message);
+    }
+
+    // ═══════════════════════════════════════════
+    // CALL NOTIFICATIONS
+    // ═══════════════════════════════════════════
+
+    async notifyIncomingCall(phone, userName, caller, callType, action) {
+        const message = await notificationTemplates.build('incoming_call', userName, caller, callType, action);
+        return await this._send(phone, message);
+    }
+
+    // ═══════════════════════════════════════════
+    // GROUP NOTIFICATIONS
+    // ═══════════════════════════════════════════
+
+    async notifyGroupRoleChanged(phone, userName, groupName, change) {
+        const message = await notificationTemplates.build('group_bot_role', userName, groupName, change);
+        return await this._send(phone, message);
+    }
+
+    // ═══════════════════════════════════════════
+    // SESSION NOTIFICATIONS
+    // ═══════════════════════════════════════════
+
+    async notifySessionUnhealthy(phone, userName, phoneNumber, problem) {
+        const message = await notificationTemplates.build('session_alert', userName, phoneNumber, problem);
         return await this._send(phone, message);
     }
 }
@@ -0,0 +1,15 @@
+﻿function buildIncomingCallMessage(userName, caller, callType, action) {
+    return [
+        `📞 *PANGGILAN MASUK*`,
+        ``,
+        `Halo ${userName},`,
+        `Ada panggilan ${callType} dari *${caller}* ke nomor bot Anda.`,
+        `Status: *${action}*`,
+        ``,
+        `Silakan hubungi kembali jika diperlukan.`,
+    ].join('\n');
+}
+
+module.exports = {
+    buildIncomingCallMessage
+};
@@ -0,0 +1,14 @@
+﻿function buildGroupRoleMessage(userName, groupName, change) {
+    return [
+        `👥 *PERUBAHAN GRUP*`,
+        ``,
+        `Halo ${userName},`,
+        `Nomor bot Anda ${change} di grup *${groupName}*.`,
+        ``,
+        `Periksa pengaturan grup jika ini tidak disengaja.`,
+    ].join('\n');
+}
+
+module.exports = {
+    buildGroupRoleMessage
+};
@@ -0,0 +1,14 @@
+﻿function buildSessionAlertMessage(userName, phoneNumber, problem) {
+    return [
+        `⚠️ *WHATSAPP TERPUTUS*`,
+        ``,
+        `Halo ${userName},`,
+        `Nomor WhatsApp ${phoneNumber} ${problem}.`,
+        ``,
+        `Cek status sesi di dashboard untuk detailnya.`,
+    ].join('\n');
+}
+
+module.exports = {
+    buildSessionAlertMessage
+};
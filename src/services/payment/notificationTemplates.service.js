@@ -0,0 +1,174 @@
+const supabase = require('../../config/supabase');
+const templateService = require('../whatsapp/template.service');
+const {
+    buildPaymentPendingMessage,
+    buildPaymentSuccessMessage,
+    buildPaymentFailedMessage
+} = require('./notification/payment.messages');
+const { buildTopupSuccessMessage } = require('./notification/topup.messages');
+const {
+    buildTokenLowMessage,
+    buildTokenDepletedMessage,
+    buildSubscriptionExpiredMessage,
+    buildSubscriptionExpiringSoonMessage
+} = require('./notification/token.messages');
+const {
+    buildRegistrationMessage,
+    buildLoginMessage
+} = require('./notification/auth.messages');
+const { buildTrialExpiringMessage } = require('./notification/trial.messages');
+const { buildIncomingCallMessage } = require('./notification/call.messages');
+const { buildGroupRoleMessage } = require('./notification/group.messages');
+const { buildSessionAlertMessage } = require('./notification/session.messages');
+
+// key -> built-in builder, its arguments (= {{variables}} of an override) and preview values
+const NOTIFICATIONS = {
+    payment_pending: { build: buildPaymentPendingMessage, params: ['userName', 'packageName', 'orderId'], sample: ['Budi', 'Premium', 'ORDER-123'] },
+    payment_success: { build: buildPaymentSuccessMessage, params: ['userName', 'packageName', 'tokenAmount', 'expiresAt'], sample: ['Budi', 'Premium', 50000, '2026-12-31'] },
+    payment_failed: { build: buildPaymentFailedMessage, params: ['userName', 'packageName'], sample: ['Budi', 'Premium'] },
+    topup_success: { build: buildTopupSuccessMessage, params: ['userName', 'tokenAmount', 'newBalance'], sample: ['Budi', 10000, 25000] },
+    token_low: { build: buildTokenLowMessage, params: ['userName', 'balance'], sample: ['Budi', 500] },
+    token_depleted: { build: buildTokenDepletedMessage, params: ['userName'], sample: ['Budi'] },
+    subscription_expired: { build: buildSubscriptionExpiredMessage, params: ['userName', 'packageName'], sample: ['Budi', 'Premium'] },
+    subscription_expiring_soon: { build: buildSubscriptionExpiringSoonMessage, params: ['userName', 'packageName', 'daysLeft'], sample: ['Budi', 'Premium', 3] },
+    registration: { build: buildRegistrationMessage, params: ['userName'], sample: ['Budi'] },
+    login: { build: buildLoginMessage, params: ['userName'], sample: ['Budi'] },
+    trial_expiring: { build: buildTrialExpiringMessage, params: ['userName'], sample: ['Budi'] },
+    incoming_call: { build: buildIncomingCallMessage, params: ['userName', 'caller', 'callType', 'action'], sample: ['Budi', '628123456789', 'suara', 'ditolak otomatis'] },
+    group_bot_role: { build: buildGroupRoleMessage, params: ['userName', 'groupName', 'change'], sample: ['Budi', 'Pelanggan Setia', 'dijadikan admin'] },
+    session_alert: { build: buildSessionAlertMessage, params: ['userName', 'phoneNumber', 'problem'], sample: ['Budi', '628123456789', 'terputus dan gagal tersambung kembali setelah 5 percobaan (connectionLost). Sistem tetap mencoba secara berkala'] }
+};
+
+/**
+ * Notification Templates Service
+ * Lets admins replace the text of CS-BOT notifications without a deploy.
+ * An enabled override is rendered with the builder's arguments as
+ * {{variables}}; otherwise (or if loading overrides fails) the built-in
+ * builder in notification/*.messages.js is used.
+ */
+class NotificationTemplatesService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_notification_templates');
+        this.cacheMs = 60000;
+        this.cache = null; // { overrides: Map(key -> row), fetchedAt }
+    }
+
+    isKnown(key) {
+        return Object.prototype.hasOwnProperty.call(NOTIFICATIONS, key);
+    }
+
+    async _getOverrides() {
+        if (this.cache && Date.now() - this.cache.fetchedAt < this.cacheMs) return this.cache.overrides;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('key, body, enabled, updated_by, updated_at');
+
+        if (error) {
+            console.error(`❌ [NotificationTemplates] Failed to load overrides:`, error.message);
+            return this.cache?.overrides || new Map();
+        }
+
+        const overrides = new Map((data || []).map(row => [row.key, row]));
+        this.cache = { overrides, fetchedAt: Date.now() };
+        return overrides;
+    }
+
+    /**
+     * Builder arguments as template variables, formatted like the built-in messages
+     */
+    _variables(key, args) {
+        const variables = {};
+        NOTIFICATIONS[key].params.forEach((name, i) => {
+            const value = args[i];
+            if (name === 'expiresAt' && value) {
+                variables[name] = new Date(value).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+            } else {
+                variables[name] = typeof value === 'number' ? value.toLocaleString() : value;
+            }
+        });
+        return variables;
+    }
+
+    /**
+     * Text of a notification: the admin override when enabled, else the built-in builder
+     * @param {string} key - e.g. 'payment_success'
+     * @param {...any} args - same arguments as the builder
+     */
+    async build(key, ...args) {
+        const notification = NOTIFICATIONS[key];
+        const override = (await this._getOverrides()).get(key);
+
+        if (override?.enabled && override.body) {
+            return templateService.render(override.body, this._variables(key, args));
+        }
+        return notification.build(...args);
+    }
+
+    /**
+     * Every notification with its variables, built-in preview and override
+     */
+    async list() {
+        const overrides = await this._getOverrides();
+        return Object.entries(NOTIFICATIONS).map(([key, notification]) => ({
+            key,
+            variables: notification.params,
+            defaultPreview: notification.build(...notification.sample),
+            override: overrides.get(key) || null
+        }));
+    }
+
+    async upsert(key, { body, enabled = true }, updatedBy) {
+        const row = {
+            key,
+            body: String(body),
+            enabled: enabled !== false,
+            updated_by: updatedBy || null,
+            updated_at: new Date().toISOString()
+        };
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .upsert(row, { onConflict: 'key' })
+            .select('key, body, enabled, updated_by, updated_at')
+            .single();
+
+        if (error) throw error;
+        this.cache = null;
+        return data;
+    }
+
+    /**
+     * Drop an override and go back to the built-in text
+     */
+    async reset(key) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('key', key)
+            .select('key');
+
+        if (error) throw error;
+        this.cache = null;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Render a notification with sample values; `body` previews an unsaved override
+     */
+    async preview(key, body = null) {
+        const notification = NOTIFICATIONS[key];
+        const variables = this._variables(key, notification.sample);
+
+        if (body) {
+            return {
+                message: templateService.render(body, variables),
+                unknownVariables: templateService.extractVariables(body).filter(v => !notification.params.includes(v))
+            };
+        }
+        return { message: await this.build(key, ...notification.sample) };
+    }
+}
+
+module.exports = new NotificationTemplatesService();
@@ -2,10 +2,14 @@
     initAuthCreds,
     proto
 } = require('@whiskeysockets/baileys');
-const supabase = require('../../config/supabase');
+const AuthWriteBuffer = require('./authStores/writeBuffer');
 
-// UUID detection regex
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const AUTH_STORES = {
+    supabase: () => require('./authStores/supabase.store'),
+    file: () => require('./authStores/file.store'),
+    sqlite: () => require('./authStores/sqlite.store')
+};
+const storeInstances = new Map();
 
 function bufferToBase64(obj) {
     if (Buffer.isBuffer(obj)) {
@@ -48,44 +52,60 @@ function base64ToBuffer(obj) {
     return obj;
 }
 
-async function useSupabaseAuthState(sessionId = 'main-session') {
-    const configService = require('../common/config.service');
-    const USE_PRODUCTION = configService.useProduction;
+// Write-behind for creds / key updates; AUTH_STATE_FLUSH_MS=0 writes straight through
+const writeBuffer = new AuthWriteBuffer({
+    serialize: bufferToBase64,
+    flushIntervalMs: parseInt(process.env.AUTH_STATE_FLUSH_MS ?? '1000', 10),
+    maxPendingKeys: parseInt(process.env.AUTH_STATE_FLUSH_MAX_KEYS || '500', 10)
+});
 
-    // Determine table based on session type for better isolation and scalability
-    const isAiSession = sessionId.startsWith('wa-bot-ai') || UUID_REGEX.test(sessionId);
-
-    let TABLE_NAME;
-    if (isAiSession) {
-        TABLE_NAME = configService.getTableName('wa_ai_sessions');
-    } else {
-        TABLE_NAME = configService.getTableName('wa_sessions');
+/**
+ * Auth-state store selected by AUTH_STATE_BACKEND (supabase, file or sqlite).
+ * A store keeps JSON values per session and key:
+ * readMany(sessionId, keys), write(sessionId, { key: value }), remove(sessionId, keys),
+ * clear(sessionId), entries(sessionId) and listSessions().
+ * @param {string} name
+ */
+function getAuthStore(name = process.env.AUTH_STATE_BACKEND || 'supabase') {
+    if (!AUTH_STORES[name]) {
+        throw new Error(`Unknown auth state backend '${name}'. Use one of: ${Object.keys(AUTH_STORES).join(', ')}`);
+    }
+    if (!storeInstances.has(name)) {
+        const Store = AUTH_STORES[name]();
+        storeInstances.set(name, new Store());
     }
+    return storeInstances.get(name);
+}
 
+/**
+ * Baileys auth state (creds + signal keys) kept in an auth-state store
+ * @param {string} sessionId
+ * @param {object} store - from getAuthStore()
+ */
+async function useAuthState(sessionId = 'main-session', store = getAuthStore()) {
     // Strict key partitioning
-    const getKey = (type, id) => `${sessionId}:${type}:${id}`;
+    const getKey = (type, id) => `${type}:${id}`;
 
     const writeData = async (type, id, value) => {
         const key = getKey(type, id);
+        if (writeBuffer.enabled) {
+            writeBuffer.set(store, sessionId, key, value);
+            return;
+        }
         try {
-            const { error } = await supabase.from(TABLE_NAME).upsert({
-                id: key,
-                value: bufferToBase64(value),
-                updated_at: new Date().toISOString()
-            }, { onConflict: 'id' });
-
-            if (error) throw error;
+            await store.write(sessionId, { [key]: bufferToBase64(value) });
         } catch (err) {
-            console.error(`⚠️ [${sessionId}] Exception writing ${key}:`, err.message);
+            console.error(`⚠️ [${sessionId}] Exception writing ${key}:`, err.message);
         }
     };
 
     const readData = async (type, id) => {
-        const key = getKey(type, id);
+        const buffered = writeBuffer.peek(sessionId, getKey(type, id));
+        if (buffered.hit) return buffered.value || null;
         try {
-            const { data, error } = await supabase.from(TABLE_NAME).select('value').eq('id', key).single();
-            if (error || !data || !data.value) return null;
-            return base64ToBuffer(data.value);
+            const results = await store.readMany(sessionId, [getKey(type, id)]);
+            const value = results[getKey(type, id)];
+            return value ? base64ToBuffer(value) : null;
         } catch (err) {
             return null;
         }
@@ -93,32 +113,28 @@ async function useSupabaseAuthState(sessionId = 'main-session') {
 
     const readDataBatch = async (type, ids) => {
         try {
-            const keys = ids.map(id => getKey(type, id));
-            const { data, error } = await supabase.from(TABLE_NAME).select('id, value').in('id', keys);
-            if (error || !data) return {};
-
             const results = {};
-            data.forEach(row => {
-                // Reconstruct the original ID by removing prefix `${sessionId}:${type}:`
-                const prefix = `${sessionId}:${type}:`;
-                const id = row.id.startsWith(prefix) ? row.id.substring(prefix.length) : row.id.split(':').pop();
-                results[id] = base64ToBuffer(row.value);
-            });
+            const missing = [];
+            // Pending writes are newer than anything in the store
+            for (const id of ids) {
+                const buffered = writeBuffer.peek(sessionId, getKey(type, id));
+                if (!buffered.hit) missing.push(id);
+                else if (buffered.value) results[id] = buffered.value;
+            }
+            if (missing.length === 0) return results;
+
+            const rows = await store.readMany(sessionId, missing.map(id => getKey(type, id)));
+            const prefix = `${type}:`;
+            for (const key in rows) {
+                results[key.substring(prefix.length)] = base64ToBuffer(rows[key]);
+            }
             return results;
         } catch (err) {
-            console.error(`⚠️ [${sessionId}] Batch read error for ${type}:`, err.message);
+            console.error(`⚠️ [${sessionId}] Batch read error for ${type}:`, err.message);
             return {};
         }
     };
 
-    const removeData = async (type, id) => {
-        try {
-            await supabase.from(TABLE_NAME).delete().eq('id', getKey(type, id));
-        } catch (err) {
-            console.error(`⚠️ [${sessionId}] Error removing ${type}:${id}:`, err.message);
-        }
-    };
-
     let creds = await readData('auth', 'creds');
     if (!creds) {
         creds = initAuthCreds();
@@ -142,38 +158,45 @@ async function useSupabaseAuthState(sessionId = 'main-session') {
                 return results;
             },
             set: (data) => {
+                if (writeBuffer.enabled) {
+                    for (const type in data) {
+                        for (const id in data[type]) {
+                            writeBuffer.set(store, sessionId, getKey(type, id), data[type][id] || null);
+                        }
+                    }
+                    return Promise.resolve();
+                }
+
                 const task = async () => {
-                    const upserts = [];
+                    const upserts = {};
                     const deletes = [];
 
                     for (const type in data) {
                         for (const id in data[type]) {
                             const key = getKey(type, id);
                             if (data[type][id]) {
-                                upserts.push({
-                                    id: key,
-                                    value: bufferToBase64(data[type][id]),
-                                    updated_at: new Date().toISOString()
-                                });
+                                upserts[key] = bufferToBase64(data[type][id]);
                             } else {
                                 deletes.push(key);
                             }
                         }
                     }
 
-                    if (upserts.length > 0) {
-                        const { error } = await supabase.from(TABLE_NAME).upsert(upserts, { onConflict: 'id' });
-                        if (error) console.error(`âŒ [${sessionId}] Batch upsert failed:`, error.message);
+                    if (Object.keys(upserts).length > 0) {
+                        await store.write(sessionId, upserts).catch(err => {
+                            console.error(`❌ [${sessionId}] Batch upsert failed:`, err.message);
+                        });
                     }
 
                     if (deletes.length > 0) {
-                        const { error } = await supabase.from(TABLE_NAME).delete().in('id', deletes);
-                        if (error) console.error(`âŒ [${sessionId}] Batch delete failed:`, error.message);
+                        await store.remove(sessionId, deletes).catch(err => {
+                            console.error(`❌ [${sessionId}] Batch delete failed:`, err.message);
+                        });
                     }
                 };
-                
+
                 writeMutex = writeMutex.then(task).catch(err => {
-                    console.error(`âŒ [${sessionId}] Mutex write failed:`, err.message);
+                    console.error(`❌ [${sessionId}] Mutex write failed:`, err.message);
                 });
                 return writeMutex;
             }
@@ -184,12 +207,73 @@ async function useSupabaseAuthState(sessionId = 'main-session') {
         state,
         saveCreds: async () => writeData('auth', 'creds', creds),
         clearSession: async () => {
-            console.log(`ðŸ§¹ [${sessionId}] Clearing all session data from ${TABLE_NAME}...`);
-            // Use exact prefix match to avoid affecting other sessions in the same table
-            const { error } = await supabase.from(TABLE_NAME).delete().filter('id', 'like', `${sessionId}:%`);
-            if (error) console.error(`âŒ [${sessionId}] Clear session failed:`, error.message);
+            await writeBuffer.discard(sessionId);
+            console.log(`🧹 [${sessionId}] Clearing all session data from the ${store.name} auth store...`);
+            await store.clear(sessionId).catch(err => {
+                console.error(`❌ [${sessionId}] Clear session failed:`, err.message);
+            });
         }
     };
 }
 
-module.exports = { useSupabaseAuthState };
+// Kept for callers that predate AUTH_STATE_BACKEND
+const useSupabaseAuthState = (sessionId) => useAuthState(sessionId, getAuthStore('supabase'));
+
+/**
+ * Copy auth state between backends
+ * @param {string} from - backend name
+ * @param {string} to - backend name
+ * @param {object} options - { sessionIds: only these (default: every session in `from`), clearTarget }
+ * @returns {Promise<Array<{sessionId: string, keys: number}>>}
+ */
+async function migrateAuthState(from, to, { sessionIds = null, clearTarget = false } = {}) {
+    if (from === to) throw new Error('Source and target backend are the same');
+    await writeBuffer.flushAll();
+    const source = getAuthStore(from);
+    const target = getAuthStore(to);
+    const copied = [];
+
+    for (const sessionId of sessionIds || await source.listSessions()) {
+        const entries = await source.entries(sessionId);
+        if (Object.keys(entries).length === 0) {
+            copied.push({ sessionId, keys: 0 });
+            continue;
+        }
+        if (clearTarget) await target.clear(sessionId);
+
+        // Chunked so large sessions do not hit request / statement limits
+        const keys = Object.keys(entries);
+        for (let i = 0; i < keys.length; i += 500) {
+            const chunk = {};
+            for (const key of keys.slice(i, i + 500)) chunk[key] = entries[key];
+            await target.write(sessionId, chunk);
+        }
+        copied.push({ sessionId, keys: keys.length });
+    }
+    return copied;
+}
+
+/**
+ * Write every pending auth-state update (shutdown, before a migration)
+ */
+const flushAuthState = () => writeBuffer.flushAll();
+
+const getAuthStateStats = () => writeBuffer.getStats();
+
+/**
+ * Remove a session's credentials without opening it (deleted sessions)
+ */
+async function clearAuthState(sessionId, store = getAuthStore()) {
+    await writeBuffer.discard(sessionId);
+    await store.clear(sessionId);
+}
+
+module.exports = {
+    getAuthStore,
+    useAuthState,
+    useSupabaseAuthState,
+    migrateAuthState,
+    flushAuthState,
+    getAuthStateStats,
+    clearAuthState
+};
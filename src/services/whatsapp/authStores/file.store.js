@@ -0,0 +1,98 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Filesystem auth-state store
+ * One JSON file per key under `<AUTH_STATE_DIR>/<sessionId>/`. Writes go to a
+ * temporary file first and are renamed into place, so a crash never leaves
+ * half-written credentials behind.
+ */
+class FileAuthStore {
+    constructor(dir = process.env.AUTH_STATE_DIR || './auth_state') {
+        this.name = 'file';
+        this.dir = path.resolve(dir);
+    }
+
+    _sessionDir(sessionId) {
+        return path.join(this.dir, encodeURIComponent(sessionId));
+    }
+
+    // Keys contain ':' and '/' (e.g. 'sender-key:123@g.us::456:0')
+    _file(sessionId, key) {
+        return path.join(this._sessionDir(sessionId), `${encodeURIComponent(key)}.json`);
+    }
+
+    async _read(file) {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async readMany(sessionId, keys) {
+        const results = {};
+        await Promise.all(keys.map(async (key) => {
+            const value = await this._read(this._file(sessionId, key));
+            if (value !== null) results[key] = value;
+        }));
+        return results;
+    }
+
+    async write(sessionId, entries) {
+        await fs.mkdir(this._sessionDir(sessionId), { recursive: true });
+        for (const [key, value] of Object.entries(entries)) {
+            const file = this._file(sessionId, key);
+            // Unique per write: creds can be saved while a key batch is being written
+            const tmp = `${file}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(value));
+            await fs.rename(tmp, file);
+        }
+    }
+
+    async remove(sessionId, keys) {
+        await Promise.all(keys.map(key => fs.rm(this._file(sessionId, key), { force: true })));
+    }
+
+    async clear(sessionId) {
+        await fs.rm(this._sessionDir(sessionId), { recursive: true, force: true });
+    }
+
+    async entries(sessionId) {
+        let files;
+        try {
+            files = await fs.readdir(this._sessionDir(sessionId));
+        } catch (err) {
+            if (err.code === 'ENOENT') return {};
+            throw err;
+        }
+
+        const results = {};
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const value = await this._read(path.join(this._sessionDir(sessionId), file));
+            if (value !== null) results[decodeURIComponent(file.slice(0, -'.json'.length))] = value;
+        }
+        return results;
+    }
+
+    async listSessions() {
+        let dirs;
+        try {
+            dirs = await fs.readdir(this.dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+
+        const sessions = [];
+        for (const dir of dirs.filter(d => d.isDirectory())) {
+            const sessionId = decodeURIComponent(dir.name);
+            // Only directories with credentials are sessions
+            if (await this._read(this._file(sessionId, 'auth:creds')) !== null) sessions.push(sessionId);
+        }
+        return sessions;
+    }
+}
+
+module.exports = FileAuthStore;
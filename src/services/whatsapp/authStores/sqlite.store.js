@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite auth-state store
+ * A single `auth_state (session_id, key, value)` table in the file at
+ * AUTH_STATE_SQLITE_PATH. Needs the optional `better-sqlite3` dependency.
+ */
+class SqliteAuthStore {
+    constructor(file = process.env.AUTH_STATE_SQLITE_PATH || './auth_state.db') {
+        this.name = 'sqlite';
+        this.file = path.resolve(file);
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (err) {
+            throw new Error('AUTH_STATE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS auth_state (
+                session_id TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (session_id, key)
+            )
+        `);
+
+        this.statements = {
+            read: this.db.prepare('SELECT value FROM auth_state WHERE session_id = ? AND key = ?'),
+            upsert: this.db.prepare(`
+                INSERT INTO auth_state (session_id, key, value, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (session_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            remove: this.db.prepare('DELETE FROM auth_state WHERE session_id = ? AND key = ?'),
+            clear: this.db.prepare('DELETE FROM auth_state WHERE session_id = ?'),
+            entries: this.db.prepare('SELECT key, value FROM auth_state WHERE session_id = ?'),
+            sessions: this.db.prepare("SELECT session_id FROM auth_state WHERE key = 'auth:creds'")
+        };
+    }
+
+    async readMany(sessionId, keys) {
+        const results = {};
+        for (const key of keys) {
+            const row = this.statements.read.get(sessionId, key);
+            if (row) results[key] = JSON.parse(row.value);
+        }
+        return results;
+    }
+
+    async write(sessionId, entries) {
+        const updatedAt = new Date().toISOString();
+        this.db.transaction(() => {
+            for (const [key, value] of Object.entries(entries)) {
+                this.statements.upsert.run(sessionId, key, JSON.stringify(value), updatedAt);
+            }
+        })();
+    }
+
+    async remove(sessionId, keys) {
+        this.db.transaction(() => {
+            for (const key of keys) this.statements.remove.run(sessionId, key);
+        })();
+    }
+
+    async clear(sessionId) {
+        this.statements.clear.run(sessionId);
+    }
+
+    async entries(sessionId) {
+        const results = {};
+        for (const row of this.statements.entries.all(sessionId)) results[row.key] = JSON.parse(row.value);
+        return results;
+    }
+
+    async listSessions() {
+        return this.statements.sessions.all().map(row => row.session_id);
+    }
+}
+
+module.exports = SqliteAuthStore;
@@ -0,0 +1,106 @@
+// UUID detection regex
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PAGE_SIZE = 1000;
+
+/**
+ * Supabase auth-state store (default)
+ * Rows `{ id: '<sessionId>:<key>', value, updated_at }` in wa_ai_sessions
+ * (user and AI bot sessions) or wa_sessions (system sessions), with the
+ * `_local` suffix outside production.
+ */
+class SupabaseAuthStore {
+    constructor() {
+        this.name = 'supabase';
+    }
+
+    get client() {
+        // Loaded on first use so the file / sqlite stores work without Supabase credentials
+        return require('../../../config/supabase');
+    }
+
+    _table(sessionId) {
+        const configService = require('../../common/config.service');
+        // Determine table based on session type for better isolation and scalability
+        const isAiSession = sessionId.startsWith('wa-bot-ai') || sessionId.startsWith('wa-user-') || UUID_REGEX.test(sessionId);
+        return configService.getTableName(isAiSession ? 'wa_ai_sessions' : 'wa_sessions');
+    }
+
+    async readMany(sessionId, keys) {
+        const prefix = `${sessionId}:`;
+        const { data, error } = await this.client
+            .from(this._table(sessionId))
+            .select('id, value')
+            .in('id', keys.map(key => prefix + key));
+
+        if (error) throw error;
+        const results = {};
+        for (const row of data || []) {
+            if (row.value) results[row.id.substring(prefix.length)] = row.value;
+        }
+        return results;
+    }
+
+    async write(sessionId, entries) {
+        const updatedAt = new Date().toISOString();
+        const rows = Object.entries(entries).map(([key, value]) => ({ id: `${sessionId}:${key}`, value, updated_at: updatedAt }));
+        if (rows.length === 0) return;
+
+        const { error } = await this.client.from(this._table(sessionId)).upsert(rows, { onConflict: 'id' });
+        if (error) throw error;
+    }
+
+    async remove(sessionId, keys) {
+        if (keys.length === 0) return;
+        const { error } = await this.client
+            .from(this._table(sessionId))
+            .delete()
+            .in('id', keys.map(key => `${sessionId}:${key}`));
+
+        if (error) throw error;
+    }
+
+    async clear(sessionId) {
+        // Use exact prefix match to avoid affecting other sessions in the same table
+        const { error } = await this.client
+            .from(this._table(sessionId))
+            .delete()
+            .filter('id', 'like', `${sessionId}:%`);
+
+        if (error) throw error;
+    }
+
+    async entries(sessionId) {
+        const prefix = `${sessionId}:`;
+        const results = {};
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await this.client
+                .from(this._table(sessionId))
+                .select('id, value')
+                .filter('id', 'like', `${prefix}%`)
+                .order('id', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) throw error;
+            for (const row of data || []) results[row.id.substring(prefix.length)] = row.value;
+            if (!data || data.length < PAGE_SIZE) return results;
+        }
+    }
+
+    async listSessions() {
+        const configService = require('../../common/config.service');
+        const sessions = new Set();
+        // Every session has exactly one creds row
+        for (const table of ['wa_ai_sessions', 'wa_sessions'].map(t => configService.getTableName(t))) {
+            const { data, error } = await this.client
+                .from(table)
+                .select('id')
+                .filter('id', 'like', '%:auth:creds');
+
+            if (error) throw error;
+            for (const row of data || []) sessions.add(row.id.slice(0, -':auth:creds'.length));
+        }
+        return [...sessions];
+    }
+}
+
+module.exports = SupabaseAuthStore;
@@ -0,0 +1,165 @@
+/**
+ * Auth-state write-behind buffer
+ * Baileys updates creds and signal keys many times a second while syncing.
+ * Writes are kept here per session (latest value per key wins, `null` = delete)
+ * and flushed to the store on an interval, when a session has many pending
+ * keys, and on shutdown. Values are serialized only when flushed, so a key
+ * updated ten times between flushes is encoded and written once.
+ * Reads check the buffer first, so pending writes are never lost to a stale read.
+ */
+class AuthWriteBuffer {
+    /**
+     * @param {object} options - { serialize, flushIntervalMs, maxPendingKeys }
+     */
+    constructor({ serialize, flushIntervalMs = 1000, maxPendingKeys = 500 }) {
+        this.serialize = serialize;
+        this.flushIntervalMs = flushIntervalMs;
+        this.maxPendingKeys = maxPendingKeys;
+        this.sessions = new Map(); // sessionId -> { store, entries: Map(key -> raw value | null) }
+        this.flushing = new Map(); // sessionId -> { entries, promise } of the in-flight flush
+        this.generations = new Map(); // sessionId -> bumped on discard, so failed flushes are not re-queued
+        this.timer = null;
+        this.stats = {
+            flushes: 0,
+            keysWritten: 0,
+            failedFlushes: 0,
+            consecutiveFailures: 0,
+            lastFlushAt: null,
+            lastError: null,
+            lastErrorAt: null
+        };
+    }
+
+    get enabled() {
+        return this.flushIntervalMs > 0;
+    }
+
+    _start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.flushAll(), this.flushIntervalMs);
+        // Never keep the process alive just for this
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Queue a write (or a delete with value null)
+     */
+    set(store, sessionId, key, value) {
+        let pending = this.sessions.get(sessionId);
+        if (!pending) {
+            pending = { store, entries: new Map() };
+            this.sessions.set(sessionId, pending);
+        }
+        pending.entries.set(key, value);
+        this._start();
+
+        if (pending.entries.size >= this.maxPendingKeys) this.flush(sessionId);
+    }
+
+    /**
+     * @returns {{hit: boolean, value?: any}} value null = deleted but not flushed yet
+     */
+    peek(sessionId, key) {
+        const entries = this.sessions.get(sessionId)?.entries;
+        if (entries?.has(key)) return { hit: true, value: entries.get(key) };
+
+        // Entries being flushed right now still count as the latest state
+        const inflight = this.flushing.get(sessionId)?.entries;
+        if (inflight?.has(key)) return { hit: true, value: inflight.get(key) };
+        return { hit: false };
+    }
+
+    /**
+     * Drop pending writes of a session (it is being logged out / cleared) and
+     * wait for an in-flight flush, so it cannot write keys back after a clear
+     */
+    async discard(sessionId) {
+        this.sessions.delete(sessionId);
+        this.generations.set(sessionId, (this.generations.get(sessionId) || 0) + 1);
+        await this.flushing.get(sessionId)?.promise.catch(() => {});
+    }
+
+    async flush(sessionId) {
+        // One flush per session at a time; a new one waits for the previous
+        const previous = this.flushing.get(sessionId);
+        if (previous) await previous.promise.catch(() => {});
+
+        const pending = this.sessions.get(sessionId);
+        if (!pending || pending.entries.size === 0) return;
+        this.sessions.delete(sessionId);
+
+        const promise = this._write(sessionId, pending);
+        this.flushing.set(sessionId, { entries: pending.entries, promise });
+        try {
+            await promise;
+        } finally {
+            if (this.flushing.get(sessionId)?.promise === promise) this.flushing.delete(sessionId);
+        }
+    }
+
+    async _write(sessionId, { store, entries }) {
+        const generation = this.generations.get(sessionId) || 0;
+        const upserts = {};
+        const deletes = [];
+        for (const [key, value] of entries) {
+            if (value === null || value === undefined) deletes.push(key);
+            else upserts[key] = this.serialize(value);
+        }
+
+        try {
+            if (Object.keys(upserts).length > 0) await store.write(sessionId, upserts);
+            if (deletes.length > 0) await store.remove(sessionId, deletes);
+
+            this.stats.flushes++;
+            this.stats.keysWritten += entries.size;
+            this.stats.consecutiveFailures = 0;
+            this.stats.lastFlushAt = new Date().toISOString();
+        } catch (err) {
+            this.stats.failedFlushes++;
+            this.stats.consecutiveFailures++;
+            this.stats.lastError = err.message;
+            this.stats.lastErrorAt = new Date().toISOString();
+            console.error(`❌ [AuthWriteBuffer][${sessionId}] Flush of ${entries.size} keys failed (retrying next tick):`, err.message);
+
+            // Session was cleared meanwhile: these keys must not come back
+            if ((this.generations.get(sessionId) || 0) !== generation) return;
+
+            // Put them back unless a newer value arrived meanwhile
+            let current = this.sessions.get(sessionId);
+            if (!current) {
+                current = { store, entries: new Map() };
+                this.sessions.set(sessionId, current);
+            }
+            for (const [key, value] of entries) {
+                if (!current.entries.has(key)) current.entries.set(key, value);
+            }
+        }
+    }
+
+    async flushAll() {
+        const sessionIds = [...this.sessions.keys()];
+        await Promise.all(sessionIds.map(sessionId => this.flush(sessionId)));
+    }
+
+    /**
+     * Pending and failed flushes, for /health and dashboards
+     */
+    getStats() {
+        let pendingKeys = 0;
+        const pendingSessions = {};
+        for (const [sessionId, { entries }] of this.sessions) {
+            pendingKeys += entries.size;
+            pendingSessions[sessionId] = entries.size;
+        }
+        return {
+            enabled: this.enabled,
+            flushIntervalMs: this.flushIntervalMs,
+            pendingKeys,
+            pendingSessions,
+            flushing: this.flushing.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = AuthWriteBuffer;
@@ -0,0 +1,205 @@
+const supabase = require('../../config/supabase');
+const whatsappService = require('./whatsapp.service');
+const sessionEvents = require('./session.events');
+const templateService = require('./template.service');
+
+const DEFAULT_CALL_REPLY = 'Maaf, nomor ini tidak dapat menerima panggilan. Silakan kirim pesan teks, kami akan segera membalas 🙏';
+
+/**
+ * Call Service
+ * Handles incoming WhatsApp calls on linked numbers according to the owner's
+ * AI controls: reject voice and/or video calls, reply to the caller with a
+ * text or template, log the attempt and optionally tell the owner via CS-BOT.
+ */
+class CallService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_call_logs');
+        this.defaultReply = DEFAULT_CALL_REPLY;
+        // One reply and one owner notification per caller in this window, however often they ring
+        this.replyCooldownMs = 10 * 60 * 1000;
+        // Baileys can emit the same offer more than once
+        this.handledCalls = new Map(); // callId -> handledAt
+        this.lastReplies = new Map(); // `${sessionId}:${jid}` -> repliedAt
+        this.lastNotified = new Map(); // `${sessionId}:${jid}` -> notifiedAt
+    }
+
+    _prune() {
+        const now = Date.now();
+        for (const [id, at] of this.handledCalls) {
+            if (now - at > 5 * 60 * 1000) this.handledCalls.delete(id);
+        }
+        for (const map of [this.lastReplies, this.lastNotified]) {
+            for (const [key, at] of map) {
+                if (now - at >= this.replyCooldownMs) map.delete(key);
+            }
+        }
+    }
+
+    _alreadyHandled(callId) {
+        this._prune();
+        if (this.handledCalls.has(callId)) return true;
+        this.handledCalls.set(callId, Date.now());
+        return false;
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {object} socket
+     * @param {object} call - Baileys call event { id, from, isVideo, isGroup, status, offline }
+     * @param {string|null} userId - owner of the session
+     */
+    async handleCall(sessionId, socket, call, userId) {
+        if (call.status !== 'offer' || this._alreadyHandled(call.id)) return;
+
+        const configService = require('../common/config.service');
+        const controls = await configService.getAIControls(userId, sessionId);
+        const callType = call.isVideo ? 'video' : 'voice';
+        const caller = call.from.split('@')[0];
+
+        let action = 'ignored';
+        if (call.offline) {
+            // Rang while the gateway was offline: it has stopped ringing already
+            action = 'missed_offline';
+        } else if (controls.call_reject_enabled && (call.isVideo ? controls.call_reject_video : controls.call_reject_voice)) {
+            try {
+                await socket.rejectCall(call.id, call.from);
+                action = 'rejected';
+            } catch (err) {
+                console.error(`❌ [Call][${sessionId}] Failed to reject call from ${caller}:`, err.message);
+                action = 'reject_failed';
+            }
+        }
+
+        const replied = action === 'rejected' && controls.call_reply_enabled && !call.isGroup
+            ? await this._reply(sessionId, socket, call, userId, controls)
+            : false;
+
+        console.log(`📞 [Call][${sessionId}] ${callType} call from ${caller}: ${action}${replied ? ' (replied)' : ''}`);
+
+        const logService = require('../common/log.service');
+        logService.info(userId, sessionId, `📞 Incoming ${callType} call from ${caller}: ${action}${replied ? ', reply sent' : ''}`);
+
+        sessionEvents.publish(sessionId, 'call.received', {
+            callId: call.id,
+            from: call.from,
+            isVideo: !!call.isVideo,
+            isGroup: !!call.isGroup,
+            action,
+            replied
+        });
+
+        await this._log({ sessionId, userId, call, action, replied });
+
+        const notifyKey = `${sessionId}:${call.from}`;
+        if (controls.call_notify_owner && userId && !this.lastNotified.has(notifyKey)) {
+            this.lastNotified.set(notifyKey, Date.now());
+            await this._notifyOwner(userId, caller, callType, action);
+        }
+    }
+
+    async _reply(sessionId, socket, call, userId, controls) {
+        const key = `${sessionId}:${call.from}`;
+        if (Date.now() - (this.lastReplies.get(key) || 0) < this.replyCooldownMs) return false;
+
+        // Callers who replied STOP get no automatic messages either
+        const optOutService = require('./optOut.service');
+        if (await optOutService.isOptedOut(userId, call.from)) return false;
+
+        const variables = { caller: call.from.split('@')[0] };
+        let result;
+
+        try {
+            if (controls.call_reply_template_id) {
+                const applied = await templateService.applyToInput(userId, {
+                    templateId: controls.call_reply_template_id,
+                    variables
+                }, { allowMissing: true });
+                if (applied.error) throw new Error(`Call reply template: ${applied.error}`);
+
+                result = applied.input.type === 'media'
+                    ? await whatsappService.sendMediaMessage(socket, call.from, applied.input.media)
+                    : await whatsappService.sendTextMessage(socket, call.from, applied.input.message);
+            } else {
+                const text = templateService.render(controls.call_reply_text || this.defaultReply, variables);
+                result = await whatsappService.sendTextMessage(socket, call.from, text);
+            }
+        } catch (err) {
+            result = { success: false, error: err.message };
+        }
+
+        if (!result.success) {
+            console.error(`❌ [Call][${sessionId}] Failed to reply to ${call.from}:`, result.error);
+            return false;
+        }
+        this.lastReplies.set(key, Date.now());
+        return true;
+    }
+
+    async _log({ sessionId, userId, call, action, replied }) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .insert({
+                session_id: sessionId,
+                user_id: userId,
+                call_id: call.id,
+                caller_jid: call.from,
+                is_video: !!call.isVideo,
+                is_group: !!call.isGroup,
+                action,
+                replied,
+                called_at: new Date(call.date || Date.now()).toISOString()
+            });
+
+        if (error) console.error(`❌ [Call][${sessionId}] Failed to log call:`, error.message);
+    }
+
+    async _notifyOwner(userId, caller, callType, action) {
+        try {
+            const { data: user } = await supabase
+                .from('users')
+                .select('phone, full_name, username')
+                .eq('id', userId)
+                .single();
+
+            if (!user?.phone) return;
+
+            const notificationService = require('../payment/notification.service');
+            const actionText = {
+                rejected: 'ditolak otomatis',
+                reject_failed: 'gagal ditolak',
+                missed_offline: 'tidak terjawab (bot offline)',
+                ignored: 'tidak ditolak'
+            }[action];
+            await notificationService.notifyIncomingCall(
+                user.phone,
+                user.full_name || user.username || 'User',
+                caller,
+                callType === 'video' ? 'video' : 'suara',
+                actionText
+            );
+        } catch (err) {
+            console.error(`❌ [Call] Failed to notify owner ${userId}:`, err.message);
+        }
+    }
+
+    /**
+     * Recent call attempts of a user (newest first)
+     */
+    async list(userId, { sessionId = null, limit = 50 } = {}) {
+        let query = supabase
+            .from(this.tableName)
+            .select('session_id, call_id, caller_jid, is_video, is_group, action, replied, called_at')
+            .eq('user_id', userId)
+            .order('called_at', { ascending: false })
+            .limit(Math.min(limit, 200));
+
+        if (sessionId) query = query.eq('session_id', sessionId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+}
+
+module.exports = new CallService();
@@ -0,0 +1,662 @@
+const supabase = require('../../config/supabase');
+const whatsappService = require('./whatsapp.service');
+const queueService = require('./queue.service');
+const optOutService = require('./optOut.service');
+const templateService = require('./template.service');
+
+const CAMPAIGN_TYPES = ['text', 'media'];
+const RECIPIENT_STATUSES = ['pending', 'queued', 'sent', 'failed', 'skipped', 'cancelled'];
+
+/**
+ * Campaign Service
+ * Broadcasts to an audience (explicit numbers, CSV, contact tags, recently
+ * active chats) with per-recipient variables.
+ *
+ * Recipients are snapshotted when the campaign is created and fed into the
+ * outbound queue a few at a time (CAMPAIGN_FEED_WINDOW), so a campaign can be
+ * paused or cancelled without thousands of jobs already waiting in wa_outbox.
+ * The session's queue rate still applies; `rate_per_minute` slows a campaign further.
+ * Opted-out recipients are skipped when the campaign is created and again
+ * right before their message is queued.
+ */
+class CampaignService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_campaigns');
+        this.recipientsTable = configService.getTableName('wa_campaign_recipients');
+
+        this.maxRecipients = parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS || '10000', 10);
+        this.feedWindow = parseInt(process.env.CAMPAIGN_FEED_WINDOW || '20', 10);
+        this.insertChunk = 500;
+        this.pageSize = 1000;
+        this.running = false;
+        this.types = CAMPAIGN_TYPES;
+        this.recipientStatuses = RECIPIENT_STATUSES;
+    }
+
+    /**
+     * Parse CSV audience text. The first column holding a phone number is the
+     * recipient; with a header row, the other columns become variables named
+     * after their header (e.g. number,name,promo -> {{name}}, {{promo}}).
+     * @returns {Array<{number: string, variables: object}>}
+     */
+    parseCsv(text) {
+        const lines = String(text || '').split(/\r?\n/).filter(l => l.trim());
+        if (lines.length === 0) return [];
+
+        const split = (line) => line.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g, ''));
+        const isPhone = (cell) => cell.replace(/\D/g, '').length >= 8 && /^[\d\s+()-]+$/.test(cell);
+
+        const first = split(lines[0]);
+        const header = first.some(isPhone) ? null : first.map(h => h.toLowerCase().replace(/\s+/g, '_'));
+        const rows = header ? lines.slice(1) : lines;
+
+        const recipients = [];
+        for (const line of rows) {
+            const cells = split(line);
+            const numberIndex = cells.findIndex(isPhone);
+            if (numberIndex === -1) continue;
+
+            const variables = {};
+            if (header) {
+                cells.forEach((cell, i) => {
+                    if (i !== numberIndex && header[i]) variables[header[i]] = cell;
+                });
+            }
+            recipients.push({ number: cells[numberIndex], variables });
+        }
+        return recipients;
+    }
+
+    async _activeChats(userId, days) {
+        const historyService = require('../common/history.service');
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const chats = [];
+
+        for (let from = 0; from < this.maxRecipients; from += this.pageSize) {
+            const { data, error } = await supabase
+                .from(historyService.tableName)
+                .select('jid, push_name')
+                .eq('user_id', userId)
+                .gte('last_active', since)
+                .order('last_active', { ascending: false })
+                .range(from, from + this.pageSize - 1);
+
+            if (error) throw error;
+            chats.push(...(data || []));
+            if (!data || data.length < this.pageSize) break;
+        }
+
+        // Broadcasts go to people, not groups
+        return chats.filter(c => c.jid.endsWith('@s.whatsapp.net'));
+    }
+
+    /**
+     * Resolve an audience definition into unique recipients
+     * @param {string} userId
+     * @param {object} audience - { numbers, csv, tags, activeWithinDays }
+     * @returns {Promise<{recipients: Map<string, object>, invalid: Array, error?: string}>}
+     */
+    async resolveAudience(userId, audience = {}) {
+        const recipients = new Map(); // jid -> variables
+        const invalid = [];
+
+        const add = (number, variables = {}) => {
+            const input = String(number ?? '').trim();
+            const validation = whatsappService.validatePhoneNumber(input);
+            if (!validation.valid) {
+                invalid.push({ number: input, error: validation.message });
+                return;
+            }
+            const jid = whatsappService.formatPhoneNumber(input.replace(/[^\d+]/g, ''));
+            // Later (more explicit) sources win for the same variable
+            recipients.set(jid, { ...(recipients.get(jid) || {}), ...variables, number: jid.split('@')[0] });
+        };
+
+        if (audience.activeWithinDays !== undefined) {
+            const days = Number(audience.activeWithinDays);
+            if (!Number.isFinite(days) || days <= 0 || days > 365) {
+                return { recipients, invalid, error: 'activeWithinDays must be between 1 and 365' };
+            }
+            for (const chat of await this._activeChats(userId, days)) {
+                add(chat.jid.split('@')[0], chat.push_name ? { name: chat.push_name } : {});
+            }
+        }
+
+        if (audience.tags !== undefined) {
+            if (!Array.isArray(audience.tags) || audience.tags.length === 0) {
+                return { recipients, invalid, error: 'tags must be a non-empty array' };
+            }
+            const contactTags = require('./contactTags.service');
+            for (const contact of await contactTags.resolveTags(userId, audience.tags, this.maxRecipients)) {
+                add(contact.jid.split('@')[0], contact.name ? { name: contact.name } : {});
+            }
+        }
+
+        if (audience.csv !== undefined) {
+            for (const row of this.parseCsv(audience.csv)) add(row.number, row.variables);
+        }
+
+        if (audience.numbers !== undefined) {
+            if (!Array.isArray(audience.numbers)) {
+                return { recipients, invalid, error: 'numbers must be an array' };
+            }
+            for (const entry of audience.numbers) {
+                if (entry && typeof entry === 'object') {
+                    const { number, name, variables = {} } = entry;
+                    add(number, { ...variables, ...(name ? { name } : {}) });
+                } else {
+                    add(entry);
+                }
+            }
+        }
+
+        return { recipients, invalid };
+    }
+
+    _validateContent({ type = 'text', message, media }) {
+        if (!CAMPAIGN_TYPES.includes(type)) {
+            return { error: `type must be one of: ${CAMPAIGN_TYPES.join(', ')}` };
+        }
+        const payload = type === 'media' ? { media } : { message };
+        // Validate with placeholders rendered empty, like the worst-case recipient
+        const sample = type === 'media'
+            ? { media: { ...(media || {}), caption: templateService.render(media?.caption) } }
+            : { message: templateService.render(message) || message };
+        const validation = queueService.validateJob('6280000000000', type, sample);
+        return validation.valid ? { type, payload } : { error: validation.message };
+    }
+
+    _renderPayload(campaign, variables) {
+        return templateService.renderPayload(campaign.payload, variables);
+    }
+
+    /**
+     * Create a campaign and snapshot its recipients
+     * @param {string} sessionId
+     * @param {string} userId
+     * @param {object} input - { name, type, message, media, templateId, variables, audience, sendAt, ratePerMinute, draft }
+     */
+    async create(sessionId, userId, input) {
+        // Shared variables are filled now, the rest per recipient when queued
+        const applied = await templateService.applyToInput(userId, input, { keepMissing: true });
+        if (applied.error) return { success: false, status: applied.status, error: applied.error };
+        input = applied.input;
+
+        const content = this._validateContent(input);
+        if (content.error) return { success: false, error: content.error };
+
+        if (!input.audience || typeof input.audience !== 'object') {
+            return { success: false, error: 'audience is required (numbers, csv, tags and/or activeWithinDays)' };
+        }
+
+        let sendAt = null;
+        if (input.sendAt) {
+            sendAt = new Date(input.sendAt);
+            if (isNaN(sendAt.getTime())) return { success: false, error: 'sendAt must be an ISO date' };
+        }
+
+        let ratePerMinute = null;
+        if (input.ratePerMinute !== undefined && input.ratePerMinute !== null) {
+            ratePerMinute = parseInt(input.ratePerMinute, 10);
+            if (!ratePerMinute || ratePerMinute < 1 || ratePerMinute > 120) {
+                return { success: false, error: 'ratePerMinute must be between 1 and 120' };
+            }
+        }
+
+        const { recipients, invalid, error } = await this.resolveAudience(userId, input.audience);
+        if (error) return { success: false, error };
+        if (recipients.size === 0) {
+            return { success: false, error: 'Audience is empty', invalid };
+        }
+        if (recipients.size > this.maxRecipients) {
+            return { success: false, error: `Audience too large (${recipients.size}). Maximum ${this.maxRecipients} recipients per campaign` };
+        }
+
+        const now = new Date().toISOString();
+        const status = sendAt && sendAt.getTime() > Date.now() ? 'scheduled' : (input.draft ? 'draft' : 'running');
+
+        const { data: campaign, error: dbError } = await supabase
+            .from(this.tableName)
+            .insert({
+                session_id: sessionId,
+                user_id: userId,
+                name: String(input.name || `Campaign ${now.slice(0, 16).replace('T', ' ')}`).slice(0, 120),
+                type: content.type,
+                payload: content.payload,
+                // What the audience was built from; the recipients themselves are in wa_campaign_recipients
+                audience: {
+                    tags: input.audience.tags || null,
+                    activeWithinDays: input.audience.activeWithinDays ?? null,
+                    csv: input.audience.csv !== undefined,
+                    numbers: Array.isArray(input.audience.numbers) ? input.audience.numbers.length : 0
+                },
+                // Not picked up by runDue until every recipient is stored
+                status: 'pending',
+                send_at: sendAt ? sendAt.toISOString() : null,
+                rate_per_minute: ratePerMinute,
+                total_recipients: recipients.size,
+                next_send_at: now,
+                created_at: now,
+                updated_at: now
+            })
+            .select('*')
+            .single();
+
+        if (dbError) {
+            console.error(`❌ [Campaign][${sessionId}] Failed to create campaign:`, dbError.message);
+            return { success: false, error: 'Failed to create campaign' };
+        }
+
+        const optedOut = await optOutService.getOptedOut(userId);
+        const rows = [...recipients].map(([jid, variables]) => ({
+            campaign_id: campaign.id,
+            jid,
+            variables,
+            status: optedOut.has(jid) ? 'skipped' : 'pending',
+            error: optedOut.has(jid) ? 'Recipient opted out' : null,
+            updated_at: now
+        }));
+
+        for (let i = 0; i < rows.length; i += this.insertChunk) {
+            const { error: insertError } = await supabase
+                .from(this.recipientsTable)
+                .insert(rows.slice(i, i + this.insertChunk));
+
+            if (insertError) {
+                console.error(`❌ [Campaign][${sessionId}] Failed to store recipients:`, insertError.message);
+                await this._discard(campaign.id);
+                return { success: false, error: 'Failed to store campaign recipients' };
+            }
+        }
+
+        const { data: stored, error: statusError } = await supabase
+            .from(this.tableName)
+            .update({ status, started_at: status === 'running' ? now : null, updated_at: new Date().toISOString() })
+            .eq('id', campaign.id)
+            .select('*')
+            .single();
+
+        if (statusError) {
+            console.error(`❌ [Campaign][${sessionId}] Failed to activate campaign:`, statusError.message);
+            await this._discard(campaign.id);
+            return { success: false, error: 'Failed to create campaign' };
+        }
+
+        if (status === 'running') queueService.wake(sessionId);
+
+        const skipped = rows.filter(r => r.status === 'skipped').length;
+        return {
+            success: true,
+            campaign: stored,
+            summary: {
+                recipients: rows.length - skipped,
+                skippedOptOut: skipped,
+                invalid: invalid.length
+            },
+            invalid
+        };
+    }
+
+    /**
+     * Drop a campaign whose creation failed halfway, with the recipients stored so far
+     */
+    async _discard(campaignId) {
+        await supabase.from(this.recipientsTable).delete().eq('campaign_id', campaignId);
+        await supabase.from(this.tableName).delete().eq('id', campaignId);
+    }
+
+    async list(sessionId, status = null) {
+        let query = supabase
+            .from(this.tableName)
+            .select('id, name, type, status, send_at, rate_per_minute, total_recipients, started_at, completed_at, created_at, updated_at')
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: false });
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async _getRow(sessionId, id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async _countRecipients(campaignId, status) {
+        const { count, error } = await supabase
+            .from(this.recipientsTable)
+            .select('id', { count: 'exact', head: true })
+            .eq('campaign_id', campaignId)
+            .eq('status', status);
+
+        if (error) throw error;
+        return count || 0;
+    }
+
+    async getReport(campaignId) {
+        const counts = await Promise.all(RECIPIENT_STATUSES.map(s => this._countRecipients(campaignId, s)));
+        return Object.fromEntries(RECIPIENT_STATUSES.map((s, i) => [s, counts[i]]));
+    }
+
+    /**
+     * Campaign with per-status recipient counts
+     */
+    async get(sessionId, id) {
+        const campaign = await this._getRow(sessionId, id);
+        if (!campaign) return null;
+        return { ...campaign, report: await this.getReport(id) };
+    }
+
+    async listRecipients(sessionId, id, { status = null, limit = 100, offset = 0 } = {}) {
+        const campaign = await this._getRow(sessionId, id);
+        if (!campaign) return null;
+
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), this.pageSize);
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+        let query = supabase
+            .from(this.recipientsTable)
+            .select('jid, variables, status, job_id, message_id, error, sent_at, updated_at', { count: 'exact' })
+            .eq('campaign_id', id)
+            .order('id', { ascending: true })
+            .range(start, start + pageSize - 1);
+
+        if (status) query = query.eq('status', status);
+
+        const { data, count, error } = await query;
+        if (error) throw error;
+        return { total: count || 0, recipients: data || [] };
+    }
+
+    async _setStatus(campaign, status, fromStatuses, extra = {}) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ status, updated_at: new Date().toISOString(), ...extra })
+            .eq('id', campaign.id)
+            .in('status', fromStatuses)
+            .select('*');
+
+        if (error) throw error;
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * Pull not-yet-sent jobs of a campaign back out of the queue
+     * @returns {Promise<string[]>} cancelled job ids
+     */
+    async _recallQueued(campaign, recipientStatus) {
+        const jobIds = await queueService.cancelBatch(campaign.id, campaign.session_id);
+        if (jobIds.length > 0) {
+            const { error } = await supabase
+                .from(this.recipientsTable)
+                .update({ status: recipientStatus, job_id: null, updated_at: new Date().toISOString() })
+                .eq('campaign_id', campaign.id)
+                .in('job_id', jobIds);
+
+            if (error) throw error;
+        }
+        return jobIds;
+    }
+
+    async _transition(sessionId, id, action) {
+        const campaign = await this._getRow(sessionId, id);
+        if (!campaign) return { success: false, status: 404, error: 'Campaign not found' };
+
+        const now = new Date().toISOString();
+        let updated = null;
+
+        switch (action) {
+            case 'start':
+                updated = await this._setStatus(campaign, 'running', ['draft', 'scheduled'], { started_at: now, next_send_at: now });
+                break;
+            case 'pause':
+                updated = await this._setStatus(campaign, 'paused', ['running', 'scheduled']);
+                if (updated) await this._recallQueued(campaign, 'pending');
+                break;
+            case 'resume':
+                updated = await this._setStatus(campaign, 'running', ['paused'], {
+                    next_send_at: now,
+                    started_at: campaign.started_at || now
+                });
+                break;
+            case 'cancel':
+                updated = await this._setStatus(campaign, 'cancelled', ['draft', 'scheduled', 'running', 'paused'], { completed_at: now });
+                if (updated) {
+                    await this._recallQueued(campaign, 'cancelled');
+                    const { error } = await supabase
+                        .from(this.recipientsTable)
+                        .update({ status: 'cancelled', updated_at: now })
+                        .eq('campaign_id', campaign.id)
+                        .eq('status', 'pending');
+                    if (error) throw error;
+                }
+                break;
+            default:
+                throw new Error(`Unknown campaign action: ${action}`);
+        }
+
+        if (!updated) {
+            return { success: false, status: 409, error: `Campaign is ${campaign.status} and cannot ${action}` };
+        }
+        if (updated.status === 'running') queueService.wake(sessionId);
+        return { success: true, campaign: updated };
+    }
+
+    start(sessionId, id) { return this._transition(sessionId, id, 'start'); }
+    pause(sessionId, id) { return this._transition(sessionId, id, 'pause'); }
+    resume(sessionId, id) { return this._transition(sessionId, id, 'resume'); }
+    cancel(sessionId, id) { return this._transition(sessionId, id, 'cancel'); }
+
+    /**
+     * Copy outcomes of finished queue jobs onto their recipients
+     */
+    async _collectOutcomes(campaign) {
+        const { data: queued, error } = await supabase
+            .from(this.recipientsTable)
+            .select('id, job_id')
+            .eq('campaign_id', campaign.id)
+            .eq('status', 'queued')
+            .not('job_id', 'is', null)
+            .limit(this.feedWindow * 5);
+
+        if (error) throw error;
+        if (!queued || queued.length === 0) return;
+
+        const jobs = new Map((await queueService.getJobsByIds(queued.map(r => r.job_id))).map(j => [j.id, j]));
+        for (const recipient of queued) {
+            const job = jobs.get(recipient.job_id);
+            if (!job || !['sent', 'failed', 'cancelled'].includes(job.status)) continue;
+
+            const optedOut = job.status === 'cancelled' && job.last_error === 'Recipient opted out';
+            await supabase
+                .from(this.recipientsTable)
+                .update({
+                    status: optedOut ? 'skipped' : job.status,
+                    message_id: job.message_id || null,
+                    error: job.last_error || null,
+                    sent_at: job.sent_at || null,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', recipient.id);
+        }
+    }
+
+    /**
+     * Queue the next pending recipients, keeping at most feedWindow in the queue
+     */
+    async _feed(campaign) {
+        const backlog = await this._countRecipients(campaign.id, 'queued');
+        const room = this.feedWindow - backlog;
+        if (room <= 0) return;
+
+        const { data: pending, error } = await supabase
+            .from(this.recipientsTable)
+            .select('id, jid, variables')
+            .eq('campaign_id', campaign.id)
+            .eq('status', 'pending')
+            .order('id', { ascending: true })
+            .limit(room);
+
+        if (error) throw error;
+        if (!pending || pending.length === 0) return;
+
+        const optedOut = await optOutService.getOptedOut(campaign.user_id);
+        const intervalMs = campaign.rate_per_minute ? Math.floor(60000 / campaign.rate_per_minute) : 0;
+        let cursor = Math.max(Date.now(), new Date(campaign.next_send_at || 0).getTime());
+
+        const jobs = [];
+        const byJid = new Map();
+        const now = new Date().toISOString();
+
+        for (const recipient of pending) {
+            if (optedOut.has(recipient.jid)) {
+                await supabase
+                    .from(this.recipientsTable)
+                    .update({ status: 'skipped', error: 'Recipient opted out', updated_at: now })
+                    .eq('id', recipient.id);
+                continue;
+            }
+            byJid.set(recipient.jid, recipient);
+            jobs.push({
+                number: recipient.jid,
+                type: campaign.type,
+                payload: this._renderPayload(campaign, recipient.variables || {}),
+                notBefore: intervalMs ? new Date(cursor).toISOString() : null
+            });
+            cursor += intervalMs;
+        }
+        if (jobs.length === 0) return;
+
+        const result = await queueService.enqueueBatch(campaign.session_id, jobs, {
+            userId: campaign.user_id,
+            batchId: campaign.id
+        });
+        if (!result.success) throw new Error(result.error);
+
+        for (const job of result.jobs) {
+            const recipient = byJid.get(job.to);
+            if (!recipient) continue;
+            await supabase
+                .from(this.recipientsTable)
+                .update({ status: 'queued', job_id: job.jobId, updated_at: now })
+                .eq('id', recipient.id);
+        }
+        for (const rejected of result.rejected) {
+            const recipient = byJid.get(whatsappService.formatPhoneNumber(String(rejected.number)));
+            if (!recipient) continue;
+            await supabase
+                .from(this.recipientsTable)
+                .update({ status: 'failed', error: rejected.error, updated_at: now })
+                .eq('id', recipient.id);
+        }
+
+        await supabase
+            .from(this.tableName)
+            .update({ next_send_at: new Date(cursor).toISOString(), updated_at: now })
+            .eq('id', campaign.id);
+    }
+
+    async _advance(campaign) {
+        await this._collectOutcomes(campaign);
+        if (campaign.status !== 'running') return;
+
+        await this._feed(campaign);
+
+        const [pending, queued] = await Promise.all([
+            this._countRecipients(campaign.id, 'pending'),
+            this._countRecipients(campaign.id, 'queued')
+        ]);
+        if (pending === 0 && queued === 0) {
+            await this._setStatus(campaign, 'completed', ['running'], { completed_at: new Date().toISOString() });
+            console.log(`✅ [Campaign][${campaign.session_id}] Campaign "${campaign.name}" completed.`);
+        }
+    }
+
+    /**
+     * Start due scheduled campaigns and move running ones forward. Called by the campaign job.
+     */
+    async runDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date().toISOString();
+            const { data: due, error: dueError } = await supabase
+                .from(this.tableName)
+                .update({ status: 'running', started_at: now, next_send_at: now, updated_at: now })
+                .eq('status', 'scheduled')
+                .lte('send_at', now)
+                .select('id, session_id, name');
+
+            if (dueError) throw dueError;
+            for (const campaign of due || []) {
+                console.log(`📣 [Campaign][${campaign.session_id}] Scheduled campaign "${campaign.name}" started.`);
+            }
+
+            // Paused campaigns still collect outcomes of jobs that were already sending
+            const { data: active, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .in('status', ['running', 'paused'])
+                .order('created_at', { ascending: true });
+
+            if (error) throw error;
+
+            for (const campaign of active || []) {
+                try {
+                    await this._advance(campaign);
+                } catch (err) {
+                    console.error(`❌ [Campaign][${campaign.session_id}] Failed to advance ${campaign.id}:`, err.message);
+                }
+            }
+        } catch (err) {
+            console.error(`❌ [Campaign] Run error:`, err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Campaign progress in the shape of a queue batch (send-bulk compatibility)
+     */
+    async getBatchView(sessionId, batchId) {
+        const campaign = await this._getRow(sessionId, batchId);
+        if (!campaign) return null;
+
+        const report = await this.getReport(batchId);
+        const { recipients } = await this.listRecipients(sessionId, batchId, { limit: this.pageSize });
+        return {
+            batchId,
+            campaignId: campaign.id,
+            campaignStatus: campaign.status,
+            summary: {
+                total: campaign.total_recipients,
+                queued: report.pending + report.queued,
+                sending: 0,
+                sent: report.sent,
+                failed: report.failed,
+                cancelled: report.cancelled + report.skipped
+            },
+            jobs: recipients.map(r => ({
+                id: r.job_id,
+                jid: r.jid,
+                status: r.status,
+                last_error: r.error,
+                message_id: r.message_id,
+                sent_at: r.sent_at
+            }))
+        };
+    }
+}
+
+module.exports = new CampaignService();
@@ -1,11 +1,23 @@
 const { DisconnectReason } = require('@whiskeysockets/baileys');
 const sessionManager = require('./session.manager');
 const configService = require('../common/config.service');
+const sessionEvents = require('./session.events');
+const sessionRegistry = require('./sessionRegistry.service');
+const connectionLog = require('./connectionLog.service');
+const sessionSupervisor = require('./sessionSupervisor.service');
 const { logger } = require('../../config/logger');
 
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Outgoing messages older than this when echoed are replays, not new sends
+const REPLAY_AGE_MS = 5 * 60 * 1000;
 
-function registerConnectionUpdateHandler({ socket, sessionData, sessionId, clearSession, reconnect }) {
+// User sessions map to their owner through the registry; system sessions may be bound to a user
+const resolveSessionUserId = (sessionId) => sessionRegistry.getCachedOwner(sessionId)
+    || sessionManager.getSession(sessionId)?.userId || null;
+
+// Sessions whose chats are answered by the AI bot
+const isAiSession = (sessionId) => sessionId === 'wa-bot-ai' || sessionRegistry.isUserSessionId(sessionId);
+
+function registerConnectionUpdateHandler({ socket, sessionData, sessionId, clearSession }) {
     socket.ev.on('connection.update', async (update) => {
         const { connection, lastDisconnect, qr } = update;
 
@@ -13,24 +25,46 @@ function registerConnectionUpdateHandler({ socket, sessionData, sessionId, clear
             sessionData.connectionState.qr = qr;
             sessionData.connectionState.connection = 'waiting_qr';
             console.log(`[${sessionData.displayName}] QR Code generated - Waiting for scan...`);
+            sessionEvents.publish(sessionId, 'qr.updated', { qr });
+            connectionLog.record(sessionId, 'qr');
         }
 
         if (connection) {
             sessionData.connectionState.connection = connection;
 
+            if (connection === 'connecting') {
+                sessionEvents.publish(sessionId, 'connection.update', { connection: 'connecting' });
+                connectionLog.record(sessionId, 'connecting');
+                sessionSupervisor.markConnecting(sessionId);
+            }
+
             if (connection === 'open') {
                 sessionData.connectionState.qr = null;
                 sessionData.connectionState.phoneNumber = socket.user?.id?.split(':')[0] || null;
                 sessionData.connectionState.name = socket.user?.name || null;
 
-                const isMulti = UUID_REGEX.test(sessionId) || sessionId === 'wa-bot-ai';
+                sessionEvents.publish(sessionId, 'connection.update', {
+                    connection: 'open',
+                    phoneNumber: sessionData.connectionState.phoneNumber,
+                    name: sessionData.connectionState.name
+                });
+                connectionLog.record(sessionId, 'open', { details: { phoneNumber: sessionData.connectionState.phoneNumber } });
+                sessionSupervisor.onOpen(sessionId);
+
+                const isMulti = isAiSession(sessionId);
                 const category = isMulti ? '[ACTIVATION WA MULTI]' : '[ACTIVATION WA TUNGGAL]';
 
                 console.log(`\n${category} :\n[${sessionData.displayName}] Connected! Phone: ${sessionData.connectionState.phoneNumber}\n`);
 
                 // PERSISTENCE: Record success in session registry so it can be restored on boot
                 console.log(`[${sessionData.displayName}] Recording session registry...`);
-                await configService.upsertUserSession(sessionId, socket.user.id);
+                if (sessionRegistry.isPrimary(sessionId) || !sessionRegistry.isUserSessionId(sessionId)) {
+                    await configService.upsertUserSession(sessionId, socket.user.id);
+                } else {
+                    // Extra numbers of an account are restored from the session registry
+                    await sessionRegistry.setActive(sessionId, true);
+                }
+                require('./sendingPolicy.service').registerNumber(sessionData.connectionState.phoneNumber);
 
                 // MODERATOR DETECTION: Log if this connection belongs to a moderator
                 const moderatorGuard = require('../moderator/moderatorGuard');
@@ -46,11 +80,24 @@ function registerConnectionUpdateHandler({ socket, sessionData, sessionId, clear
                 const reason = DisconnectReason[statusCode] || 'Unknown';
 
                 console.log(`\n[${sessionData.displayName}] Disconnection: ${reason} (${statusCode})`);
+                require('./sendingPolicy.service').recordDisconnect(sessionId, statusCode);
 
-                const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+                const isBanned = statusCode === DisconnectReason.forbidden;
+                const shouldReconnect = statusCode !== DisconnectReason.loggedOut && !isBanned;
+                const isReplaced = statusCode === 440 || statusCode === DisconnectReason.connectionReplaced;
+                sessionEvents.publish(sessionId, 'connection.update', {
+                    connection: 'close',
+                    statusCode: statusCode || null,
+                    reason,
+                    willReconnect: shouldReconnect
+                });
+                connectionLog.record(sessionId, isReplaced ? 'replaced' : 'close', {
+                    statusCode: statusCode || null,
+                    reason,
+                    details: { willReconnect: shouldReconnect, message: lastDisconnect?.error?.message || null }
+                });
 
                 if (shouldReconnect) {
-                    const isReplaced = statusCode === 440 || statusCode === DisconnectReason.connectionReplaced;
                     const currentPhone = sessionData.connectionState.phoneNumber;
 
                     // If replaced, check if ANOTHER session in THIS server now owns the phone
@@ -58,28 +105,41 @@ function registerConnectionUpdateHandler({ socket, sessionData, sessionId, clear
                         const conflict = sessionManager.getSessionByPhone(currentPhone);
                         if (conflict && conflict.id !== sessionId) {
                             console.log(`[${sessionData.displayName}] Session was replaced by [${conflict.displayName}] (${conflict.id}). Stopping reconnection to avoid flapping.`);
+                            sessionSupervisor.stop(sessionId, 'replaced', { alert: false });
                             return; // STOP reconnect loop
                         }
                     }
 
-                    const delay = isReplaced ? 25000 : 10000;
-
-                    if (isReplaced) {
-                        console.log(`[${sessionData.displayName}] Session was replaced elsewhere. Waiting ${delay / 1000}s to avoid conflict.`);
+                    // Backoff grows with consecutive failures; a replaced session waits longer to avoid conflict
+                    const delay = sessionSupervisor.scheduleReconnect(sessionId, { statusCode: statusCode || null, reason });
+                    if (delay === null) {
+                        console.log(`[${sessionData.displayName}] Reconnection is stopped for this session.`);
+                        return;
                     }
-
                     sessionData.connectionState.connection = 'connecting';
-                    console.log(`[${sessionData.displayName}] Reconnecting in ${delay / 1000}s...`);
-                    reconnect(delay);
+                    sessionSupervisor.markConnecting(sessionId);
+                    console.log(`[${sessionData.displayName}] Reconnecting in ${Math.round(delay / 1000)}s...`);
+                } else if (isBanned) {
+                    // Keep the credentials: a temporary ban can be lifted, the user restarts the session then
+                    console.log(`[${sessionData.displayName}] Rejected by WhatsApp (banned?). Not reconnecting.`);
+                    sessionSupervisor.stop(sessionId, 'banned');
                 } else {
                     console.log(`[${sessionData.displayName}] Logged out. Session data will be cleared.`);
+                    sessionEvents.publish(sessionId, 'session.logged_out', {
+                        phoneNumber: sessionData.connectionState.phoneNumber
+                    });
+                    sessionSupervisor.stop(sessionId, 'logged_out');
 
                     // PERSISTENCE: Remove session from user_sessions on logout
-                    if (UUID_REGEX.test(sessionId)) {
+                    if (sessionRegistry.isPrimary(sessionId)) {
                         await configService.removeUserSession(sessionId);
+                    } else {
+                        await sessionRegistry.setActive(sessionId, false);
                     }
 
                     if (clearSession) await clearSession();
+                    require('./group.service').clearSession(sessionId);
+                    require('./messageStore.service').clearSession(sessionId);
                     sessionManager.deleteSession(sessionId);
                 }
             }
@@ -87,31 +147,87 @@ function registerConnectionUpdateHandler({ socket, sessionData, sessionId, clear
     });
 }
 
+/**
+ * Compact, JSON-safe view of a message for event subscribers (webhooks, event stream).
+ * Incoming messages carry `from`, our own messages carry `to`.
+ */
+function buildMessagePayload(msg) {
+    const { getMessageText } = require('../ai/aiBot.helpers');
+    const content = msg.message || {};
+    const messageType = Object.keys(content).find(k => k !== 'messageContextInfo' && k !== 'senderKeyDistributionMessage') || null;
+    const remoteJid = msg.key.remoteJid;
+
+    return {
+        messageId: msg.key.id,
+        ...(msg.key.fromMe ? { to: remoteJid } : { from: remoteJid }),
+        participant: msg.key.participant || null,
+        isGroup: remoteJid?.endsWith('@g.us') || false,
+        pushName: msg.pushName || null,
+        messageType,
+        text: getMessageText(content) || null,
+        timestamp: Number(msg.messageTimestamp) || null
+    };
+}
+
 function registerMessageUpsertHandler({ socket, sessionId }) {
     socket.ev.on('messages.upsert', async ({ messages, type }) => {
         logger.debug(`[${sessionId}] messages.upsert type=${type}, count=${messages.length}`);
 
+        // Outgoing: 'append' for messages sent by this server, 'notify' for ones sent from the phone
+        for (const msg of messages) {
+            if (msg.key.fromMe && msg.message && msg.key.remoteJid !== 'status@broadcast') {
+                sessionEvents.publish(sessionId, 'message.sent', buildMessagePayload(msg));
+            }
+        }
+
         if (type === 'notify') {
             const aiBotService = require('../ai/aiBot.service');
             const csBotService = require('../ai/csBot.service');
+            const optOutService = require('./optOut.service');
+            const { getMessageText } = require('../ai/aiBot.helpers');
+
+            const routeToBot = (msg) => {
+                // Don't await here to allow concurrent handling (especially with delays)
+                if (isAiSession(sessionId)) {
+                    aiBotService.handleIncomingMessage(sessionId, socket, msg).catch(err => {
+                        console.error(`[${sessionId}] AI Bot Error:`, err.message);
+                    });
+                } else if (sessionId === 'CS-BOT') {
+                    csBotService.handleIncomingMessage(sessionId, socket, msg).catch(err => {
+                        console.error(`[${sessionId}] CS Bot Error:`, err.message);
+                    });
+                } else if (sessionId === 'main-session') {
+                    const mainBotService = require('../ai/mainBot.service');
+                    mainBotService.handleIncomingMessage(sessionId, socket, msg).catch(err => {
+                        console.error(`[${sessionId}] Main Bot Error:`, err.message);
+                    });
+                }
+            };
 
             for (const msg of messages) {
                 const fromMe = msg.key.fromMe;
+                if (!fromMe && msg.message && msg.key.remoteJid !== 'status@broadcast') {
+                    sessionEvents.publish(sessionId, 'message.received', buildMessagePayload(msg));
+                }
+                if (fromMe && isAiSession(sessionId)) {
+                    // Sent from the owner's phone (our own sends are 'append'): human takeover
+                    aiBotService.handleOwnerMessage(sessionId, socket, msg).catch(err => {
+                        console.error(`[${sessionId}] AI Takeover Error:`, err.message);
+                    });
+                }
                 if (!fromMe) {
-                    // Don't await here to allow concurrent handling (especially with delays)
-                    if (sessionId === 'wa-bot-ai' || UUID_REGEX.test(sessionId)) {
-                        aiBotService.handleIncomingMessage(sessionId, socket, msg).catch(err => {
-                            console.error(`[${sessionId}] AI Bot Error:`, err.message);
-                        });
-                    } else if (sessionId === 'CS-BOT') {
-                        csBotService.handleIncomingMessage(sessionId, socket, msg).catch(err => {
-                            console.error(`[${sessionId}] CS Bot Error:`, err.message);
-                        });
-                    } else if (sessionId === 'main-session') {
-                        const mainBotService = require('../ai/mainBot.service');
-                        mainBotService.handleIncomingMessage(sessionId, socket, msg).catch(err => {
-                            console.error(`[${sessionId}] Main Bot Error:`, err.message);
-                        });
+                    // STOP / BERHENTI (and MULAI to undo) manage the owner's broadcast opt-out list
+                    const ownerId = resolveSessionUserId(sessionId);
+                    const keyword = ownerId && !msg.key.remoteJid?.endsWith('@g.us')
+                        ? optOutService.matchKeyword(getMessageText(msg.message))
+                        : null;
+
+                    if (keyword) {
+                        optOutService.handleKeyword(ownerId, socket, msg, keyword)
+                            .then(handled => { if (!handled) routeToBot(msg); })
+                            .catch(err => console.error(`[${sessionId}] Opt-out Error:`, err.message));
+                    } else {
+                        routeToBot(msg);
                     }
                 }
             }
@@ -119,7 +235,116 @@ function registerMessageUpsertHandler({ socket, sessionId }) {
     });
 }
 
+function registerMessageStatusHandler({ socket, sessionId }) {
+    const messageStatusService = require('./messageStatus.service');
+    const sendingPolicy = require('./sendingPolicy.service');
+
+    // Outgoing messages (API, bots, queue) are echoed back by Baileys as upserts with fromMe
+    socket.ev.on('messages.upsert', ({ messages }) => {
+        for (const msg of messages) {
+            if (msg.key?.fromMe && msg.message && msg.key.remoteJid !== 'status@broadcast') {
+                // Live sends are echoed as 'append' too, so tell replays (history sync,
+                // offline catch-up) apart by age: those were counted when sent
+                const ageMs = Date.now() - (Number(msg.messageTimestamp) || 0) * 1000;
+                if (ageMs < REPLAY_AGE_MS) sendingPolicy.recordSent(sessionId);
+                messageStatusService.recordOutgoing(sessionId, msg, resolveSessionUserId(sessionId));
+            }
+        }
+    });
+
+    // 1:1 chats: server ack / delivered / read arrive as status updates
+    socket.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates) {
+            if (!key?.fromMe || update?.status === undefined || update.status === null) continue;
+            const status = messageStatusService.mapBaileysStatus(update.status);
+            if (status) messageStatusService.applyStatus(sessionId, key.id, status);
+        }
+    });
+
+    // Groups: per-participant receipts, the first one moves the message forward
+    socket.ev.on('message-receipt.update', (receipts) => {
+        for (const { key, receipt } of receipts) {
+            if (!key?.fromMe || !receipt) continue;
+            if (receipt.readTimestamp || receipt.playedTimestamp) {
+                const ts = Number(receipt.readTimestamp || receipt.playedTimestamp) * 1000;
+                messageStatusService.applyStatus(sessionId, key.id, 'read', { at: ts || Date.now() });
+            } else if (receipt.receiptTimestamp) {
+                messageStatusService.applyStatus(sessionId, key.id, 'delivered', { at: Number(receipt.receiptTimestamp) * 1000 || Date.now() });
+            }
+        }
+    });
+}
+
+function registerMessageStoreHandler({ socket, sessionId }) {
+    const messageStore = require('./messageStore.service');
+    const inboxService = require('./inbox.service');
+
+    // Both directions: recipients ask for our messages on retry, and quoted replies need theirs
+    socket.ev.on('messages.upsert', ({ messages, type }) => {
+        for (const msg of messages) {
+            messageStore.save(sessionId, msg);
+            inboxService.recordMessage(sessionId, msg, { type });
+        }
+    });
+}
+
+function registerPollHandler({ socket, sessionId }) {
+    const pollService = require('./poll.service');
+
+    // Keep our own polls (API or phone) so votes can be decrypted later
+    socket.ev.on('messages.upsert', ({ messages }) => {
+        for (const msg of messages) {
+            if (msg.key?.fromMe && pollService.isPollCreation(msg.message)) {
+                pollService.recordPoll(sessionId, msg, resolveSessionUserId(sessionId));
+            }
+        }
+    });
+
+    // Baileys decrypts pollUpdateMessage via getMessage and reports the votes here
+    socket.ev.on('messages.update', (updates) => {
+        for (const { key, update } of updates) {
+            if (update?.pollUpdates) {
+                pollService.applyVotes(sessionId, key, update.pollUpdates, socket.user?.id);
+            }
+        }
+    });
+}
+
+function registerGroupHandler({ socket, sessionId }) {
+    const groupService = require('./group.service');
+
+    socket.ev.on('groups.upsert', (groups) => {
+        for (const metadata of groups) groupService.setMetadata(sessionId, metadata);
+    });
+    socket.ev.on('groups.update', (updates) => groupService.applyGroupUpdates(sessionId, updates));
+    socket.ev.on('group-participants.update', (update) => {
+        groupService.applyParticipantsUpdate(sessionId, update);
+
+        const groupEventsService = require('./groupEvents.service');
+        groupEventsService.handleParticipantsUpdate(sessionId, socket, update, resolveSessionUserId(sessionId)).catch(err => {
+            console.error(`❌ [GroupEvents][${sessionId}] Handler error:`, err.message);
+        });
+    });
+}
+
+function registerCallHandler({ socket, sessionId }) {
+    const callService = require('./call.service');
+
+    socket.ev.on('call', (calls) => {
+        for (const call of calls) {
+            callService.handleCall(sessionId, socket, call, resolveSessionUserId(sessionId)).catch(err => {
+                console.error(`❌ [Call][${sessionId}] Handler error:`, err.message);
+            });
+        }
+    });
+}
+
 module.exports = {
     registerConnectionUpdateHandler,
-    registerMessageUpsertHandler
+    registerMessageUpsertHandler,
+    registerMessageStatusHandler,
+    registerMessageStoreHandler,
+    registerPollHandler,
+    registerGroupHandler,
+    registerCallHandler
 };
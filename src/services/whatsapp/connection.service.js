@@ -5,19 +5,29 @@
 } = require('@whiskeysockets/baileys');
 const { baileysLogger } = require('../../config/logger');
 const sessionManager = require('./session.manager');
-const { registerConnectionUpdateHandler, registerMessageUpsertHandler } = require('./connection.handlers');
-const { useSupabaseAuthState } = require('./auth.service');
+const {
+    registerConnectionUpdateHandler,
+    registerMessageUpsertHandler,
+    registerMessageStatusHandler,
+    registerMessageStoreHandler,
+    registerPollHandler,
+    registerGroupHandler,
+    registerCallHandler
+} = require('./connection.handlers');
+const groupService = require('./group.service');
+const messageStore = require('./messageStore.service');
+const sessionEvents = require('./session.events');
+const { useAuthState } = require('./auth.service');
 const fs = require('fs');
 const path = require('path');
 
 // Use standard logger
 const configService = require('../common/config.service');
+const sessionRegistry = require('./sessionRegistry.service');
+const sessionSupervisor = require('./sessionSupervisor.service');
 
 const connectionLock = new Map();
 
-// UUID detection regex
-const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-
 class ConnectionService {
     async connect(sessionId = 'main-session', userId = null, phoneNumber = null) {
         // Guard: Prevent multiple simultaneous connection attempts for the same sessionId
@@ -48,7 +58,9 @@ class ConnectionService {
                 }
             }
 
-            const displayName = await configService.getUserDisplay(userId || sessionId);
+            // Extra numbers of an account are bound to their owner from the registry
+            const ownerId = userId || existingSession?.userId || await sessionRegistry.getOwner(sessionId);
+            const displayName = await configService.getUserDisplay(ownerId || sessionId);
 
             // CONFLICT PREVENTION: Check if phone number is already active in another session
             if (phoneNumber) {
@@ -67,7 +79,7 @@ class ConnectionService {
             const sessionData = {
                 socket: null,
                 displayName,
-                userId: userId || existingSession?.userId || null,
+                userId: ownerId || null,
                 clearSessionHandler: null,
                 connectionState: {
                     qr: null,
@@ -82,7 +94,7 @@ class ConnectionService {
             const { version } = await fetchLatestBaileysVersion();
 
             // Initialize auth state from Supabase
-            const { state, saveCreds, clearSession } = await useSupabaseAuthState(sessionId);
+            const { state, saveCreds, clearSession } = await useAuthState(sessionId);
             sessionData.clearSessionHandler = clearSession;
 
             // Create socket
@@ -97,8 +109,13 @@ class ConnectionService {
                 generateHighQualityLinkPreview: true,
                 browser: ['WhatsApp Gateway', 'Chrome', '120.0.0'],
                 retryRequestDelayMs: 5000,
+                cachedGroupMetadata: async (jid) => groupService.getCached(sessionId, jid),
                 getMessage: async (key) => {
-                    return undefined;
+                    // Recent messages answer retry requests; polls are kept longer for vote decryption
+                    const stored = await messageStore.getMessage(sessionId, key);
+                    if (stored) return stored;
+                    const pollService = require('./poll.service');
+                    return pollService.getCreationMessage(sessionId, key.id);
                 }
             });
 
@@ -112,10 +129,12 @@ class ConnectionService {
                 const cleanNumber = phoneNumber.replace(/\D/g, '');
                 if (cleanNumber) {
                     console.log(`ðŸŒ€ [${displayName}] Requesting Pairing Code for: ${cleanNumber}`);
+                    require('./connectionLog.service').record(sessionId, 'pairing_requested', { details: { phoneNumber: cleanNumber } });
                     setTimeout(async () => {
                         try {
                             const code = await socket.requestPairingCode(cleanNumber);
                             sessionData.connectionState.pairingCode = code;
+                            sessionEvents.publish(sessionId, 'pairing_code.updated', { pairingCode: code });
                             console.log(`🔐‘ [${displayName}] Pairing Code Generated: ${code}`);
                         } catch (err) {
                             console.error(`âŒ [${displayName}] Failed to generate pairing code:`, err.message);
@@ -129,18 +148,22 @@ class ConnectionService {
                 socket,
                 sessionData,
                 sessionId,
-                clearSession,
-                reconnect: (delay) => setTimeout(() => this.connect(sessionId), delay)
+                clearSession
             });
             socket.ev.on('creds.update', saveCreds);
 
             registerMessageUpsertHandler({ socket, sessionId });
+            registerMessageStatusHandler({ socket, sessionId });
+            registerMessageStoreHandler({ socket, sessionId });
+            registerPollHandler({ socket, sessionId });
+            registerGroupHandler({ socket, sessionId });
+            registerCallHandler({ socket, sessionId });
 
         } catch (error) {
             connectionLock.delete(sessionId);
             console.error(`âŒ [${sessionId}] Critical Connection Error:`, error.message);
-            // Retry connection after a delay
-            setTimeout(() => this.connect(sessionId), 15000);
+            // Retry with backoff
+            sessionSupervisor.scheduleReconnect(sessionId, { error: error.message });
         }
     }
 }
@@ -0,0 +1,244 @@
+const supabase = require('../../config/supabase');
+
+const EVENT_TYPES = ['connecting', 'open', 'close', 'replaced', 'qr', 'pairing_requested'];
+// Transitions that end an online period; 'connecting' also covers restarts without a close
+const OFFLINE_EVENTS = ['connecting', 'close', 'replaced'];
+const DISCONNECT_EVENTS = ['close', 'replaced'];
+const PAGE_SIZE = 1000;
+
+/**
+ * Connection Log Service
+ * Keeps every connection transition of a session (connecting, open, close with
+ * the DisconnectReason code, replaced, QR issued, pairing requested) in
+ * wa_connection_events and derives uptime and reconnect counts from it.
+ * A process that dies writes no close: a heartbeat marks when it was last
+ * alive, and the first event of a session after a restart records the gap
+ * as a close with reason `process_stopped`.
+ */
+class ConnectionLogService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_connection_events');
+        this.retentionDays = parseInt(process.env.CONNECTION_EVENTS_RETENTION_DAYS || '30', 10);
+        this.lastEvents = new Map(); // sessionId -> last recorded event type
+        this.heartbeatKey = `connection_heartbeat:${this.tableName}`;
+        // Last heartbeat of the previous process, read before this one overwrites it
+        this.lastAlive = configService.getSetting(this.heartbeatKey).then(value => value?.at || null);
+    }
+
+    /**
+     * Mark the process as alive. Called by the heartbeat job.
+     */
+    async heartbeat() {
+        await this.lastAlive;
+        const configService = require('../common/config.service');
+        await configService.updateSetting(this.heartbeatKey, { at: new Date().toISOString() });
+    }
+
+    /**
+     * A session still online when the previous process died: close it at that
+     * process's last heartbeat so the downtime is not counted as online
+     */
+    async _closeGap(sessionId) {
+        const lastAlive = await this.lastAlive;
+        if (!lastAlive) return;
+
+        const { data: last, error } = await supabase
+            .from(this.tableName)
+            .select('event, created_at')
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error || last?.event !== 'open') return;
+
+        const stoppedAt = new Date(Math.max(new Date(lastAlive).getTime(), new Date(last.created_at).getTime()));
+        const { error: insertError } = await supabase
+            .from(this.tableName)
+            .insert({
+                session_id: sessionId,
+                event: 'close',
+                reason: 'process_stopped',
+                details: { inferred: true, willReconnect: true },
+                created_at: stoppedAt.toISOString()
+            });
+
+        if (insertError) console.error(`❌ [ConnectionLog][${sessionId}] Failed to record process stop:`, insertError.message);
+    }
+
+    /**
+     * Store a transition; never throws, never blocks the connection handler
+     * @param {string} sessionId
+     * @param {string} event - one of EVENT_TYPES
+     * @param {object} data - { statusCode, reason, details }
+     */
+    record(sessionId, event, { statusCode = null, reason = null, details = {} } = {}) {
+        if (!EVENT_TYPES.includes(event)) return;
+
+        // A new QR arrives every ~20s while waiting for a scan: keep the first one
+        if (event === 'qr' && this.lastEvents.get(sessionId) === 'qr') return;
+        // First event of this session since the process started
+        const gap = this.lastEvents.has(sessionId) ? Promise.resolve() : this._closeGap(sessionId).catch(() => {});
+        this.lastEvents.set(sessionId, event);
+
+        gap.then(() => supabase
+            .from(this.tableName)
+            .insert({
+                session_id: sessionId,
+                event,
+                status_code: statusCode,
+                reason,
+                details
+            })
+            .then(({ error }) => {
+                if (error) console.error(`❌ [ConnectionLog][${sessionId}] Failed to record ${event}:`, error.message);
+            }));
+    }
+
+    /**
+     * Events of one or more sessions since a point in time, oldest first
+     */
+    async _fetch(sessionIds, since) {
+        const events = [];
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('session_id, event, status_code, reason, details, created_at')
+                .in('session_id', sessionIds)
+                .gte('created_at', since.toISOString())
+                .order('created_at', { ascending: true })
+                .range(from, from + PAGE_SIZE - 1);
+
+            if (error) throw error;
+            events.push(...(data || []));
+            if (!data || data.length < PAGE_SIZE) return events;
+        }
+    }
+
+    /**
+     * Uptime and disconnect figures over a window.
+     * The state before the first event is inferred from it (a close means the
+     * session was online before); without events the live state counts.
+     */
+    _summarize(events, since, now, isOnlineNow) {
+        let online = events.length > 0 ? DISCONNECT_EVENTS.includes(events[0].event) : isOnlineNow;
+        let hasBeenOnline = online; // the first open of a fresh session is not a reconnect
+        let wentOffline = false;
+        let cursor = since.getTime();
+        let onlineMs = 0;
+        let reconnects = 0;
+        let disconnects = 0;
+        let lastConnectedAt = null;
+        let lastDisconnect = null;
+        const disconnectReasons = {};
+
+        for (const event of events) {
+            const at = new Date(event.created_at).getTime();
+            if (online) onlineMs += at - cursor;
+            cursor = at;
+
+            if (event.event === 'open') {
+                if (wentOffline) reconnects++;
+                online = true;
+                hasBeenOnline = true;
+                wentOffline = false;
+                lastConnectedAt = event.created_at;
+            } else if (OFFLINE_EVENTS.includes(event.event)) {
+                online = false;
+                wentOffline = hasBeenOnline;
+            }
+
+            if (DISCONNECT_EVENTS.includes(event.event)) {
+                disconnects++;
+                const reason = event.event === 'replaced' ? 'connectionReplaced' : event.reason || 'Unknown';
+                disconnectReasons[reason] = (disconnectReasons[reason] || 0) + 1;
+                lastDisconnect = {
+                    at: event.created_at,
+                    event: event.event,
+                    statusCode: event.status_code,
+                    reason: event.reason,
+                    willReconnect: event.details?.willReconnect ?? null
+                };
+            }
+        }
+        if (online) onlineMs += now.getTime() - cursor;
+
+        const windowMs = now.getTime() - since.getTime();
+        return {
+            uptimePct: windowMs > 0 ? Math.round((onlineMs / windowMs) * 10000) / 100 : null,
+            onlineMs,
+            reconnects,
+            disconnects,
+            disconnectReasons,
+            lastConnectedAt,
+            lastDisconnect,
+            qrIssued: events.filter(e => e.event === 'qr').length,
+            pairingRequests: events.filter(e => e.event === 'pairing_requested').length
+        };
+    }
+
+    /**
+     * Health of a session over the last `hours`
+     * @param {string} sessionId
+     * @param {object} options - { hours, isOnlineNow, eventLimit }
+     */
+    async getHealth(sessionId, { hours = 24, isOnlineNow = false, eventLimit = 50 } = {}) {
+        const now = new Date();
+        const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+        const events = await this._fetch([sessionId], since);
+
+        return {
+            windowHours: hours,
+            since: since.toISOString(),
+            ...this._summarize(events, since, now, isOnlineNow),
+            events: events.slice(-eventLimit).reverse().map(({ session_id, ...event }) => event)
+        };
+    }
+
+    /**
+     * Health summaries of many sessions with a single query (instance listings)
+     * @param {Array<{sessionId: string, isOnlineNow: boolean}>} sessions
+     * @returns {Promise<Map<string, object>>} sessionId -> summary
+     */
+    async getHealthSummaries(sessions, { hours = 24 } = {}) {
+        const summaries = new Map();
+        if (sessions.length === 0) return summaries;
+
+        const now = new Date();
+        const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+        const sessionIds = sessions.map(s => s.sessionId);
+        const events = [];
+        // Chunked so the id list stays within URL limits
+        for (let i = 0; i < sessionIds.length; i += 100) {
+            events.push(...await this._fetch(sessionIds.slice(i, i + 100), since));
+        }
+
+        const bySession = new Map();
+        for (const event of events) {
+            if (!bySession.has(event.session_id)) bySession.set(event.session_id, []);
+            bySession.get(event.session_id).push(event);
+        }
+
+        for (const { sessionId, isOnlineNow } of sessions) {
+            const { uptimePct, reconnects, disconnects, lastDisconnect } = this._summarize(bySession.get(sessionId) || [], since, now, isOnlineNow);
+            summaries.set(sessionId, { windowHours: hours, uptimePct, reconnects, disconnects, lastDisconnect });
+        }
+        return summaries;
+    }
+
+    /**
+     * Drop events older than CONNECTION_EVENTS_RETENTION_DAYS. Called by the prune job.
+     */
+    async prune() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .lt('created_at', cutoff.toISOString());
+
+        if (error) console.error(`❌ [ConnectionLog] Prune failed:`, error.message);
+    }
+}
+
+module.exports = new ConnectionLogService();
@@ -0,0 +1,126 @@
+const supabase = require('../../config/supabase');
+const whatsappService = require('./whatsapp.service');
+
+/**
+ * Contact Tags Service
+ * Free-form labels on a user's contacts (e.g. 'vip', 'jakarta') used to pick
+ * campaign audiences. Tags are lower-cased so 'VIP' and 'vip' are one tag.
+ */
+class ContactTagsService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_contact_tags');
+    }
+
+    normalizeTag(tag) {
+        return String(tag || '').trim().toLowerCase();
+    }
+
+    /**
+     * Tags of a user with their contact counts
+     */
+    async listTags(userId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('tag')
+            .eq('user_id', userId);
+
+        if (error) throw error;
+
+        const counts = new Map();
+        for (const row of data || []) counts.set(row.tag, (counts.get(row.tag) || 0) + 1);
+        return [...counts].map(([tag, contacts]) => ({ tag, contacts })).sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
+    async listContacts(userId, tag) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('jid, name, created_at')
+            .eq('user_id', userId)
+            .eq('tag', this.normalizeTag(tag))
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Tag contacts
+     * @param {string} userId
+     * @param {string} tag
+     * @param {Array<string|{number: string, name?: string}>} contacts
+     * @returns {Promise<{tagged: number, invalid: Array}>}
+     */
+    async tagContacts(userId, tag, contacts) {
+        const rows = new Map();
+        const invalid = [];
+
+        for (const contact of contacts) {
+            const number = typeof contact === 'object' ? String(contact?.number || '') : String(contact);
+            const validation = whatsappService.validatePhoneNumber(number);
+            if (!validation.valid) {
+                invalid.push({ number, error: validation.message });
+                continue;
+            }
+            const jid = whatsappService.formatPhoneNumber(number);
+            rows.set(jid, { user_id: userId, tag: this.normalizeTag(tag), jid, name: contact?.name || null });
+        }
+
+        if (rows.size > 0) {
+            const { error } = await supabase
+                .from(this.tableName)
+                .upsert([...rows.values()], { onConflict: 'user_id,tag,jid' });
+
+            if (error) throw error;
+        }
+
+        return { tagged: rows.size, invalid };
+    }
+
+    /**
+     * Remove a tag from some contacts, or delete the tag entirely when no numbers are given
+     * @returns {Promise<number>} removed rows
+     */
+    async untagContacts(userId, tag, numbers = null) {
+        let query = supabase
+            .from(this.tableName)
+            .delete()
+            .eq('user_id', userId)
+            .eq('tag', this.normalizeTag(tag));
+
+        if (Array.isArray(numbers) && numbers.length > 0) {
+            query = query.in('jid', numbers.map(n => whatsappService.formatPhoneNumber(String(n))));
+        }
+
+        const { data, error } = await query.select('jid');
+        if (error) throw error;
+        return (data || []).length;
+    }
+
+    /**
+     * Contacts carrying any of the tags
+     * @returns {Promise<Array<{jid: string, name: string|null}>>}
+     */
+    async resolveTags(userId, tags, limit = 10000) {
+        const pageSize = 1000;
+        const contacts = [];
+
+        // PostgREST caps a single response, so page through large tags
+        for (let from = 0; from < limit; from += pageSize) {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .select('jid, name')
+                .eq('user_id', userId)
+                .in('tag', tags.map(t => this.normalizeTag(t)))
+                .order('jid', { ascending: true })
+                .range(from, from + pageSize - 1);
+
+            if (error) throw error;
+            contacts.push(...(data || []));
+            if (!data || data.length < pageSize) break;
+        }
+        return contacts;
+    }
+}
+
+module.exports = new ContactTagsService();
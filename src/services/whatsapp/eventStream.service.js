@@ -0,0 +1,150 @@
+const QRCode = require('qrcode');
+const sessionEvents = require('./session.events');
+const sessionManager = require('./session.manager');
+
+const STREAM_EVENTS = [
+    'connection.update',
+    'qr.updated',
+    'pairing_code.updated',
+    'session.logged_out',
+    'session.unhealthy',
+    'message.received',
+    'message.sent',
+    'message.status',
+    'poll.updated',
+    'call.received',
+    'status.posted',
+    'log'
+];
+
+/**
+ * Event Stream Service
+ * Server-Sent Events fan-out of the session event bus for dashboards:
+ * connection changes, QR / pairing codes, sent and received messages,
+ * receipts, calls and log entries. One bus listener serves every open stream.
+ */
+class EventStreamService {
+    constructor() {
+        this.supportedEvents = STREAM_EVENTS;
+        this.maxClientsPerSession = parseInt(process.env.EVENT_STREAM_MAX_CLIENTS || '10', 10);
+        this.heartbeatMs = 25000;
+        // sessionId -> Set({ res, events, userId })
+        this.clients = new Map();
+        this.nextId = 1;
+        this.subscribed = false;
+        this.heartbeat = null;
+    }
+
+    _subscribe() {
+        if (this.subscribed) return;
+        this.subscribed = true;
+        sessionEvents.on('event', (envelope) => {
+            this._broadcast(envelope).catch(err => {
+                console.error(`❌ [EventStream][${envelope.sessionId}] Broadcast error:`, err.message);
+            });
+        });
+    }
+
+    _startHeartbeat() {
+        if (this.heartbeat) return;
+        // Comment lines keep proxies from closing idle streams
+        this.heartbeat = setInterval(() => {
+            for (const clients of this.clients.values()) {
+                for (const client of clients) client.res.write(': ping\n\n');
+            }
+        }, this.heartbeatMs);
+    }
+
+    _write(res, event, payload) {
+        res.write(`id: ${this.nextId++}\nevent: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    async _withQrImage(envelope) {
+        if (envelope.event !== 'qr.updated' || !envelope.data?.qr) return envelope;
+        const qrImage = await QRCode.toDataURL(envelope.data.qr);
+        return { ...envelope, data: { ...envelope.data, qrImage } };
+    }
+
+    async _broadcast(envelope) {
+        const clients = this.clients.get(envelope.sessionId);
+        if (!clients || clients.size === 0) return;
+
+        const payload = await this._withQrImage(envelope);
+        for (const client of clients) {
+            if (client.events && !client.events.includes(envelope.event)) continue;
+            // Log entries only go to the user they belong to
+            if (envelope.event === 'log' && envelope.data?.userId !== client.userId) continue;
+            this._write(client.res, envelope.event, payload);
+        }
+    }
+
+    /**
+     * Current state of the session, sent first so a client never waits for the next change
+     */
+    async snapshot(sessionId) {
+        const session = sessionManager.getSession(sessionId);
+        const state = session?.connectionState || {};
+        return {
+            sessionId,
+            event: 'session.snapshot',
+            data: {
+                initialized: !!session,
+                connection: state.connection || 'close',
+                qr: state.qr || null,
+                qrImage: state.qr ? await QRCode.toDataURL(state.qr) : null,
+                pairingCode: state.pairingCode || null,
+                phoneNumber: state.phoneNumber || null,
+                name: state.name || null
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Attach an HTTP response as an SSE stream
+     * @param {string} sessionId
+     * @param {object} req - express request (closed streams are detached)
+     * @param {object} res - express response
+     * @param {object} options - { userId, events: only forward these events (null = all) }
+     * @returns {Promise<boolean>} false when the session already has too many streams
+     */
+    async addClient(sessionId, req, res, { userId, events = null } = {}) {
+        const clients = this.clients.get(sessionId) || new Set();
+        if (clients.size >= this.maxClientsPerSession) return false;
+
+        this._subscribe();
+        this._startHeartbeat();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const client = { res, events, userId };
+        clients.add(client);
+        this.clients.set(sessionId, clients);
+
+        req.on('close', () => this.removeClient(sessionId, client));
+
+        const snapshot = await this.snapshot(sessionId);
+        this._write(res, snapshot.event, snapshot);
+        return true;
+    }
+
+    removeClient(sessionId, client) {
+        const clients = this.clients.get(sessionId);
+        if (!clients) return;
+        clients.delete(client);
+        if (clients.size === 0) this.clients.delete(sessionId);
+
+        if (this.clients.size === 0 && this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+}
+
+module.exports = new EventStreamService();
@@ -0,0 +1,148 @@
+/**
+ * Message formatting for WhatsApp:
+ * - Markdown from LLMs ('**bold**', '# Heading', '- item', '[text](url)')
+ *   to WhatsApp formatting ('*bold*', '~strike~', '• item'). Single '*x*' is
+ *   left alone: it already is WhatsApp bold, which prompts often ask for
+ * - Splitting long text into chunks at paragraph, then sentence, then word
+ *   boundaries (fenced code blocks are kept whole when they fit)
+ * - A typing duration proportional to the length of a chunk
+ */
+const WHATSAPP_MAX_LENGTH = 4096;
+// Longest text accepted when it is going to be split
+const MAX_SPLIT_LENGTH = 20000;
+
+const BOLD_MARK = '\u0001';
+
+function toWhatsAppFormat(text) {
+    if (!text) return '';
+    const lines = String(text).replace(/\r\n/g, '\n').split('\n');
+    let inCode = false;
+
+    const converted = lines.map((line) => {
+        if (/^\s*```/.test(line)) {
+            inCode = !inCode;
+            return line;
+        }
+        if (inCode) return line;
+
+        // Horizontal rules carry no meaning in a chat bubble
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return '';
+
+        let out = line
+            // # Heading -> *Heading*
+            .replace(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/, `${BOLD_MARK}$1${BOLD_MARK}`)
+            // - item / * item / + item -> • item (keeps indentation for nesting)
+            .replace(/^(\s*)[-*+]\s+/, '$1• ')
+            // [text](url) -> text (url)
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+            // **bold** / __bold__
+            .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+            .replace(/__(?=\S)(.+?)(?<=\S)__/g, `${BOLD_MARK}$1${BOLD_MARK}`)
+            // ~~strike~~ -> ~strike~
+            .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '~$1~');
+
+        // A heading that was already bold would end up double-marked
+        out = out.replace(new RegExp(`${BOLD_MARK}{2,}`, 'g'), BOLD_MARK);
+        return out.split(BOLD_MARK).join('*');
+    });
+
+    // Collapse the blank lines left behind by removed rules
+    return converted.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Break one piece that is still too long: sentences, then words, then a hard cut
+ */
+function splitPiece(piece, maxLength) {
+    const parts = [];
+    const units = piece.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [piece];
+    let current = '';
+
+    const push = () => {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+    };
+
+    for (const unit of units) {
+        if ((current + unit).length <= maxLength) {
+            current += unit;
+            continue;
+        }
+        push();
+        if (unit.length <= maxLength) {
+            current = unit;
+            continue;
+        }
+        for (const word of unit.split(/(\s+)/)) {
+            if ((current + word).length <= maxLength) {
+                current += word;
+                continue;
+            }
+            push();
+            let rest = word;
+            while (rest.length > maxLength) {
+                parts.push(rest.slice(0, maxLength));
+                rest = rest.slice(maxLength);
+            }
+            current = rest.trimStart();
+        }
+    }
+    push();
+    return parts;
+}
+
+/**
+ * Split text into chunks of at most maxLength characters
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string[]}
+ */
+function splitMessage(text, maxLength = WHATSAPP_MAX_LENGTH) {
+    const source = String(text || '').trim();
+    if (!source) return [];
+    if (source.length <= maxLength) return [source];
+
+    // Paragraphs, with a fenced code block (which may contain blank lines) as one block
+    const blocks = [];
+    for (const paragraph of source.split(/\n{2,}/)) {
+        const last = blocks[blocks.length - 1];
+        const openFence = last !== undefined && (last.match(/```/g) || []).length % 2 === 1;
+        if (openFence) blocks[blocks.length - 1] = `${last}\n\n${paragraph}`;
+        else blocks.push(paragraph);
+    }
+
+    const chunks = [];
+    let current = '';
+    for (const block of blocks) {
+        const candidate = current ? `${current}\n\n${block}` : block;
+        if (candidate.length <= maxLength) {
+            current = candidate;
+            continue;
+        }
+        if (current) chunks.push(current);
+        current = '';
+        if (block.length <= maxLength) {
+            current = block;
+        } else {
+            chunks.push(...splitPiece(block, maxLength));
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * How long "typing..." should show before a chunk is sent
+ */
+function typingDurationMs(text, { msPerChar = 30, minMs = 800, maxMs = 6000 } = {}) {
+    const jitter = Math.floor(Math.random() * 400);
+    return Math.max(minMs, Math.min(String(text || '').length * msPerChar + jitter, maxMs));
+}
+
+module.exports = {
+    WHATSAPP_MAX_LENGTH,
+    MAX_SPLIT_LENGTH,
+    toWhatsAppFormat,
+    splitMessage,
+    typingDurationMs
+};
@@ -0,0 +1,210 @@
+const whatsappService = require('./whatsapp.service');
+
+const GROUP_SETTINGS = ['announcement', 'not_announcement', 'locked', 'unlocked'];
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+/**
+ * Group Service
+ * Group management for a session plus a per-session metadata cache.
+ * The cache is kept fresh from Baileys group events and is also handed to the
+ * socket as `cachedGroupMetadata`, so sending to a group no longer queries
+ * WhatsApp for the participant list every time.
+ */
+class GroupService {
+    constructor() {
+        this.ttlMs = parseInt(process.env.GROUP_METADATA_TTL_MS || '300000', 10);
+        // sessionId -> Map(groupJid -> { metadata, fetchedAt })
+        this.cache = new Map();
+        // `${sessionId}:${jid}` -> pending groupMetadata promise
+        this.inflight = new Map();
+        this.settings = GROUP_SETTINGS;
+        this.participantActions = PARTICIPANT_ACTIONS;
+    }
+
+    toGroupJid(groupId) {
+        const id = String(groupId || '').trim();
+        return id.endsWith('@g.us') ? id : `${id}@g.us`;
+    }
+
+    _sessionCache(sessionId) {
+        if (!this.cache.has(sessionId)) this.cache.set(sessionId, new Map());
+        return this.cache.get(sessionId);
+    }
+
+    setMetadata(sessionId, metadata) {
+        if (!metadata?.id) return;
+        this._sessionCache(sessionId).set(metadata.id, { metadata, fetchedAt: Date.now() });
+    }
+
+    /**
+     * Cached metadata only (no network). Used by the socket's cachedGroupMetadata.
+     */
+    getCached(sessionId, jid) {
+        const entry = this.cache.get(sessionId)?.get(jid);
+        if (!entry || Date.now() - entry.fetchedAt > this.ttlMs) return undefined;
+        return entry.metadata;
+    }
+
+    /**
+     * Cached metadata, falling back to a single (deduplicated) fetch
+     * @param {string} sessionId
+     * @param {object} socket
+     * @param {string} jid - group jid
+     * @param {object} options - { force }
+     */
+    async getMetadata(sessionId, socket, jid, { force = false } = {}) {
+        if (!force) {
+            const cached = this.getCached(sessionId, jid);
+            if (cached) return cached;
+        }
+
+        const inflightKey = `${sessionId}:${jid}`;
+        if (this.inflight.has(inflightKey)) return this.inflight.get(inflightKey);
+
+        const request = socket.groupMetadata(jid)
+            .then(metadata => {
+                this.setMetadata(sessionId, metadata);
+                return metadata;
+            })
+            .finally(() => this.inflight.delete(inflightKey));
+
+        this.inflight.set(inflightKey, request);
+        return request;
+    }
+
+    invalidate(sessionId, jid) {
+        this.cache.get(sessionId)?.delete(jid);
+    }
+
+    clearSession(sessionId) {
+        this.cache.delete(sessionId);
+    }
+
+    /**
+     * Apply Baileys group events to the cache
+     */
+    applyGroupUpdates(sessionId, updates) {
+        const sessionCache = this._sessionCache(sessionId);
+        for (const update of updates || []) {
+            const entry = sessionCache.get(update.id);
+            if (entry) entry.metadata = { ...entry.metadata, ...update };
+        }
+    }
+
+    applyParticipantsUpdate(sessionId, { id, participants, action }) {
+        const entry = this.cache.get(sessionId)?.get(id);
+        if (!entry) return;
+
+        const ids = (participants || []).map(p => (typeof p === 'string' ? p : p.id));
+        let list = entry.metadata.participants || [];
+
+        switch (action) {
+            case 'add':
+                list = list.concat(ids.filter(pid => !list.some(p => p.id === pid)).map(pid => ({ id: pid, admin: null })));
+                break;
+            case 'remove':
+                list = list.filter(p => !ids.includes(p.id));
+                break;
+            case 'promote':
+            case 'demote':
+                list = list.map(p => (ids.includes(p.id) ? { ...p, admin: action === 'promote' ? 'admin' : null } : p));
+                break;
+            default:
+                // Unknown action (e.g. 'modify' for LID changes): refetch on next use
+                this.invalidate(sessionId, id);
+                return;
+        }
+        entry.metadata = { ...entry.metadata, participants: list, size: list.length };
+    }
+
+    _isMe(socket, participantId) {
+        const me = socket.user?.id ? `${socket.user.id.split(':')[0]}@s.whatsapp.net` : null;
+        const meLid = socket.user?.lid ? `${socket.user.lid.split(':')[0]}@lid` : null;
+        return participantId === me || participantId === meLid;
+    }
+
+    _summarize(socket, metadata) {
+        const participants = metadata.participants || [];
+        const self = participants.find(p => this._isMe(socket, p.id));
+        return {
+            id: metadata.id,
+            subject: metadata.subject,
+            description: metadata.desc || null,
+            owner: metadata.owner || null,
+            createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+            size: metadata.size || participants.length,
+            announce: !!metadata.announce,
+            restrict: !!metadata.restrict,
+            isAdmin: !!self?.admin
+        };
+    }
+
+    _toParticipantJids(participants) {
+        return (participants || []).map(p => whatsappService.formatPhoneNumber(String(p)));
+    }
+
+    async listGroups(sessionId, socket) {
+        const groups = await socket.groupFetchAllParticipating();
+        const sessionCache = this._sessionCache(sessionId);
+        sessionCache.clear();
+
+        return Object.values(groups || {}).map(metadata => {
+            this.setMetadata(sessionId, metadata);
+            return this._summarize(socket, metadata);
+        });
+    }
+
+    async getGroup(sessionId, socket, groupId) {
+        const metadata = await this.getMetadata(sessionId, socket, this.toGroupJid(groupId), { force: true });
+        return { ...this._summarize(socket, metadata), participants: metadata.participants || [] };
+    }
+
+    async createGroup(sessionId, socket, subject, participants) {
+        const metadata = await socket.groupCreate(subject, this._toParticipantJids(participants));
+        this.setMetadata(sessionId, metadata);
+        return { ...this._summarize(socket, metadata), participants: metadata.participants || [] };
+    }
+
+    async updateParticipants(sessionId, socket, groupId, participants, action) {
+        const jid = this.toGroupJid(groupId);
+        const results = await socket.groupParticipantsUpdate(jid, this._toParticipantJids(participants), action);
+        this.invalidate(sessionId, jid);
+        return (results || []).map(r => ({ jid: r.jid, status: r.status }));
+    }
+
+    async updateSubject(sessionId, socket, groupId, subject) {
+        const jid = this.toGroupJid(groupId);
+        await socket.groupUpdateSubject(jid, subject);
+        this.applyGroupUpdates(sessionId, [{ id: jid, subject }]);
+    }
+
+    async updateDescription(sessionId, socket, groupId, description) {
+        const jid = this.toGroupJid(groupId);
+        await socket.groupUpdateDescription(jid, description || undefined);
+        this.applyGroupUpdates(sessionId, [{ id: jid, desc: description || '' }]);
+    }
+
+    async updateSetting(sessionId, socket, groupId, setting) {
+        const jid = this.toGroupJid(groupId);
+        await socket.groupSettingUpdate(jid, setting);
+        this.invalidate(sessionId, jid);
+    }
+
+    async getInviteLink(socket, groupId) {
+        const code = await socket.groupInviteCode(this.toGroupJid(groupId));
+        return { code, link: `https://chat.whatsapp.com/${code}` };
+    }
+
+    async revokeInviteLink(socket, groupId) {
+        const code = await socket.groupRevokeInvite(this.toGroupJid(groupId));
+        return { code, link: `https://chat.whatsapp.com/${code}` };
+    }
+
+    async leaveGroup(sessionId, socket, groupId) {
+        const jid = this.toGroupJid(groupId);
+        await socket.groupLeave(jid);
+        this.invalidate(sessionId, jid);
+    }
+}
+
+module.exports = new GroupService();
@@ -0,0 +1,169 @@
+const supabase = require('../../config/supabase');
+const whatsappService = require('./whatsapp.service');
+const groupService = require('./group.service');
+const templateService = require('./template.service');
+
+const ROLE_CHANGES = {
+    promote: 'dijadikan admin',
+    demote: 'tidak lagi menjadi admin',
+    remove: 'dikeluarkan'
+};
+
+/**
+ * Group Events Service
+ * Automations on `group-participants.update`: welcome and goodbye messages
+ * (globally or per group, text or template, mentioning the members) and a
+ * CS-BOT notice to the owner when the bot itself is promoted, demoted or
+ * removed. Configured in the AI controls (`group_welcome_*`,
+ * `group_goodbye_*`, `group_bot_role_notify`, `group_events`).
+ */
+class GroupEventsService {
+    constructor() {
+        // At most one welcome / goodbye per group in this window (mass joins via invite link);
+        // members arriving within it are greeted together when it ends
+        this.cooldownMs = parseInt(process.env.GROUP_EVENTS_COOLDOWN_MS || '30000', 10);
+        this.lastSent = new Map(); // `${sessionId}:${groupJid}:${kind}` -> sentAt
+        this.pending = new Map(); // same key -> { participants, timer }
+    }
+
+    _participantJid(participant) {
+        return typeof participant === 'string' ? participant : participant.id;
+    }
+
+    _participantNumber(participant) {
+        const jid = typeof participant === 'string' ? participant : participant.phoneNumber || participant.id;
+        return jid.split('@')[0].split(':')[0];
+    }
+
+    /**
+     * Welcome / goodbye settings for one group: the group's own entry in
+     * `group_events` overrides the global defaults, including switching the
+     * message on for just that group
+     * @returns {{enabled: boolean, text: string, templateId: string|null}}
+     */
+    resolveSettings(controls, groupJid, kind) {
+        const own = controls.group_events?.[groupJid] || {};
+        const ownEnabled = own[`${kind}_enabled`];
+        return {
+            enabled: ownEnabled !== undefined && ownEnabled !== null ? !!ownEnabled : !!controls[`group_${kind}_enabled`],
+            text: own[`${kind}_text`] || controls[`group_${kind}_text`],
+            templateId: own[`${kind}_template_id`] || controls[`group_${kind}_template_id`] || null
+        };
+    }
+
+    /**
+     * @param {string} sessionId
+     * @param {object} socket
+     * @param {object} update - Baileys { id, author, participants, action }
+     * @param {string|null} userId - owner of the session
+     */
+    async handleParticipantsUpdate(sessionId, socket, update, userId) {
+        if (!userId || !update?.participants?.length) return;
+
+        const configService = require('../common/config.service');
+        const controls = await configService.getAIControls(userId, sessionId);
+
+        const botAffected = update.participants.some(p => groupService._isMe(socket, this._participantJid(p)));
+        const others = update.participants.filter(p => !groupService._isMe(socket, this._participantJid(p)));
+
+        if (botAffected && ROLE_CHANGES[update.action] && controls.group_bot_role_notify) {
+            await this._notifyOwner(sessionId, socket, userId, update.id, ROLE_CHANGES[update.action]);
+        }
+
+        const kind = { add: 'welcome', remove: 'goodbye' }[update.action];
+        // Nothing to greet, or the bot is no longer in the group to say goodbye
+        if (!kind || !others.length || (botAffected && update.action === 'remove')) return;
+
+        const settings = this.resolveSettings(controls, update.id, kind);
+        if (!settings.enabled || (!settings.text && !settings.templateId)) return;
+
+        const cooldownKey = `${sessionId}:${update.id}:${kind}`;
+        const pending = this.pending.get(cooldownKey);
+        if (pending) {
+            pending.participants.push(...others);
+            return;
+        }
+
+        const wait = this.cooldownMs - (Date.now() - (this.lastSent.get(cooldownKey) || 0));
+        if (wait > 0) {
+            const batch = { participants: [...others] };
+            batch.timer = setTimeout(() => {
+                this.pending.delete(cooldownKey);
+                this.lastSent.set(cooldownKey, Date.now());
+                const participants = [...new Map(batch.participants.map(p => [this._participantJid(p), p])).values()];
+                this._send(sessionId, socket, userId, update, participants, kind, settings)
+                    .catch(err => console.error(`❌ [GroupEvents][${sessionId}] Failed to send batched ${kind}:`, err.message));
+            }, wait);
+            this.pending.set(cooldownKey, batch);
+            return;
+        }
+        this.lastSent.set(cooldownKey, Date.now());
+
+        await this._send(sessionId, socket, userId, update, others, kind, settings);
+    }
+
+    async _send(sessionId, socket, userId, update, participants, kind, settings) {
+        const metadata = await groupService.getMetadata(sessionId, socket, update.id).catch(() => null);
+        const numbers = participants.map(p => this._participantNumber(p));
+        const mentions = participants.map(p => this._participantJid(p));
+        const variables = {
+            mention: mentions.map(jid => `@${jid.split('@')[0]}`).join(', '),
+            number: numbers.join(', '),
+            count: participants.length,
+            group: metadata?.subject || '',
+            members: metadata?.participants?.length || metadata?.size || ''
+        };
+
+        let result;
+        try {
+            if (settings.templateId) {
+                const applied = await templateService.applyToInput(userId, { templateId: settings.templateId, variables }, { allowMissing: true });
+                if (applied.error) throw new Error(`Group ${kind} template: ${applied.error}`);
+
+                result = applied.input.type === 'media'
+                    ? await whatsappService.sendMediaMessage(socket, update.id, applied.input.media, { mentions })
+                    : await whatsappService.sendTextMessage(socket, update.id, applied.input.message, { mentions });
+            } else {
+                result = await whatsappService.sendTextMessage(socket, update.id, templateService.render(settings.text, variables), { mentions });
+            }
+        } catch (err) {
+            result = { success: false, error: err.message };
+        }
+
+        const logService = require('../common/log.service');
+        if (result.success) {
+            console.log(`👥 [GroupEvents][${sessionId}] Sent ${kind} to ${variables.group || update.id} for ${numbers.join(', ')}`);
+            logService.info(userId, sessionId, `👥 Group ${kind} sent in ${variables.group || update.id} (${numbers.length} member${numbers.length > 1 ? 's' : ''})`);
+        } else {
+            console.error(`❌ [GroupEvents][${sessionId}] Failed to send ${kind} to ${update.id}:`, result.error);
+        }
+    }
+
+    async _notifyOwner(sessionId, socket, userId, groupJid, change) {
+        try {
+            const { data: user } = await supabase
+                .from('users')
+                .select('phone, full_name, username')
+                .eq('id', userId)
+                .single();
+
+            if (!user?.phone) return;
+
+            // After a removal the metadata can no longer be fetched; the cache may still have it
+            const metadata = groupService.getCached(sessionId, groupJid)
+                || await groupService.getMetadata(sessionId, socket, groupJid).catch(() => null);
+
+            const notificationService = require('../payment/notification.service');
+            await notificationService.notifyGroupRoleChanged(
+                user.phone,
+                user.full_name || user.username || 'User',
+                metadata?.subject || groupJid.split('@')[0],
+                change
+            );
+        } catch (err) {
+            console.error(`❌ [GroupEvents] Failed to notify owner ${userId}:`, err.message);
+        }
+    }
+}
+
+module.exports = new GroupEventsService();
@@ -0,0 +1,331 @@
+const { getContentType, normalizeMessageContent, downloadMediaMessage } = require('@whiskeysockets/baileys');
+const supabase = require('../../config/supabase');
+const { baileysLogger } = require('../../config/logger');
+
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+// Content types that are plumbing, not something an agent should see
+const IGNORED_TYPES = ['protocolMessage', 'reactionMessage', 'senderKeyDistributionMessage', 'pollUpdateMessage', 'messageContextInfo'];
+
+/**
+ * Inbox Service
+ * Conversation view of a session for human agents: one row per chat with the
+ * unread counter and last message, plus every message (incoming and fromMe)
+ * in display form. Fed by messages.upsert, independent of the AI history blob.
+ */
+class InboxService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.chatsTable = configService.getTableName('wa_inbox_chats');
+        this.messagesTable = configService.getTableName('wa_inbox_messages');
+        this.maxPageSize = 100;
+        this.chains = new Map();
+    }
+
+    _enqueueWrite(sessionId, task) {
+        const previous = this.chains.get(sessionId) || Promise.resolve();
+        const next = previous.then(task).catch(err => {
+            console.error(`❌ [Inbox][${sessionId}] Write failed:`, err.message);
+        });
+        this.chains.set(sessionId, next);
+        return next;
+    }
+
+    toChatJid(jidOrNumber) {
+        const value = String(jidOrNumber || '');
+        if (value.includes('@')) return value;
+        const whatsappService = require('./whatsapp.service');
+        return whatsappService.formatPhoneNumber(value);
+    }
+
+    /**
+     * Reduce a Baileys message to what the inbox displays
+     * @returns {{type: string, text: string|null, media: object|null, quotedId: string|null}|null}
+     */
+    describeMessage(message) {
+        const content = normalizeMessageContent(message);
+        const contentType = content ? getContentType(content) : null;
+        if (!contentType || IGNORED_TYPES.includes(contentType)) return null;
+
+        const body = content[contentType];
+        const { getMessageText } = require('../ai/aiBot.helpers');
+        const text = getMessageText(content)
+            || body?.caption
+            || body?.text
+            || body?.name
+            || body?.displayName
+            || null;
+
+        const mediaType = MEDIA_TYPES[contentType];
+        return {
+            type: mediaType || contentType.replace(/Message$/, ''),
+            text,
+            media: mediaType ? {
+                type: mediaType,
+                mimetype: body.mimetype || null,
+                fileName: body.fileName || null,
+                size: Number(body.fileLength) || null,
+                seconds: body.seconds || null
+            } : null,
+            quotedId: body?.contextInfo?.stanzaId || null
+        };
+    }
+
+    /**
+     * Store an upserted message and update its chat. Edits and revokes arriving
+     * as protocol messages are applied to the stored original.
+     * Only live messages (upsert type `notify`) count as unread; history sync
+     * (`append`) and late deliveries never move the chat preview backwards.
+     * @param {string} sessionId
+     * @param {object} msg - Baileys WAMessage
+     * @param {object} options - { type: upsert type, 'notify' or 'append' }
+     */
+    recordMessage(sessionId, msg, { type = 'notify' } = {}) {
+        const jid = msg.key?.remoteJid;
+        if (!jid || !msg.message || jid === 'status@broadcast') return;
+
+        const protocol = normalizeMessageContent(msg.message)?.protocolMessage;
+        if (protocol) return this._applyProtocol(sessionId, protocol);
+
+        const described = this.describeMessage(msg.message);
+        if (!described) return;
+
+        const fromMe = !!msg.key.fromMe;
+        const timestamp = new Date((Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+        const isGroup = jid.endsWith('@g.us');
+
+        return this._enqueueWrite(sessionId, async () => {
+            const { data: inserted, error } = await supabase
+                .from(this.messagesTable)
+                .upsert({
+                    session_id: sessionId,
+                    message_id: msg.key.id,
+                    jid,
+                    from_me: fromMe,
+                    sender: fromMe ? null : msg.key.participant || jid,
+                    push_name: fromMe ? null : msg.pushName || null,
+                    type: described.type,
+                    text: described.text,
+                    media: described.media,
+                    quoted_id: described.quotedId,
+                    timestamp
+                }, { onConflict: 'session_id,message_id', ignoreDuplicates: true })
+                .select('message_id');
+
+            if (error) throw error;
+            // Already stored (e.g. the append echo of a message we saw before)
+            if (!inserted || inserted.length === 0) return;
+
+            const { data: chat } = await supabase
+                .from(this.chatsTable)
+                .select('unread_count, name, last_message_at')
+                .eq('session_id', sessionId)
+                .eq('jid', jid)
+                .maybeSingle();
+
+            let name = chat?.name || null;
+            if (isGroup) {
+                const groupService = require('./group.service');
+                name = groupService.getCached(sessionId, jid)?.subject || name;
+            } else if (!fromMe && msg.pushName) {
+                name = msg.pushName;
+            }
+
+            const isLatest = !chat?.last_message_at || new Date(timestamp) >= new Date(chat.last_message_at);
+            let unreadCount = chat?.unread_count || 0;
+            if (fromMe && isLatest) {
+                unreadCount = 0; // Replying from the phone reads the chat, like WhatsApp itself
+            } else if (!fromMe && type === 'notify') {
+                unreadCount++;
+            }
+
+            const row = {
+                session_id: sessionId,
+                jid,
+                name,
+                is_group: isGroup,
+                unread_count: unreadCount,
+                updated_at: new Date().toISOString()
+            };
+            if (isLatest) {
+                Object.assign(row, {
+                    last_message_id: msg.key.id,
+                    last_message_text: described.text,
+                    last_message_type: described.type,
+                    last_message_from_me: fromMe,
+                    last_message_at: timestamp
+                });
+            }
+
+            const { error: chatError } = await supabase
+                .from(this.chatsTable)
+                .upsert(row, { onConflict: 'session_id,jid' });
+
+            if (chatError) throw chatError;
+        });
+    }
+
+    _applyProtocol(sessionId, protocol) {
+        const targetId = protocol.key?.id;
+        if (!targetId) return;
+
+        // 0 = REVOKE, 14 = MESSAGE_EDIT
+        let update = null;
+        if (protocol.type === 0) {
+            update = { revoked: true, text: null, media: null };
+        } else if (protocol.type === 14 && protocol.editedMessage) {
+            const described = this.describeMessage(protocol.editedMessage);
+            if (described) update = { text: described.text, edited: true };
+        }
+        if (!update) return;
+
+        return this._enqueueWrite(sessionId, async () => {
+            const { error } = await supabase
+                .from(this.messagesTable)
+                .update(update)
+                .eq('session_id', sessionId)
+                .eq('message_id', targetId);
+
+            if (error) throw error;
+        });
+    }
+
+    _pageSize(limit) {
+        return Math.min(Math.max(parseInt(limit, 10) || 30, 1), this.maxPageSize);
+    }
+
+    /**
+     * Chats ordered by latest activity, paginated with `before` (last_message_at cursor)
+     */
+    async listChats(sessionId, { limit, before = null, unreadOnly = false } = {}) {
+        const pageSize = this._pageSize(limit);
+        let query = supabase
+            .from(this.chatsTable)
+            .select('jid, name, is_group, unread_count, last_message_id, last_message_text, last_message_type, last_message_from_me, last_message_at, last_read_at')
+            .eq('session_id', sessionId)
+            .order('last_message_at', { ascending: false })
+            .limit(pageSize);
+
+        if (before) query = query.lt('last_message_at', before);
+        if (unreadOnly) query = query.gt('unread_count', 0);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const chats = data || [];
+        return {
+            chats,
+            nextCursor: chats.length === pageSize ? chats[chats.length - 1].last_message_at : null
+        };
+    }
+
+    /**
+     * Messages of a chat, newest first, paginated with `before` (timestamp cursor)
+     */
+    async listMessages(sessionId, jid, { limit, before = null } = {}) {
+        const pageSize = this._pageSize(limit);
+        let query = supabase
+            .from(this.messagesTable)
+            .select('message_id, from_me, sender, push_name, type, text, media, quoted_id, edited, revoked, timestamp')
+            .eq('session_id', sessionId)
+            .eq('jid', jid)
+            .order('timestamp', { ascending: false })
+            .limit(pageSize);
+
+        if (before) query = query.lt('timestamp', before);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        const messages = data || [];
+        return {
+            messages,
+            nextCursor: messages.length === pageSize ? messages[messages.length - 1].timestamp : null
+        };
+    }
+
+    /**
+     * Reset the unread counter and send read receipts (blue ticks) for the unread messages
+     * @returns {Promise<number>} number of messages marked as read
+     */
+    async markRead(sessionId, socket, jid) {
+        const { data: chat, error } = await supabase
+            .from(this.chatsTable)
+            .select('unread_count, last_read_at')
+            .eq('session_id', sessionId)
+            .eq('jid', jid)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!chat) return null;
+
+        let query = supabase
+            .from(this.messagesTable)
+            .select('message_id, sender')
+            .eq('session_id', sessionId)
+            .eq('jid', jid)
+            .eq('from_me', false)
+            .order('timestamp', { ascending: false })
+            .limit(Math.max(chat.unread_count, 1));
+
+        if (chat.last_read_at) query = query.gt('timestamp', chat.last_read_at);
+
+        const { data: unread } = await query;
+        const keys = (unread || []).map(m => ({
+            remoteJid: jid,
+            id: m.message_id,
+            fromMe: false,
+            ...(jid.endsWith('@g.us') && m.sender ? { participant: m.sender } : {})
+        }));
+
+        if (keys.length > 0 && socket?.user) {
+            await socket.readMessages(keys);
+        }
+
+        await this._enqueueWrite(sessionId, async () => {
+            const { error: updateError } = await supabase
+                .from(this.chatsTable)
+                .update({ unread_count: 0, last_read_at: new Date().toISOString() })
+                .eq('session_id', sessionId)
+                .eq('jid', jid);
+
+            if (updateError) throw updateError;
+        });
+
+        return keys.length;
+    }
+
+    /**
+     * Download the media of an inbox message (needs the original in the message store)
+     * @returns {Promise<{buffer: Buffer, mimetype: string, fileName: string|null}|null>}
+     */
+    async downloadMedia(sessionId, socket, messageId) {
+        const messageStore = require('./messageStore.service');
+        const stored = await messageStore.get(sessionId, messageId);
+        if (!stored) return null;
+
+        const described = this.describeMessage(stored.message);
+        if (!described?.media) return null;
+
+        const buffer = await downloadMediaMessage(
+            { key: stored.key, message: stored.message },
+            'buffer',
+            {},
+            { logger: baileysLogger, reuploadRequest: socket?.updateMediaMessage }
+        );
+
+        return {
+            buffer,
+            mimetype: described.media.mimetype || 'application/octet-stream',
+            fileName: described.media.fileName
+        };
+    }
+}
+
+module.exports = new InboxService();
@@ -0,0 +1,248 @@
+/**
+ * Validation and content builders for interactive messages
+ * (polls, lists, quick-reply buttons, locations, contacts, reactions, stickers).
+ */
+const INTERACTIVE_TYPES = ['poll', 'list', 'buttons', 'location', 'contact', 'reaction', 'sticker'];
+
+const LIMITS = {
+    pollOptions: 12,
+    listRows: 10,
+    listSections: 10,
+    buttons: 3,
+    buttonText: 20,
+    rowTitle: 24,
+    contacts: 10
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function validatePoll({ name, options, selectableCount }) {
+    if (!isNonEmptyString(name)) return 'Poll name is required';
+    if (name.length > 255) return 'Poll name too long (max 255 characters)';
+    if (!Array.isArray(options) || options.length < 2 || options.length > LIMITS.pollOptions) {
+        return `Poll needs between 2 and ${LIMITS.pollOptions} options`;
+    }
+    if (!options.every(isNonEmptyString)) return 'Poll options must be non-empty strings';
+    if (new Set(options.map(o => o.trim())).size !== options.length) return 'Poll options must be unique';
+    if (selectableCount !== undefined) {
+        const count = Number(selectableCount);
+        if (!Number.isInteger(count) || count < 0 || count > options.length) {
+            return 'selectableCount must be between 0 (any) and the number of options';
+        }
+    }
+    return null;
+}
+
+function validateList({ text, buttonText, sections }) {
+    if (!isNonEmptyString(text)) return 'List text is required';
+    if (!isNonEmptyString(buttonText)) return 'List buttonText is required';
+    if (buttonText.length > LIMITS.buttonText) return `buttonText too long (max ${LIMITS.buttonText} characters)`;
+    if (!Array.isArray(sections) || sections.length === 0 || sections.length > LIMITS.listSections) {
+        return `List needs between 1 and ${LIMITS.listSections} sections`;
+    }
+
+    let totalRows = 0;
+    for (const section of sections) {
+        if (!Array.isArray(section?.rows) || section.rows.length === 0) return 'Every list section needs at least one row';
+        for (const row of section.rows) {
+            if (!isNonEmptyString(row?.title)) return 'Every list row needs a title';
+            if (row.title.length > LIMITS.rowTitle) return `Row title too long (max ${LIMITS.rowTitle} characters)`;
+        }
+        totalRows += section.rows.length;
+    }
+    if (totalRows > LIMITS.listRows) return `List can have at most ${LIMITS.listRows} rows in total`;
+    return null;
+}
+
+function validateButtons({ text, buttons }) {
+    if (!isNonEmptyString(text)) return 'Button message text is required';
+    if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > LIMITS.buttons) {
+        return `Button message needs between 1 and ${LIMITS.buttons} buttons`;
+    }
+    for (const button of buttons) {
+        if (!isNonEmptyString(button?.text)) return 'Every button needs a text';
+        if (button.text.length > LIMITS.buttonText) return `Button text too long (max ${LIMITS.buttonText} characters)`;
+    }
+    return null;
+}
+
+function validateLocation({ latitude, longitude }) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    if (latitude === undefined || isNaN(lat) || lat < -90 || lat > 90) return 'latitude must be between -90 and 90';
+    if (longitude === undefined || isNaN(lng) || lng < -180 || lng > 180) return 'longitude must be between -180 and 180';
+    return null;
+}
+
+function validateContact({ contacts }) {
+    if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > LIMITS.contacts) {
+        return `contacts must contain between 1 and ${LIMITS.contacts} entries`;
+    }
+    for (const contact of contacts) {
+        if (!isNonEmptyString(contact?.name)) return 'Every contact needs a name';
+        const digits = String(contact.phone || '').replace(/\D/g, '');
+        if (digits.length < 8 || digits.length > 15) return `Invalid phone number for contact '${contact.name}'`;
+    }
+    return null;
+}
+
+function validateReaction({ messageId, emoji }) {
+    if (!isNonEmptyString(messageId)) return 'messageId of the message to react to is required';
+    if (typeof emoji !== 'string') return "emoji is required (use '' to remove a reaction)";
+    return null;
+}
+
+function validateSticker({ url }) {
+    if (!isNonEmptyString(url)) return 'Sticker url is required';
+    return null;
+}
+
+const VALIDATORS = {
+    poll: validatePoll,
+    list: validateList,
+    buttons: validateButtons,
+    location: validateLocation,
+    contact: validateContact,
+    reaction: validateReaction,
+    sticker: validateSticker
+};
+
+/**
+ * @param {object} interactive - { type, ...fields }
+ * @returns {{valid: boolean, message?: string}}
+ */
+function validateInteractive(interactive) {
+    if (!interactive || typeof interactive !== 'object') {
+        return { valid: false, message: 'Interactive object with a type is required' };
+    }
+    if (!INTERACTIVE_TYPES.includes(interactive.type)) {
+        return { valid: false, message: `Invalid interactive type. Use one of: ${INTERACTIVE_TYPES.join(', ')}` };
+    }
+    const error = VALIDATORS[interactive.type](interactive);
+    return error ? { valid: false, message: error } : { valid: true };
+}
+
+function buildVcard({ name, phone, organization, email }) {
+    let digits = String(phone).replace(/\D/g, '');
+    // Local numbers (08xx) get the Indonesian country code, like formatPhoneNumber
+    if (digits.startsWith('0')) digits = '62' + digits.substring(1);
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${name}`,
+        organization ? `ORG:${organization};` : null,
+        email ? `EMAIL:${email}` : null,
+        `TEL;type=CELL;type=VOICE;waid=${digits}:+${digits}`,
+        'END:VCARD'
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Build the Baileys content for a validated interactive message.
+ * Lists and buttons are no longer accepted by sendMessage, so they are
+ * returned as a raw proto message to be relayed (relay: true).
+ * @param {string} jid - recipient
+ * @param {object} interactive
+ * @returns {{content?: object, message?: object, relay: boolean}}
+ */
+function buildInteractiveContent(jid, interactive) {
+    switch (interactive.type) {
+        case 'poll':
+            return {
+                relay: false,
+                content: {
+                    poll: {
+                        name: interactive.name,
+                        values: interactive.options.map(o => o.trim()),
+                        selectableCount: interactive.selectableCount === undefined ? 1 : Number(interactive.selectableCount)
+                    }
+                }
+            };
+        case 'list':
+            return {
+                relay: true,
+                message: {
+                    listMessage: {
+                        title: interactive.title || '',
+                        description: interactive.text,
+                        buttonText: interactive.buttonText,
+                        footerText: interactive.footer || '',
+                        listType: 1, // SINGLE_SELECT
+                        sections: interactive.sections.map((section, s) => ({
+                            title: section.title || '',
+                            rows: section.rows.map((row, r) => ({
+                                rowId: row.id || `row_${s + 1}_${r + 1}`,
+                                title: row.title,
+                                description: row.description || ''
+                            }))
+                        }))
+                    }
+                }
+            };
+        case 'buttons':
+            return {
+                relay: true,
+                message: {
+                    buttonsMessage: {
+                        contentText: interactive.text,
+                        footerText: interactive.footer || '',
+                        headerType: 1, // EMPTY
+                        buttons: interactive.buttons.map((button, i) => ({
+                            buttonId: button.id || `btn_${i + 1}`,
+                            buttonText: { displayText: button.text },
+                            type: 1 // RESPONSE
+                        }))
+                    }
+                }
+            };
+        case 'location':
+            return {
+                relay: false,
+                content: {
+                    location: {
+                        degreesLatitude: Number(interactive.latitude),
+                        degreesLongitude: Number(interactive.longitude),
+                        name: interactive.name || undefined,
+                        address: interactive.address || undefined
+                    }
+                }
+            };
+        case 'contact':
+            return {
+                relay: false,
+                content: {
+                    contacts: {
+                        displayName: interactive.contacts.length === 1
+                            ? interactive.contacts[0].name
+                            : `${interactive.contacts.length} contacts`,
+                        contacts: interactive.contacts.map(c => ({ vcard: buildVcard(c) }))
+                    }
+                }
+            };
+        case 'reaction':
+            return {
+                relay: false,
+                content: {
+                    react: {
+                        text: interactive.emoji,
+                        key: {
+                            remoteJid: jid,
+                            id: interactive.messageId,
+                            fromMe: !!interactive.fromMe,
+                            ...(interactive.participant ? { participant: interactive.participant } : {})
+                        }
+                    }
+                }
+            };
+        case 'sticker':
+            return { relay: false, content: { sticker: { url: interactive.url } } };
+        default:
+            throw new Error(`Unsupported interactive type: ${interactive.type}`);
+    }
+}
+
+module.exports = {
+    INTERACTIVE_TYPES,
+    validateInteractive,
+    buildInteractiveContent
+};
@@ -5,6 +5,17 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const OUTGOING_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Mime types WhatsApp renders natively per media type (documents accept anything)
+const ALLOWED_MIMES = {
+    image: ['image/jpeg', 'image/png', 'image/webp'],
+    video: ['video/mp4', 'video/3gpp'],
+    audio: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr'],
+    document: null
+};
+
 /**
  * Media Service
  * Handles downloading media from WhatsApp, uploading to Supabase, 
@@ -13,6 +24,9 @@ const fs = require('fs');
 class MediaService {
     constructor() {
         this.bucketName = 'whatsapp-media';
+        this.uploadsTable = configService.getTableName('wa_media_uploads');
+        this.defaultMaxUploadMb = parseInt(process.env.MEDIA_UPLOAD_MAX_MB || '16', 10);
+        this.urlFetchTimeoutMs = parseInt(process.env.MEDIA_URL_TIMEOUT_MS || '30000', 10);
     }
 
     /**
@@ -106,6 +120,273 @@ class MediaService {
         }
     }
 
+    /**
+     * Upload limits for a user, from their package features.
+     * System sessions (non-UUID owners) use the env default.
+     * @returns {Promise<{maxBytes: number, allowedTypes: string[]}>}
+     */
+    async getUploadLimits(ownerId) {
+        if (!UUID_REGEX.test(ownerId || '')) {
+            return { maxBytes: this.defaultMaxUploadMb * 1024 * 1024, allowedTypes: OUTGOING_TYPES };
+        }
+
+        const paymentService = require('../payment/payment.service');
+        const features = await paymentService.getUserFeatures(ownerId);
+        return {
+            maxBytes: (features.media_max_upload_mb ?? this.defaultMaxUploadMb) * 1024 * 1024,
+            allowedTypes: features.media_allowed_types || OUTGOING_TYPES
+        };
+    }
+
+    _decodeBase64(base64, mimetype) {
+        const match = /^data:([^;]+);base64,(.*)$/s.exec(base64);
+        const data = match ? match[2] : base64;
+        if (!/^[A-Za-z0-9+/=\s]+$/.test(data)) return null;
+        return { buffer: Buffer.from(data, 'base64'), mimetype: match ? match[1] : mimetype };
+    }
+
+    /**
+     * Validate an outgoing file against the media type and the owner's package
+     * @returns {Promise<string|null>} error message or null
+     */
+    async validateUpload(ownerId, type, buffer, mimetype) {
+        const limits = await this.getUploadLimits(ownerId);
+        if (!limits.allowedTypes.includes(type)) {
+            return `Your package does not allow sending ${type} uploads`;
+        }
+        if (!buffer || buffer.length === 0) return 'Uploaded file is empty';
+        if (buffer.length > limits.maxBytes) {
+            return `File too large (max ${Math.round(limits.maxBytes / 1024 / 1024)} MB for your package)`;
+        }
+        const allowed = ALLOWED_MIMES[type];
+        if (allowed && !allowed.includes((mimetype || '').split(';')[0].toLowerCase())) {
+            return `Unsupported ${type} mime type '${mimetype || 'unknown'}'. Allowed: ${allowed.join(', ')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Download media given by url, stopping as soon as it exceeds maxBytes
+     * @returns {Promise<{buffer?: Buffer, mimetype?: string, error?: string}>}
+     */
+    async _fetchUrl(url, maxBytes) {
+        const tooLarge = `File too large (max ${Math.round(maxBytes / 1024 / 1024)} MB for your package)`;
+        let response;
+        try {
+            response = await fetch(url, { signal: AbortSignal.timeout(this.urlFetchTimeoutMs) });
+        } catch (err) {
+            return { error: `Could not fetch media.url: ${err.name === 'TimeoutError' ? 'timed out' : err.message}` };
+        }
+        if (!response.ok) return { error: `Could not fetch media.url: HTTP ${response.status}` };
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            response.body?.cancel().catch(() => {});
+            return { error: tooLarge };
+        }
+
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of response.body) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    response.body.cancel().catch(() => {});
+                    return { error: tooLarge };
+                }
+                chunks.push(chunk);
+            }
+        } catch (err) {
+            return { error: `Could not fetch media.url: ${err.name === 'TimeoutError' ? 'timed out' : err.message}` };
+        }
+
+        const mimetype = (response.headers.get('content-type') || '').split(';')[0].trim() || null;
+        return { buffer: Buffer.concat(chunks), mimetype };
+    }
+
+    /**
+     * Store an outgoing file in the media library. Identical files (same owner
+     * and sha256) are stored once and their id is reused.
+     * @returns {Promise<object>} library row
+     */
+    async storeOutgoingMedia({ ownerId, sessionId, type, buffer, mimetype, fileName }) {
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        const { data: existing } = await supabase
+            .from(this.uploadsTable)
+            .select('*')
+            .eq('owner_id', ownerId)
+            .eq('sha256', sha256)
+            .eq('file_type', type)
+            .maybeSingle();
+        if (existing) return existing;
+
+        const extension = path.extname(fileName || '') || this._getExtension(type, mimetype);
+        const filePath = `${ownerId}/outgoing/${type}/${crypto.randomUUID()}${extension}`;
+
+        const { error } = await supabase.storage
+            .from(this.bucketName)
+            .upload(filePath, buffer, {
+                contentType: mimetype || 'application/octet-stream',
+                cacheControl: '3600',
+                upsert: false
+            });
+        if (error) throw error;
+
+        const { data: { publicUrl } } = supabase.storage
+            .from(this.bucketName)
+            .getPublicUrl(filePath);
+
+        const { data, error: dbError } = await supabase
+            .from(this.uploadsTable)
+            .insert({
+                owner_id: ownerId,
+                session_id: sessionId,
+                file_type: type,
+                mimetype: mimetype || null,
+                file_name: fileName || null,
+                size_bytes: buffer.length,
+                sha256,
+                bucket_path: filePath,
+                public_url: publicUrl
+            })
+            .select('*')
+            .single();
+        if (dbError) throw dbError;
+
+        console.log(`✅ [MediaService] Stored outgoing ${type}: ${publicUrl}`);
+        return data;
+    }
+
+    async getStoredMedia(ownerId, mediaId) {
+        const { data, error } = await supabase
+            .from(this.uploadsTable)
+            .select('*')
+            .eq('id', mediaId)
+            .eq('owner_id', ownerId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async listStoredMedia(ownerId, type = null) {
+        let query = supabase
+            .from(this.uploadsTable)
+            .select('id, file_type, mimetype, file_name, size_bytes, public_url, use_count, last_used_at, created_at')
+            .eq('owner_id', ownerId)
+            .order('created_at', { ascending: false })
+            .limit(200);
+
+        if (type) query = query.eq('file_type', type);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async deleteStoredMedia(ownerId, mediaId) {
+        const record = await this.getStoredMedia(ownerId, mediaId);
+        if (!record) return false;
+
+        await supabase.storage.from(this.bucketName).remove([record.bucket_path]);
+        const { error } = await supabase
+            .from(this.uploadsTable)
+            .delete()
+            .eq('id', mediaId)
+            .eq('owner_id', ownerId);
+
+        if (error) throw error;
+        return true;
+    }
+
+    _markUsed(record) {
+        supabase
+            .from(this.uploadsTable)
+            .update({ use_count: (record.use_count || 0) + 1, last_used_at: new Date().toISOString() })
+            .eq('id', record.id)
+            .then(() => {}, () => {});
+    }
+
+    /**
+     * Turn any supported media input into something sendMediaMessage accepts.
+     * Sources: multipart `file`, `media.base64` (raw or data URI), `media.mediaId`
+     * (library) or `media.url` (downloaded once to apply the package limits; the
+     * url is kept for queued sends).
+     * @param {object} params - { ownerId, sessionId, media, file, store }
+     *   store: keep the file in the library (forced for queued sends, which need a URL)
+     * @returns {Promise<{media?: object, mediaId?: string, error?: string}>}
+     */
+    async resolveOutgoingMedia({ ownerId, sessionId, media = {}, file = null, store = false }) {
+        const type = media.type;
+        if (!OUTGOING_TYPES.includes(type)) {
+            return { error: `Media type must be one of: ${OUTGOING_TYPES.join(', ')}` };
+        }
+
+        const { base64, mediaId, url, ...options } = media;
+
+        if (mediaId) {
+            const record = await this.getStoredMedia(ownerId, mediaId);
+            if (!record) return { error: 'Media not found in your library' };
+            if (record.file_type !== type) return { error: `Media ${mediaId} is a ${record.file_type}, not ${type}` };
+            this._markUsed(record);
+            return {
+                mediaId: record.id,
+                media: {
+                    ...options,
+                    url: record.public_url,
+                    mimetype: options.mimetype || record.mimetype,
+                    fileName: options.fileName || record.file_name
+                }
+            };
+        }
+
+        let buffer = null;
+        let mimetype = options.mimetype;
+        if (file) {
+            buffer = file.buffer;
+            mimetype = file.mimetype || mimetype;
+            options.fileName = options.fileName || file.originalname;
+        } else if (base64) {
+            const decoded = this._decodeBase64(base64, mimetype);
+            if (!decoded) return { error: 'media.base64 is not valid base64' };
+            ({ buffer, mimetype } = decoded);
+        }
+
+        if (!buffer) {
+            if (!url) return { error: 'Provide a file upload, media.base64, media.mediaId or media.url' };
+
+            const limits = await this.getUploadLimits(ownerId);
+            if (!limits.allowedTypes.includes(type)) {
+                return { error: `Your package does not allow sending ${type} uploads` };
+            }
+            const fetched = await this._fetchUrl(url, limits.maxBytes);
+            if (fetched.error) return { error: fetched.error };
+
+            // Servers that do not know the type send octet-stream: trust the caller then
+            const urlMimetype = fetched.mimetype && fetched.mimetype !== 'application/octet-stream'
+                ? fetched.mimetype
+                : mimetype;
+            const urlError = await this.validateUpload(ownerId, type, fetched.buffer, urlMimetype);
+            if (urlError) return { error: urlError };
+
+            return { media: { ...options, mimetype: urlMimetype, url, buffer: fetched.buffer } };
+        }
+
+        const validationError = await this.validateUpload(ownerId, type, buffer, mimetype);
+        if (validationError) return { error: validationError };
+
+        if (!store) return { media: { ...options, mimetype, buffer } };
+
+        const record = await this.storeOutgoingMedia({
+            ownerId,
+            sessionId,
+            type,
+            buffer,
+            mimetype,
+            fileName: options.fileName
+        });
+        return { mediaId: record.id, media: { ...options, mimetype, url: record.public_url, buffer } };
+    }
+
     /**
      * Helper to get media type from message object key
      */
@@ -0,0 +1,191 @@
+const supabase = require('../../config/supabase');
+
+// Baileys proto.WebMessageInfo.Status -> our status names
+const BAILEYS_STATUS_MAP = {
+    0: 'failed',
+    1: 'sent',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'read' // PLAYED (voice notes) counts as read
+};
+
+const STATUS_RANK = {
+    failed: 0,
+    sent: 1,
+    server_ack: 2,
+    delivered: 3,
+    read: 4
+};
+
+/**
+ * Message Status Service
+ * Persists every outbound message with its delivery state, driven by
+ * Baileys receipts (messages.update / message-receipt.update).
+ */
+class MessageStatusService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_message_status');
+        // Serialise writes per session so a fast receipt never races the initial insert
+        this.chains = new Map();
+    }
+
+    _enqueueWrite(sessionId, task) {
+        const previous = this.chains.get(sessionId) || Promise.resolve();
+        const next = previous.then(task).catch(err => {
+            console.error(`❌ [MessageStatus][${sessionId}] Write failed:`, err.message);
+        });
+        this.chains.set(sessionId, next);
+        return next;
+    }
+
+    mapBaileysStatus(code) {
+        return BAILEYS_STATUS_MAP[code] || null;
+    }
+
+    /**
+     * Record an outgoing message as 'sent' (no-op if it is already tracked)
+     * @param {string} sessionId
+     * @param {object} msg - Baileys WAMessage with key.fromMe = true
+     * @param {string|null} userId
+     */
+    recordOutgoing(sessionId, msg, userId = null) {
+        const messageId = msg?.key?.id;
+        if (!messageId || !msg.key.remoteJid) return;
+
+        const now = new Date().toISOString();
+        return this._enqueueWrite(sessionId, async () => {
+            const { error } = await supabase
+                .from(this.tableName)
+                .upsert({
+                    session_id: sessionId,
+                    message_id: messageId,
+                    user_id: userId,
+                    jid: msg.key.remoteJid,
+                    status: 'sent',
+                    sent_at: now,
+                    created_at: now,
+                    updated_at: now
+                }, { onConflict: 'session_id,message_id', ignoreDuplicates: true });
+
+            if (error) throw error;
+        });
+    }
+
+    /**
+     * Attach queue job / bulk batch ids to a sent message
+     */
+    linkJob(sessionId, messageId, { jobId = null, batchId = null, jid = null, userId = null }) {
+        if (!messageId) return;
+
+        return this._enqueueWrite(sessionId, async () => {
+            const row = {
+                session_id: sessionId,
+                message_id: messageId,
+                job_id: jobId,
+                batch_id: batchId,
+                updated_at: new Date().toISOString()
+            };
+            if (jid) row.jid = jid;
+            if (userId) row.user_id = userId;
+
+            const { error } = await supabase
+                .from(this.tableName)
+                .upsert(row, { onConflict: 'session_id,message_id' });
+
+            if (error) throw error;
+        });
+    }
+
+    /**
+     * Move a tracked message forward to a new status. Statuses never go backwards
+     * (a late 'delivered' receipt must not undo 'read').
+     */
+    applyStatus(sessionId, messageId, status, { error = null, at = new Date() } = {}) {
+        if (!messageId || !(status in STATUS_RANK)) return;
+
+        return this._enqueueWrite(sessionId, async () => {
+            const { data: current } = await supabase
+                .from(this.tableName)
+                .select('status, jid')
+                .eq('session_id', sessionId)
+                .eq('message_id', messageId)
+                .maybeSingle();
+
+            // Only messages sent through this gateway are tracked
+            if (!current) return;
+
+            const isFailure = status === 'failed';
+            if (isFailure && STATUS_RANK[current.status] > STATUS_RANK.sent) return;
+            if (!isFailure && STATUS_RANK[status] <= STATUS_RANK[current.status]) return;
+
+            const update = {
+                status,
+                [`${status}_at`]: new Date(at).toISOString(),
+                updated_at: new Date().toISOString()
+            };
+            if (error) update.error = error;
+
+            const { error: dbError } = await supabase
+                .from(this.tableName)
+                .update(update)
+                .eq('session_id', sessionId)
+                .eq('message_id', messageId);
+
+            if (dbError) throw dbError;
+
+            const sessionEvents = require('./session.events');
+            sessionEvents.publish(sessionId, 'message.status', {
+                messageId,
+                jid: current.jid,
+                status,
+                previousStatus: current.status,
+                error,
+                at: update[`${status}_at`]
+            });
+        });
+    }
+
+    async getStatus(sessionId, messageId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('message_id, jid, status, error, job_id, batch_id, sent_at, server_ack_at, delivered_at, read_at, failed_at, updated_at')
+            .eq('session_id', sessionId)
+            .eq('message_id', messageId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Delivery funnel for a bulk batch. Counts are cumulative:
+     * a read message also counts as delivered and server-acked.
+     */
+    async getBatchSummary(sessionId, batchId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('status')
+            .eq('session_id', sessionId)
+            .eq('batch_id', batchId);
+
+        if (error) throw error;
+
+        const summary = { sent: 0, server_ack: 0, delivered: 0, read: 0, failed: 0 };
+        (data || []).forEach(({ status }) => {
+            if (status === 'failed') {
+                summary.failed += 1;
+                return;
+            }
+            const rank = STATUS_RANK[status] || 0;
+            if (rank >= STATUS_RANK.sent) summary.sent += 1;
+            if (rank >= STATUS_RANK.server_ack) summary.server_ack += 1;
+            if (rank >= STATUS_RANK.delivered) summary.delivered += 1;
+            if (rank >= STATUS_RANK.read) summary.read += 1;
+        });
+        return summary;
+    }
+}
+
+module.exports = new MessageStatusService();
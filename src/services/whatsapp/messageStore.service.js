@@ -0,0 +1,231 @@
+const { BufferJSON } = require('@whiskeysockets/baileys');
+const supabase = require('../../config/supabase');
+
+const toJson = (value) => JSON.parse(JSON.stringify(value, BufferJSON.replacer));
+const fromJson = (value) => JSON.parse(JSON.stringify(value), BufferJSON.reviver);
+
+/**
+ * Message Store
+ * Keeps recent incoming and outgoing messages per session so Baileys can answer
+ * retry receipts (re-encrypt and resend a message the recipient could not
+ * decrypt, the "waiting for this message" case) through `getMessage`.
+ *
+ * Two tiers:
+ * - memory: last MESSAGE_STORE_MEMORY_MAX messages per session (LRU)
+ * - Supabase (wa_message_store): written in small batches, kept for MESSAGE_STORE_TTL_HOURS
+ *   and trimmed to the last MESSAGE_STORE_DB_MAX messages per session by the prune job
+ *
+ * Pending writes are flushed on shutdown (app.js).
+ */
+class MessageStoreService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_message_store');
+
+        this.memoryMax = parseInt(process.env.MESSAGE_STORE_MEMORY_MAX || '2000', 10);
+        this.dbMax = parseInt(process.env.MESSAGE_STORE_DB_MAX || '20000', 10);
+        this.ttlMs = parseInt(process.env.MESSAGE_STORE_TTL_HOURS || '72', 10) * 60 * 60 * 1000;
+        this.flushIntervalMs = 2000;
+        this.flushRetryMs = 30000;
+        this.flushBatchSize = 200;
+        // Unwritten rows kept while Supabase is unreachable; the oldest are dropped beyond this
+        this.pendingMax = 5000;
+
+        // sessionId -> Map(messageId -> { key, message, pushName, timestamp, storedAt })
+        this.memory = new Map();
+        this.pending = [];
+        this.flushTimer = null;
+    }
+
+    _sessionMemory(sessionId) {
+        if (!this.memory.has(sessionId)) this.memory.set(sessionId, new Map());
+        return this.memory.get(sessionId);
+    }
+
+    _remember(sessionId, entry) {
+        const sessionMemory = this._sessionMemory(sessionId);
+        // Re-insert so the Map order doubles as LRU order
+        sessionMemory.delete(entry.key.id);
+        sessionMemory.set(entry.key.id, entry);
+        while (sessionMemory.size > this.memoryMax) {
+            sessionMemory.delete(sessionMemory.keys().next().value);
+        }
+    }
+
+    /**
+     * Store a Baileys WAMessage (messages without content, e.g. stubs, are ignored)
+     * @param {string} sessionId
+     * @param {object} msg
+     */
+    save(sessionId, msg) {
+        if (!msg?.key?.id || !msg.message) return;
+
+        const entry = {
+            key: msg.key,
+            message: msg.message,
+            pushName: msg.pushName || null,
+            timestamp: Number(msg.messageTimestamp) || Math.floor(Date.now() / 1000),
+            storedAt: Date.now()
+        };
+        this._remember(sessionId, entry);
+
+        this.pending.push({
+            session_id: sessionId,
+            message_id: msg.key.id,
+            remote_jid: msg.key.remoteJid,
+            from_me: !!msg.key.fromMe,
+            participant: msg.key.participant || null,
+            push_name: msg.pushName || null,
+            message: toJson(msg.message),
+            message_timestamp: new Date(entry.timestamp * 1000).toISOString(),
+            expires_at: new Date(entry.storedAt + this.ttlMs).toISOString()
+        });
+        if (this.pending.length > this.pendingMax) {
+            this.pending.splice(0, this.pending.length - this.pendingMax);
+        }
+        this._scheduleFlush();
+    }
+
+    _scheduleFlush(delayMs = this.flushIntervalMs) {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush();
+        }, delayMs);
+    }
+
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        while (this.pending.length > 0) {
+            // Last write wins for the same message within a batch (upsert rejects duplicates)
+            const batch = new Map();
+            for (const row of this.pending.splice(0, this.flushBatchSize)) {
+                batch.set(`${row.session_id}:${row.message_id}`, row);
+            }
+
+            const { error } = await supabase
+                .from(this.tableName)
+                .upsert([...batch.values()], { onConflict: 'session_id,message_id' });
+
+            if (error) {
+                console.error(`❌ [MessageStore] Failed to persist ${batch.size} messages, retrying in ${this.flushRetryMs / 1000}s:`, error.message);
+                // Back in front (newer writes of the same message stay after them), still bounded by pendingMax
+                this.pending.unshift(...batch.values());
+                if (this.pending.length > this.pendingMax) {
+                    this.pending.splice(0, this.pending.length - this.pendingMax);
+                }
+                this._scheduleFlush(this.flushRetryMs);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Look up a stored message
+     * @param {string} sessionId
+     * @param {object|string} keyOrId - Baileys key or message id
+     * @returns {Promise<{key: object, message: object, pushName: string|null, timestamp: number}|null>}
+     */
+    async get(sessionId, keyOrId) {
+        const messageId = typeof keyOrId === 'string' ? keyOrId : keyOrId?.id;
+        if (!messageId) return null;
+
+        const cached = this.memory.get(sessionId)?.get(messageId);
+        if (cached && Date.now() - cached.storedAt < this.ttlMs) return cached;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('message_id, remote_jid, from_me, participant, push_name, message, message_timestamp, expires_at')
+            .eq('session_id', sessionId)
+            .eq('message_id', messageId)
+            .gt('expires_at', new Date().toISOString())
+            .maybeSingle();
+
+        if (error || !data) return null;
+
+        const entry = {
+            key: {
+                remoteJid: data.remote_jid,
+                id: data.message_id,
+                fromMe: data.from_me,
+                ...(data.participant ? { participant: data.participant } : {})
+            },
+            message: fromJson(data.message),
+            pushName: data.push_name,
+            timestamp: Math.floor(new Date(data.message_timestamp).getTime() / 1000),
+            storedAt: Date.now()
+        };
+        this._remember(sessionId, entry);
+        return entry;
+    }
+
+    /**
+     * Message content for Baileys `getMessage` (retries and poll decryption)
+     * @returns {Promise<object|undefined>}
+     */
+    async getMessage(sessionId, key) {
+        const entry = await this.get(sessionId, key);
+        return entry?.message || undefined;
+    }
+
+    clearSession(sessionId) {
+        this.memory.delete(sessionId);
+    }
+
+    /**
+     * Keep only the newest dbMax stored messages of a session. expires_at
+     * grows with every write, so it orders the rows by age.
+     */
+    async _trimSession(sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('expires_at')
+            .eq('session_id', sessionId)
+            .order('expires_at', { ascending: false })
+            .range(this.dbMax, this.dbMax);
+
+        if (error) {
+            console.error(`❌ [MessageStore][${sessionId}] Failed to check the store size:`, error.message);
+            return;
+        }
+        if (!data || data.length === 0) return;
+
+        const { error: deleteError } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('session_id', sessionId)
+            .lte('expires_at', data[0].expires_at);
+
+        if (deleteError) console.error(`❌ [MessageStore][${sessionId}] Failed to trim the store:`, deleteError.message);
+    }
+
+    /**
+     * Drop expired messages from memory and Supabase and cap each active
+     * session at dbMax rows. Called by the prune job.
+     */
+    async prune() {
+        const now = Date.now();
+        for (const sessionMemory of this.memory.values()) {
+            for (const [id, entry] of sessionMemory) {
+                if (now - entry.storedAt >= this.ttlMs) sessionMemory.delete(id);
+            }
+        }
+
+        const { error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .lt('expires_at', new Date(now).toISOString());
+
+        if (error) console.error(`❌ [MessageStore] Prune failed:`, error.message);
+
+        // Only sessions that stored messages since the start of this process can have grown
+        for (const sessionId of this.memory.keys()) {
+            await this._trimSession(sessionId);
+        }
+    }
+}
+
+module.exports = new MessageStoreService();
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const whatsappService = require('./whatsapp.service');
+
+/**
+ * Number Check Service
+ * Tells which numbers are registered on WhatsApp using the session's
+ * onWhatsApp lookup. Lookups run in small, spaced batches (WhatsApp rate-limits
+ * and flags aggressive usync queries) and results are cached in memory.
+ * Lists larger than NUMBER_CHECK_SYNC_MAX run as a background job whose
+ * progress and result are polled by id.
+ */
+class NumberCheckService {
+    constructor() {
+        this.maxNumbers = parseInt(process.env.NUMBER_CHECK_MAX || '5000', 10);
+        this.batchSize = parseInt(process.env.NUMBER_CHECK_BATCH_SIZE || '50', 10);
+        this.batchDelayMs = parseInt(process.env.NUMBER_CHECK_BATCH_DELAY_MS || '1500', 10);
+        this.cacheTtlMs = parseInt(process.env.NUMBER_CHECK_CACHE_MS || String(24 * 60 * 60 * 1000), 10);
+        this.cacheLimit = 100000;
+        // jid -> { exists, jid, lid, checkedAt }
+        this.cache = new Map();
+
+        this.syncMax = parseInt(process.env.NUMBER_CHECK_SYNC_MAX || '100', 10);
+        this.jobTtlMs = 60 * 60 * 1000;
+        // jobId -> { id, sessionId, status, total, checked, result, error, createdAt, finishedAt }
+        this.jobs = new Map();
+    }
+
+    /**
+     * Extract phone numbers from a CSV/plain-text body.
+     * Takes the first cell of each line that looks like a phone number, so a
+     * header row or extra columns (name, notes) are ignored.
+     * @param {string} text
+     * @returns {string[]}
+     */
+    parseCsv(text) {
+        const numbers = [];
+        for (const line of String(text || '').split(/\r?\n/)) {
+            const cell = line.split(/[,;\t]/)
+                .map(c => c.trim().replace(/^"|"$/g, ''))
+                .find(c => c.replace(/\D/g, '').length >= 8);
+            if (cell) numbers.push(cell);
+        }
+        return numbers;
+    }
+
+    _getCached(jid) {
+        const entry = this.cache.get(jid);
+        if (!entry) return null;
+        if (Date.now() - entry.checkedAt > this.cacheTtlMs) {
+            this.cache.delete(jid);
+            return null;
+        }
+        return entry;
+    }
+
+    _setCached(jid, entry) {
+        if (this.cache.size >= this.cacheLimit) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(jid, { ...entry, checkedAt: Date.now() });
+    }
+
+    _digits(jid) {
+        return String(jid || '').split('@')[0].split(':')[0].replace(/\D/g, '');
+    }
+
+    /**
+     * Match an onWhatsApp answer back to the queried jids. Unregistered
+     * numbers are left out of the answer, so results are paired by number;
+     * a full answer whose numbers differ (normalised by WhatsApp) falls back
+     * to the query order.
+     * @returns {Map<string, object>} queried jid -> result
+     */
+    _matchResults(batch, found) {
+        const byNumber = new Map((found || []).map(r => [this._digits(r.jid), r]));
+        const matched = new Map();
+        batch.forEach((jid, index) => {
+            const hit = byNumber.get(this._digits(jid))
+                || (found?.length === batch.length ? found[index] : null);
+            if (hit) matched.set(jid, hit);
+        });
+        return matched;
+    }
+
+    /**
+     * Check numbers against WhatsApp
+     * @param {object} socket - connected Baileys socket
+     * @param {string[]} numbers - raw input numbers
+     * @param {object} options - { useCache, onProgress(checked, total) }
+     * @returns {Promise<object>}
+     */
+    async check(socket, numbers, { useCache = true, onProgress = null } = {}) {
+        const invalid = [];
+        const byJid = new Map(); // jid -> original inputs
+
+        for (const raw of numbers) {
+            const input = String(raw ?? '').trim();
+            const validation = whatsappService.validatePhoneNumber(input);
+            if (!validation.valid) {
+                invalid.push({ input, error: validation.message });
+                continue;
+            }
+            const jid = whatsappService.formatPhoneNumber(input.replace(/[^\d+]/g, ''));
+            if (!byJid.has(jid)) byJid.set(jid, []);
+            byJid.get(jid).push(input);
+        }
+
+        const resolved = new Map();
+        const pending = [];
+        for (const jid of byJid.keys()) {
+            const cached = useCache ? this._getCached(jid) : null;
+            if (cached) resolved.set(jid, { ...cached, cached: true });
+            else pending.push(jid);
+        }
+
+        for (let i = 0; i < pending.length; i += this.batchSize) {
+            if (i > 0) await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
+
+            const batch = pending.slice(i, i + this.batchSize);
+            const found = await socket.onWhatsApp(...batch);
+            const matched = this._matchResults(batch, found);
+
+            for (const jid of batch) {
+                const hit = matched.get(jid);
+                const exists = !!hit?.exists;
+                const entry = { exists, jid: exists ? hit.jid : jid, lid: hit?.lid || null };
+                this._setCached(jid, entry);
+                resolved.set(jid, { ...entry, cached: false });
+            }
+            if (onProgress) onProgress(Math.min(i + this.batchSize, pending.length), pending.length);
+        }
+
+        const results = [];
+        for (const [jid, inputs] of byJid) {
+            const entry = resolved.get(jid);
+            for (const input of inputs) {
+                results.push({
+                    input,
+                    number: jid.split('@')[0],
+                    jid: entry.jid,
+                    exists: entry.exists,
+                    cached: entry.cached
+                });
+            }
+        }
+
+        const registeredCount = results.filter(r => r.exists).length;
+        return {
+            summary: {
+                total: numbers.length,
+                unique: byJid.size,
+                registered: registeredCount,
+                unregistered: results.length - registeredCount,
+                invalid: invalid.length,
+                fromCache: byJid.size - pending.length
+            },
+            results,
+            invalid
+        };
+    }
+
+    _pruneJobs() {
+        const cutoff = Date.now() - this.jobTtlMs;
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) this.jobs.delete(id);
+        }
+    }
+
+    /**
+     * Run a check in the background
+     * @returns {{job?: object, error?: string}} error when the session already has a running check
+     */
+    startJob(sessionId, socket, numbers, { useCache = true } = {}) {
+        this._pruneJobs();
+        // One check per session at a time: parallel lookups would defeat the batch spacing
+        const running = [...this.jobs.values()].find(j => j.sessionId === sessionId && j.status === 'running');
+        if (running) return { error: `A number check is already running (${running.id})` };
+
+        const job = {
+            id: crypto.randomUUID(),
+            sessionId,
+            status: 'running',
+            total: numbers.length,
+            lookups: null,
+            checked: 0,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        this.jobs.set(job.id, job);
+
+        const onProgress = (checked, lookups) => {
+            job.checked = checked;
+            job.lookups = lookups;
+        };
+        this.check(socket, numbers, { useCache, onProgress })
+            .then(result => {
+                job.status = 'completed';
+                job.result = result;
+            })
+            .catch(err => {
+                console.error(`❌ [NumberCheck][${sessionId}] Job ${job.id} failed:`, err.message);
+                job.status = 'failed';
+                job.error = err.message;
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+            });
+
+        return { job: this._jobView(job) };
+    }
+
+    getJob(sessionId, jobId) {
+        this._pruneJobs();
+        const job = this.jobs.get(jobId);
+        if (!job || job.sessionId !== sessionId) return null;
+        return this._jobView(job);
+    }
+
+    _jobView(job) {
+        const { sessionId, result, ...view } = job;
+        return result ? { ...view, ...result } : view;
+    }
+}
+
+module.exports = new NumberCheckService();
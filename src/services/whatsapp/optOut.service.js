@@ -0,0 +1,129 @@
+const supabase = require('../../config/supabase');
+
+// Whole-message keywords (case-insensitive) sent by recipients
+const OPT_OUT_KEYWORDS = ['stop', 'berhenti', 'unsubscribe'];
+const OPT_IN_KEYWORDS = ['start', 'mulai'];
+
+const OPT_OUT_REPLY = 'Anda tidak akan menerima pesan broadcast dari kami lagi. Balas MULAI untuk berlangganan kembali.';
+const OPT_IN_REPLY = 'Anda akan kembali menerima pesan broadcast dari kami. Balas STOP untuk berhenti.';
+
+/**
+ * Opt-out Service
+ * Per-user list of recipients who replied STOP/BERHENTI. Campaigns skip them
+ * and the outbound queue refuses to deliver to them.
+ */
+class OptOutService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_opt_outs');
+        this.cacheMs = 60000;
+        // userId -> { jids: Set, fetchedAt }
+        this.cache = new Map();
+    }
+
+    /**
+     * 'opt_out', 'opt_in' or null for a message text
+     */
+    matchKeyword(text) {
+        const normalized = String(text || '').trim().toLowerCase().replace(/[.!]+$/, '');
+        if (OPT_OUT_KEYWORDS.includes(normalized)) return 'opt_out';
+        if (OPT_IN_KEYWORDS.includes(normalized)) return 'opt_in';
+        return null;
+    }
+
+    async _getJids(userId) {
+        const cached = this.cache.get(userId);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheMs) return cached.jids;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('jid')
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error(`❌ [OptOut] Failed to load opt-outs:`, error.message);
+            return cached?.jids || new Set();
+        }
+
+        const jids = new Set((data || []).map(r => r.jid));
+        this.cache.set(userId, { jids, fetchedAt: Date.now() });
+        return jids;
+    }
+
+    async isOptedOut(userId, jid) {
+        if (!userId) return false;
+        return (await this._getJids(userId)).has(jid);
+    }
+
+    /**
+     * Filter helper for audiences
+     * @returns {Promise<Set<string>>}
+     */
+    async getOptedOut(userId) {
+        if (!userId) return new Set();
+        return this._getJids(userId);
+    }
+
+    async list(userId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('jid, source, keyword, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async add(userId, jids, { source = 'api', keyword = null } = {}) {
+        const rows = jids.map(jid => ({ user_id: userId, jid, source, keyword }));
+        const { error } = await supabase
+            .from(this.tableName)
+            .upsert(rows, { onConflict: 'user_id,jid', ignoreDuplicates: true });
+
+        if (error) throw error;
+        this.cache.delete(userId);
+    }
+
+    async remove(userId, jid) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('user_id', userId)
+            .eq('jid', jid)
+            .select('jid');
+
+        if (error) throw error;
+        this.cache.delete(userId);
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Handle a STOP / MULAI reply from a recipient and confirm it
+     * @param {string} userId - owner of the session
+     * @param {object} socket
+     * @param {object} msg - incoming WAMessage
+     * @param {string} keyword - result of matchKeyword
+     * @returns {Promise<boolean>} true if the message was an opt-out / opt-in (and should not reach the bot)
+     */
+    async handleKeyword(userId, socket, msg, keyword) {
+        const jid = msg.key.remoteJid;
+        const text = String(msg.message?.conversation || msg.message?.extendedTextMessage?.text || '').trim();
+
+        if (keyword === 'opt_out') {
+            await this.add(userId, [jid], { source: 'reply', keyword: text.toUpperCase() });
+            console.log(`🚫 [OptOut] ${jid} opted out of broadcasts.`);
+            await socket.sendMessage(jid, { text: OPT_OUT_REPLY });
+            return true;
+        }
+
+        // "start" from someone who never opted out is just a message
+        const removed = await this.remove(userId, jid);
+        if (!removed) return false;
+        console.log(`✅ [OptOut] ${jid} opted back in.`);
+        await socket.sendMessage(jid, { text: OPT_IN_REPLY });
+        return true;
+    }
+}
+
+module.exports = new OptOutService();
@@ -0,0 +1,181 @@
+const { BufferJSON, getAggregateVotesInPollMessage } = require('@whiskeysockets/baileys');
+const supabase = require('../../config/supabase');
+
+const toJson = (value) => JSON.parse(JSON.stringify(value, BufferJSON.replacer));
+const fromJson = (value) => JSON.parse(JSON.stringify(value), BufferJSON.reviver);
+
+const getPollCreation = (message) =>
+    message?.pollCreationMessage || message?.pollCreationMessageV2 || message?.pollCreationMessageV3 || null;
+
+// Same rule as Baileys' getKeyAuthor: who cast a vote
+const getVoter = (key, meId) => (key?.fromMe ? meId : key?.participant || key?.remoteJid) || 'unknown';
+
+/**
+ * Poll Service
+ * Stores polls sent by a session together with their encryption secret so
+ * incoming votes (pollUpdateMessage) can be decrypted, and keeps a running tally.
+ */
+class PollService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_polls');
+        // `${sessionId}:${messageId}` -> proto message (creation), used by socket getMessage
+        this.creationCache = new Map();
+        this.cacheLimit = 500;
+        this.chains = new Map();
+    }
+
+    _enqueueWrite(sessionId, task) {
+        const previous = this.chains.get(sessionId) || Promise.resolve();
+        const next = previous.then(task).catch(err => {
+            console.error(`❌ [Poll][${sessionId}] Write failed:`, err.message);
+        });
+        this.chains.set(sessionId, next);
+        return next;
+    }
+
+    _cache(sessionId, messageId, message) {
+        if (this.creationCache.size >= this.cacheLimit) {
+            this.creationCache.delete(this.creationCache.keys().next().value);
+        }
+        this.creationCache.set(`${sessionId}:${messageId}`, message);
+    }
+
+    isPollCreation(message) {
+        return !!getPollCreation(message);
+    }
+
+    /**
+     * Persist a poll we sent (called from the fromMe upsert echo)
+     * @param {string} sessionId
+     * @param {object} msg - Baileys WAMessage containing a pollCreationMessage
+     * @param {string|null} userId
+     */
+    recordPoll(sessionId, msg, userId = null) {
+        const poll = getPollCreation(msg.message);
+        const messageId = msg.key?.id;
+        if (!poll || !messageId) return;
+
+        this._cache(sessionId, messageId, msg.message);
+        const options = (poll.options || []).map(o => o.optionName);
+        const now = new Date().toISOString();
+
+        return this._enqueueWrite(sessionId, async () => {
+            const { error } = await supabase
+                .from(this.tableName)
+                .upsert({
+                    session_id: sessionId,
+                    message_id: messageId,
+                    user_id: userId,
+                    jid: msg.key.remoteJid,
+                    name: poll.name,
+                    options,
+                    selectable_count: poll.selectableOptionsCount || 0,
+                    creation_message: toJson(msg.message),
+                    poll_updates: [],
+                    tally: options.map(name => ({ name, voters: [] })),
+                    total_voters: 0,
+                    created_at: now,
+                    updated_at: now
+                }, { onConflict: 'session_id,message_id', ignoreDuplicates: true });
+
+            if (error) throw error;
+        });
+    }
+
+    /**
+     * Creation message for vote decryption (socket getMessage)
+     * @returns {Promise<object|undefined>}
+     */
+    async getCreationMessage(sessionId, messageId) {
+        const cached = this.creationCache.get(`${sessionId}:${messageId}`);
+        if (cached) return cached;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('creation_message')
+            .eq('session_id', sessionId)
+            .eq('message_id', messageId)
+            .maybeSingle();
+
+        if (error || !data) return undefined;
+        const message = fromJson(data.creation_message);
+        this._cache(sessionId, messageId, message);
+        return message;
+    }
+
+    /**
+     * Merge decrypted votes into the stored poll. A voter's latest vote replaces
+     * their previous one; an empty vote withdraws it.
+     * @param {string} sessionId
+     * @param {object} creationKey - key of the poll message
+     * @param {Array<object>} pollUpdates - from messages.update
+     * @param {string} meId - socket.user.id
+     */
+    applyVotes(sessionId, creationKey, pollUpdates, meId) {
+        if (!creationKey?.id || !Array.isArray(pollUpdates) || pollUpdates.length === 0) return;
+
+        return this._enqueueWrite(sessionId, async () => {
+            const { data: row, error } = await supabase
+                .from(this.tableName)
+                .select('creation_message, poll_updates')
+                .eq('session_id', sessionId)
+                .eq('message_id', creationKey.id)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!row) return;
+
+            let updates = fromJson(row.poll_updates || []);
+            for (const update of pollUpdates) {
+                const voter = getVoter(update.pollUpdateMessageKey, meId);
+                updates = updates.filter(u => getVoter(u.pollUpdateMessageKey, meId) !== voter);
+                if (update.vote?.selectedOptions?.length) updates.push(update);
+            }
+
+            const message = fromJson(row.creation_message);
+            const tally = getAggregateVotesInPollMessage({ message, pollUpdates: updates }, meId)
+                .map(({ name, voters }) => ({ name, voters }));
+
+            const { error: dbError } = await supabase
+                .from(this.tableName)
+                .update({
+                    poll_updates: toJson(updates),
+                    tally,
+                    total_voters: updates.length,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('session_id', sessionId)
+                .eq('message_id', creationKey.id);
+
+            if (dbError) throw dbError;
+
+            const sessionEvents = require('./session.events');
+            sessionEvents.publish(sessionId, 'poll.updated', {
+                messageId: creationKey.id,
+                jid: creationKey.remoteJid,
+                tally: tally.map(({ name, voters }) => ({ name, votes: voters.length, voters })),
+                totalVoters: updates.length
+            });
+        });
+    }
+
+    async getPoll(sessionId, messageId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('message_id, jid, name, options, selectable_count, tally, total_voters, created_at, updated_at')
+            .eq('session_id', sessionId)
+            .eq('message_id', messageId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return null;
+
+        return {
+            ...data,
+            tally: (data.tally || []).map(({ name, voters }) => ({ name, votes: voters.length, voters }))
+        };
+    }
+}
+
+module.exports = new PollService();
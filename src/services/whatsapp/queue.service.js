@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const supabase = require('../../config/supabase');
+const whatsappService = require('./whatsapp.service');
+const sendingPolicy = require('./sendingPolicy.service');
+
+/**
+ * Outbound Queue Service
+ * Persists outgoing messages as jobs in Supabase and drains them per session
+ * at a throttled rate, retrying failed sends with exponential backoff.
+ */
+class OutboundQueueService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_outbox');
+
+        this.defaultRatePerMinute = parseInt(process.env.QUEUE_RATE_PER_MINUTE || '20', 10);
+        this.defaultJitterMs = parseInt(process.env.QUEUE_JITTER_MS || '3000', 10);
+        this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS || '5', 10);
+        this.retryBaseMs = parseInt(process.env.QUEUE_RETRY_BASE_MS || '15000', 10);
+        this.retryMaxMs = 10 * 60 * 1000;
+        this.idlePollMs = 30000;
+        this.configCacheMs = 60000;
+
+        // sessionId -> { busy, nextSendAt, idleUntil }
+        this.state = new Map();
+        // sessionId -> { config, fetchedAt }
+        this.configCache = new Map();
+    }
+
+    _getState(sessionId) {
+        if (!this.state.has(sessionId)) {
+            this.state.set(sessionId, { busy: false, nextSendAt: 0, idleUntil: 0 });
+        }
+        return this.state.get(sessionId);
+    }
+
+    /**
+     * Wake up the drainer for a session (e.g. after new jobs were enqueued)
+     * @param {string} sessionId
+     */
+    wake(sessionId) {
+        this._getState(sessionId).idleUntil = 0;
+    }
+
+    /**
+     * Validate a job payload before it is stored
+     * @returns {{valid: boolean, message?: string}}
+     */
+    validateJob(number, type, payload) {
+        const numVal = whatsappService.validatePhoneNumber(number);
+        if (!numVal.valid) return numVal;
+
+        if (type === 'text') {
+            return whatsappService.validateMessage(payload?.message);
+        }
+        if (type === 'media') {
+            if (!payload?.media || !payload.media.type || !payload.media.url) {
+                return { valid: false, message: 'Media object with type and url is required' };
+            }
+            return { valid: true };
+        }
+        if (type === 'interactive') {
+            return whatsappService.validateInteractive(payload?.interactive);
+        }
+        return { valid: false, message: `Unsupported job type: ${type}` };
+    }
+
+    _buildRow(sessionId, { number, type, payload, batchId = null, userId = null, notBefore = null }) {
+        const now = new Date().toISOString();
+        return {
+            session_id: sessionId,
+            user_id: userId,
+            batch_id: batchId,
+            jid: whatsappService.formatPhoneNumber(number),
+            type,
+            payload,
+            status: 'queued',
+            attempts: 0,
+            max_attempts: this.maxAttempts,
+            next_attempt_at: notBefore || now,
+            created_at: now,
+            updated_at: now
+        };
+    }
+
+    /**
+     * Store a single outbound message job
+     * @param {string} sessionId
+     * @param {object} job - { number, type: 'text'|'media'|'interactive', payload, userId }
+     * @returns {Promise<object>}
+     */
+    async enqueue(sessionId, job) {
+        const validation = this.validateJob(job.number, job.type, job.payload);
+        if (!validation.valid) return { success: false, error: validation.message };
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .insert(this._buildRow(sessionId, job))
+            .select('id, jid, status, created_at')
+            .single();
+
+        if (error) {
+            console.error(`❌ [Queue][${sessionId}] Failed to enqueue job:`, error.message);
+            return { success: false, error: 'Failed to queue message' };
+        }
+
+        this.wake(sessionId);
+        return { success: true, jobId: data.id, to: data.jid, status: data.status, queuedAt: data.created_at };
+    }
+
+    /**
+     * Store many jobs under a single batch id (used by bulk sends)
+     * @param {string} sessionId
+     * @param {Array<object>} jobs - [{ number, type, payload, notBefore }]
+     * @param {object} options - { userId, batchId }
+     * @returns {Promise<object>}
+     */
+    async enqueueBatch(sessionId, jobs, { userId = null, batchId = crypto.randomUUID() } = {}) {
+        const rows = [];
+        const rejected = [];
+
+        for (const job of jobs) {
+            const validation = this.validateJob(job.number, job.type, job.payload);
+            if (!validation.valid) {
+                rejected.push({ number: job.number, error: validation.message });
+                continue;
+            }
+            rows.push(this._buildRow(sessionId, { ...job, batchId, userId }));
+        }
+
+        let inserted = [];
+        if (rows.length > 0) {
+            const { data, error } = await supabase
+                .from(this.tableName)
+                .insert(rows)
+                .select('id, jid, status');
+
+            if (error) {
+                console.error(`❌ [Queue][${sessionId}] Failed to enqueue batch:`, error.message);
+                return { success: false, error: 'Failed to queue messages' };
+            }
+            inserted = data || [];
+            this.wake(sessionId);
+        }
+
+        return {
+            success: true,
+            batchId,
+            summary: {
+                total: jobs.length,
+                queued: inserted.length,
+                rejected: rejected.length
+            },
+            jobs: inserted.map(j => ({ jobId: j.id, to: j.jid, status: j.status })),
+            rejected
+        };
+    }
+
+    async getJob(jobId, sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('id, session_id, batch_id, jid, type, status, attempts, max_attempts, next_attempt_at, last_error, deferred_reason, message_id, created_at, updated_at, sent_at')
+            .eq('id', jobId)
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async getBatch(batchId, sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('id, jid, status, attempts, last_error, message_id, sent_at')
+            .eq('batch_id', batchId)
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        if (!data || data.length === 0) return null;
+
+        const summary = { total: data.length, queued: 0, sending: 0, sent: 0, failed: 0, cancelled: 0 };
+        data.forEach(job => {
+            summary[job.status] = (summary[job.status] || 0) + 1;
+        });
+
+        return { batchId, summary, jobs: data };
+    }
+
+    /**
+     * Current state of specific jobs (used by campaigns to collect outcomes)
+     */
+    async getJobsByIds(jobIds) {
+        if (jobIds.length === 0) return [];
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('id, status, message_id, last_error, sent_at')
+            .in('id', jobIds);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Cancel every job of a batch that has not been sent yet
+     * @returns {Promise<string[]>} ids of the cancelled jobs
+     */
+    async cancelBatch(batchId, sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('batch_id', batchId)
+            .eq('session_id', sessionId)
+            .eq('status', 'queued')
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).map(j => j.id);
+    }
+
+    /**
+     * Cancel a job that has not been sent yet
+     * @returns {Promise<boolean>} true if a queued job was cancelled
+     */
+    async cancelJob(jobId, sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', jobId)
+            .eq('session_id', sessionId)
+            .eq('status', 'queued')
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Resolve the drain rate for a session (settings override, then env default)
+     * @param {string} sessionId
+     * @returns {Promise<{rate_per_minute: number, jitter_ms: number}>}
+     */
+    async getSessionConfig(sessionId) {
+        const cached = this.configCache.get(sessionId);
+        if (cached && Date.now() - cached.fetchedAt < this.configCacheMs) return cached.config;
+
+        const configService = require('../common/config.service');
+        const override = await configService.getSetting(`queue_config:${sessionId}`);
+        const config = {
+            rate_per_minute: override?.rate_per_minute || this.defaultRatePerMinute,
+            jitter_ms: override?.jitter_ms ?? this.defaultJitterMs
+        };
+        this.configCache.set(sessionId, { config, fetchedAt: Date.now() });
+        return config;
+    }
+
+    async updateSessionConfig(sessionId, { rate_per_minute, jitter_ms }) {
+        const configService = require('../common/config.service');
+        const config = {
+            rate_per_minute: Math.max(1, Math.min(parseInt(rate_per_minute, 10) || this.defaultRatePerMinute, 120)),
+            jitter_ms: Math.max(0, parseInt(jitter_ms, 10) || 0)
+        };
+        const success = await configService.updateSetting(`queue_config:${sessionId}`, config);
+        this.configCache.delete(sessionId);
+        return success ? config : null;
+    }
+
+    /**
+     * Put jobs that were mid-send during a crash/restart back in the queue
+     */
+    async recoverStaleJobs() {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ status: 'queued', updated_at: new Date().toISOString() })
+            .eq('status', 'sending')
+            .select('id');
+
+        if (error) {
+            console.error(`❌ [Queue] Failed to recover stale jobs:`, error.message);
+            return 0;
+        }
+        return (data || []).length;
+    }
+
+    /**
+     * Called on every job tick for each open session
+     * @param {string} sessionId
+     * @param {object} session - sessionManager entry
+     */
+    async drain(sessionId, session) {
+        const state = this._getState(sessionId);
+        const now = Date.now();
+        if (state.busy || now < state.nextSendAt || now < state.idleUntil) return;
+
+        state.busy = true;
+        let job = null;
+        try {
+            job = await this._claimNext(sessionId);
+            if (!job) {
+                state.idleUntil = now + this.idlePollMs;
+                return;
+            }
+
+            // Warm-up caps / cool-down: hand the job back untouched and wait until sending is allowed
+            const verdict = await sendingPolicy.check(sessionId);
+            if (!verdict.allowed) {
+                await this._defer(job, verdict);
+                // Look again within idlePollMs in case the cool-down is cleared or the caps are raised
+                state.nextSendAt = Math.min(new Date(verdict.retryAt).getTime(), Date.now() + this.idlePollMs);
+                return;
+            }
+
+            await this._process(sessionId, session, job);
+
+            const { rate_per_minute, jitter_ms } = await this.getSessionConfig(sessionId);
+            const rateGapMs = Math.floor(60000 / rate_per_minute) + Math.floor(Math.random() * (jitter_ms + 1));
+            state.nextSendAt = Date.now() + Math.max(rateGapMs, await sendingPolicy.nextDelayMs(sessionId));
+        } catch (err) {
+            console.error(`❌ [Queue][${sessionId}] Drain error:`, err.message);
+            state.idleUntil = Date.now() + this.idlePollMs;
+            // Not handed to WhatsApp yet: put it back instead of leaving it 'sending' until a restart
+            if (job && !job.dispatched) {
+                await this._release(job).catch(releaseErr => {
+                    console.error(`❌ [Queue][${sessionId}] Failed to release job ${job.id}:`, releaseErr.message);
+                });
+            }
+        } finally {
+            state.busy = false;
+        }
+    }
+
+    async _claimNext(sessionId) {
+        const { data: candidates, error } = await supabase
+            .from(this.tableName)
+            .select('id')
+            .eq('session_id', sessionId)
+            .eq('status', 'queued')
+            .lte('next_attempt_at', new Date().toISOString())
+            .order('next_attempt_at', { ascending: true })
+            .limit(1);
+
+        if (error) throw error;
+        if (!candidates || candidates.length === 0) return null;
+
+        // Optimistic claim: only succeeds if nobody else moved the job out of 'queued'
+        const { data: claimed, error: claimError } = await supabase
+            .from(this.tableName)
+            .update({ status: 'sending', updated_at: new Date().toISOString() })
+            .eq('id', candidates[0].id)
+            .eq('status', 'queued')
+            .select('*');
+
+        if (claimError) throw claimError;
+        return claimed && claimed.length > 0 ? claimed[0] : null;
+    }
+
+    async _release(job) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .update({ status: 'queued', updated_at: new Date().toISOString() })
+            .eq('id', job.id)
+            .eq('status', 'sending');
+
+        if (error) throw error;
+    }
+
+    /**
+     * Write a job's outcome, retrying briefly: a job left 'sending' is sent
+     * again by recoverStaleJobs after a restart
+     */
+    async _updateJob(job, update, retries = 2) {
+        for (let attempt = 0; ; attempt++) {
+            const { error } = await supabase
+                .from(this.tableName)
+                .update(update)
+                .eq('id', job.id);
+
+            if (!error) return;
+            if (attempt >= retries) throw error;
+            await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+    }
+
+    async _defer(job, verdict) {
+        const { error } = await supabase
+            .from(this.tableName)
+            .update({
+                status: 'queued',
+                next_attempt_at: verdict.retryAt,
+                deferred_reason: verdict.message,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', job.id);
+
+        if (error) throw error;
+        if (job.deferred_reason !== verdict.message) {
+            console.log(`⏸️ [Queue][${job.session_id}] Job ${job.id} deferred until ${verdict.retryAt}: ${verdict.message}`);
+        }
+    }
+
+    async _dispatch(socket, job) {
+        switch (job.type) {
+            case 'text':
+                return await whatsappService.sendTextMessage(socket, job.jid, job.payload.message);
+            case 'media':
+                return await whatsappService.sendMediaMessage(socket, job.jid, job.payload.media);
+            case 'interactive':
+                return await whatsappService.sendInteractiveMessage(socket, job.jid, job.payload.interactive);
+            default:
+                return { success: false, error: `Unsupported job type: ${job.type}` };
+        }
+    }
+
+    async _process(sessionId, session, job) {
+        const attempts = job.attempts + 1;
+
+        // Recipients who replied STOP are never messaged by queued sends (bulk, campaigns, schedules)
+        const optOutService = require('./optOut.service');
+        if (await optOutService.isOptedOut(job.user_id, job.jid)) {
+            await this._updateJob(job, { status: 'cancelled', last_error: 'Recipient opted out', updated_at: new Date().toISOString() });
+            return { success: false, error: 'Recipient opted out' };
+        }
+
+        if (job.type !== 'interactive') {
+            await sendingPolicy.simulateTyping(sessionId, session.socket, job.jid, job.payload.message || job.payload.media?.caption);
+        }
+
+        // From here on a failure must not hand the job back (drain): it may have been delivered
+        job.dispatched = true;
+        const result = await this._dispatch(session.socket, job);
+        const now = new Date();
+
+        if (result.success) {
+            await this._updateJob(job, {
+                status: 'sent',
+                attempts,
+                message_id: result.messageId,
+                last_error: null,
+                deferred_reason: null,
+                sent_at: now.toISOString(),
+                updated_at: now.toISOString()
+            }).catch(err => {
+                console.error(`❌ [Queue][${sessionId}] Job ${job.id} was sent but could not be marked sent (it may be sent again after a restart):`, err.message);
+            });
+
+            const messageStatusService = require('./messageStatus.service');
+            messageStatusService.linkJob(sessionId, result.messageId, {
+                jobId: job.id,
+                batchId: job.batch_id,
+                jid: job.jid,
+                userId: job.user_id
+            });
+            return result;
+        }
+
+        sendingPolicy.recordFailure(sessionId, result.error);
+
+        const exhausted = attempts >= (job.max_attempts || this.maxAttempts);
+        const backoffMs = Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+
+        await this._updateJob(job, {
+            status: exhausted ? 'failed' : 'queued',
+            attempts,
+            last_error: result.error,
+            next_attempt_at: new Date(now.getTime() + (exhausted ? 0 : backoffMs)).toISOString(),
+            updated_at: now.toISOString()
+        });
+
+        if (exhausted) {
+            console.warn(`⚠️ [Queue][${session.displayName || sessionId}] Job ${job.id} failed permanently after ${attempts} attempts: ${result.error}`);
+        } else {
+            console.log(`🔁 [Queue][${session.displayName || sessionId}] Job ${job.id} failed (${result.error}). Retrying in ${Math.round(backoffMs / 1000)}s...`);
+        }
+        return result;
+    }
+}
+
+module.exports = new OutboundQueueService();
@@ -0,0 +1,137 @@
+/**
+ * Minimal 5-field cron support for scheduled messages:
+ * 'minute hour day-of-month month day-of-week'
+ * Supports '*', numbers, ranges ('1-5'), lists ('1,15') and steps ('*\/10', '8-18/2').
+ */
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+function parseCronField(part, { name, min, max }) {
+    const values = new Set();
+
+    for (const item of part.split(',')) {
+        const [rangePart, stepPart] = item.split('/');
+        const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${name}: '${item}'`);
+        }
+
+        let start = min;
+        let end = max;
+        if (rangePart !== '*') {
+            const [from, to] = rangePart.split('-').map((v) => parseInt(v, 10));
+            start = from;
+            end = to === undefined ? (stepPart === undefined ? from : max) : to;
+        }
+
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+            throw new Error(`Invalid ${name} value: '${item}'`);
+        }
+
+        for (let v = start; v <= end; v += step) values.add(v);
+    }
+
+    // Both 0 and 7 mean Sunday
+    if (name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+
+    return values;
+}
+
+function parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('Cron expression is required');
+    }
+    const parts = expression.trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) =>
+        parseCronField(part, CRON_FIELDS[i])
+    );
+
+    return {
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+function matchesDay(cron, date) {
+    const domMatch = cron.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = cron.dayOfWeek.has(date.getUTCDay());
+    // Standard cron semantics: when both day fields are restricted, either may match
+    if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return domMatch || dowMatch;
+    if (!cron.anyDayOfMonth) return domMatch;
+    if (!cron.anyDayOfWeek) return dowMatch;
+    return true;
+}
+
+/**
+ * Get the next run strictly after `from`
+ * @param {string} expression - cron expression
+ * @param {Date} from
+ * @param {number} utcOffsetMins - timezone the expression is written in (WIB = 420)
+ * @returns {Date}
+ */
+function getNextCronRun(expression, from = new Date(), utcOffsetMins = 0) {
+    const cron = parseCron(expression);
+    const offsetMs = utcOffsetMins * 60 * 1000;
+
+    // Work on a 'wall clock' date shifted by the offset, using UTC getters
+    const t = new Date(from.getTime() + offsetMs);
+    t.setUTCSeconds(0, 0);
+    t.setUTCMinutes(t.getUTCMinutes() + 1);
+
+    const limit = t.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+    while (t.getTime() < limit) {
+        if (!cron.month.has(t.getUTCMonth() + 1)) {
+            t.setUTCMonth(t.getUTCMonth() + 1, 1);
+            t.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(cron, t)) {
+            t.setUTCDate(t.getUTCDate() + 1);
+            t.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hour.has(t.getUTCHours())) {
+            t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minute.has(t.getUTCMinutes())) {
+            t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return new Date(t.getTime() - offsetMs);
+    }
+
+    throw new Error(`Cron expression '${expression}' never matches`);
+}
+
+function isValidCron(expression) {
+    try {
+        parseCron(expression);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = {
+    parseCron,
+    getNextCronRun,
+    isValidCron
+};
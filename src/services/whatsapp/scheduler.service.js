@@ -0,0 +1,280 @@
+const supabase = require('../../config/supabase');
+const queueService = require('./queue.service');
+const templateService = require('./template.service');
+const { getNextCronRun, isValidCron } = require('./schedule.helpers');
+
+/**
+ * Scheduled Message Service
+ * Stores one-off and recurring (cron) messages in Supabase and hands due
+ * entries to the outbound queue, which delivers them once the session is open.
+ *
+ * Missed schedules (e.g. the gateway was down) are handled per schedule:
+ * - 'send_once' (default): deliver a single catch-up message, then continue
+ *   from the next future occurrence. Recurring runs are never replayed in a burst.
+ * - 'skip': if the run is later than the grace window, drop it and continue
+ *   from the next future occurrence (one-off schedules end as 'missed').
+ *
+ * A run is claimed (status / send_at moved on) before it is queued, so a slow
+ * or failed write can never queue it twice. A one-off schedule that cannot be
+ * queued is retried every few minutes and ends as 'failed' after a day.
+ */
+class ScheduledMessageService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_scheduled_messages');
+        this.defaultUtcOffsetMins = parseInt(process.env.SCHEDULE_UTC_OFFSET_MINS || '420', 10); // WIB
+        this.defaultGraceMins = parseInt(process.env.SCHEDULE_MISFIRE_GRACE_MINS || '15', 10);
+        this.batchSize = 50;
+        this.retryDelayMs = 5 * 60 * 1000;
+        this.retryWindowMins = 24 * 60;
+        this.running = false;
+    }
+
+    /**
+     * Validate and normalise schedule input into a DB row
+     * @returns {{row?: object, error?: string}}
+     */
+    _buildRow(input, existing = null) {
+        const merged = { ...(existing || {}), ...input };
+        const type = merged.type || 'text';
+        const payload = type === 'media'
+            ? { media: merged.media }
+            : type === 'interactive' ? { interactive: merged.interactive } : { message: merged.message };
+        // Built-ins like {{date}} are rendered when each run is queued
+        if (merged.templateId && type !== 'interactive') payload.templateId = merged.templateId;
+        const number = merged.number || existing?.jid;
+
+        const validation = queueService.validateJob(number, type, payload);
+        if (!validation.valid) return { error: validation.message };
+
+        const misfirePolicy = merged.misfirePolicy || merged.misfire_policy || 'send_once';
+        if (!['send_once', 'skip'].includes(misfirePolicy)) {
+            return { error: "misfirePolicy must be 'send_once' or 'skip'" };
+        }
+
+        const cron = merged.cron || null;
+        const utcOffsetMins = merged.utcOffsetMins ?? merged.utc_offset_mins ?? this.defaultUtcOffsetMins;
+        let sendAt;
+
+        if (cron) {
+            if (!isValidCron(cron)) return { error: 'Invalid cron expression' };
+            sendAt = getNextCronRun(cron, new Date(), utcOffsetMins);
+        } else {
+            const rawSendAt = merged.sendAt || merged.send_at;
+            sendAt = rawSendAt ? new Date(rawSendAt) : null;
+            if (!sendAt || isNaN(sendAt.getTime())) {
+                return { error: 'sendAt (ISO date) or cron is required' };
+            }
+            if (sendAt.getTime() < Date.now() - 60000) {
+                return { error: 'sendAt must be in the future' };
+            }
+        }
+
+        const whatsappService = require('./whatsapp.service');
+        return {
+            row: {
+                jid: whatsappService.formatPhoneNumber(String(number)),
+                type,
+                payload,
+                cron,
+                utc_offset_mins: utcOffsetMins,
+                send_at: sendAt.toISOString(),
+                misfire_policy: misfirePolicy,
+                misfire_grace_mins: merged.misfireGraceMins ?? merged.misfire_grace_mins ?? this.defaultGraceMins,
+                updated_at: new Date().toISOString()
+            }
+        };
+    }
+
+    async create(sessionId, userId, input) {
+        const applied = await templateService.applyToInput(userId, input, { keepMissing: true });
+        if (applied.error) return { success: false, error: applied.error };
+
+        const { row, error } = this._buildRow(applied.input);
+        if (error) return { success: false, error };
+
+        const { data, error: dbError } = await supabase
+            .from(this.tableName)
+            .insert({ ...row, session_id: sessionId, user_id: userId, status: 'active', run_count: 0 })
+            .select('*')
+            .single();
+
+        if (dbError) {
+            console.error(`❌ [Scheduler][${sessionId}] Failed to create schedule:`, dbError.message);
+            return { success: false, error: 'Failed to create schedule' };
+        }
+        return { success: true, schedule: data };
+    }
+
+    async list(sessionId, status = null) {
+        let query = supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('session_id', sessionId)
+            .order('send_at', { ascending: true });
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async get(sessionId, id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async update(sessionId, id, input) {
+        const existing = await this.get(sessionId, id);
+        if (!existing) return { success: false, status: 404, error: 'Schedule not found' };
+        if (existing.status !== 'active') {
+            return { success: false, status: 409, error: `Schedule is ${existing.status} and can no longer be edited` };
+        }
+
+        // Keep the stored payload unless the caller replaces it
+        const base = {
+            ...existing,
+            message: existing.payload?.message,
+            media: existing.payload?.media,
+            interactive: existing.payload?.interactive,
+            templateId: existing.payload?.templateId
+        };
+        // Switching a recurring schedule to one-off (or vice versa) must be explicit
+        if (input.sendAt && !('cron' in input)) base.cron = null;
+
+        const applied = await templateService.applyToInput(existing.user_id, input, { keepMissing: true });
+        if (applied.error) return { success: false, status: applied.status, error: applied.error };
+
+        const { row, error } = this._buildRow(applied.input, base);
+        if (error) return { success: false, status: 400, error };
+
+        const { data, error: dbError } = await supabase
+            .from(this.tableName)
+            .update(row)
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .select('*')
+            .single();
+
+        if (dbError) throw dbError;
+        return { success: true, schedule: data };
+    }
+
+    async cancel(sessionId, id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .eq('status', 'active')
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Hand every due schedule to the outbound queue. Called by the scheduler job.
+     */
+    async runDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = new Date();
+            const { data: due, error } = await supabase
+                .from(this.tableName)
+                .select('*')
+                .eq('status', 'active')
+                .lte('send_at', now.toISOString())
+                .order('send_at', { ascending: true })
+                .limit(this.batchSize);
+
+            if (error) throw error;
+
+            for (const schedule of due || []) {
+                await this._fire(schedule, now);
+            }
+        } catch (err) {
+            console.error(`❌ [Scheduler] Run error:`, err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async _fire(schedule, now) {
+        const lateMins = (now.getTime() - new Date(schedule.send_at).getTime()) / 60000;
+        const isMissed = schedule.misfire_policy === 'skip' && lateMins > schedule.misfire_grace_mins;
+
+        const claim = { last_run_at: now.toISOString(), updated_at: now.toISOString() };
+        if (schedule.cron) {
+            // Always continue from "now" so downtime never causes a burst of catch-up sends
+            claim.send_at = getNextCronRun(schedule.cron, now, schedule.utc_offset_mins).toISOString();
+        } else {
+            claim.status = isMissed ? 'missed' : 'completed';
+        }
+        if (isMissed) claim.last_result = 'missed';
+
+        // Guard on status and send_at so a concurrent edit or run is not overwritten
+        const { data: claimed, error: claimError } = await supabase
+            .from(this.tableName)
+            .update(claim)
+            .eq('id', schedule.id)
+            .eq('status', 'active')
+            .eq('send_at', schedule.send_at)
+            .select('id');
+
+        if (claimError) {
+            console.error(`❌ [Scheduler][${schedule.session_id}] Failed to claim ${schedule.id}:`, claimError.message);
+            return;
+        }
+        if (!claimed || claimed.length === 0) return;
+
+        if (isMissed) {
+            console.log(`⏭️ [Scheduler][${schedule.session_id}] Skipping missed run of ${schedule.id} (${Math.round(lateMins)} min late).`);
+            return;
+        }
+
+        const queued = await queueService.enqueue(schedule.session_id, {
+            number: schedule.jid,
+            type: schedule.type,
+            payload: schedule.payload?.templateId ? templateService.renderPayload(schedule.payload) : schedule.payload,
+            userId: schedule.user_id
+        });
+
+        const update = {
+            last_result: queued.success ? 'queued' : `failed: ${queued.error}`,
+            last_job_id: queued.jobId || null,
+            run_count: schedule.run_count + (queued.success ? 1 : 0),
+            updated_at: new Date().toISOString()
+        };
+        if (!queued.success && !schedule.cron) {
+            if (lateMins < this.retryWindowMins) {
+                update.status = 'active';
+                update.send_at = new Date(Date.now() + this.retryDelayMs).toISOString();
+            } else {
+                update.status = 'failed';
+            }
+            console.error(`❌ [Scheduler][${schedule.session_id}] Could not queue ${schedule.id} (${update.status === 'failed' ? 'giving up' : 'retrying'}):`, queued.error);
+        }
+
+        const { error: updateError } = await supabase
+            .from(this.tableName)
+            .update(update)
+            .eq('id', schedule.id);
+
+        if (updateError) {
+            console.error(`❌ [Scheduler][${schedule.session_id}] Failed to record the run of ${schedule.id}:`, updateError.message);
+        }
+    }
+}
+
+module.exports = new ScheduledMessageService();
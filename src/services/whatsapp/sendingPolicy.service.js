@@ -0,0 +1,404 @@
+const supabase = require('../../config/supabase');
+
+// Caps and gaps by number age; a tier applies from `fromDay` until the next one
+const DEFAULT_RAMP = [
+    { fromDay: 0, hourly: 20, daily: 100, minDelayMs: 8000, maxDelayMs: 20000 },
+    { fromDay: 3, hourly: 40, daily: 250, minDelayMs: 5000, maxDelayMs: 15000 },
+    { fromDay: 7, hourly: 80, daily: 600, minDelayMs: 3000, maxDelayMs: 10000 },
+    { fromDay: 14, hourly: 150, daily: 1200, minDelayMs: 2000, maxDelayMs: 6000 },
+    { fromDay: 30, hourly: 300, daily: 3000, minDelayMs: 1000, maxDelayMs: 4000 }
+];
+
+// Disconnect codes that usually mean WhatsApp is unhappy with the number
+const RISKY_DISCONNECTS = {
+    401: 'logged_out',
+    403: 'forbidden',
+    440: 'connection_replaced'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const parseRamp = () => {
+    if (!process.env.SENDING_POLICY_RAMP) return DEFAULT_RAMP;
+    try {
+        const ramp = JSON.parse(process.env.SENDING_POLICY_RAMP);
+        if (!Array.isArray(ramp) || ramp.length === 0) throw new Error('must be a non-empty array');
+        const numeric = ['fromDay', 'hourly', 'daily', 'minDelayMs', 'maxDelayMs'];
+        if (!ramp.every(tier => tier && numeric.every(field => Number.isFinite(tier[field])))) {
+            throw new Error(`every tier needs numeric ${numeric.join(', ')}`);
+        }
+        return ramp.sort((a, b) => a.fromDay - b.fromDay);
+    } catch (err) {
+        console.error(`❌ [SendingPolicy] Invalid SENDING_POLICY_RAMP, using defaults:`, err.message);
+        return DEFAULT_RAMP;
+    }
+};
+
+/**
+ * Sending Policy Service
+ * Keeps outbound volume of a number within what WhatsApp tolerates:
+ * - hourly / daily caps that grow with the number's age (warm-up ramp)
+ * - a random gap between queued sends, longer for young numbers
+ * - "typing..." presence before each queued (and direct) send
+ * - a cool-down when send failures or ban-like disconnects (401, 403, 440)
+ *   pile up; repeated cool-downs within a day double up to 6 hours
+ *
+ * Every outgoing message of the session (API, queue, bots, the phone) counts
+ * towards the caps; only API sends and queued sends are held back by them.
+ */
+class SendingPolicyService {
+    constructor() {
+        this.ramp = parseRamp();
+        this.enabledByDefault = process.env.SENDING_POLICY_ENABLED !== 'false';
+        this.failureLimit = parseInt(process.env.SENDING_POLICY_FAILURE_LIMIT || '5', 10);
+        this.failureWindowMs = 10 * 60 * 1000;
+        this.disconnectLimit = parseInt(process.env.SENDING_POLICY_DISCONNECT_LIMIT || '2', 10);
+        this.disconnectWindowMs = HOUR_MS;
+        this.cooldownMs = parseInt(process.env.SENDING_POLICY_COOLDOWN_MINS || '30', 10) * 60 * 1000;
+        this.maxCooldownMs = 6 * HOUR_MS;
+        this.settingsCacheMs = 60000;
+
+        // sessionId -> { sent: number[], failures: number[], disconnects: number[], throttle, lastDeferral, hydrated }
+        this.state = new Map();
+        // sessionId -> { settings, fetchedAt }
+        this.settingsCache = new Map();
+        // phone -> first seen ISO date
+        this.firstSeen = new Map();
+    }
+
+    _getState(sessionId) {
+        if (!this.state.has(sessionId)) {
+            this.state.set(sessionId, {
+                sent: [],
+                failures: [],
+                disconnects: [],
+                throttle: null,
+                lastDeferral: null,
+                hydrated: null
+            });
+        }
+        return this.state.get(sessionId);
+    }
+
+    _prune(list, windowMs, now = Date.now()) {
+        while (list.length > 0 && list[0] <= now - windowMs) list.shift();
+        return list;
+    }
+
+    /**
+     * Rebuild the 24h send window (and a running cool-down) after a restart
+     */
+    _hydrate(sessionId) {
+        const state = this._getState(sessionId);
+        if (state.hydrated) return state.hydrated;
+
+        state.hydrated = (async () => {
+            const configService = require('../common/config.service');
+            const since = new Date(Date.now() - DAY_MS).toISOString();
+
+            const { data, error } = await supabase
+                .from(configService.getTableName('wa_message_status'))
+                .select('sent_at')
+                .eq('session_id', sessionId)
+                .gte('sent_at', since)
+                .order('sent_at', { ascending: true })
+                .limit(5000);
+
+            if (error) {
+                console.error(`❌ [SendingPolicy][${sessionId}] Failed to load recent sends:`, error.message);
+            } else {
+                const restored = (data || []).map(r => new Date(r.sent_at).getTime());
+                state.sent = [...restored, ...state.sent].sort((a, b) => a - b);
+            }
+
+            const throttle = await configService.getSetting(`sending_throttle:${sessionId}`);
+            if (throttle && new Date(throttle.until) > new Date()) state.throttle = throttle;
+        })();
+        return state.hydrated;
+    }
+
+    // ─────────────────────────────────────────────
+    // Settings & number age
+    // ─────────────────────────────────────────────
+
+    /**
+     * @returns {Promise<{enabled: boolean, typing: boolean, hourly_cap: number|null, daily_cap: number|null, number_age_days: number|null}>}
+     */
+    async getSettings(sessionId) {
+        const cached = this.settingsCache.get(sessionId);
+        if (cached && Date.now() - cached.fetchedAt < this.settingsCacheMs) return cached.settings;
+
+        const configService = require('../common/config.service');
+        const override = await configService.getSetting(`sending_policy:${sessionId}`);
+        const settings = {
+            enabled: override?.enabled ?? this.enabledByDefault,
+            typing: override?.typing ?? true,
+            hourly_cap: override?.hourly_cap ?? null,
+            daily_cap: override?.daily_cap ?? null,
+            number_age_days: override?.number_age_days ?? null
+        };
+        this.settingsCache.set(sessionId, { settings, fetchedAt: Date.now() });
+        return settings;
+    }
+
+    async updateSettings(sessionId, input) {
+        const current = await this.getSettings(sessionId);
+        const optionalInt = (value, fallback) => {
+            if (value === undefined) return fallback;
+            if (value === null || value === '') return null;
+            const parsed = parseInt(value, 10);
+            return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+        };
+
+        const settings = {
+            enabled: input.enabled === undefined ? current.enabled : !!input.enabled,
+            typing: input.typing === undefined ? current.typing : !!input.typing,
+            hourly_cap: optionalInt(input.hourly_cap, current.hourly_cap),
+            daily_cap: optionalInt(input.daily_cap, current.daily_cap),
+            // For numbers that were already warm before they were linked here
+            number_age_days: optionalInt(input.number_age_days, current.number_age_days)
+        };
+
+        const configService = require('../common/config.service');
+        const success = await configService.updateSetting(`sending_policy:${sessionId}`, settings);
+        this.settingsCache.delete(sessionId);
+        return success ? settings : null;
+    }
+
+    /**
+     * Remember when a phone number was first linked (its age drives the ramp)
+     */
+    async registerNumber(phoneNumber) {
+        if (!phoneNumber || this.firstSeen.has(phoneNumber)) return;
+
+        const configService = require('../common/config.service');
+        const key = `number_first_seen:${phoneNumber}`;
+        let record;
+        try {
+            record = await configService.readSetting(key);
+        } catch (err) {
+            // Unknown age is not a new number: never restart the ramp on a failed read
+            console.error(`❌ [SendingPolicy] Failed to read first-seen date of ${phoneNumber}:`, err.message);
+            return;
+        }
+        if (!record?.first_seen_at) {
+            record = { first_seen_at: new Date().toISOString() };
+            await configService.updateSetting(key, record);
+            console.log(`🌱 [SendingPolicy] New number ${phoneNumber}: warm-up ramp starts today.`);
+        }
+        this.firstSeen.set(phoneNumber, record.first_seen_at);
+    }
+
+    async _numberAgeDays(sessionId, settings) {
+        if (settings.number_age_days !== null) return settings.number_age_days;
+
+        const sessionManager = require('./session.manager');
+        const phoneNumber = sessionManager.getSession(sessionId)?.connectionState?.phoneNumber;
+        if (!phoneNumber) return 0;
+
+        await this.registerNumber(phoneNumber);
+        const firstSeen = this.firstSeen.get(phoneNumber);
+        // Read failed: apply the strictest tier for now, retried on the next send
+        if (!firstSeen) return 0;
+        return Math.max(0, Math.floor((Date.now() - new Date(firstSeen).getTime()) / DAY_MS));
+    }
+
+    _tierFor(ageDays) {
+        let tier = this.ramp[0];
+        for (const candidate of this.ramp) {
+            if (ageDays >= candidate.fromDay) tier = candidate;
+        }
+        return tier;
+    }
+
+    async _limits(sessionId) {
+        const settings = await this.getSettings(sessionId);
+        const ageDays = await this._numberAgeDays(sessionId, settings);
+        const tier = this._tierFor(ageDays);
+        return {
+            settings,
+            ageDays,
+            tier,
+            hourly: settings.hourly_cap ?? tier.hourly,
+            daily: settings.daily_cap ?? tier.daily
+        };
+    }
+
+    // ─────────────────────────────────────────────
+    // Signals
+    // ─────────────────────────────────────────────
+
+    recordSent(sessionId) {
+        this._getState(sessionId).sent.push(Date.now());
+    }
+
+    recordFailure(sessionId, error) {
+        const state = this._getState(sessionId);
+        const failures = this._prune(state.failures, this.failureWindowMs);
+        failures.push(Date.now());
+
+        if (failures.length >= this.failureLimit) {
+            state.failures = [];
+            this._throttle(sessionId, `${failures.length} failed sends within ${this.failureWindowMs / 60000} minutes (last: ${error})`);
+        }
+    }
+
+    recordDisconnect(sessionId, statusCode) {
+        const code = RISKY_DISCONNECTS[statusCode];
+        if (!code) return;
+
+        const state = this._getState(sessionId);
+        const disconnects = this._prune(state.disconnects, this.disconnectWindowMs);
+        disconnects.push(Date.now());
+
+        // A 403 is WhatsApp refusing the number outright: no second chance
+        if (statusCode === 403 || disconnects.length >= this.disconnectLimit) {
+            state.disconnects = [];
+            this._throttle(sessionId, `Disconnected with ${code} (${statusCode})`);
+        }
+    }
+
+    _throttle(sessionId, reason) {
+        const state = this._getState(sessionId);
+        const previous = state.throttle;
+        // Cool-downs that follow each other within a day get longer
+        const recent = previous && Date.now() - new Date(previous.at).getTime() < DAY_MS;
+        const level = recent ? previous.level + 1 : 1;
+        const durationMs = Math.min(this.cooldownMs * Math.pow(2, level - 1), this.maxCooldownMs);
+
+        state.throttle = {
+            reason,
+            level,
+            at: new Date().toISOString(),
+            until: new Date(Date.now() + durationMs).toISOString()
+        };
+        console.warn(`🧊 [SendingPolicy][${sessionId}] Outbound sends paused for ${Math.round(durationMs / 60000)} min: ${reason}`);
+
+        const configService = require('../common/config.service');
+        configService.updateSetting(`sending_throttle:${sessionId}`, state.throttle);
+    }
+
+    async clearThrottle(sessionId) {
+        const state = this._getState(sessionId);
+        const wasThrottled = !!state.throttle && new Date(state.throttle.until) > new Date();
+        state.throttle = null;
+        state.failures = [];
+        state.disconnects = [];
+
+        const configService = require('../common/config.service');
+        await configService.updateSetting(`sending_throttle:${sessionId}`, null);
+        return wasThrottled;
+    }
+
+    // ─────────────────────────────────────────────
+    // Decisions
+    // ─────────────────────────────────────────────
+
+    /**
+     * May the session send one more outbound message now?
+     * @returns {Promise<{allowed: boolean, reason?: string, message?: string, retryAt?: string}>}
+     */
+    async check(sessionId) {
+        const { settings, hourly, daily } = await this._limits(sessionId);
+        if (!settings.enabled) return { allowed: true };
+
+        await this._hydrate(sessionId);
+        const state = this._getState(sessionId);
+        const now = Date.now();
+
+        let verdict = { allowed: true };
+        if (state.throttle && new Date(state.throttle.until).getTime() > now) {
+            verdict = {
+                allowed: false,
+                reason: 'cooldown',
+                message: `Sending paused after repeated problems: ${state.throttle.reason}`,
+                retryAt: state.throttle.until
+            };
+        } else {
+            const lastDay = this._prune(state.sent, DAY_MS, now);
+            const lastHour = lastDay.filter(ts => ts > now - HOUR_MS);
+
+            if (lastDay.length >= daily) {
+                verdict = {
+                    allowed: false,
+                    reason: 'daily_cap',
+                    message: `Daily limit reached (${lastDay.length}/${daily})`,
+                    retryAt: new Date(lastDay[lastDay.length - daily] + DAY_MS).toISOString()
+                };
+            } else if (lastHour.length >= hourly) {
+                verdict = {
+                    allowed: false,
+                    reason: 'hourly_cap',
+                    message: `Hourly limit reached (${lastHour.length}/${hourly})`,
+                    retryAt: new Date(lastHour[lastHour.length - hourly] + HOUR_MS).toISOString()
+                };
+            }
+        }
+
+        if (!verdict.allowed) {
+            const { allowed, ...deferral } = verdict;
+            state.lastDeferral = { ...deferral, at: new Date(now).toISOString() };
+        }
+        return verdict;
+    }
+
+    /**
+     * Random gap before the next queued send
+     */
+    async nextDelayMs(sessionId) {
+        const { settings, tier } = await this._limits(sessionId);
+        if (!settings.enabled) return 0;
+        return tier.minDelayMs + Math.floor(Math.random() * (tier.maxDelayMs - tier.minDelayMs + 1));
+    }
+
+    /**
+     * Show "typing..." for roughly as long as a person would need for the text
+     */
+    async simulateTyping(sessionId, socket, jid, text = '', { maxMs = 6000 } = {}) {
+        const settings = await this.getSettings(sessionId);
+        if (!settings.enabled || !settings.typing) return;
+
+        const durationMs = Math.min(1000 + String(text || '').length * 40 + Math.floor(Math.random() * 1000), maxMs);
+        try {
+            await socket.presenceSubscribe(jid);
+            await socket.sendPresenceUpdate('composing', jid);
+            await new Promise(resolve => setTimeout(resolve, durationMs));
+            await socket.sendPresenceUpdate('paused', jid);
+        } catch (err) {
+            // Presence is cosmetic; never block the send on it
+        }
+    }
+
+    /**
+     * Current allowance of a session, for dashboards
+     */
+    async getAllowance(sessionId) {
+        const { settings, ageDays, tier, hourly, daily } = await this._limits(sessionId);
+        await this._hydrate(sessionId);
+
+        const state = this._getState(sessionId);
+        const now = Date.now();
+        const lastDay = this._prune(state.sent, DAY_MS, now);
+        const lastHour = lastDay.filter(ts => ts > now - HOUR_MS).length;
+        const throttled = !!state.throttle && new Date(state.throttle.until).getTime() > now;
+
+        return {
+            enabled: settings.enabled,
+            settings,
+            numberAgeDays: ageDays,
+            tier,
+            limits: { hourly, daily },
+            used: { lastHour, lastDay: lastDay.length },
+            remaining: settings.enabled && !throttled
+                ? Math.max(0, Math.min(hourly - lastHour, daily - lastDay.length))
+                : (settings.enabled ? 0 : null),
+            cooldown: throttled ? state.throttle : null,
+            recentFailures: this._prune(state.failures, this.failureWindowMs, now).length,
+            recentRiskyDisconnects: this._prune(state.disconnects, this.disconnectWindowMs, now).length,
+            lastDeferral: state.lastDeferral
+        };
+    }
+}
+
+module.exports = new SendingPolicyService();
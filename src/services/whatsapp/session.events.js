@@ -0,0 +1,36 @@
+const EventEmitter = require('events');
+
+/**
+ * Session Events
+ * In-process bus for session-level events (connection changes, QR codes,
+ * incoming messages, receipts). Integrations such as outbound webhooks
+ * subscribe here instead of being wired into every Baileys handler.
+ */
+class SessionEvents extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(50);
+    }
+
+    /**
+     * Publish an event for a session
+     * @param {string} sessionId
+     * @param {string} event - e.g. 'message.received', 'connection.update'
+     * @param {object} data - event payload
+     */
+    publish(sessionId, event, data = {}) {
+        const envelope = {
+            sessionId,
+            event,
+            data,
+            timestamp: new Date().toISOString()
+        };
+        try {
+            this.emit('event', envelope);
+        } catch (err) {
+            console.error(`❌ [SessionEvents][${sessionId}] Listener error on ${event}:`, err.message);
+        }
+    }
+}
+
+module.exports = new SessionEvents();
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const supabase = require('../../config/supabase');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SESSION_ID_PREFIX = 'wa-user-';
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Session Registry Service
+ * Maps WhatsApp sessions to the account that owns them. The primary session
+ * of an account is keyed by the user's UUID (owner = itself, as before);
+ * extra numbers get a generated `wa-user-...` id and a row in wa_session_owners.
+ * Prompts, contacts, chat history and AI controls are scoped per session:
+ * scope '' is the primary session, otherwise the session id.
+ */
+class SessionRegistryService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_session_owners');
+        this.owners = new Map(); // sessionId -> row of wa_session_owners
+    }
+
+    /**
+     * Sessions that belong to a user account (and run the AI bot)
+     */
+    isUserSessionId(sessionId) {
+        return typeof sessionId === 'string' && (UUID_REGEX.test(sessionId) || sessionId.startsWith(SESSION_ID_PREFIX));
+    }
+
+    isPrimary(sessionId) {
+        return UUID_REGEX.test(sessionId);
+    }
+
+    /**
+     * Scope key of a session in the per-session tables and settings
+     * @returns {string} '' for the primary session (and system sessions bound to the user)
+     */
+    scopeOf(userId, sessionId = null) {
+        return sessionId && sessionId !== userId && sessionId.startsWith(SESSION_ID_PREFIX) ? sessionId : '';
+    }
+
+    async _load(sessionId) {
+        if (this.owners.has(sessionId)) return this.owners.get(sessionId);
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (data) this.owners.set(sessionId, data);
+        return data || null;
+    }
+
+    /**
+     * @returns {Promise<string|null>} owner user id, null for system sessions and unknown ids
+     */
+    async getOwner(sessionId) {
+        if (!sessionId) return null;
+        if (UUID_REGEX.test(sessionId)) return sessionId;
+        if (!sessionId.startsWith(SESSION_ID_PREFIX)) return null;
+        return (await this._load(sessionId))?.user_id || null;
+    }
+
+    /**
+     * Owner from memory only, for hot paths (message handlers)
+     */
+    getCachedOwner(sessionId) {
+        if (UUID_REGEX.test(sessionId)) return sessionId;
+        return this.owners.get(sessionId)?.user_id || null;
+    }
+
+    async listForUser(userId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        for (const row of data || []) this.owners.set(row.session_id, row);
+
+        return [
+            { session_id: userId, user_id: userId, name: 'primary', is_primary: true },
+            ...(data || []).map(row => ({ ...row, is_primary: false }))
+        ];
+    }
+
+    /**
+     * Register an extra number for a user, within the package's max_sessions
+     * @returns {Promise<{success: boolean, status?: number, error?: string, session?: object}>}
+     */
+    async create(userId, name) {
+        const cleanName = typeof name === 'string' ? name.trim() : '';
+        if (!cleanName) return { success: false, status: 400, error: 'name is required' };
+        if (cleanName.length > MAX_NAME_LENGTH) {
+            return { success: false, status: 400, error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+        }
+
+        const sessions = await this.listForUser(userId);
+        if (sessions.some(s => s.name === cleanName)) {
+            return { success: false, status: 409, error: `A session named '${cleanName}' already exists` };
+        }
+
+        const paymentService = require('../payment/payment.service');
+        const features = await paymentService.getUserFeatures(userId);
+        if (!features.is_admin && sessions.length >= features.max_sessions) {
+            return {
+                success: false,
+                status: 403,
+                error: `Batas nomor WhatsApp tercapai (${features.max_sessions}). Upgrade paket untuk menambah lebih banyak.`
+            };
+        }
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .insert({
+                session_id: `${SESSION_ID_PREFIX}${crypto.randomBytes(6).toString('hex')}`,
+                user_id: userId,
+                name: cleanName
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        this.owners.set(data.session_id, data);
+        return { success: true, session: { ...data, is_primary: false } };
+    }
+
+    async rename(userId, sessionId, name) {
+        const cleanName = typeof name === 'string' ? name.trim() : '';
+        if (!cleanName) return { success: false, status: 400, error: 'name is required' };
+        if (cleanName.length > MAX_NAME_LENGTH) {
+            return { success: false, status: 400, error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+        }
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ name: cleanName, updated_at: new Date().toISOString() })
+            .eq('session_id', sessionId)
+            .eq('user_id', userId)
+            .select()
+            .maybeSingle();
+
+        if (error?.code === '23505') return { success: false, status: 409, error: `A session named '${cleanName}' already exists` };
+        if (error) throw error;
+        if (!data) return { success: false, status: 404, error: 'Session not found' };
+
+        this.owners.set(sessionId, data);
+        return { success: true, session: { ...data, is_primary: false } };
+    }
+
+    /**
+     * Unregister an extra number and drop everything kept for it: prompts, contacts,
+     * chat history, AI pauses, per-session settings, queued and scheduled sends,
+     * campaigns, status posts, webhooks, inbox, stored messages, polls, receipts,
+     * connection and call logs. Media library files belong to the account and stay.
+     * @returns {Promise<boolean>} false when the user has no such session
+     */
+    async remove(userId, sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('session_id', sessionId)
+            .eq('user_id', userId)
+            .select('session_id');
+
+        if (error) throw error;
+        this.owners.delete(sessionId);
+        if ((data || []).length === 0) return false;
+
+        const configService = require('../common/config.service');
+        const historyService = require('../common/history.service');
+        const userScopedTables = [
+            configService.promptsTable,
+            configService.contactsTable,
+            historyService.tableName,
+            configService.getTableName('wa_ai_pauses')
+        ];
+        for (const table of userScopedTables) {
+            const { error: cleanupError } = await supabase.from(table).delete().eq('user_id', userId).eq('session_id', sessionId);
+            if (cleanupError) console.error(`❌ [SessionRegistry][${sessionId}] Failed to clean up ${table}:`, cleanupError.message);
+        }
+
+        // Campaign recipients are keyed by campaign: drop them first so runDue stops feeding the outbox
+        const campaignsTable = configService.getTableName('wa_campaigns');
+        const { data: campaigns, error: campaignsError } = await supabase.from(campaignsTable).select('id').eq('session_id', sessionId);
+        if (campaignsError) console.error(`❌ [SessionRegistry][${sessionId}] Failed to list campaigns:`, campaignsError.message);
+        const campaignIds = (campaigns || []).map(c => c.id);
+        for (let i = 0; i < campaignIds.length; i += 100) {
+            const { error: recipientsError } = await supabase
+                .from(configService.getTableName('wa_campaign_recipients'))
+                .delete()
+                .in('campaign_id', campaignIds.slice(i, i + 100));
+            if (recipientsError) console.error(`❌ [SessionRegistry][${sessionId}] Failed to clean up campaign recipients:`, recipientsError.message);
+        }
+
+        // Tables keyed by the session itself
+        const sessionTables = [
+            'wa_campaigns',
+            'wa_status_posts',
+            'wa_outbox',
+            'wa_scheduled_messages',
+            'wa_webhook_deliveries',
+            'wa_webhooks',
+            'wa_inbox_messages',
+            'wa_inbox_chats',
+            'wa_message_store',
+            'wa_polls',
+            'wa_message_status',
+            'wa_connection_events',
+            'wa_call_logs'
+        ].map(table => configService.getTableName(table));
+        for (const table of sessionTables) {
+            const { error: cleanupError } = await supabase.from(table).delete().eq('session_id', sessionId);
+            if (cleanupError) console.error(`❌ [SessionRegistry][${sessionId}] Failed to clean up ${table}:`, cleanupError.message);
+        }
+
+        // Library files stay usable from the account's other numbers
+        const { error: mediaError } = await supabase
+            .from(configService.getTableName('wa_media_uploads'))
+            .update({ session_id: null })
+            .eq('session_id', sessionId);
+        if (mediaError) console.error(`❌ [SessionRegistry][${sessionId}] Failed to detach media uploads:`, mediaError.message);
+
+        const settingKeys = ['ai_controls', 'target_mode', 'queue_config', 'sending_policy', 'sending_throttle']
+            .map(prefix => `${prefix}:${sessionId}`);
+        const { error: settingsError } = await supabase.from(configService.settingsTable).delete().in('id', settingKeys);
+        if (settingsError) console.error(`❌ [SessionRegistry][${sessionId}] Failed to clean up settings:`, settingsError.message);
+
+        require('./messageStore.service').clearSession(sessionId);
+        return true;
+    }
+
+    /**
+     * Connected sessions are restored on boot; logged out ones are not
+     */
+    async setActive(sessionId, isActive) {
+        if (!sessionId?.startsWith(SESSION_ID_PREFIX)) return;
+        try {
+            const { error } = await supabase
+                .from(this.tableName)
+                .update({ is_active: isActive, updated_at: new Date().toISOString() })
+                .eq('session_id', sessionId);
+
+            if (error) throw error;
+            const cached = this.owners.get(sessionId);
+            if (cached) cached.is_active = isActive;
+        } catch (err) {
+            console.error(`❌ [SessionRegistry][${sessionId}] Failed to update state:`, err.message);
+        }
+    }
+
+    async listActiveSessionIds() {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('is_active', true);
+
+        if (error) throw error;
+        for (const row of data || []) this.owners.set(row.session_id, row);
+        return (data || []).map(row => row.session_id);
+    }
+}
+
+module.exports = new SessionRegistryService();
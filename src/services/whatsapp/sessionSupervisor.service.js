@@ -0,0 +1,263 @@
+const { DisconnectReason } = require('@whiskeysockets/baileys');
+const sessionManager = require('./session.manager');
+const sessionEvents = require('./session.events');
+
+// Retrying these cannot help: the device was unlinked or the number was banned
+const TERMINAL_CODES = {
+    [DisconnectReason.loggedOut]: 'logged_out',
+    [DisconnectReason.forbidden]: 'banned'
+};
+
+/**
+ * Session Supervisor
+ * Owns every reconnect of a WhatsApp session: after a close, a failed connect
+ * or a watchdog sweep it retries with exponential backoff (with jitter and a
+ * cap), stops for good on logout or ban, and tells the owner via CS-BOT and
+ * the `session.unhealthy` event (webhooks, event stream) once a session has
+ * failed RECONNECT_ALERT_AFTER attempts in a row. Retry state is kept in
+ * memory and shown by the status and health endpoints.
+ */
+class SessionSupervisor {
+    constructor() {
+        this.baseDelayMs = parseInt(process.env.RECONNECT_BASE_DELAY_MS || '5000', 10);
+        this.maxDelayMs = parseInt(process.env.RECONNECT_MAX_DELAY_MS || String(10 * 60 * 1000), 10);
+        // Another client took the number over: give it time before taking it back
+        this.replacedDelayMs = parseInt(process.env.RECONNECT_REPLACED_DELAY_MS || '25000', 10);
+        this.alertAfter = parseInt(process.env.RECONNECT_ALERT_AFTER || '5', 10);
+        // A socket still 'connecting' after this long is hung and counts as offline
+        this.connectingTimeoutMs = parseInt(process.env.RECONNECT_CONNECTING_TIMEOUT_MS || String(2 * 60 * 1000), 10);
+        this.states = new Map(); // sessionId -> retry state
+        this.connectingSince = new Map(); // sessionId -> ms timestamp of the last switch to 'connecting'
+    }
+
+    _state(sessionId) {
+        if (!this.states.has(sessionId)) {
+            this.states.set(sessionId, {
+                attempts: 0,
+                nextRetryAt: null,
+                timer: null,
+                lastStatusCode: null,
+                lastReason: null,
+                lastError: null,
+                offlineSince: null,
+                stopped: false,
+                stopReason: null,
+                alertedAt: null
+            });
+        }
+        return this.states.get(sessionId);
+    }
+
+    _delay(attempts, { replaced = false } = {}) {
+        const exponential = Math.min(this.baseDelayMs * 2 ** Math.max(attempts - 1, 0), this.maxDelayMs);
+        // ±20% jitter so sessions dropped together do not reconnect together
+        const delay = Math.round(exponential * (0.8 + Math.random() * 0.4));
+        return replaced ? Math.max(delay, this.replacedDelayMs) : delay;
+    }
+
+    /**
+     * Plan the next reconnect of a session (after a close or a failed connect)
+     * @param {string} sessionId
+     * @param {object} failure - { statusCode, reason, error }
+     * @returns {number|null} delay in ms, null when the session will not be retried
+     */
+    scheduleReconnect(sessionId, { statusCode = null, reason = null, error = null } = {}) {
+        const state = this._state(sessionId);
+        if (state.stopped) return null;
+
+        state.lastStatusCode = statusCode;
+        state.lastReason = reason;
+        state.lastError = error;
+        state.offlineSince = state.offlineSince || new Date().toISOString();
+
+        if (TERMINAL_CODES[statusCode]) {
+            this.stop(sessionId, TERMINAL_CODES[statusCode]);
+            return null;
+        }
+
+        // Required once after pairing: not a failure
+        if (statusCode === DisconnectReason.restartRequired) {
+            return this._retryIn(sessionId, state, 1000);
+        }
+
+        state.attempts++;
+        const replaced = statusCode === DisconnectReason.connectionReplaced;
+        const delay = this._delay(state.attempts, { replaced });
+
+        if (state.attempts >= this.alertAfter && !state.alertedAt) {
+            this._alert(sessionId, state);
+        }
+        return this._retryIn(sessionId, state, delay);
+    }
+
+    _retryIn(sessionId, state, delay) {
+        if (state.timer) clearTimeout(state.timer);
+        state.nextRetryAt = new Date(Date.now() + delay).toISOString();
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            state.nextRetryAt = null;
+            // connect() reports its own failures back through scheduleReconnect
+            require('./connection.service').connect(sessionId);
+        }, delay);
+
+        const label = state.lastReason || state.lastError || 'unknown';
+        console.log(`🔁 [Supervisor][${sessionId}] Reconnect #${state.attempts} in ${Math.round(delay / 1000)}s (${label}).`);
+        return delay;
+    }
+
+    /**
+     * The session is connected again: forget its failures
+     */
+    onOpen(sessionId) {
+        this.connectingSince.delete(sessionId);
+        const state = this.states.get(sessionId);
+        if (!state) return;
+        if (state.timer) clearTimeout(state.timer);
+        if (state.attempts > 0) {
+            console.log(`✅ [Supervisor][${sessionId}] Back online after ${state.attempts} attempt(s).`);
+        }
+        this.states.delete(sessionId);
+    }
+
+    /**
+     * Stop retrying a session until it is started again (init)
+     * @param {string} reason - logged_out, banned, replaced, logout_requested, deleted
+     * @param {object} options - { alert: tell the owner (default true) }
+     */
+    stop(sessionId, reason, { alert = true } = {}) {
+        const state = this._state(sessionId);
+        // The first reason wins, e.g. a requested logout is not reported as logged_out
+        if (state.stopped) return;
+        if (state.timer) clearTimeout(state.timer);
+        state.timer = null;
+        state.nextRetryAt = null;
+        state.stopped = true;
+        state.stopReason = reason;
+        state.offlineSince = state.offlineSince || new Date().toISOString();
+
+        console.log(`⛔ [Supervisor][${sessionId}] Not reconnecting: ${reason}.`);
+        if (alert) this._alert(sessionId, state);
+    }
+
+    /**
+     * Forget retry state, e.g. before the user starts a session again
+     */
+    reset(sessionId) {
+        const state = this.states.get(sessionId);
+        if (state?.timer) clearTimeout(state.timer);
+        this.states.delete(sessionId);
+    }
+
+    /**
+     * The session (re)entered 'connecting'; see sweep
+     */
+    markConnecting(sessionId) {
+        this.connectingSince.set(sessionId, Date.now());
+    }
+
+    isStopped(sessionId) {
+        return this.states.get(sessionId)?.stopped || false;
+    }
+
+    isRetrying(sessionId) {
+        return !!this.states.get(sessionId)?.timer;
+    }
+
+    /**
+     * Watchdog sweep: sessions that should be online but are neither open,
+     * connecting (for less than connectingTimeoutMs) nor waiting for a retry
+     * get one scheduled
+     */
+    sweep(sessionIds) {
+        for (const sessionId of sessionIds) {
+            if (this.isStopped(sessionId) || this.isRetrying(sessionId)) continue;
+
+            const connection = sessionManager.getSession(sessionId)?.connectionState.connection;
+            // A session waiting for a QR scan or pairing is not broken
+            if (['open', 'waiting_qr'].includes(connection)) continue;
+
+            let reason = 'watchdog';
+            if (connection === 'connecting') {
+                // Not seen switching (e.g. set before a restart of this job): start the clock now
+                if (!this.connectingSince.has(sessionId)) this.markConnecting(sessionId);
+                if (Date.now() - this.connectingSince.get(sessionId) < this.connectingTimeoutMs) continue;
+                reason = 'connecting_timeout';
+            }
+
+            console.log(`⚠️  [Supervisor][${sessionId}] Offline (${connection || 'MISSING'}) without a pending retry.`);
+            this.scheduleReconnect(sessionId, { reason });
+        }
+    }
+
+    /**
+     * Retry state for the status API (null when the session has no failures)
+     */
+    getState(sessionId) {
+        const state = this.states.get(sessionId);
+        if (!state) return null;
+        return {
+            attempts: state.attempts,
+            nextRetryAt: state.nextRetryAt,
+            lastStatusCode: state.lastStatusCode,
+            lastReason: state.lastReason,
+            lastError: state.lastError,
+            offlineSince: state.offlineSince,
+            stopped: state.stopped,
+            stopReason: state.stopReason,
+            alertedAt: state.alertedAt
+        };
+    }
+
+    _alert(sessionId, state) {
+        state.alertedAt = new Date().toISOString();
+        // Read now: a logged out session is deleted right after
+        const session = sessionManager.getSession(sessionId);
+        const phoneNumber = session?.connectionState.phoneNumber || null;
+
+        sessionEvents.publish(sessionId, 'session.unhealthy', {
+            phoneNumber,
+            attempts: state.attempts,
+            stopped: state.stopped,
+            stopReason: state.stopReason,
+            lastStatusCode: state.lastStatusCode,
+            lastReason: state.lastReason,
+            offlineSince: state.offlineSince,
+            nextRetryAt: state.nextRetryAt
+        });
+
+        const problem = {
+            logged_out: 'telah keluar (logged out) dari WhatsApp. Silakan hubungkan ulang dengan scan QR',
+            banned: 'ditolak oleh WhatsApp (kemungkinan diblokir). Sambungan ulang dihentikan'
+        }[state.stopReason] || `terputus dan gagal tersambung kembali setelah ${state.attempts} percobaan (${state.lastReason || state.lastError || 'unknown'}). Sistem tetap mencoba secara berkala`;
+        this._notifyOwner(sessionId, { phoneNumber, problem, boundUserId: session?.userId || null });
+    }
+
+    async _notifyOwner(sessionId, { phoneNumber, problem, boundUserId }) {
+        const sessionRegistry = require('./sessionRegistry.service');
+        const userId = await sessionRegistry.getOwner(sessionId).catch(() => null) || boundUserId;
+        if (!userId) return;
+
+        try {
+            const supabase = require('../../config/supabase');
+            const { data: user } = await supabase
+                .from('users')
+                .select('phone, full_name, username')
+                .eq('id', userId)
+                .single();
+
+            if (!user?.phone) return;
+
+            const notificationService = require('../payment/notification.service');
+            await notificationService.notifySessionUnhealthy(
+                user.phone,
+                user.full_name || user.username || 'User',
+                phoneNumber || sessionId,
+                problem
+            );
+        } catch (err) {
+            console.error(`❌ [Supervisor] Failed to notify owner ${userId}:`, err.message);
+        }
+    }
+}
+
+module.exports = new SessionSupervisor();
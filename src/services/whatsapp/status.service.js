@@ -0,0 +1,299 @@
+const supabase = require('../../config/supabase');
+const sessionManager = require('./session.manager');
+const sessionEvents = require('./session.events');
+
+const STATUS_JID = 'status@broadcast';
+const STATUS_TYPES = ['text', 'image', 'video'];
+
+/**
+ * Status Service
+ * Posts WhatsApp Status (story) updates to `status@broadcast`, now or at a
+ * scheduled time. WhatsApp only shows a status to the jids passed as
+ * `statusJidList`, so every post carries an audience (numbers, csv, tags
+ * and/or activeWithinDays, resolved like a campaign audience) that is
+ * snapshotted when the post is created.
+ */
+class StatusService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_status_posts');
+        this.maxAudience = parseInt(process.env.STATUS_MAX_AUDIENCE || '2000', 10);
+        // A scheduled post this late (session offline) is dropped: statuses only live 24 hours
+        this.graceMins = parseInt(process.env.STATUS_MISFIRE_GRACE_MINS || '60', 10);
+        this.maxTextLength = 700;
+        this.batchSize = 20;
+        // A post still 'posting' after this long was claimed by a process that died
+        this.postingTimeoutMs = 10 * 60 * 1000;
+        this.running = false;
+    }
+
+    /**
+     * Validate the content of a post
+     * @returns {{content?: object, error?: string}}
+     */
+    async _buildContent(userId, input) {
+        const type = input.type || 'text';
+        if (!STATUS_TYPES.includes(type)) return { error: `type must be one of: ${STATUS_TYPES.join(', ')}` };
+
+        if (type === 'text') {
+            const text = typeof input.text === 'string' ? input.text.trim() : '';
+            if (!text) return { error: 'text is required for text status' };
+            if (text.length > this.maxTextLength) return { error: `text must be at most ${this.maxTextLength} characters` };
+            if (input.backgroundColor && !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(input.backgroundColor)) {
+                return { error: 'backgroundColor must be a hex colour like #25D366' };
+            }
+            const font = input.font === undefined ? undefined : parseInt(input.font, 10);
+            if (font !== undefined && !(font >= 0 && font <= 5)) return { error: 'font must be between 0 and 5' };
+            return { content: { type, text, backgroundColor: input.backgroundColor || '#25D366', font } };
+        }
+
+        const media = input.media || {};
+        if (!media.url && !media.mediaId) return { error: 'media needs a url or a library mediaId' };
+
+        let url = media.url;
+        let mimetype = media.mimetype;
+        if (media.mediaId) {
+            const mediaService = require('./media.service');
+            const record = await mediaService.getStoredMedia(userId, media.mediaId);
+            if (!record) return { error: 'Media not found in your library' };
+            if (record.file_type !== type) return { error: `Media ${record.id} is a ${record.file_type}, not ${type}` };
+            url = record.public_url;
+            mimetype = record.mimetype;
+        }
+
+        return { content: { type, url, mimetype, caption: media.caption || undefined } };
+    }
+
+    /**
+     * Create a status post; without sendAt it is posted right away
+     * @param {string} sessionId
+     * @param {string} userId
+     * @param {object} input - { type, text, backgroundColor, font, media: { url | mediaId, caption }, audience, sendAt }
+     */
+    async create(sessionId, userId, input) {
+        const { content, error } = await this._buildContent(userId, input);
+        if (error) return { success: false, status: 400, error };
+
+        if (!input.audience || typeof input.audience !== 'object') {
+            return { success: false, status: 400, error: 'audience is required (numbers, csv, tags and/or activeWithinDays)' };
+        }
+
+        let sendAt = null;
+        if (input.sendAt) {
+            sendAt = new Date(input.sendAt);
+            if (isNaN(sendAt.getTime())) return { success: false, status: 400, error: 'sendAt must be an ISO date' };
+            if (sendAt.getTime() < Date.now() - 60000) return { success: false, status: 400, error: 'sendAt must be in the future' };
+        } else if (!this._getSocket(sessionId)) {
+            return { success: false, status: 409, error: 'Session is not connected. Pass sendAt to schedule the post instead.' };
+        }
+
+        const campaignService = require('./campaign.service');
+        const { recipients, invalid, error: audienceError } = await campaignService.resolveAudience(userId, input.audience);
+        if (audienceError) return { success: false, status: 400, error: audienceError };
+        if (recipients.size === 0) return { success: false, status: 400, error: 'Audience is empty', invalid };
+        if (recipients.size > this.maxAudience) {
+            return { success: false, status: 400, error: `Audience too large (${recipients.size}). Maximum ${this.maxAudience} contacts per status` };
+        }
+
+        const { data: post, error: dbError } = await supabase
+            .from(this.tableName)
+            .insert({
+                session_id: sessionId,
+                user_id: userId,
+                type: content.type,
+                content,
+                audience_jids: [...recipients.keys()],
+                audience_size: recipients.size,
+                send_at: (sendAt || new Date()).toISOString(),
+                // Immediate posts are claimed right away so the job never picks them up
+                status: sendAt ? 'scheduled' : 'posting'
+            })
+            .select('*')
+            .single();
+
+        if (dbError) throw dbError;
+
+        if (sendAt) return { success: true, post: this._present(post), invalid };
+
+        const posted = await this._post(post, this._getSocket(sessionId));
+        if (posted.status !== 'posted') {
+            return { success: false, status: 502, error: `Failed to post status: ${posted.error}`, post: this._present(posted) };
+        }
+        return { success: true, post: this._present(posted), invalid };
+    }
+
+    _getSocket(sessionId) {
+        const session = sessionManager.getSession(sessionId);
+        return session?.socket && session.connectionState?.connection === 'open' ? session.socket : null;
+    }
+
+    /**
+     * Publish one post and record the outcome
+     */
+    async _post(post, socket) {
+        const { content } = post;
+        const message = content.type === 'text'
+            ? { text: content.text }
+            : { [content.type]: { url: content.url }, caption: content.caption || '', ...(content.mimetype && content.type !== 'image' ? { mimetype: content.mimetype } : {}) };
+
+        // Include our own number so the post also shows under "My status" on the phone
+        const me = socket.user?.id ? `${socket.user.id.split(':')[0]}@s.whatsapp.net` : null;
+        const statusJidList = [...new Set([...(post.audience_jids || []), ...(me ? [me] : [])])];
+
+        const update = { updated_at: new Date().toISOString() };
+        try {
+            const result = await socket.sendMessage(STATUS_JID, message, {
+                broadcast: true,
+                statusJidList,
+                ...(content.type === 'text' ? { backgroundColor: content.backgroundColor, font: content.font } : {})
+            });
+            Object.assign(update, { status: 'posted', message_id: result.key.id, posted_at: new Date().toISOString(), error: null });
+            console.log(`📢 [Status][${post.session_id}] Posted ${content.type} status to ${post.audience_size} contacts`);
+        } catch (err) {
+            Object.assign(update, { status: 'failed', error: err.message });
+            console.error(`❌ [Status][${post.session_id}] Failed to post status ${post.id}:`, err.message);
+        }
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update(update)
+            .eq('id', post.id)
+            .select('*')
+            .single();
+
+        if (error) console.error(`❌ [Status][${post.session_id}] Failed to record post ${post.id}:`, error.message);
+
+        if (update.status === 'posted') {
+            sessionEvents.publish(post.session_id, 'status.posted', {
+                id: post.id,
+                messageId: update.message_id,
+                type: content.type,
+                audienceSize: post.audience_size
+            });
+        }
+        return data || { ...post, ...update };
+    }
+
+    // The jid list can be large; callers get its size
+    _present(post) {
+        const { audience_jids, ...rest } = post;
+        return rest;
+    }
+
+    async list(sessionId, { status = null, limit = 50 } = {}) {
+        let query = supabase
+            .from(this.tableName)
+            .select('id, session_id, type, content, audience_size, send_at, status, message_id, error, posted_at, created_at')
+            .eq('session_id', sessionId)
+            .order('send_at', { ascending: false })
+            .limit(Math.min(limit, 200));
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async get(sessionId, id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data ? this._present(data) : null;
+    }
+
+    async cancel(sessionId, id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .eq('status', 'scheduled')
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Post every due scheduled status whose session is open. Called by the status job.
+     */
+    async runDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const now = Date.now();
+            const nowIso = new Date(now).toISOString();
+
+            // Claimed before a crash: hand it back (it is dropped below if too late by now)
+            const { error: requeueError } = await supabase
+                .from(this.tableName)
+                .update({ status: 'scheduled', updated_at: nowIso })
+                .eq('status', 'posting')
+                .lt('updated_at', new Date(now - this.postingTimeoutMs).toISOString());
+
+            if (requeueError) throw requeueError;
+
+            const { data: missed, error: missedError } = await supabase
+                .from(this.tableName)
+                .update({ status: 'missed', updated_at: nowIso })
+                .eq('status', 'scheduled')
+                .lt('send_at', new Date(now - this.graceMins * 60000).toISOString())
+                .select('id, session_id');
+
+            if (missedError) throw missedError;
+            for (const post of missed || []) {
+                console.log(`⏭️ [Status][${post.session_id}] Skipped missed status ${post.id} (more than ${this.graceMins} min late).`);
+            }
+
+            // Posts of offline sessions wait within the grace window without holding up the others
+            const openSessionIds = [];
+            sessionManager.forEach((session, sessionId) => {
+                if (this._getSocket(sessionId)) openSessionIds.push(sessionId);
+            });
+            if (openSessionIds.length === 0) return;
+
+            const due = [];
+            for (let i = 0; i < openSessionIds.length && due.length < this.batchSize; i += 100) {
+                const { data, error } = await supabase
+                    .from(this.tableName)
+                    .select('*')
+                    .eq('status', 'scheduled')
+                    .in('session_id', openSessionIds.slice(i, i + 100))
+                    .lte('send_at', nowIso)
+                    .order('send_at', { ascending: true })
+                    .limit(this.batchSize - due.length);
+
+                if (error) throw error;
+                due.push(...(data || []));
+            }
+
+            for (const post of due) {
+                const socket = this._getSocket(post.session_id);
+                if (!socket) continue;
+
+                // Claim it so a cancel or a second tick cannot post it twice
+                const { data: claimed } = await supabase
+                    .from(this.tableName)
+                    .update({ status: 'posting', updated_at: new Date().toISOString() })
+                    .eq('id', post.id)
+                    .eq('status', 'scheduled')
+                    .select('id');
+
+                if ((claimed || []).length) await this._post(post, socket);
+            }
+        } catch (err) {
+            console.error(`❌ [Status] Run error:`, err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+}
+
+module.exports = new StatusService();
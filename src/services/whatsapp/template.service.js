@@ -0,0 +1,252 @@
+const supabase = require('../../config/supabase');
+
+// {{name}} or {{name|fallback}}
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+// Filled at render time unless the caller passes its own value
+const BUILTIN_VARIABLES = ['date', 'time'];
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Message Template Service
+ * User-owned message templates (text and optional media with a templated
+ * caption) that send, send-bulk, schedules and campaigns can reference by
+ * `templateId` plus `variables` instead of repeating the text.
+ */
+class TemplateService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_templates');
+        this.timeZone = process.env.TEMPLATE_TIMEZONE || 'Asia/Jakarta';
+        this.maxBodyLength = 4096;
+        this.builtinVariables = BUILTIN_VARIABLES;
+    }
+
+    /**
+     * Values of the built-in variables, formatted for Indonesian readers
+     */
+    builtins(now = new Date()) {
+        return {
+            date: now.toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric', timeZone: this.timeZone }),
+            time: now.toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit', timeZone: this.timeZone })
+        };
+    }
+
+    /**
+     * Placeholder names used in a text (built-ins excluded)
+     */
+    extractVariables(text) {
+        const names = new Set();
+        for (const [, key] of String(text || '').matchAll(PLACEHOLDER)) {
+            if (!BUILTIN_VARIABLES.includes(key)) names.add(key);
+        }
+        return [...names];
+    }
+
+    /**
+     * Placeholders without a value and without a fallback
+     */
+    missingVariables(text, variables = {}) {
+        const missing = new Set();
+        for (const [, key, fallback] of String(text || '').matchAll(PLACEHOLDER)) {
+            const value = variables[key];
+            const empty = value === undefined || value === null || value === '';
+            if (empty && fallback === undefined && !BUILTIN_VARIABLES.includes(key)) missing.add(key);
+        }
+        return [...missing];
+    }
+
+    /**
+     * Fill placeholders. Empty values use their fallback (or nothing); with
+     * keepMissing they stay in the text so a later render (per recipient, or at
+     * send time for built-ins) can fill them.
+     */
+    render(text, variables = {}, { keepMissing = false } = {}) {
+        const values = keepMissing ? variables : { ...this.builtins(), ...variables };
+        return String(text || '').replace(PLACEHOLDER, (match, key, fallback) => {
+            const value = values[key];
+            if (value !== undefined && value !== null && value !== '') return String(value);
+            return keepMissing ? match : (fallback ?? '').trim();
+        });
+    }
+
+    /**
+     * Render the text parts of a queue payload ({ message } or { media })
+     */
+    renderPayload(payload, variables = {}) {
+        if (payload.media) {
+            const caption = this.render(payload.media.caption, variables);
+            return { media: { ...payload.media, caption: caption || undefined } };
+        }
+        return { message: this.render(payload.message, variables) };
+    }
+
+    _validate(input, existing = null) {
+        const merged = { ...(existing || {}), ...input };
+        const name = String(merged.name || '').trim();
+        const body = merged.body === undefined || merged.body === null ? '' : String(merged.body);
+        const media = merged.media || null;
+
+        if (!name) return { error: 'name is required' };
+        if (name.length > 120) return { error: 'name must be at most 120 characters' };
+        if (body.length > this.maxBodyLength) return { error: `body must be at most ${this.maxBodyLength} characters` };
+
+        if (media) {
+            if (typeof media !== 'object' || !MEDIA_TYPES.includes(media.type)) {
+                return { error: `media.type must be one of: ${MEDIA_TYPES.join(', ')}` };
+            }
+            if (!media.url && !media.mediaId) return { error: 'media needs a url or a library mediaId' };
+        } else if (!body.trim()) {
+            return { error: 'body is required for text templates' };
+        }
+
+        return {
+            row: {
+                name,
+                body,
+                media: media ? { type: media.type, url: media.url, mediaId: media.mediaId, fileName: media.fileName } : null,
+                variables: this.extractVariables(body),
+                updated_at: new Date().toISOString()
+            }
+        };
+    }
+
+    /**
+     * Library media is stored with its public URL so queued sends can use it
+     */
+    async _resolveMedia(userId, row) {
+        if (!row.media?.mediaId) return null;
+        const mediaService = require('./media.service');
+        const record = await mediaService.getStoredMedia(userId, row.media.mediaId);
+        if (!record) return 'Media not found in your library';
+        if (record.file_type !== row.media.type) return `Media ${record.id} is a ${record.file_type}, not ${row.media.type}`;
+        row.media = { ...row.media, url: record.public_url, mimetype: record.mimetype, fileName: row.media.fileName || record.file_name };
+        return null;
+    }
+
+    async list(userId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('user_id', userId)
+            .order('name', { ascending: true });
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    async get(userId, id) {
+        // Not an id at all: Postgres would reject the uuid cast
+        if (!UUID_REGEX.test(String(id || ''))) return null;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    async create(userId, input) {
+        const { row, error } = this._validate(input);
+        if (error) return { success: false, status: 400, error };
+        const mediaError = await this._resolveMedia(userId, row);
+        if (mediaError) return { success: false, status: 400, error: mediaError };
+
+        const { data, error: dbError } = await supabase
+            .from(this.tableName)
+            .insert({ ...row, user_id: userId })
+            .select('*')
+            .single();
+
+        if (dbError?.code === '23505') {
+            return { success: false, status: 409, error: 'A template with this name already exists' };
+        }
+        if (dbError) throw dbError;
+        return { success: true, template: data };
+    }
+
+    async update(userId, id, input) {
+        const existing = await this.get(userId, id);
+        if (!existing) return { success: false, status: 404, error: 'Template not found' };
+
+        const { row, error } = this._validate(input, existing);
+        if (error) return { success: false, status: 400, error };
+        const mediaError = await this._resolveMedia(userId, row);
+        if (mediaError) return { success: false, status: 400, error: mediaError };
+
+        const { data, error: dbError } = await supabase
+            .from(this.tableName)
+            .update(row)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select('*')
+            .single();
+
+        if (dbError?.code === '23505') {
+            return { success: false, status: 409, error: 'A template with this name already exists' };
+        }
+        if (dbError) throw dbError;
+        return { success: true, template: data };
+    }
+
+    async remove(userId, id) {
+        if (!UUID_REGEX.test(String(id || ''))) return false;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('id', id)
+            .eq('user_id', userId)
+            .select('id');
+
+        if (error) throw error;
+        return (data || []).length > 0;
+    }
+
+    /**
+     * Render a template into sendable content
+     * @returns {{type: 'text'|'media', message?: string, media?: object, missing: string[]}}
+     */
+    renderTemplate(template, variables = {}, options = {}) {
+        const text = this.render(template.body, variables, options);
+        const missing = this.missingVariables(template.body, variables);
+        if (template.media) {
+            const { mediaId, ...media } = template.media;
+            return { type: 'media', media: { ...media, caption: text || undefined }, missing };
+        }
+        return { type: 'text', message: text, missing };
+    }
+
+    /**
+     * Replace `templateId` + `variables` in a send / schedule / campaign body
+     * with the rendered `type` and `message` / `media`. Bodies without a
+     * templateId are returned unchanged. Variables without a value or
+     * fallback are an error unless they are kept for a later render or the
+     * caller accepts blanks (automations with a fixed set of variables).
+     * @param {string} userId
+     * @param {object} input - request body
+     * @param {object} options - { keepMissing: leave unfilled placeholders for a later render,
+     *   allowMissing: render them empty }
+     * @returns {Promise<{input?: object, error?: string, status?: number, missing?: string[]}>}
+     */
+    async applyToInput(userId, input, { allowMissing = false, ...options } = {}) {
+        if (!input?.templateId) return { input };
+        if (!UUID_REGEX.test(String(input.templateId))) return { status: 400, error: 'templateId must be a UUID' };
+
+        const template = await this.get(userId, input.templateId);
+        if (!template) return { status: 404, error: 'Template not found' };
+
+        const variables = input.variables && typeof input.variables === 'object' ? input.variables : {};
+        const { missing, ...content } = this.renderTemplate(template, variables, options);
+        if (missing.length > 0 && !options.keepMissing && !allowMissing) {
+            return { status: 400, error: `Missing template variables: ${missing.join(', ')}`, missing };
+        }
+        return { input: { ...input, ...content } };
+    }
+}
+
+module.exports = new TemplateService();
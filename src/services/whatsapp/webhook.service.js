@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const supabase = require('../../config/supabase');
+const sessionEvents = require('./session.events');
+
+const WEBHOOK_EVENTS = [
+    'message.received',
+    'message.sent',
+    'message.status',
+    'poll.updated',
+    'call.received',
+    'status.posted',
+    'connection.update',
+    'qr.updated',
+    'pairing_code.updated',
+    'session.logged_out',
+    'session.unhealthy'
+];
+
+// Webhooks must not reach the server's own network (loopback, private, link-local incl. cloud metadata)
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Webhook Service
+ * Forwards session events to user-registered URLs as signed JSON.
+ *
+ * Every request carries:
+ * - X-Webhook-Event: event name
+ * - X-Webhook-Delivery: delivery id (stable across retries, use it to dedupe)
+ * - X-Webhook-Timestamp: unix seconds
+ * - X-Webhook-Signature: 'sha256=' + HMAC_SHA256(secret, `${timestamp}.${rawBody}`)
+ *
+ * Failed deliveries are retried with exponential backoff by the webhook job
+ * and every attempt is kept in the delivery log so it can be replayed.
+ */
+class WebhookService {
+    constructor() {
+        const configService = require('../common/config.service');
+        this.tableName = configService.getTableName('wa_webhooks');
+        this.deliveriesTable = configService.getTableName('wa_webhook_deliveries');
+        this.supportedEvents = WEBHOOK_EVENTS;
+
+        this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+        this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '30000', 10);
+        this.retryMaxMs = 60 * 60 * 1000;
+        this.cacheMs = 60000;
+        this.batchSize = 50;
+        this.running = false;
+
+        // sessionId -> { hooks, fetchedAt }
+        this.cache = new Map();
+        this.subscribed = false;
+    }
+
+    /**
+     * Start listening to the session event bus. Safe to call more than once.
+     */
+    init() {
+        if (this.subscribed) return;
+        this.subscribed = true;
+        sessionEvents.on('event', (envelope) => {
+            this.dispatch(envelope).catch(err => {
+                console.error(`❌ [Webhook][${envelope.sessionId}] Dispatch error:`, err.message);
+            });
+        });
+    }
+
+    _validateInput({ url, events }, partial = false) {
+        if (!partial || url !== undefined) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (e) {
+                return 'A valid url is required';
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) {
+                return 'Webhook url must use http or https';
+            }
+        }
+        if (events !== undefined) {
+            if (!Array.isArray(events)) return 'events must be an array';
+            const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+            if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')}`;
+        }
+        return null;
+    }
+
+    _isBlockedAddress(address) {
+        // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+        const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+        return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * Resolve the host of a webhook url, rejecting localhost, private, loopback
+     * or link-local addresses, also when a public-looking host name resolves to one
+     * @returns {Promise<{address?: string, family?: number, error?: string}>}
+     */
+    async _resolveTarget(url) {
+        const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        if (host === 'localhost' || host.endsWith('.localhost')) return { error: 'Webhook url must not point to a private address' };
+
+        let addresses;
+        try {
+            addresses = net.isIP(host)
+                ? [{ address: host, family: net.isIP(host) }]
+                : await dns.promises.lookup(host, { all: true, verbatim: true });
+        } catch (e) {
+            return { error: `Webhook host ${host} could not be resolved` };
+        }
+        if (addresses.length === 0 || addresses.some(({ address }) => this._isBlockedAddress(address))) {
+            return { error: 'Webhook url must not point to a private address' };
+        }
+        return addresses[0];
+    }
+
+    /**
+     * @returns {Promise<string|null>} error message, null when allowed
+     */
+    async _validateTarget(url) {
+        return (await this._resolveTarget(url)).error || null;
+    }
+
+    // Secrets are only returned in full when a webhook is created
+    _mask(hook) {
+        if (!hook) return hook;
+        const { secret, ...rest } = hook;
+        return { ...rest, secret_hint: secret ? `${secret.slice(0, 4)}…` : null };
+    }
+
+    async list(sessionId) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('*')
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        return (data || []).map(h => this._mask(h));
+    }
+
+    async create(sessionId, userId, input) {
+        const validationError = this._validateInput(input) || await this._validateTarget(input.url);
+        if (validationError) return { success: false, error: validationError };
+
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .insert({
+                session_id: sessionId,
+                user_id: userId,
+                url: input.url,
+                events: input.events || [],
+                secret: input.secret || crypto.randomBytes(24).toString('hex'),
+                description: input.description || null,
+                is_active: true,
+                created_at: now,
+                updated_at: now
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error(`❌ [Webhook][${sessionId}] Failed to create webhook:`, error.message);
+            return { success: false, error: 'Failed to create webhook' };
+        }
+
+        this.cache.delete(sessionId);
+        return { success: true, webhook: data };
+    }
+
+    async update(sessionId, id, input) {
+        const validationError = this._validateInput(input, true)
+            || (input.url !== undefined ? await this._validateTarget(input.url) : null);
+        if (validationError) return { success: false, status: 400, error: validationError };
+
+        const update = { updated_at: new Date().toISOString() };
+        ['url', 'events', 'description'].forEach(field => {
+            if (input[field] !== undefined) update[field] = input[field];
+        });
+        if (input.is_active !== undefined) update.is_active = !!input.is_active;
+        if (input.secret) update.secret = input.secret;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .update(update)
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .select('*');
+
+        if (error) throw error;
+        if (!data || data.length === 0) return { success: false, status: 404, error: 'Webhook not found' };
+
+        this.cache.delete(sessionId);
+        return { success: true, webhook: this._mask(data[0]) };
+    }
+
+    async remove(sessionId, id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .delete()
+            .eq('id', id)
+            .eq('session_id', sessionId)
+            .select('id');
+
+        if (error) throw error;
+        this.cache.delete(sessionId);
+        return (data || []).length > 0;
+    }
+
+    async _getActiveHooks(sessionId) {
+        const cached = this.cache.get(sessionId);
+        if (cached && Date.now() - cached.fetchedAt < this.cacheMs) return cached.hooks;
+
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('id, url, secret, events')
+            .eq('session_id', sessionId)
+            .eq('is_active', true);
+
+        if (error) throw error;
+        const hooks = data || [];
+        this.cache.set(sessionId, { hooks, fetchedAt: Date.now() });
+        return hooks;
+    }
+
+    async _getHook(id) {
+        const { data, error } = await supabase
+            .from(this.tableName)
+            .select('id, url, secret, is_active')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Fan an event out to every subscribed webhook of the session
+     * @param {object} envelope - { sessionId, event, data, timestamp } from session.events
+     */
+    async dispatch({ sessionId, event, data, timestamp }) {
+        // The bus also carries dashboard-only events (e.g. log entries)
+        if (!this.supportedEvents.includes(event)) return;
+
+        const hooks = await this._getActiveHooks(sessionId);
+        const targets = hooks.filter(h => !h.events || h.events.length === 0 || h.events.includes(event));
+        if (targets.length === 0) return;
+
+        for (const hook of targets) {
+            const delivery = await this._createDelivery(hook.id, sessionId, event, { event, sessionId, timestamp, data });
+            if (delivery) this._attempt(delivery, hook);
+        }
+    }
+
+    async _createDelivery(webhookId, sessionId, event, payload, replayOf = null) {
+        const now = Date.now();
+        const { data, error } = await supabase
+            .from(this.deliveriesTable)
+            .insert({
+                webhook_id: webhookId,
+                session_id: sessionId,
+                event,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                max_attempts: this.maxAttempts,
+                // The first attempt happens inline; only pick it up in the retry job if that got lost
+                next_attempt_at: new Date(now + this.timeoutMs + this.retryBaseMs).toISOString(),
+                replay_of: replayOf,
+                created_at: new Date(now).toISOString()
+            })
+            .select('*')
+            .single();
+
+        if (error) {
+            console.error(`❌ [Webhook][${sessionId}] Failed to log delivery:`, error.message);
+            return null;
+        }
+        return data;
+    }
+
+    _sign(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async _post(hook, delivery) {
+        const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        // Checked again on every delivery: the host may resolve elsewhere by now
+        const target = await this._resolveTarget(hook.url);
+        if (target.error) return { ok: false, statusCode: null, body: null, error: target.error };
+
+        try {
+            const response = await this._request(hook.url, target, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'WhatsApp-Gateway-Webhook/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': this._sign(hook.secret, timestamp, body)
+            }, body);
+
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            return {
+                ok,
+                statusCode: response.statusCode,
+                body: response.body.slice(0, 1000),
+                error: ok ? null : `HTTP ${response.statusCode}`
+            };
+        } catch (err) {
+            const error = err.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : err.message;
+            return { ok: false, statusCode: null, body: null, error };
+        }
+    }
+
+    /**
+     * POST to the address validated by _resolveTarget (no second DNS lookup
+     * that could be rebound) without following redirects, which could point
+     * at a private address
+     * @returns {Promise<{statusCode: number, body: string}>}
+     */
+    _request(url, target, headers, body) {
+        const lookup = (hostname, options, callback) => {
+            if (options?.all) return callback(null, [{ address: target.address, family: target.family }]);
+            callback(null, target.address, target.family);
+        };
+        const client = new URL(url).protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup
+            }, (res) => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    // Only the start of the response is logged
+                    if (text.length < 1000) text += chunk;
+                });
+                res.on('end', () => resolve({ statusCode: res.statusCode, body: text }));
+                res.on('error', reject);
+            });
+
+            req.setTimeout(this.timeoutMs, () => {
+                const err = new Error(`Timed out after ${this.timeoutMs}ms`);
+                err.name = 'TimeoutError';
+                req.destroy(err);
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    async _attempt(delivery, hook) {
+        const attempts = delivery.attempts + 1;
+        const result = await this._post(hook, delivery);
+        const now = new Date();
+
+        const update = {
+            attempts,
+            response_status: result.statusCode,
+            response_body: result.body,
+            last_error: result.error,
+            last_attempt_at: now.toISOString()
+        };
+
+        if (result.ok) {
+            update.status = 'delivered';
+            update.delivered_at = now.toISOString();
+        } else if (attempts >= (delivery.max_attempts || this.maxAttempts)) {
+            update.status = 'failed';
+            console.warn(`⚠️ [Webhook][${delivery.session_id}] Delivery ${delivery.id} (${delivery.event}) failed permanently: ${result.error}`);
+        } else {
+            const backoffMs = Math.min(this.retryBaseMs * Math.pow(2, attempts - 1), this.retryMaxMs);
+            update.next_attempt_at = new Date(now.getTime() + backoffMs).toISOString();
+        }
+
+        const { error } = await supabase
+            .from(this.deliveriesTable)
+            .update(update)
+            .eq('id', delivery.id);
+
+        if (error) console.error(`❌ [Webhook][${delivery.session_id}] Failed to update delivery:`, error.message);
+        return { ...delivery, ...update };
+    }
+
+    /**
+     * Retry pending deliveries whose backoff has elapsed. Called by the webhook job.
+     */
+    async retryDue() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const { data: due, error } = await supabase
+                .from(this.deliveriesTable)
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', new Date().toISOString())
+                .order('next_attempt_at', { ascending: true })
+                .limit(this.batchSize);
+
+            if (error) throw error;
+
+            for (const delivery of due || []) {
+                const hook = await this._getHook(delivery.webhook_id);
+                if (!hook || !hook.is_active) {
+                    await supabase
+                        .from(this.deliveriesTable)
+                        .update({ status: 'failed', last_error: 'Webhook removed or disabled' })
+                        .eq('id', delivery.id);
+                    continue;
+                }
+                await this._attempt(delivery, hook);
+            }
+        } catch (err) {
+            console.error(`❌ [Webhook] Retry error:`, err.message);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async listDeliveries(sessionId, webhookId, { status = null, limit = 50 } = {}) {
+        let query = supabase
+            .from(this.deliveriesTable)
+            .select('id, webhook_id, event, status, attempts, response_status, last_error, replay_of, created_at, last_attempt_at, next_attempt_at, delivered_at')
+            .eq('session_id', sessionId)
+            .eq('webhook_id', webhookId)
+            .order('created_at', { ascending: false })
+            .limit(Math.min(parseInt(limit, 10) || 50, 200));
+
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        return data || [];
+    }
+
+    async getDelivery(sessionId, deliveryId) {
+        const { data, error } = await supabase
+            .from(this.deliveriesTable)
+            .select('*')
+            .eq('id', deliveryId)
+            .eq('session_id', sessionId)
+            .maybeSingle();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Send a logged delivery again as a new delivery (the original stays untouched)
+     */
+    async replay(sessionId, deliveryId) {
+        const original = await this.getDelivery(sessionId, deliveryId);
+        if (!original) return { success: false, status: 404, error: 'Delivery not found' };
+
+        const hook = await this._getHook(original.webhook_id);
+        if (!hook) return { success: false, status: 404, error: 'Webhook no longer exists' };
+        if (!hook.is_active) return { success: false, status: 409, error: 'Webhook is disabled' };
+
+        const delivery = await this._createDelivery(hook.id, sessionId, original.event, original.payload, original.id);
+        if (!delivery) return { success: false, status: 500, error: 'Failed to replay delivery' };
+
+        const result = await this._attempt(delivery, hook);
+        return {
+            success: true,
+            delivery: {
+                id: result.id,
+                replayOf: original.id,
+                event: result.event,
+                status: result.status || 'pending',
+                responseStatus: result.response_status,
+                error: result.last_error
+            }
+        };
+    }
+}
+
+module.exports = new WebhookService();
@@ -1,4 +1,8 @@
-﻿function formatPhoneNumber(number) {
+﻿const { generateWAMessageFromContent, proto } = require('@whiskeysockets/baileys');
+const { validateInteractive, buildInteractiveContent } = require('./interactive.helpers');
+const { MAX_SPLIT_LENGTH, toWhatsAppFormat, splitMessage, typingDurationMs } = require('./formatter.helpers');
+
+function formatPhoneNumber(number) {
     if (number.includes('@')) return number;
     let cleaned = number.replace(/\D/g, '');
     if (cleaned.startsWith('0')) cleaned = '62' + cleaned.substring(1);
@@ -8,6 +12,9 @@
 
 function validatePhoneNumber(number) {
     if (!number) return { valid: false, message: 'Phone number is required' };
+    if (typeof number !== 'string') return { valid: false, message: 'Phone number must be a string' };
+    // Group jids (inbox replies) are ids, not phone numbers
+    if (number.endsWith('@g.us')) return { valid: true };
     const cleaned = number.replace(/\D/g, '');
     if (cleaned.length < 10) return { valid: false, message: 'Phone number too short' };
     if (cleaned.length > 15) return { valid: false, message: 'Phone number too long' };
@@ -21,7 +28,10 @@ function validateMessage(message) {
     return { valid: true };
 }
 
-async function sendTextMessage(socket, number, message) {
+/**
+ * @param {object} options - { mentions: jids tagged in the text as @number }
+ */
+async function sendTextMessage(socket, number, message, { mentions } = {}) {
     try {
         const numVal = validatePhoneNumber(number);
         if (!numVal.valid) return { success: false, error: numVal.message };
@@ -31,7 +41,9 @@ async function sendTextMessage(socket, number, message) {
         const jid = number.includes('@') ? number : formatPhoneNumber(number);
         if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
 
-        const result = await socket.sendMessage(jid, { text: message });
+        const content = { text: message };
+        if (mentions?.length) content.mentions = mentions;
+        const result = await socket.sendMessage(jid, content);
         return { success: true, messageId: result.key.id, to: jid, timestamp: new Date().toISOString() };
     } catch (error) {
         console.error('Error sending message:', error);
@@ -39,21 +51,72 @@ async function sendTextMessage(socket, number, message) {
     }
 }
 
-async function sendMediaMessage(socket, number, media) {
+/**
+ * Send a text that may be longer than one message: optionally convert Markdown
+ * to WhatsApp formatting, split it into chunks and show "typing..." before
+ * each chunk for a time proportional to its length.
+ * @param {object} options - { markdown, split, maxLength, typing }
+ */
+async function sendFormattedText(socket, number, message, { markdown = true, split = true, maxLength = 4096, typing = true } = {}) {
+    const messageIds = [];
+    try {
+        const numVal = validatePhoneNumber(number);
+        if (!numVal.valid) return { success: false, error: numVal.message };
+        if (!message || typeof message !== 'string') return { success: false, error: 'Message is required' };
+        if (message.length > MAX_SPLIT_LENGTH) return { success: false, error: `Message too long (max ${MAX_SPLIT_LENGTH} characters)` };
+
+        const jid = number.includes('@') ? number : formatPhoneNumber(number);
+        if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
+
+        const text = markdown ? toWhatsAppFormat(message) : message;
+        const parts = split ? splitMessage(text, Math.min(maxLength, 4096)) : [text];
+        if (!parts.length) return { success: false, error: 'Message is required' };
+        if (!split) {
+            const msgVal = validateMessage(text);
+            if (!msgVal.valid) return { success: false, error: msgVal.message };
+        }
+
+        for (const part of parts) {
+            if (typing) {
+                try {
+                    await socket.sendPresenceUpdate('composing', jid);
+                    await new Promise(resolve => setTimeout(resolve, typingDurationMs(part)));
+                } catch (err) {
+                    // Presence is cosmetic; never block the send on it
+                }
+            }
+            const result = await socket.sendMessage(jid, { text: part });
+            messageIds.push(result.key.id);
+        }
+        if (typing) await socket.sendPresenceUpdate('paused', jid).catch(() => {});
+
+        return { success: true, messageId: messageIds[0], messageIds, parts: parts.length, to: jid, timestamp: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error sending formatted message:', error);
+        // Chunks already delivered cannot be taken back; report them
+        return { success: false, error: error.message || 'Failed to send message', messageIds };
+    }
+}
+
+async function sendMediaMessage(socket, number, media, { mentions } = {}) {
     try {
         const numVal = validatePhoneNumber(number);
         if (!numVal.valid) return { success: false, error: numVal.message };
         const jid = formatPhoneNumber(number);
         if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
 
+        // Uploaded / base64 media arrives as a buffer, everything else as a URL
+        const source = media.buffer || { url: media.url };
         let content;
         switch (media.type) {
-            case 'image': content = { image: { url: media.url }, caption: media.caption || '' }; break;
-            case 'video': content = { video: { url: media.url }, caption: media.caption || '' }; break;
-            case 'document': content = { document: { url: media.url }, fileName: media.fileName || 'document', caption: media.caption || '' }; break;
-            case 'audio': content = { audio: { url: media.url }, ptt: media.ptt || false }; break;
+            case 'image': content = { image: source, caption: media.caption || '' }; break;
+            case 'video': content = { video: source, caption: media.caption || '' }; break;
+            case 'document': content = { document: source, fileName: media.fileName || 'document', caption: media.caption || '' }; break;
+            case 'audio': content = { audio: source, ptt: media.ptt === true || media.ptt === 'true' }; break;
             default: return { success: false, error: 'Invalid media type' };
         }
+        if (media.mimetype && media.type !== 'image') content.mimetype = media.mimetype;
+        if (mentions?.length && content.caption) content.mentions = mentions;
         const result = await socket.sendMessage(jid, content);
         return { success: true, messageId: result.key.id, to: jid, timestamp: new Date().toISOString() };
     } catch (error) {
@@ -62,6 +125,106 @@ async function sendMediaMessage(socket, number, media) {
     }
 }
 
+async function sendInteractiveMessage(socket, number, interactive) {
+    try {
+        const numVal = validatePhoneNumber(number);
+        if (!numVal.valid) return { success: false, error: numVal.message };
+        const interactiveVal = validateInteractive(interactive);
+        if (!interactiveVal.valid) return { success: false, error: interactiveVal.message };
+
+        const jid = formatPhoneNumber(number);
+        if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
+
+        const built = buildInteractiveContent(jid, interactive);
+        let result;
+        if (built.relay) {
+            result = generateWAMessageFromContent(jid, proto.Message.fromObject(built.message), { userJid: socket.user.id });
+            await socket.relayMessage(jid, result.message, { messageId: result.key.id });
+            // relayMessage does not emit our own upsert; do it so receipts are tracked like sendMessage
+            await socket.upsertMessage(result, 'append');
+        } else {
+            result = await socket.sendMessage(jid, built.content);
+        }
+
+        return { success: true, messageId: result.key.id, to: jid, type: interactive.type, timestamp: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error sending interactive message:', error);
+        return { success: false, error: error.message || 'Failed to send interactive message' };
+    }
+}
+
+/**
+ * Build a message key for an existing message in a chat
+ * @param {string} jid
+ * @param {string} messageId
+ * @param {object} options - { fromMe, participant } (participant = sender in groups)
+ */
+function buildMessageKey(jid, messageId, { fromMe = true, participant = null } = {}) {
+    const key = { remoteJid: jid, id: messageId, fromMe: fromMe !== false && fromMe !== 'false' };
+    if (participant) key.participant = formatPhoneNumber(String(participant));
+    return key;
+}
+
+async function sendReplyMessage(socket, number, message, quoted) {
+    try {
+        const numVal = validatePhoneNumber(number);
+        if (!numVal.valid) return { success: false, error: numVal.message };
+        const msgVal = validateMessage(message);
+        if (!msgVal.valid) return { success: false, error: msgVal.message };
+        if (!quoted?.messageId) return { success: false, error: 'messageId of the message to reply to is required' };
+
+        const jid = formatPhoneNumber(number);
+        if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
+
+        // Only the key is needed to thread the reply; the content just fills the quote preview
+        const quotedMsg = {
+            key: quoted.key || buildMessageKey(jid, quoted.messageId, quoted),
+            message: quoted.message || { conversation: quoted.text || '' }
+        };
+        const result = await socket.sendMessage(jid, { text: message }, { quoted: quotedMsg });
+        return { success: true, messageId: result.key.id, to: jid, replyTo: quoted.messageId, timestamp: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error sending reply:', error);
+        return { success: false, error: error.message || 'Failed to send reply' };
+    }
+}
+
+async function editMessage(socket, number, messageId, message) {
+    try {
+        const numVal = validatePhoneNumber(number);
+        if (!numVal.valid) return { success: false, error: numVal.message };
+        const msgVal = validateMessage(message);
+        if (!msgVal.valid) return { success: false, error: msgVal.message };
+
+        const jid = formatPhoneNumber(number);
+        if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
+
+        // WhatsApp only accepts edits of our own messages (within ~15 minutes of sending)
+        await socket.sendMessage(jid, { text: message, edit: buildMessageKey(jid, messageId) });
+        return { success: true, messageId, to: jid, editedAt: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error editing message:', error);
+        return { success: false, error: error.message || 'Failed to edit message' };
+    }
+}
+
+async function revokeMessage(socket, number, messageId, options = {}) {
+    try {
+        const numVal = validatePhoneNumber(number);
+        if (!numVal.valid) return { success: false, error: numVal.message };
+
+        const jid = formatPhoneNumber(number);
+        if (!socket || !socket.user) return { success: false, error: 'WhatsApp not connected' };
+
+        // Other people's messages can only be revoked in groups where we are admin
+        await socket.sendMessage(jid, { delete: buildMessageKey(jid, messageId, options) });
+        return { success: true, messageId, to: jid, revokedAt: new Date().toISOString() };
+    } catch (error) {
+        console.error('Error revoking message:', error);
+        return { success: false, error: error.message || 'Failed to revoke message' };
+    }
+}
+
 function getConnectionStatus(socket, connectionState) {
     const { qr, connection, phoneNumber } = connectionState;
     return {
@@ -80,6 +243,12 @@ module.exports = {
     validatePhoneNumber,
     validateMessage,
     sendTextMessage,
+    sendFormattedText,
     sendMediaMessage,
+    sendInteractiveMessage,
+    validateInteractive,
+    sendReplyMessage,
+    editMessage,
+    revokeMessage,
     getConnectionStatus
 };